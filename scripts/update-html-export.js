@@ -3,62 +3,719 @@ const path = require('path');
 const parser = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
 
-// Construct the paths from the project root
-const modulePath = path.join(process.cwd(), 'src', 'Html.js');
-const indexPath = path.join(process.cwd(), 'src', 'index.js');
-
-// Read the source module
-const moduleContent = fs.readFileSync(modulePath, 'utf-8');
-
-// Parse the module content into an AST
-const ast = parser.parse(moduleContent, {
-    sourceType: 'module',
-    plugins: [
-        // Add any necessary plugins for syntax that you are using (e.g., jsx, typescript)
-    ],
-});
+/*
+ * Regenerates the exports of src/index.js and the TypeScript declarations in types/ from the modules in src/
+ *
+ * - Every named export of every module is re-exported from the marked region of src/index.js, which is rewritten
+ *   in place, so running the script again changes nothing. Exports tagged `@internal` in their JSDoc are skipped.
+ *   Without the markers, the hand-written re-exports are replaced by the region.
+ * - Every module gets a declaration file in types/, built from its JSDoc: parameter and return types, nested
+ *   `options.*` parameters as typed option bags, `@typedef` and `@callback` blocks as types. Declarations of
+ *   modules that no longer exist are removed.
+ *
+ * Usage: node scripts/update-html-export.js [--check]
+ * With --check nothing is written, the script exits with an error when a generated file is out of date.
+ */
+
+const sourceDir = path.join(process.cwd(), 'src');
+const typesDir = path.join(process.cwd(), 'types');
+const indexPath = path.join(sourceDir, 'index.js');
+const regionStart = '// <generated-exports> Maintained by scripts/update-html-export.js, do not edit by hand';
+const regionEnd = '// </generated-exports>';
+const checkOnly = process.argv.includes('--check');
+
+// The indentation of multiline export statements, the one src/index.js uses
+const indent = '  ';
+
+// JSDoc type names and their TypeScript equivalent
+const typeAliases = {
+    '*': 'any',
+    any: 'any',
+    int: 'number',
+    integer: 'number',
+    float: 'number',
+    number: 'number',
+    Number: 'number',
+    string: 'string',
+    String: 'string',
+    boolean: 'boolean',
+    Boolean: 'boolean',
+    symbol: 'symbol',
+    null: 'null',
+    undefined: 'undefined',
+    void: 'void',
+    Object: 'Record<string, any>',
+    object: 'Record<string, any>',
+    Array: 'any[]',
+    Function: '(...args: any[]) => any',
+    Promise: 'Promise<any>',
+    Map: 'Map<any, any>',
+    Set: 'Set<any>',
+    WeakMap: 'WeakMap<object, any>',
+    WeakSet: 'WeakSet<object>',
+};
+
+// Types provided by the TypeScript DOM and ES libraries
+const globalTypes = [
+    'Node', 'NodeList', 'Text', 'Comment', 'Element', 'Document', 'DocumentFragment', 'DOMParser', 'Event', 'FormData',
+    'URLSearchParams', 'Blob', 'File', 'Date', 'RegExp', 'Error', 'Intl.Collator',
+];
+
+/**
+ * Splits a type expression on a separator, ignoring separators nested in brackets
+ *
+ * @param {string} text - The type expression
+ * @param {string} separator - A single character
+ * @returns {string[]} - The trimmed parts
+ */
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if ('{(<['.includes(char)) {
+            depth++;
+        } else if ('})]'.includes(char) || (char === '>' && text[index - 1] !== '=')) {
+            depth--;
+        }
+
+        if (char === separator && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current.trim());
+
+    return parts.filter(part => part !== '');
+}
+
+/**
+ * Wraps a type in parentheses when it is a union, an intersection or a function type
+ *
+ * @param {string} type - The TypeScript type
+ * @returns {string} - The type, safe to use as an array item or a member of another union
+ */
+function groupType(type) {
+    const isFunction = type.startsWith('(') && splitTopLevel(type, '=').length > 1;
+    return isFunction || splitTopLevel(type, '|').length > 1 || splitTopLevel(type, '&').length > 1 ? `(${type})` : type;
+}
+
+/**
+ * Converts a JSDoc type expression into a TypeScript type
+ *
+ * @param {string} type - The JSDoc type, e.g. `string|string[]` or `Promise<{valid: boolean}>`
+ * @param {Object} context - The type names declared by the modules, and the set of names the current module uses
+ * @returns {string} - The TypeScript type, `any` for unknown names
+ */
+function convertType(type, context) {
+    type = type.trim();
+    const union = splitTopLevel(type, '|');
+    if (union.length > 1) {
+        return union.map(part => groupType(convertType(part, context))).join(' | ');
+    }
+
+    if (type.startsWith('?')) {
+        return `${convertType(type.slice(1), context)} | null`;
+    }
+
+    if (type.startsWith('(') && type.endsWith(')')) {
+        return convertType(type.slice(1, -1), context);
+    }
+
+    if (type.endsWith('[]')) {
+        return `${groupType(convertType(type.slice(0, -2), context))}[]`;
+    }
+
+    if (type.startsWith('{') && type.endsWith('}')) {
+        const members = splitTopLevel(type.slice(1, -1), ',').map(member => {
+            const [key, ...memberType] = member.split(':');
+            return `${key.trim()}: ${convertType(memberType.join(':') || '*', context)}`;
+        });
+        return `{${members.join('; ')}}`;
+    }
+
+    const generic = type.match(/^([\w.]+?)\.?<(.*)>$/);
+    if (generic) {
+        const args = splitTopLevel(generic[2], ',').map(arg => convertType(arg, context));
+        if (generic[1] === 'Array') {
+            return `${groupType(args[0])}[]`;
+        }
+        if (generic[1] === 'Object') {
+            return `Record<${args.join(', ')}>`;
+        }
+        return `${generic[1]}<${args.join(', ')}>`;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(typeAliases, type)) {
+        return typeAliases[type];
+    }
+
+    if (context.declaredTypes.has(type)) {
+        context.usedTypes.add(type);
+        return type;
+    }
+
+    return globalTypes.includes(type) || /^(HTML|SVG)\w*Element$/.test(type) ? type : 'any';
+}
+
+/**
+ * Reads the type expression in braces at the start of a tag, braces may be nested
+ *
+ * @param {string} text - The tag text after the tag name
+ * @returns {Array} - The type, or null when the tag has none, and the remaining text
+ */
+function readBracedType(text) {
+    if (!text.startsWith('{')) {
+        return [null, text];
+    }
+
+    let depth = 0;
+    for (let index = 0; index < text.length; index++) {
+        if (text[index] === '{') {
+            depth++;
+        } else if (text[index] === '}') {
+            depth--;
+            if (depth === 0) {
+                return [text.slice(1, index), text.slice(index + 1).trim()];
+            }
+        }
+    }
+
+    return [text.slice(1), ''];
+}
+
+/**
+ * Parses a JSDoc comment into its description and tags
+ *
+ * @param {string} comment - The value of the block comment, without the delimiters
+ * @returns {Object} - The `lines` of the comment and its `tags`, as `{tag, type, name, optional, description}`
+ */
+function parseJsDoc(comment) {
+    const lines = comment.split('\n').map(line => line.replace(/^\s*\*? ?/, '').replace(/\s+$/, ''));
+    while (lines.length && lines[0] === '') {
+        lines.shift();
+    }
+    while (lines.length && lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+
+    const tags = [];
+    lines.forEach(line => {
+        const match = line.match(/^@(\w+)\s*(.*)$/);
+        if (!match) {
+            return;
+        }
+
+        const [type, rest] = readBracedType(match[2]);
+        const nameMatch = ['param', 'property', 'typedef', 'callback'].includes(match[1])
+            ? rest.match(/^(\[[^\]]*\]|[\w.$]+)\s*(?:-\s*)?(.*)$/)
+            : null;
+        let name = nameMatch ? nameMatch[1] : '';
+        const optional = name.startsWith('[');
+        if (optional) {
+            name = name.slice(1, -1).split('=')[0].trim();
+        }
+
+        tags.push({tag: match[1], type, name, optional, description: nameMatch ? nameMatch[2] : rest});
+    });
+
+    return {lines, tags};
+}
+
+/**
+ * Returns the parsed JSDoc comment directly preceding a node
+ *
+ * @param {Object} node - The AST node
+ * @returns {Object|null} - The parsed comment, see `parseJsDoc`, with its `text`
+ */
+function nodeJsDoc(node) {
+    const comments = (node.leadingComments || []).filter(comment => comment.type === 'CommentBlock' && comment.value.startsWith('*'));
+    if (!comments.length) {
+        return null;
+    }
+
+    const comment = comments[comments.length - 1].value;
+    return {...parseJsDoc(comment.slice(1)), text: comment};
+}
+
+/**
+ * Formats a JSDoc comment for a declaration file
+ *
+ * @param {Object|null} doc - The parsed comment
+ * @param {string} indent - The indentation of the declaration
+ * @returns {string} - The comment followed by a line break, or an empty string
+ */
+function formatJsDoc(doc, indent = '') {
+    if (!doc || !doc.lines.length) {
+        return '';
+    }
+
+    const body = doc.lines.map(line => `${indent} *${line ? ` ${line}` : ''}`).join('\n');
+    return `${indent}/**\n${body}\n${indent} */\n`;
+}
+
+/**
+ * Builds the type of an option bag from the nested `@param` or `@property` tags of a parameter
+ *
+ * @param {Object[]} tags - All the tags of the comment
+ * @param {string} prefix - The dotted name of the parameter
+ * @param {string|null} baseType - The JSDoc type of the parameter itself
+ * @param {Object} context - The type context, see `convertType`
+ * @returns {string} - An object type with an index signature for the undocumented keys
+ */
+function optionBagType(tags, prefix, baseType, context) {
+    const children = tags.filter(tag => tag.name.startsWith(`${prefix}.`) && !tag.name.slice(prefix.length + 1).includes('.'));
+    const members = children.map(tag => {
+        const key = tag.name.slice(prefix.length + 1);
+        const type = tags.some(other => other.name.startsWith(`${tag.name}.`))
+            ? optionBagType(tags, tag.name, tag.type, context)
+            : convertType(tag.type || '*', context);
+        return `${/^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`}?: ${type};`;
+    });
+    const bag = `{${members.map(member => ` ${member}`).join('')} [key: string]: any }`;
+
+    const base = baseType ? convertType(baseType, context) : 'any';
+    return base !== 'any' && base !== typeAliases.Object ? `${groupType(base)} & ${bag}` : bag;
+}
+
+/**
+ * Builds the parameter list of a function from its AST parameters and JSDoc
+ *
+ * @param {Object[]} params - The AST parameters
+ * @param {Object|null} doc - The parsed comment
+ * @param {Object} context - The type context, see `convertType`
+ * @returns {string} - The parameter list
+ */
+function buildParams(params, doc, context) {
+    const tags = doc ? doc.tags.filter(tag => tag.tag === 'param') : [];
+    const topLevel = tags.filter(tag => !tag.name.includes('.'));
+
+    const built = params.map((param, index) => {
+        let optional = false;
+        let rest = false;
+        if (param.type === 'AssignmentPattern') {
+            optional = true;
+            param = param.left;
+        }
+        if (param.type === 'RestElement') {
+            rest = true;
+            param = param.argument;
+        }
+
+        const tag = param.type === 'Identifier' ? topLevel.find(item => item.name === param.name) : topLevel[index];
+        const name = param.type === 'Identifier' ? param.name : (tag ? tag.name : `arg${index}`);
+        const jsDocType = tag && tag.type ? tag.type.replace(/^\.\.\./, '') : null;
+        const type = tags.some(item => item.name.startsWith(`${name}.`))
+            ? optionBagType(tags, name, jsDocType, context)
+            : convertType(jsDocType || '*', context);
+
+        return {name, rest, optional: optional || Boolean(tag && tag.optional), type};
+    });
+
+    // TypeScript does not allow optional parameters before required ones
+    let requiredFollows = false;
+    for (let index = built.length - 1; index >= 0; index--) {
+        const param = built[index];
+        if (param.rest) {
+            continue;
+        }
+        if (param.optional && requiredFollows) {
+            param.optional = false;
+            param.type += ' | undefined';
+        }
+        requiredFollows = requiredFollows || !param.optional;
+    }
+
+    return built.map(({name, rest, optional, type}) => {
+        if (rest) {
+            return `...${name}: ${groupType(type)}[]`;
+        }
+        return `${name}${optional ? '?' : ''}: ${type}`;
+    }).join(', ');
+}
+
+/**
+ * Tests if a function returns a value, ignoring nested functions
+ *
+ * @param {Object} functionPath - The Babel path of the function
+ * @returns {boolean} - True when a `return` statement has an argument
+ */
+function returnsValue(functionPath) {
+    let found = false;
+    functionPath.traverse({
+        Function(nestedPath) {
+            nestedPath.skip();
+        },
+        ReturnStatement(returnPath) {
+            found = found || returnPath.node.argument !== null;
+        },
+    });
+
+    return found;
+}
+
+/**
+ * Builds the return type of a function from its JSDoc, or from its body when undocumented
+ *
+ * @param {Object} functionPath - The Babel path of the function
+ * @param {Object|null} doc - The parsed comment
+ * @param {Object} context - The type context, see `convertType`
+ * @returns {string} - The return type
+ */
+function buildReturnType(functionPath, doc, context) {
+    const tag = doc ? doc.tags.find(item => item.tag === 'returns' || item.tag === 'return') : null;
+    let type = tag && tag.type ? convertType(tag.type, context) : (returnsValue(functionPath) ? 'any' : 'void');
+    if (functionPath.node.async && !type.startsWith('Promise<')) {
+        type = `Promise<${type}>`;
+    }
+
+    return type;
+}
+
+/**
+ * Infers the type of a literal initial value
+ *
+ * @param {Object|null} node - The AST node of the value
+ * @returns {string} - The type
+ */
+function literalType(node) {
+    if (!node) {
+        return 'any';
+    }
+
+    const literalTypes = {BooleanLiteral: 'boolean', NumericLiteral: 'number', StringLiteral: 'string', ArrayExpression: 'any[]'};
+    return literalTypes[node.type] || 'any';
+}
+
+/**
+ * Builds the declarations of `@typedef` and `@callback` comments
+ *
+ * @param {Object[]} comments - All the comments of the module
+ * @param {Object} context - The type context, see `convertType`
+ * @returns {string[]} - The type declarations
+ */
+function declareTypedefs(comments, context) {
+    return comments.filter(comment => comment.type === 'CommentBlock' && /@(typedef|callback)\b/.test(comment.value)).map(comment => {
+        const doc = parseJsDoc(comment.value.slice(1));
+        const typedef = doc.tags.find(tag => tag.tag === 'typedef' || tag.tag === 'callback');
+        const text = formatJsDoc(doc);
+
+        if (typedef.tag === 'callback') {
+            const params = doc.tags.filter(tag => tag.tag === 'param').map(tag => `${tag.name}${tag.optional ? '?' : ''}: ${convertType(tag.type || '*', context)}`);
+            const returns = doc.tags.find(tag => tag.tag === 'returns' || tag.tag === 'return');
+            return `${text}export type ${typedef.name} = (${params.join(', ')}) => ${returns ? convertType(returns.type, context) : 'void'};`;
+        }
+
+        const properties = doc.tags.filter(tag => tag.tag === 'property').map(tag => ({...tag, name: `${typedef.name}.${tag.name}`}));
+        if (!properties.length) {
+            return `${text}export type ${typedef.name} = ${convertType(typedef.type || '*', context)};`;
+        }
 
-// Placeholder for found named exports
-let exportedNames = [];
+        const members = optionBagType(properties, typedef.name, null, context).slice(1, -1).trim();
+        return `${text}export interface ${typedef.name} {\n${splitTopLevel(members, ';').map(member => `    ${member};`).join('\n')}\n}`;
+    });
+}
+
+/**
+ * Builds the declaration of a class: its constructor, fields, accessors and methods
+ *
+ * @param {Object} classPath - The Babel path of the class declaration
+ * @param {Object|null} doc - The parsed comment of the class
+ * @param {Object} staticAssignments - The types of static properties assigned after the class, by name
+ * @param {Object} context - The type context, see `convertType`
+ * @returns {string} - The declaration
+ */
+function declareClass(classPath, doc, staticAssignments, context) {
+    const {node} = classPath;
+    const superClass = node.superClass && node.superClass.type === 'Identifier' && context.declaredTypes.has(node.superClass.name)
+        ? node.superClass.name
+        : null;
+    if (superClass) {
+        context.usedTypes.add(superClass);
+    }
+
+    const members = [];
+    const memberNames = new Set();
+    Object.entries(staticAssignments).forEach(([name, type]) => members.push(`    static ${name}: ${type};`));
+
+    classPath.get('body.body').forEach(memberPath => {
+        const member = memberPath.node;
+        if (member.computed || member.key.type !== 'Identifier') {
+            return;
+        }
+
+        const name = member.key.name;
+        const memberDoc = nodeJsDoc(member);
+        const prefix = member.static ? 'static ' : '';
+        memberNames.add(name);
+
+        if (member.type === 'ClassProperty') {
+            const tag = memberDoc ? memberDoc.tags.find(item => item.tag === 'var' || item.tag === 'type') : null;
+            const type = tag && tag.type ? convertType(tag.type, context) : literalType(member.value);
+            members.push(`${formatJsDoc(memberDoc, '    ')}    ${prefix}${name}: ${type};`);
+        } else if (member.type === 'ClassMethod' && member.kind === 'constructor') {
+            members.push(`${formatJsDoc(memberDoc, '    ')}    constructor(${buildParams(member.params, memberDoc, context)});`);
+        } else if (member.type === 'ClassMethod' && member.kind === 'get') {
+            members.push(`${formatJsDoc(memberDoc, '    ')}    ${prefix}get ${name}(): ${buildReturnType(memberPath, memberDoc, context).replace(/^void$/, 'any')};`);
+        } else if (member.type === 'ClassMethod' && member.kind === 'set') {
+            members.push(`${formatJsDoc(memberDoc, '    ')}    ${prefix}set ${name}(${buildParams(member.params, memberDoc, context)});`);
+        } else if (member.type === 'ClassMethod') {
+            members.push(`${formatJsDoc(memberDoc, '    ')}    ${prefix}${name}(${buildParams(member.params, memberDoc, context)}): ${buildReturnType(memberPath, memberDoc, context)};`);
+        }
+    });
 
-// Traverse the AST to find named exports
-traverse(ast, {
-    ExportNamedDeclaration: ({node}) => {
-        if (node.declaration) {
-            // Handling function declarations
-            if (node.declaration.type === 'FunctionDeclaration') {
-                exportedNames.push(node.declaration.id.name);
+    // Instance fields assigned in the constructor
+    const constructorPath = classPath.get('body.body').find(memberPath => memberPath.node.kind === 'constructor');
+    if (constructorPath) {
+        constructorPath.get('body.body').forEach(statementPath => {
+            const expression = statementPath.node.expression;
+            if (statementPath.node.type !== 'ExpressionStatement' || expression.type !== 'AssignmentExpression'
+                || expression.left.type !== 'MemberExpression' || expression.left.object.type !== 'ThisExpression'
+                || expression.left.property.type !== 'Identifier' || memberNames.has(expression.left.property.name)) {
+                return;
             }
-            // Handling variable declarations (if you had any)
-            else if (node.declaration.declarations) {
-                node.declaration.declarations.forEach((declaration) => {
-                    exportedNames.push(declaration.id.name);
+            memberNames.add(expression.left.property.name);
+            members.push(`    ${expression.left.property.name}: any;`);
+        });
+    }
+
+    const heritage = superClass ? ` extends ${superClass}` : '';
+    const body = members.map((member, index) => (index && member.startsWith('    /**') ? `\n${member}` : member)).join('\n');
+    return `${formatJsDoc(doc)}export declare class ${node.id.name}${heritage} {\n${body}\n}`;
+}
+
+/**
+ * Parses a module and collects its named exports with their declarations
+ *
+ * @param {string} file - The file name in src/
+ * @returns {Object} - The module `name`, its `ast`, the `exports` as `{name, internal, path, doc}`, its typedef names and
+ * the names of all the types it declares
+ */
+function readModule(file) {
+    const source = fs.readFileSync(path.join(sourceDir, file), 'utf-8');
+    const ast = parser.parse(source, {sourceType: 'module', attachComment: true});
+    const exports = [];
+
+    traverse(ast, {
+        ExportNamedDeclaration(exportPath) {
+            const {node} = exportPath;
+            if (!node.declaration) {
+                return;
+            }
+
+            const doc = nodeJsDoc(node);
+            const internal = Boolean(doc && doc.tags.some(tag => tag.tag === 'internal'));
+            const declarationPath = exportPath.get('declaration');
+            if (node.declaration.declarations) {
+                declarationPath.get('declarations').forEach(variablePath => {
+                    exports.push({name: variablePath.node.id.name, internal, path: variablePath, doc, kind: 'variable'});
                 });
+            } else {
+                const kind = node.declaration.type === 'ClassDeclaration' ? 'class' : 'function';
+                exports.push({name: node.declaration.id.name, internal, path: declarationPath, doc, kind});
             }
+        },
+    });
+
+    const typedefs = ast.comments
+        .map(comment => comment.value.match(/@(?:typedef|callback)\s+(?:\{[^}]*\}\s*)?([\w$]+)/))
+        .filter(Boolean)
+        .map(match => match[1]);
+
+    return {
+        name: path.basename(file, '.js'),
+        ast,
+        exports,
+        typedefs,
+        typeNames: [...exports.filter(item => item.kind === 'class').map(item => item.name), ...typedefs],
+    };
+}
+
+/**
+ * Builds the declaration file of a module
+ *
+ * @param {Object} module - The module, see `readModule`
+ * @param {Object[]} modules - All the modules, to import the types declared by other modules
+ * @returns {string} - The content of the declaration file
+ */
+function declareModule(module, modules) {
+    const declaredTypes = new Set(modules.flatMap(item => item.typeNames));
+    const context = {declaredTypes, usedTypes: new Set()};
+    const declarations = declareTypedefs(module.ast.comments, context);
+
+    // Static properties assigned after a class, e.g. `StringNode.ELEMENT_NODE = 1`
+    const staticAssignments = {};
+    module.ast.program.body.forEach(statement => {
+        const expression = statement.expression;
+        if (statement.type === 'ExpressionStatement' && expression.type === 'AssignmentExpression'
+            && expression.left.type === 'MemberExpression' && expression.left.object.type === 'Identifier'
+            && expression.left.property.type === 'Identifier') {
+            const className = expression.left.object.name;
+            staticAssignments[className] = {...staticAssignments[className], [expression.left.property.name]: literalType(expression.right)};
         }
-    },
+    });
 
-});
+    module.exports.forEach(({name, path: declarationPath, doc, kind}) => {
+        const {node} = declarationPath;
+        if (kind === 'class') {
+            declarations.push(declareClass(declarationPath, doc, staticAssignments[name] || {}, context));
+        } else if (kind === 'function') {
+            const params = buildParams(node.params, doc, context);
+            declarations.push(`${formatJsDoc(doc)}export declare function ${name}(${params}): ${buildReturnType(declarationPath, doc, context)};`);
+        } else {
+            const tag = doc ? doc.tags.find(item => item.tag === 'var' || item.tag === 'type') : null;
+            const type = tag && tag.type ? convertType(tag.type, context) : literalType(node.init);
+            declarations.push(`${formatJsDoc(doc)}export declare const ${name}: ${type};`);
+        }
+    });
 
-// Log found exports (for debugging)
-console.log('Found exports:', exportedNames);
+    const ownTypes = new Set(module.typeNames);
+    const imports = modules
+        .filter(other => other !== module)
+        .map(other => {
+            const names = other.typeNames.filter(name => context.usedTypes.has(name) && !ownTypes.has(name));
+            return names.length ? `import type {${names.sort().join(', ')}} from './${other.name}';\n` : '';
+        })
+        .join('');
 
-if (exportedNames.length === 0) {
-    console.log('No named exports found. Exiting without updating the index file.');
-    process.exit();
+    const header = `// Generated by scripts/update-html-export.js from src/${module.name}.js, do not edit by hand\n`;
+    return `${header}${imports ? `${imports}` : ''}\n${declarations.join('\n\n')}\n`;
 }
 
-// Generate the export block for the index file
-const exportBlock = `export {\n  ${exportedNames.join(',\n  ')}\n} from './Html';`;
+/**
+ * Builds the export statements of the public exports of every module
+ *
+ * @param {Object[]} modules - The modules, see `readModule`
+ * @returns {string} - One export statement per module with public exports
+ */
+function exportStatements(modules) {
+    return modules
+        .map(module => {
+            const names = module.exports.filter(item => !item.internal).map(item => item.name).sort();
+            if (!names.length) {
+                return null;
+            }
 
-// Read the current index file content
-let indexContent = fs.readFileSync(indexPath, 'utf-8');
+            const singleLine = `export {${names.join(', ')}} from './${module.name}';`;
+            return singleLine.length <= 120 ? singleLine : `export {\n${indent}${names.join(`,\n${indent}`)},\n} from './${module.name}';`;
+        })
+        .filter(Boolean)
+        .join('\n');
+}
 
-// Identify where to insert or replace the export statements in your index file
-// For simplicity, assuming you append or have a marked section
-indexContent += `\n\n// Auto-generated exports for Html\n${exportBlock}`;
+/**
+ * Builds the statements re-exporting the types declared with @typedef and @callback by every module
+ *
+ * @param {Object[]} modules - The modules, see `readModule`
+ * @returns {string} - One type export statement per module declaring types
+ */
+function typeExportStatements(modules) {
+    return modules
+        .filter(module => module.typedefs.length)
+        .map(module => `export type {${[...module.typedefs].sort().join(', ')}} from './${module.name}';`)
+        .join('\n');
+}
+
+/**
+ * Tests if a statement of the index file re-exports a module of src/
+ *
+ * @param {Object} node - The statement node
+ * @returns {boolean} - True for `export {...} from './Module'` and `export * from './Module'`
+ */
+function isModuleReExport(node) {
+    return (node.type === 'ExportNamedDeclaration' || node.type === 'ExportAllDeclaration')
+        && Boolean(node.source) && node.source.value.startsWith('./');
+}
+
+/**
+ * Replaces the marked region of the index file
+ * Without the markers, the hand-written re-exports of the modules are replaced, together with the comments between
+ * them, and the region is appended when there are none.
+ *
+ * @param {string} content - The index file content
+ * @param {string} statements - The export statements
+ * @returns {string} - The updated content
+ */
+function replaceRegion(content, statements) {
+    const region = `${regionStart}\n${statements}\n${regionEnd}`;
+    const start = content.indexOf(regionStart.split(' ')[1]);
+    const end = content.indexOf(regionEnd);
+    if (start !== -1 && end !== -1) {
+        const lineStart = content.lastIndexOf('\n', start) + 1;
+        return content.slice(0, lineStart) + region + content.slice(end + regionEnd.length);
+    }
 
-// Write the updated content back to the index file
-fs.writeFileSync(indexPath, indexContent);
+    if (start !== -1 || end !== -1) {
+        throw new Error(`src/index.js has only one of the "${regionStart}" and "${regionEnd}" markers`);
+    }
 
-console.log('Index file has been updated with named exports from Html.js');
+    // Error recovery keeps babel from refusing the duplicate exports that earlier versions of this script appended
+    const body = parser.parse(content, {sourceType: 'module', errorRecovery: true}).program.body;
+    const reExports = body.filter(isModuleReExport);
+    if (!reExports.length) {
+        return `${content.replace(/\s*$/, '')}\n\n${region}\n`;
+    }
+
+    const first = reExports[0];
+    const last = reExports[reExports.length - 1];
+    const other = body.slice(body.indexOf(first), body.indexOf(last) + 1).find(node => !isModuleReExport(node));
+    if (other) {
+        throw new Error(`src/index.js has code between its exports on line ${other.loc.start.line}, `
+            + `wrap the exports to replace in the "${regionStart}" and "${regionEnd}" markers`);
+    }
+
+    return content.slice(0, first.start) + region + content.slice(last.end);
+}
+
+const modules = fs.readdirSync(sourceDir)
+    .filter(file => file.endsWith('.js') && file !== 'index.js')
+    .sort()
+    .map(readModule);
+
+const statements = exportStatements(modules);
+let index;
+try {
+    index = replaceRegion(fs.readFileSync(indexPath, 'utf-8'), statements);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+const outputs = {
+    [indexPath]: index,
+    [path.join(typesDir, 'index.d.ts')]: `// Generated by scripts/update-html-export.js from src/index.js, do not edit by hand\n\n${statements}\n${typeExportStatements(modules)}\n`,
+};
+modules.forEach(module => {
+    outputs[path.join(typesDir, `${module.name}.d.ts`)] = declareModule(module, modules);
+});
+
+const outdated = Object.entries(outputs).filter(([file, content]) => !fs.existsSync(file) || fs.readFileSync(file, 'utf-8') !== content);
+
+// Declarations of modules that no longer exist
+const stale = (fs.existsSync(typesDir) ? fs.readdirSync(typesDir) : [])
+    .filter(file => file.endsWith('.d.ts'))
+    .map(file => path.join(typesDir, file))
+    .filter(file => !Object.prototype.hasOwnProperty.call(outputs, file));
+
+if (checkOnly) {
+    outdated.forEach(([file]) => console.error(`Out of date: ${path.relative(process.cwd(), file)}`));
+    stale.forEach(file => console.error(`Stale: ${path.relative(process.cwd(), file)}`));
+    process.exit(outdated.length || stale.length ? 1 : 0);
+}
+
+fs.mkdirSync(typesDir, {recursive: true});
+outdated.forEach(([file, content]) => {
+    fs.writeFileSync(file, content);
+    console.log(`Updated ${path.relative(process.cwd(), file)}`);
+});
+stale.forEach(file => {
+    fs.unlinkSync(file);
+    console.log(`Removed ${path.relative(process.cwd(), file)}`);
+});
+
+if (!outdated.length && !stale.length) {
+    console.log('Exports and declarations are up to date');
+}
@@ -0,0 +1,197 @@
+import {createElement, table, tbody, td, tfoot, th, thead, tr} from './Html';
+
+/**
+ * @var {Object} - The built-in footer aggregates, each receives the column values and returns the footer value
+ */
+const aggregates = {
+	sum: (values) => numbers(values).reduce((total, value) => total + value, 0),
+	avg: (values) => {
+		const items = numbers(values);
+		return items.length ? items.reduce((total, value) => total + value, 0) / items.length : null;
+	},
+	count: (values) => values.filter(value => value !== null && value !== undefined && value !== '').length,
+	min: (values) => (numbers(values).length ? Math.min(...numbers(values)) : null),
+	max: (values) => (numbers(values).length ? Math.max(...numbers(values)) : null),
+};
+
+/**
+ * Converts a list of values into the finite numbers among them
+ *
+ * @param {Array} values - The values
+ * @returns {number[]} - The numbers
+ */
+function numbers(values) {
+	return values
+		.filter(value => value !== null && value !== undefined && value !== '')
+		.map(Number)
+		.filter(Number.isFinite);
+}
+
+/**
+ * Reads the value of a column from a row
+ *
+ * @example
+ * cellValue({user: {name: 'John'}}, {accessor: 'user.name'});
+ * // returns 'John'
+ *
+ * @param {Object} row - The row data
+ * @param {Object} column - The column definition, its `accessor` is a dotted path or a function receiving the row
+ * @returns {*} - The value, or undefined when the path does not exist
+ */
+export function cellValue(row, column) {
+	const accessor = column.accessor === undefined ? column.key : column.accessor;
+	if (typeof accessor === 'function') {
+		return accessor(row);
+	}
+
+	if (accessor === undefined || accessor === null) {
+		return undefined;
+	}
+
+	return String(accessor).split('.').reduce((current, key) => (
+		current !== null && current !== undefined ? current[key] : undefined
+	), row);
+}
+
+/**
+ * Converts a value into the content of a cell
+ *
+ * @param {*} value - The value
+ * @returns {HTMLElement|HTMLElement[]|DocumentFragment|string} - The cell content, nodes and arrays are kept as they are
+ */
+function toContent(value) {
+	if (value === null || value === undefined) {
+		return '';
+	}
+
+	if (Array.isArray(value) || (typeof value === 'object' && typeof value.nodeType === 'number')) {
+		return value;
+	}
+
+	return String(value);
+}
+
+/**
+ * Combines the attributes of a cell with the column alignment
+ *
+ * @param {Object|Function} attributes - A name/value list of attributes or a function returning one
+ * @param {string} [align] - The text alignment of the column
+ * @param {...*} args - The arguments passed to an attributes function
+ * @returns {Object} - The cell attributes
+ */
+function cellAttributes(attributes, align, ...args) {
+	const resolved = {...(typeof attributes === 'function' ? attributes(...args) : attributes)};
+	if (align) {
+		resolved.style = {...resolved.style, textAlign: align};
+	}
+
+	return resolved;
+}
+
+/**
+ * Generates the header section of a data table
+ *
+ * @param {Object[]} columns - The column definitions
+ * @returns {HTMLElement} - The generated table header section element
+ */
+export function tableHead(columns) {
+	const cells = columns.map(column => th(
+		toContent(column.header === undefined ? column.key : column.header),
+		{scope: 'col', ...cellAttributes(column.headerAttributes, column.align)},
+	));
+
+	return thead(tr(cells));
+}
+
+/**
+ * Generates the body section of a data table, or a single row with the empty state text when there are no rows
+ *
+ * @param {Object[]} rows - The row data
+ * @param {Object[]} columns - The column definitions
+ * @param {Object} options - The table options, see `dataTable`
+ * @returns {HTMLElement} - The generated table body section element
+ */
+export function tableBody(rows, columns, options = {}) {
+	if (!rows.length) {
+		const emptyText = options.emptyText === undefined ? 'No data' : options.emptyText;
+		return tbody(tr(td(toContent(emptyText), {colspan: String(columns.length), class: 'empty'})));
+	}
+
+	return tbody(rows.map((row, index) => {
+		const cells = columns.map(column => {
+			const value = cellValue(row, column);
+			const content = column.formatter ? column.formatter(value, row, index) : value;
+			return td(toContent(content), cellAttributes(column.attributes, column.align, value, row, index));
+		});
+
+		return tr(cells, typeof options.rowAttributes === 'function' ? options.rowAttributes(row, index) : {...options.rowAttributes});
+	}));
+}
+
+/**
+ * Generates the footer section of a data table with the column aggregates
+ *
+ * @param {Object[]} rows - The row data
+ * @param {Object[]} columns - The column definitions
+ * @returns {HTMLElement} - The generated table footer section element
+ */
+export function tableFoot(rows, columns) {
+	const cells = columns.map(column => {
+		let value = column.footer;
+		if (typeof value === 'function') {
+			value = value(rows.map(row => cellValue(row, column)), rows);
+		} else if (aggregates[value]) {
+			value = aggregates[value](rows.map(row => cellValue(row, column)));
+		}
+
+		const content = column.footerFormatter ? column.footerFormatter(value, rows) : value;
+		return td(toContent(content), cellAttributes(column.footerAttributes, column.align));
+	});
+
+	return tfoot(tr(cells));
+}
+
+/**
+ * Generates a complete table from row data and column definitions
+ *
+ * @example
+ * dataTable(
+ *     [{name: 'Apples', stock: {count: 3}, price: 1.5}, {name: 'Pears', stock: {count: 5}, price: 2}],
+ *     [
+ *         {header: 'Product', accessor: 'name', footer: 'Total'},
+ *         {header: 'Stock', accessor: 'stock.count', align: 'right', footer: 'sum'},
+ *         {header: 'Price', accessor: 'price', formatter: value => `$${value.toFixed(2)}`, footer: 'avg'},
+ *     ],
+ *     {caption: 'Inventory'},
+ * );
+ *
+ * @param {Object[]} rows - The row data
+ * @param {Object[]} columns - The column definitions
+ * @param {string} [columns[].header] - The header content, defaults to the `key`
+ * @param {string|Function} [columns[].accessor] - A dotted path into the row or a function receiving the row, defaults to the `key`
+ * @param {Function} [columns[].formatter] - Receives the value, the row and the row index and returns the cell content
+ * @param {Object|Function} [columns[].attributes] - The cell attributes, or a function receiving the value, the row and the row index
+ * @param {Object} [columns[].headerAttributes] - The header cell attributes
+ * @param {string} [columns[].align] - The text alignment of the column cells
+ * @param {string|Function} [columns[].footer] - `sum`, `avg`, `count`, `min`, `max`, a function receiving the column values and the rows, or static content
+ * @param {Function} [columns[].footerFormatter] - Receives the footer value and the rows and returns the footer cell content
+ * @param {Object} options - Additional options
+ * @param {string} [options.caption] - The table caption
+ * @param {string} [options.emptyText] - The text of the row displayed when there are no rows, defaults to `No data`
+ * @param {Object|Function} [options.rowAttributes] - The row attributes, or a function receiving the row and the row index
+ * @param {Object} [options.attributes] - A name/value list of attributes to add to the table element
+ * @returns {HTMLElement} - The generated table element
+ */
+export function dataTable(rows, columns, options = {}) {
+	const sections = [];
+	if (options.caption) {
+		sections.push(createElement('caption', options.caption));
+	}
+
+	sections.push(tableHead(columns), tableBody(rows, columns, options));
+	if (columns.some(column => column.footer !== undefined)) {
+		sections.push(tableFoot(rows, columns));
+	}
+
+	return table(sections, {...options.attributes});
+}
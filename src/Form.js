@@ -0,0 +1,483 @@
+import {ObjectHelper, isPlainObject, isUnsafeKey} from './ObjectHelper';
+
+/**
+ * @var {Array} - Input types that are never serialized
+ */
+const buttonTypes = ['submit', 'button', 'reset', 'image'];
+
+/**
+ * Splits a bracketed field name into the path of keys it represents
+ *
+ * @example
+ * parseFieldName('user[address][city]');
+ * // returns ['user', 'address', 'city']
+ * parseFieldName('tags[]');
+ * // returns ['tags', '']
+ *
+ * @param {string} name - The name attribute of a form control
+ * @returns {string[]} - The keys, an empty string stands for an appended array item
+ */
+export function parseFieldName(name) {
+	const match = name.match(/^([^[]*)((?:\[[^\]]*\])*)$/);
+	if (!match || match[1] === '') {
+		return [name];
+	}
+
+	const keys = [match[1]];
+	match[2].replace(/\[([^\]]*)\]/g, (bracket, key) => {
+		keys.push(key);
+		return bracket;
+	});
+
+	return keys;
+}
+
+/**
+ * Returns the form controls of a form, or of any element that contains controls
+ *
+ * @internal
+ * @param {HTMLFormElement|HTMLElement|DocumentFragment} form - The form or container
+ * @returns {HTMLElement[]} - The controls
+ */
+export function formControls(form) {
+	if (form.elements) {
+		return Array.from(form.elements);
+	}
+
+	return Array.from(form.querySelectorAll('input, select, textarea, button'));
+}
+
+/**
+ * Tests if a control is disabled, either itself or by a disabled fieldset
+ *
+ * @param {HTMLElement} control - The form control
+ * @returns {boolean} - True or false whether the control is disabled
+ */
+function isDisabled(control) {
+	if (control.disabled) {
+		return true;
+	}
+
+	const fieldset = control.closest('fieldset[disabled]');
+	if (!fieldset) {
+		return false;
+	}
+
+	const legend = fieldset.querySelector(':scope > legend');
+	return !(legend && legend.contains(control));
+}
+
+/**
+ * Tests if a control takes part in the unselect/uncheck convention, where a hidden input precedes checkable controls of the same name
+ *
+ * @param {HTMLElement} control - The form control
+ * @returns {boolean} - True or false whether the control is a checkbox, a radio or a select box
+ */
+function isChoiceControl(control) {
+	return control.type === 'checkbox' || control.type === 'radio' || control.tagName.toLowerCase() === 'select';
+}
+
+/**
+ * Collects the name/value pairs a form would submit
+ * Hidden inputs generated by the `uncheck` and `unselect` options are marked as fallbacks,
+ * they are only used when no checkbox, radio or select box of the same name has a value.
+ *
+ * @param {HTMLFormElement|HTMLElement|DocumentFragment} form - The form or container
+ * @returns {Array} - A list of `{name, value, fallback}` entries
+ */
+function collectEntries(form) {
+	const controls = formControls(form).filter(control => control.name && !isDisabled(control));
+	const choiceNames = new Set(controls.filter(isChoiceControl).map(control => control.name));
+	const entries = [];
+
+	controls.forEach(control => {
+		const {name, type} = control;
+		const tagName = control.tagName.toLowerCase();
+		if (tagName === 'button' || tagName === 'fieldset' || tagName === 'output' || buttonTypes.includes(type)) {
+			return;
+		}
+
+		if (type === 'hidden' && choiceNames.has(name)) {
+			entries.push({name, value: control.value, fallback: true});
+		} else if (type === 'checkbox' || type === 'radio') {
+			if (control.checked) {
+				entries.push({name, value: control.value});
+			}
+		} else if (tagName === 'select') {
+			Array.from(control.options)
+				.filter(option => option.selected && !option.disabled)
+				.forEach(option => entries.push({name, value: option.value}));
+		} else if (type === 'file') {
+			Array.from(control.files || []).forEach(file => entries.push({name, value: file}));
+		} else {
+			entries.push({name, value: control.value});
+		}
+	});
+
+	const submittedNames = new Set(entries.filter(entry => !entry.fallback).map(entry => entry.name));
+	return entries.filter(entry => !entry.fallback || !submittedNames.has(entry.name));
+}
+
+/**
+ * Assigns a value at the path of a bracketed field name
+ * Numeric and empty keys create arrays and a repeated name turns its value into an array.
+ *
+ * @param {Object} target - The object to write to
+ * @param {string[]} keys - The path from `parseFieldName`
+ * @param {*} value - The value to assign
+ */
+function assignPath(target, keys, value) {
+	if (keys.some(key => isUnsafeKey(key, ObjectHelper.allowUnsafeKeys))) {
+		return;
+	}
+
+	let current = target;
+	keys.forEach((key, index) => {
+		if (Array.isArray(current) && key === '') {
+			key = current.length;
+		}
+
+		if (index === keys.length - 1) {
+			current[key] = Object.prototype.hasOwnProperty.call(current, key) ? [].concat(current[key], value) : value;
+			return;
+		}
+
+		const nextKey = keys[index + 1];
+		if (typeof current[key] !== 'object' || current[key] === null) {
+			current[key] = nextKey === '' || /^\d+$/.test(nextKey) ? [] : {};
+		}
+		current = current[key];
+	});
+}
+
+/**
+ * Serializes the values of a form into a nested object, `FormData`, `URLSearchParams` or JSON
+ *
+ * The conventions of the form helpers are understood:
+ * - bracketed names such as `user[address][city]` become nested objects and `tags[]` becomes an array
+ * - the hidden inputs from the `uncheck` and `unselect` options are only used when nothing is checked or selected
+ * - disabled controls, controls in a disabled fieldset and buttons are skipped
+ *
+ * @example
+ * serializeForm(formEl);
+ * // returns {user: {name: 'John', address: {city: 'Oslo'}}, tags: ['a', 'b'], newsletter: '0'}
+ * serializeForm(formEl, 'urlSearchParams').toString();
+ * // returns 'user%5Bname%5D=John&...'
+ *
+ * @param {HTMLFormElement|HTMLElement|DocumentFragment} form - The form, or an element containing form controls
+ * @param {string} format - One of `object`, `formData`, `urlSearchParams` or `json`
+ * @returns {Object|FormData|URLSearchParams|string} - The serialized values
+ */
+export function serializeForm(form, format = 'object') {
+	const entries = collectEntries(form);
+
+	if (format === 'formData') {
+		const formData = new FormData();
+		entries.forEach(({name, value}) => formData.append(name, value));
+		return formData;
+	}
+
+	if (format === 'urlSearchParams') {
+		return new URLSearchParams(entries.map(({name, value}) => [name, typeof value === 'string' ? value : value.name]));
+	}
+
+	if (format !== 'object' && format !== 'json') {
+		throw new Error(`Unknown serialization format "${format}"`);
+	}
+
+	const data = {};
+	entries.forEach(({name, value, fallback}) => {
+		const keys = parseFieldName(name);
+		if (fallback && keys[keys.length - 1] === '') {
+			assignPath(data, keys.slice(0, -1), value === '' ? [] : [value]);
+		} else {
+			assignPath(data, keys, value);
+		}
+	});
+
+	if (format === 'json') {
+		return JSON.stringify(data, (key, value) => (typeof Blob !== 'undefined' && value instanceof Blob) ? value.name : value);
+	}
+
+	return data;
+}
+
+/**
+ * Reads the value at the path of a bracketed field name
+ * Empty keys are resolved with the position of the control among the controls sharing its name, a trailing empty key
+ * reads the whole array.
+ *
+ * @param {Object} data - The object to read from
+ * @param {string[]} keys - The path from `parseFieldName`
+ * @param {number} occurrence - The position of the control among the controls with the same name
+ * @returns {*} - The value, or undefined when the path does not exist
+ */
+function readPath(data, keys, occurrence) {
+	const path = keys
+		.filter((key, index) => key !== '' || index < keys.length - 1)
+		.map(key => (key === '' ? occurrence : key));
+
+	return ObjectHelper.has(data, path) ? ObjectHelper.get(data, path) : undefined;
+}
+
+/**
+ * Converts a value into the list of strings that controls are compared with
+ *
+ * @param {*} value - A value or an array of values
+ * @returns {string[]} - The values as strings
+ */
+function toValueList(value) {
+	return (Array.isArray(value) ? value : [value])
+		.filter(item => item !== null && item !== undefined)
+		.map(String);
+}
+
+/**
+ * Fills the controls of an existing form from a nested data object, the inverse of `serializeForm`
+ *
+ * - Text inputs and text areas receive the value; repeated names such as `phones[]` receive the array item at their position
+ * - Checkboxes and radios are checked when their value is in the data, a boolean checks or unchecks a single checkbox
+ * - Options of select boxes and list boxes are selected when their value is in the data
+ * - Controls whose path is missing from the data, file inputs, buttons and the `uncheck`/`unselect` hidden inputs are left unchanged
+ *
+ * @example
+ * populateForm(formEl, {user: {name: 'John', address: {city: 'Oslo'}}, tags: ['a', 'b'], newsletter: true});
+ *
+ * @param {HTMLFormElement|HTMLElement|DocumentFragment} form - The form, or an element containing form controls
+ * @param {Object} data - The values, shaped like the object `serializeForm` returns
+ * @returns {HTMLFormElement|HTMLElement|DocumentFragment} - The form
+ */
+export function populateForm(form, data) {
+	const controls = formControls(form).filter(control => control.name);
+	const choiceNames = new Set(controls.filter(isChoiceControl).map(control => control.name));
+	const occurrences = {};
+
+	controls.forEach(control => {
+		const {name, type} = control;
+		const tagName = control.tagName.toLowerCase();
+		if (tagName === 'button' || tagName === 'fieldset' || tagName === 'output' || buttonTypes.includes(type)
+			|| type === 'file' || (type === 'hidden' && choiceNames.has(name))) {
+			return;
+		}
+
+		const keys = parseFieldName(name);
+		const isRepeated = !isChoiceControl(control);
+		const occurrence = isRepeated ? (occurrences[name] || 0) : 0;
+		if (isRepeated) {
+			occurrences[name] = occurrence + 1;
+		}
+
+		let value = readPath(data, keys, occurrence);
+		if (value === undefined) {
+			return;
+		}
+
+		if (type === 'checkbox' || type === 'radio') {
+			control.checked = typeof value === 'boolean' && type === 'checkbox'
+				? value
+				: toValueList(value).includes(control.value);
+		} else if (tagName === 'select') {
+			const values = toValueList(value);
+			Array.from(control.options).forEach(option => {
+				option.selected = values.includes(option.value);
+			});
+		} else {
+			if (Array.isArray(value) && keys[keys.length - 1] === '') {
+				value = value[occurrence];
+			}
+			control.value = value === null || value === undefined ? '' : String(value);
+		}
+	});
+
+	return form;
+}
+
+/**
+ * @var {Object} - The conversions of bound values, by the type name used in the `coerce` option of `bindForm`
+ */
+const coercions = {
+	number: value => {
+		const number = value === '' || value === null ? NaN : Number(value);
+		return Number.isNaN(number) ? null : number;
+	},
+	boolean: value => value === true || value === 'true' || value === '1' || value === 'on',
+	string: value => (value === null || value === undefined ? '' : String(value)),
+};
+
+/**
+ * Reads the value a group of controls sharing a name holds, shaped for the model
+ * A single checkbox holds a boolean unless the model already has a string or number for it; names ending in `[]`,
+ * multiple select boxes, groups of checkboxes and array model values hold arrays.
+ *
+ * @param {HTMLFormElement|HTMLElement|DocumentFragment} form - The form or container
+ * @param {string} name - The name of the controls
+ * @param {*} current - The current model value
+ * @returns {*} - The value
+ */
+function controlValue(form, name, current) {
+	const controls = formControls(form).filter(control => control.name === name);
+	const checkboxes = controls.filter(control => control.type === 'checkbox');
+	const keys = parseFieldName(name);
+	const isList = keys[keys.length - 1] === '' || Array.isArray(current) || checkboxes.length > 1
+		|| controls.some(control => control.multiple);
+	if (!isList && checkboxes.length === 1 && typeof current !== 'string' && typeof current !== 'number') {
+		return checkboxes[0].checked;
+	}
+
+	const entries = collectEntries(form).filter(entry => entry.name === name);
+	const values = entries.filter(entry => !entry.fallback).map(entry => entry.value);
+	if (isList) {
+		return values;
+	}
+
+	if (values.length) {
+		return values[0];
+	}
+
+	return entries.length ? entries[0].value : null;
+}
+
+/**
+ * Converts a value read from the controls to the type the model expects
+ * The type is taken from the `coerce` option, then from the current model value (or its first item for arrays),
+ * then from number and range inputs.
+ *
+ * @param {*} value - The value read from the controls
+ * @param {string|Function|undefined} coerce - A type name from `coercions` or a conversion function
+ * @param {*} current - The current model value
+ * @param {HTMLElement} control - The control that changed
+ * @returns {*} - The converted value
+ */
+function coerceValue(value, coerce, current, control) {
+	const sample = Array.isArray(current) ? current[0] : current;
+	let type = coerce;
+	if (!type && (typeof sample === 'number' || typeof sample === 'boolean')) {
+		type = typeof sample;
+	} else if (!type && (control.type === 'number' || control.type === 'range')) {
+		type = 'number';
+	}
+
+	const convert = typeof type === 'function' ? type : coercions[type];
+	if (!convert || typeof value === 'boolean') {
+		return value;
+	}
+
+	return Array.isArray(value) ? value.map(item => convert(item)) : convert(value);
+}
+
+/**
+ * Binds the controls of a form to a plain model object, in both directions
+ *
+ * - The controls are filled from the model when binding, like `populateForm`
+ * - User input updates the model at the path of the control name: `user[address][city]` writes `model.user.address.city`
+ *   and `tags[]`, multiple select boxes and groups of checkboxes write arrays. Checkboxes, radios and select boxes are
+ *   read on `change`, other controls on `input`.
+ * - Changes made through the returned `model` proxy, including nested plain objects and arrays, update the controls;
+ *   other objects such as dates, maps and sets are returned as they are.
+ *   After changing the original object directly, call `refresh`.
+ * - Values are converted to the type of the current model value, to numbers for number and range inputs, or with the
+ *   `coerce` option keyed by the dotted path (`user.age`): `number`, `boolean`, `string` or a function.
+ *   A single checkbox writes a boolean unless the model holds a string or number for it.
+ *
+ * Call `unbind` when the form is discarded, so it no longer listens to input or follows the model.
+ *
+ * @example
+ * const binding = bindForm(formEl, {user: {name: 'John', age: 30}, tags: ['a']}, {onChange: save});
+ * // typing 31 in the "user[age]" input sets binding.model.user.age to the number 31
+ * binding.model.user.name = 'Jane';
+ * // the "user[name]" input now shows Jane
+ * binding.unbind();
+ *
+ * @param {HTMLFormElement|HTMLElement} form - The form, or an element containing form controls. A `DocumentFragment` is rejected
+ *     because the events of its controls never reach it once it is inserted into the page
+ * @param {Object} model - The model object, it is updated in place
+ * @param {Object} options - Additional options
+ * @param {Object} [options.coerce] - Conversions keyed by the dotted model path
+ * @param {Function} [options.onChange] - Called with the dotted path, the new value and the model after user input updated the model
+ * @returns {Object} - The binding: the `model` proxy, `refresh()` to update the controls and `unbind()`
+ */
+export function bindForm(form, model, options = {}) {
+	if (form.nodeType === 11) {
+		throw new Error('bindForm needs an element, not a DocumentFragment');
+	}
+
+	const {coerce = {}, onChange} = options;
+	Object.values(coerce).forEach(type => {
+		if (typeof type !== 'function' && !Object.prototype.hasOwnProperty.call(coercions, type)) {
+			throw new Error(`Unknown coercion "${type}"`);
+		}
+	});
+
+	const proxies = new WeakMap();
+	let bound = true;
+
+	const refresh = () => {
+		if (bound) {
+			populateForm(form, model);
+		}
+	};
+
+	const handler = {
+		get(target, key, receiver) {
+			const value = Reflect.get(target, key, receiver);
+			if (typeof key === 'symbol' || !(Array.isArray(value) || isPlainObject(value))) {
+				return value;
+			}
+			if (!proxies.has(value)) {
+				proxies.set(value, new Proxy(value, handler));
+			}
+			return proxies.get(value);
+		},
+		set(target, key, value) {
+			const result = Reflect.set(target, key, value);
+			refresh();
+			return result;
+		},
+		deleteProperty(target, key) {
+			const result = Reflect.deleteProperty(target, key);
+			refresh();
+			return result;
+		},
+	};
+
+	const listener = event => {
+		const control = event.target;
+		if (!bound || !control.name || control.type === 'file' || buttonTypes.includes(control.type)
+			|| !formControls(form).includes(control)) {
+			return;
+		}
+
+		// Checkboxes, radios and select boxes are read on change, other controls on input, so each edit writes once
+		if (event.type !== (isChoiceControl(control) ? 'change' : 'input')) {
+			return;
+		}
+
+		const keys = parseFieldName(control.name);
+		const path = keys[keys.length - 1] === '' ? keys.slice(0, -1) : keys;
+		if (!path.length || path.some(key => key === '' || isUnsafeKey(key, ObjectHelper.allowUnsafeKeys))) {
+			return;
+		}
+
+		const dottedPath = path.join('.');
+		const current = ObjectHelper.has(model, path) ? ObjectHelper.get(model, path) : undefined;
+		const value = coerceValue(controlValue(form, control.name, current), coerce[dottedPath], current, control);
+		ObjectHelper.set(model, path, value);
+		if (onChange) {
+			onChange(dottedPath, value, model);
+		}
+	};
+
+	form.addEventListener('input', listener);
+	form.addEventListener('change', listener);
+	refresh();
+
+	return {
+		model: new Proxy(model, handler),
+		refresh,
+		unbind() {
+			bound = false;
+			form.removeEventListener('input', listener);
+			form.removeEventListener('change', listener);
+		},
+	};
+}
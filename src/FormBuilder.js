@@ -0,0 +1,231 @@
+import {populateForm} from './Form';
+import {
+	checkbox,
+	checkboxList,
+	createElement,
+	fileInput,
+	form,
+	hiddenInput,
+	input,
+	label,
+	radioList,
+	select,
+	submitButton,
+	textarea,
+} from './Html';
+
+/**
+ * @var {Object} - The class names used for the layout of generated fields
+ */
+const defaultLayout = {
+	wrapperClass: 'form-group',
+	labelClass: 'form-label',
+	helpClass: 'form-text',
+	errorClass: 'invalid-feedback',
+};
+
+/**
+ * @var {Object} - Validation rules that map to native HTML validation attributes
+ */
+const ruleAttributes = {
+	required: 'required',
+	minLength: 'minlength',
+	maxLength: 'maxlength',
+	min: 'min',
+	max: 'max',
+	pattern: 'pattern',
+};
+
+/**
+ * Generates an element ID from a bracketed field name
+ *
+ * @example
+ * fieldId('user[address][city]');
+ * // returns 'user-address-city'
+ *
+ * @param {string} name - The field name
+ * @param {string} prefix - A prefix added to the ID
+ * @returns {string} - The ID
+ */
+export function fieldId(name, prefix = '') {
+	return prefix + name.replace(/\[\]$/, '').replace(/[[\]]+/g, '-').replace(/-$/, '');
+}
+
+/**
+ * Converts the validation rules of a field into native validation attributes
+ *
+ * @param {Object} rules - The validation rules
+ * @returns {Object} - A name/value list of attributes
+ */
+function validationAttributes(rules = {}) {
+	const attributes = {};
+	Object.entries(ruleAttributes).forEach(([rule, attribute]) => {
+		const value = rules[rule];
+		if (value === undefined || value === null || value === false) {
+			return;
+		}
+		attributes[attribute] = value instanceof RegExp ? value.source : value;
+	});
+
+	return attributes;
+}
+
+/**
+ * Converts the validation rules of a field into the native validation attributes its controls can carry
+ * The rules of radio and checkbox lists apply to the group, not to each choice: a radio group only gets `required`,
+ * which the browser checks for the group as a whole, and checkbox lists get none, their rules are left to `validate`.
+ *
+ * @param {string} type - The field type
+ * @param {Object} rules - The validation rules
+ * @returns {Object} - A name/value list of attributes
+ */
+function groupValidationAttributes(type, rules = {}) {
+	if (type === 'checkboxList') {
+		return {};
+	}
+
+	if (type === 'radioList') {
+		return rules.required ? {required: true} : {};
+	}
+
+	return validationAttributes(rules);
+}
+
+/**
+ * Creates the control of a field with the matching helper
+ *
+ * @param {Object} field - The field definition
+ * @param {Object} attributes - The attributes of the control
+ * @returns {HTMLElement|DocumentFragment} - The control
+ */
+function renderControl(field, attributes) {
+	const {name, type = 'text', items = {}, value = null} = field;
+
+	switch (type) {
+		case 'textarea':
+			return textarea(name, value === null ? '' : value, attributes);
+		case 'select':
+			return select(name, value, items, attributes);
+		case 'radioList':
+			return radioList(name, value, items, {...field.listOptions, itemOptions: attributes});
+		case 'checkboxList':
+			return checkboxList(name, value, items, {...field.listOptions, itemOptions: attributes});
+		case 'checkbox':
+			return checkbox(name, !!value, {...attributes, label: field.label, uncheck: field.uncheck});
+		case 'file':
+			return fileInput(name, null, attributes);
+		case 'hidden':
+			return hiddenInput(name, value, attributes);
+		default:
+			return input(type, name, value, attributes);
+	}
+}
+
+/**
+ * Generates a complete field from a field definition: the control wrapped with its label, help text and an error message placeholder
+ *
+ * The control is created with the helper matching the `type`: `textarea`, `select` (`listBox` when `multiple` is set),
+ * `radioList`, `checkboxList`, `checkbox`, `file`, `hidden`, or `input` for any other input type.
+ * Radio and checkbox lists are wrapped in a `fieldset` with the label as its `legend`.
+ *
+ * @param {Object} field - The field definition
+ * @param {string} field.name - The name attribute of the control
+ * @param {string} [field.type] - The field type, defaults to `text`
+ * @param {string} [field.label] - The label text
+ * @param {*} [field.value] - The default value
+ * @param {Object} [field.items] - The option values and texts of select boxes, radio lists and checkbox lists
+ * @param {Object} [field.rules] - The validation rules, `required`, `minLength`, `maxLength`, `min`, `max` and `pattern` become native validation attributes,
+ * radio lists only get `required` and checkbox lists none, their rules are checked by `validate`
+ * @param {string} [field.help] - A help text displayed below the control
+ * @param {Object} [field.attributes] - A name/value list of attributes to add to the control
+ * @param {Object} [options] - The layout class names and an `idPrefix` for the generated IDs
+ * @returns {HTMLElement|DocumentFragment} - The field wrapper, or the bare input for hidden fields
+ */
+export function fieldFromSchema(field, options = {}) {
+	const layout = {...defaultLayout, ...options};
+	const type = field.type || 'text';
+	const id = fieldId(field.name, layout.idPrefix);
+	const isGroup = type === 'radioList' || type === 'checkboxList';
+	const attributes = {...groupValidationAttributes(type, field.rules), ...field.attributes};
+
+	if (type === 'hidden') {
+		return renderControl(field, attributes);
+	}
+
+	if (field.help) {
+		attributes['aria-describedby'] = `${id}-help`;
+	}
+
+	if (!isGroup) {
+		attributes.id = id;
+	}
+
+	if (field.multiple && type === 'select') {
+		attributes.multiple = true;
+	}
+
+	const content = [];
+	if (isGroup) {
+		const legend = field.label ? [createElement('legend', field.label, {class: layout.labelClass})] : [];
+		content.push(createElement('fieldset', [...legend, renderControl(field, attributes)], {id}));
+	} else {
+		if (field.label && type !== 'checkbox') {
+			content.push(label(field.label, id, {class: layout.labelClass}));
+		}
+		content.push(renderControl(field, attributes));
+	}
+
+	if (field.help) {
+		content.push(createElement('small', field.help, {id: `${id}-help`, class: layout.helpClass}));
+	}
+
+	content.push(createElement('div', null, {id: `${id}-error`, class: layout.errorClass, 'aria-live': 'polite'}));
+
+	return createElement('div', content, {class: layout.wrapperClass});
+}
+
+/**
+ * Generates a complete form from a schema
+ * The fields are created with `fieldFromSchema` and then filled with the values using `populateForm`.
+ *
+ * @example
+ * formFromSchema({
+ *     action: '/users',
+ *     submit: 'Save',
+ *     fields: [
+ *         {name: 'user[name]', label: 'Name', rules: {required: true, maxLength: 50}},
+ *         {name: 'user[role]', type: 'select', label: 'Role', items: {user: 'User', admin: 'Admin'}},
+ *         {name: 'bio', type: 'textarea', label: 'Biography', help: 'Tell us about yourself'},
+ *     ],
+ * }, {user: {name: 'John', role: 'admin'}});
+ *
+ * @param {Object|Object[]} schema - The form schema, or only its list of fields
+ * @param {Object[]} schema.fields - The field definitions, see `fieldFromSchema`
+ * @param {string} [schema.action] - The action URL that the form submits to
+ * @param {string} [schema.method] - The method the form uses in the submission
+ * @param {Object} [schema.attributes] - A name/value list of attributes to add to the form element
+ * @param {string} [schema.submit] - The text of a submit button added after the fields
+ * @param {Object} [schema.layout] - The layout class names and an `idPrefix` for the generated IDs
+ * @param {Object} values - The values used to fill the form, shaped like the object `serializeForm` returns
+ * @returns {HTMLElement} - The generated form
+ * @see fieldFromSchema
+ */
+export function formFromSchema(schema, values = {}) {
+	const {
+		fields = [],
+		action = '',
+		method = 'post',
+		attributes = {},
+		submit = null,
+		layout = {},
+	} = Array.isArray(schema) ? {fields: schema} : schema;
+
+	const formEl = form(action, method, {...attributes});
+	fields.forEach(field => formEl.appendChild(fieldFromSchema(field, layout)));
+
+	if (submit) {
+		formEl.appendChild(submitButton(submit));
+	}
+
+	return populateForm(formEl, values);
+}
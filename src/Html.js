@@ -1,4 +1,4 @@
-import {encodeHTML} from 'entities';
+import {StringDocument, voidElements} from './StringDocument';
 
 /**
  * @callback itemCallback
@@ -17,49 +17,292 @@ import {encodeHTML} from 'entities';
  */
 
 /**
- * @var {Array} - A list of elements that do not allow for inner HTML
+ * @typedef {Object} Attributes - A name/value list of attributes, applied with `setAttributes`
+ * Attributes set to null, undefined or false are skipped, any other value is converted to a string.
+ * @property {string|string[]} [class] - The class names
+ * @property {Object} [style] - Style properties, e.g. `{fontSize: '16px'}`
+ * @property {Object} [data] - Data attributes, set through `dataset`
+ * @property {Object} [aria] - ARIA attributes without the `aria-` prefix, e.g. `{expanded: false}`
+ * @property {Object} [on] - Event handlers keyed by event type, modifiers and selector, see `addListeners`
  */
-const voidElements = [
-	'area',
-	'base',
-	'br',
-	'col',
-	'command',
-	'embed',
-	'hr',
-	'img',
-	'input',
-	'keygen',
-	'link',
-	'meta',
-	'param',
-	'source',
-	'track',
-	'wbr',
-];
 
 /**
  * @var {Array} - A list of boolean attributes
  */
 const booleanAttributes = ['required', 'readonly', 'disabled', 'checked'];
 
+/**
+ * @var {Document|StringDocument|null} - The document used to create nodes, the global document is used when not set
+ */
+let currentDocument = null;
+
+/**
+ * @var {Function|null} - Receives the accessibility warnings of created elements, checks are off when not set
+ */
+let accessibilityReporter = null;
+
+/**
+ * @var {number} - The number of generated checkbox and radio IDs, keeps them unique when a list is rendered twice
+ */
+let controlIdCounter = 0;
+
+/**
+ * @var {HTMLElement[]|null} - The created elements waiting for the accessibility check
+ */
+let pendingChecks = null;
+
+/**
+ * @var {Array} - The tags of the elements the accessibility check applies to
+ */
+const checkedTags = ['IMG', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA'];
+
+/**
+ * Returns the document that new nodes are created with
+ *
+ * @returns {Document|StringDocument} - The document selected with `useDocument`, `withDocument` or `setRenderer`, otherwise the global document
+ */
+export function getDocument() {
+	return currentDocument || document;
+}
+
+/**
+ * Sets the document that all helpers create nodes with
+ *
+ * @example
+ * const iframeDocument = iframe.contentDocument;
+ * useDocument(iframeDocument);
+ * createElement('div').ownerDocument === iframeDocument;
+ * // returns true
+ *
+ * @param {Document|StringDocument|null} doc - The target document, or null to use the global document again
+ */
+export function useDocument(doc) {
+	currentDocument = doc || null;
+}
+
+/**
+ * Runs the callback with the given document as the target of all helpers and restores the previous document afterwards
+ *
+ * @example
+ * const doc = DomParser.parse('<div id="root"></div>');
+ * const list = withDocument(doc, () => ul(['One', 'Two']));
+ * doc.getElementById('root').appendChild(list);
+ *
+ * @param {Document|StringDocument} doc - The target document
+ * @param {Function} callback - A function that builds nodes using the helpers
+ * @returns {*} - The value returned by the callback
+ */
+export function withDocument(doc, callback) {
+	const previousDocument = currentDocument;
+	currentDocument = doc;
+	try {
+		return callback();
+	} finally {
+		currentDocument = previousDocument;
+	}
+}
+
+/**
+ * Tests if something is a node created by the DOM or by the string renderer
+ *
+ * @param {*} item - The item to test
+ * @returns {boolean} - True or false whether the item is a node
+ */
+function isNode(item) {
+	return typeof item === 'object' && item !== null && typeof item.nodeType === 'number';
+}
+
+/**
+ * Selects the rendering backend used by all helpers
+ *
+ * @example
+ * setRenderer('string');
+ * String(a('Example', 'http://example.com'));
+ * // returns '<a href="http://example.com">Example</a>'
+ *
+ * @param {string} renderer - Either `dom` to create DOM nodes or `string` to create nodes that serialize to markup without a DOM
+ */
+export function setRenderer(renderer = 'dom') {
+	if (renderer !== 'dom' && renderer !== 'string') {
+		throw new Error(`Unknown renderer "${renderer}"`);
+	}
+
+	useDocument(renderer === 'string' ? new StringDocument() : null);
+}
+
+/**
+ * Runs the callback with the string renderer active and returns the markup of whatever it returns
+ * The markup is the same as the `outerHTML` the DOM renderer produces
+ *
+ * @example
+ * renderToString(() => select('country', 'ca', {us: 'United States', ca: 'Canada'}));
+ * // returns '<select name="country"><option value="us">United States</option><option value="ca" selected="">Canada</option></select>'
+ *
+ * @param {Function} callback - A function that builds and returns nodes using the helpers
+ * @returns {string} - The serialized markup
+ */
+export function renderToString(callback) {
+	return StringDocument.serialize(withDocument(new StringDocument(), callback));
+}
+
+/**
+ * Tests if an element has an accessible name given by attributes
+ *
+ * @param {HTMLElement} element - The element
+ * @returns {boolean} - True when `aria-label`, `aria-labelledby` or `title` is set
+ */
+function hasNameAttribute(element) {
+	return ['aria-label', 'aria-labelledby', 'title'].some(name => (element.getAttribute(name) || '').trim() !== '');
+}
+
+/**
+ * Lists the descendant elements of a node
+ * Only `childNodes` is used, so the nodes of the string renderer can be walked like DOM nodes.
+ *
+ * @param {Node} node - The root node
+ * @param {HTMLElement[]} elements - The list the elements are added to
+ * @returns {HTMLElement[]} - The elements in document order
+ */
+function descendantElements(node, elements = []) {
+	Array.from(node.childNodes).forEach(child => {
+		if (child.nodeType === 1) {
+			elements.push(child);
+			descendantElements(child, elements);
+		}
+	});
+
+	return elements;
+}
+
+/**
+ * Tests if a form control has a label, either wrapping it or referring to its ID, or an accessible name attribute
+ *
+ * @param {HTMLElement} control - The form control
+ * @returns {boolean} - True or false whether the control is labeled
+ */
+function isLabeled(control) {
+	if (hasNameAttribute(control)) {
+		return true;
+	}
+
+	let root = control;
+	while (root.parentNode) {
+		root = root.parentNode;
+		if (root.tagName === 'LABEL') {
+			return true;
+		}
+	}
+
+	const id = control.getAttribute('id');
+	return Boolean(id) && descendantElements(root).some(element => element.tagName === 'LABEL' && element.getAttribute('for') === id);
+}
+
+/**
+ * Returns the accessibility problem of an element, if any
+ *
+ * @param {HTMLElement} element - The element
+ * @returns {string|null} - A description of the problem, or null
+ */
+function accessibilityIssue(element) {
+	const tagName = element.tagName;
+	const type = (element.getAttribute('type') || '').toLowerCase();
+
+	if ((tagName === 'IMG' || (tagName === 'INPUT' && type === 'image')) && !element.hasAttribute('alt')) {
+		return `Image "${element.getAttribute('src') || ''}" has no alt attribute`;
+	}
+
+	if (tagName === 'BUTTON' || (tagName === 'INPUT' && type === 'button')) {
+		const text = tagName === 'BUTTON' ? element.textContent : element.getAttribute('value');
+		return (text || '').trim() === '' && !hasNameAttribute(element) ? 'Button has no text' : null;
+	}
+
+	if (['INPUT', 'SELECT', 'TEXTAREA'].includes(tagName) && !['hidden', 'submit', 'reset', 'image'].includes(type) && !isLabeled(element)) {
+		return `Form control "${element.getAttribute('name') || tagName.toLowerCase()}" has no label`;
+	}
+
+	return null;
+}
+
+/**
+ * Queues an element for the accessibility check, which runs once the current task finished building the tree
+ *
+ * @param {HTMLElement} element - The created element
+ */
+function scheduleAccessibilityCheck(element) {
+	if (!pendingChecks) {
+		pendingChecks = [];
+		queueMicrotask(() => {
+			const elements = pendingChecks;
+			pendingChecks = null;
+			if (accessibilityReporter) {
+				checkAccessibility(elements).forEach(({message, element: checked}) => accessibilityReporter(message, checked));
+			}
+		});
+	}
+
+	pendingChecks.push(element);
+}
+
+/**
+ * Turns the development checks of the created elements on or off
+ * When on, images without `alt`, form controls without a label and buttons without text are reported. The check runs
+ * after the current task, so labels and text added after an element was created are taken into account.
+ *
+ * @example
+ * setAccessibilityChecks(process.env.NODE_ENV !== 'production');
+ * img('logo.png');
+ * // warns 'Accessibility: Image "logo.png" has no alt attribute'
+ *
+ * @param {boolean} enabled - Whether to check the created elements
+ * @param {Function} [reporter] - Receives the message and the element of each problem, warns in the console by default
+ */
+export function setAccessibilityChecks(enabled = true, reporter = null) {
+	accessibilityReporter = enabled
+		? reporter || ((message, element) => console.warn(`Accessibility: ${message}`, element))
+		: null;
+}
+
+/**
+ * Checks a tree for images without `alt`, form controls without a label and buttons without text
+ *
+ * @example
+ * checkAccessibility(formEl);
+ * // returns [{element: <input name="email">, message: 'Form control "email" has no label'}]
+ *
+ * @param {HTMLElement|DocumentFragment|HTMLElement[]} root - The element or fragment to check with its descendants, or a list of elements to check on their own,
+ * the nodes of the string renderer included
+ * @returns {Object[]} - The problems found, as `{element, message}`
+ */
+export function checkAccessibility(root) {
+	const elements = Array.isArray(root) ? root : [root, ...descendantElements(root)];
+
+	return elements
+		.filter(element => element.nodeType === 1 && checkedTags.includes(element.tagName))
+		.map(element => ({element, message: accessibilityIssue(element)}))
+		.filter(issue => issue.message);
+}
+
 /**
  * This will generate a complete HTML element with all attributes
  *
  * @param {string} name - The name of the element to be created
- * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content used to populate the element
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} [content] - The content used to populate the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - A complete HTML element
  * @see renderContent
  * @see setAttributes
  */
 export function createElement(name, content, options = {}) {
-	const element = document.createElement(name);
+	const element = getDocument().createElement(name);
 	setAttributes(element, options);
 	if(!voidElements.includes(name)) {
 		renderContent(element, content);
 	}
 
+	if (accessibilityReporter && checkedTags.includes(element.tagName)) {
+		scheduleAccessibilityCheck(element);
+	}
+
 	return element;
 }
 
@@ -75,7 +318,7 @@ export function createElement(name, content, options = {}) {
  *
  * @param {string} text - The anchor text content
  * @param {string} url - A path used to create the URL
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - A complete anchor element
  * @see createElement
  */
@@ -91,7 +334,7 @@ export function a(text, url, options = {}) {
  * This is a shortcut to generate an image element
  *
  * @param {string} src - An image URI to be set as the image source
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - A complete image element
  * @see createElement
  */
@@ -106,10 +349,11 @@ export function img(src, options = {}) {
  *
  * @param {string} action - The action URL that the form submits to
  * @param {string} method - The method the form uses in the submission
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLFormElement} - The generated form
  */
 export function form(action = '', method = 'post', options = {}) {
-	const hiddenInputs = new DocumentFragment();
+	const hiddenInputs = getDocument().createDocumentFragment();
 	const queryParamPos = action.indexOf('?');
 	if(method.toLowerCase() === 'get' && queryParamPos !== -1) {
 		const queryParams = new URLSearchParams(action.substring(queryParamPos + 1));
@@ -127,7 +371,8 @@ export function form(action = '', method = 'post', options = {}) {
  *
  * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content used to populate the element
  * @param {string} target - A string representing the ID of form control element
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - The generated label
  */
 export function label(content, target = null, options = {}) {
 	if(target) {
@@ -141,7 +386,8 @@ export function label(content, target = null, options = {}) {
  * Generates a generic button
  *
  * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The button content
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - The generated button
  */
 export function button(content, options = {}) {
 	if(!options.type) {
@@ -155,7 +401,8 @@ export function button(content, options = {}) {
  * Generates a reset button
  *
  * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The button content
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - The generated button
  */
 export function resetButton(content, options = {}) {
 	options.type = 'reset';
@@ -166,7 +413,8 @@ export function resetButton(content, options = {}) {
  * Generates a submit button
  *
  * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The button content
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - The generated button
  */
 export function submitButton(content, options = {}) {
 	options.type = 'submit';
@@ -179,7 +427,7 @@ export function submitButton(content, options = {}) {
  * @param {string} type - The type of input field to generate
  * @param {string} name - The value of the name attribute
  * @param {string} value - The value of the input field
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - A generated input field
  */
 export function input(type, name, value, options = {}) {
@@ -196,7 +444,7 @@ export function input(type, name, value, options = {}) {
  * Generates an input button
  *
  * @param {string} label - The text of the input button
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - A generated input field
  */
 export function buttonInput(label = 'Button', options = {}) {
@@ -210,7 +458,7 @@ export function buttonInput(label = 'Button', options = {}) {
  * Generates an submit input button
  *
  * @param {string} label - The text of the input button
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - A generated input field
  */
 export function submitInput(label = 'Submit', options = {}) {
@@ -224,7 +472,7 @@ export function submitInput(label = 'Submit', options = {}) {
  * Generates a reset input button
  *
  * @param {string} label - The text of the input button
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - A generated input field
  */
 export function resetInput(label = 'Reset', options = {}) {
@@ -239,7 +487,7 @@ export function resetInput(label = 'Reset', options = {}) {
  *
  * @param {string} name - The value of the name attribute
  * @param {string|null} value - The value of the input field
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - A generated input field
  */
 export function textInput(name, value = null, options = {}) {
@@ -251,7 +499,7 @@ export function textInput(name, value = null, options = {}) {
  *
  * @param {string} name - The value of the name attribute
  * @param {string|null} value - The value of the input field
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - A generated input field
  */
 export function hiddenInput(name, value = null, options = {}) {
@@ -263,7 +511,7 @@ export function hiddenInput(name, value = null, options = {}) {
  *
  * @param {string} name - The value of the name attribute
  * @param {string|null} value - The value of the input field
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - A generated input field
  */
 export function passwordInput(name, value = null, options = {}) {
@@ -275,7 +523,7 @@ export function passwordInput(name, value = null, options = {}) {
  *
  * @param {string} name - The value of the name attribute
  * @param {string|null} value - The value of the input field
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - A generated input field
  */
 export function fileInput(name, value = null, options = {}) {
@@ -287,7 +535,7 @@ export function fileInput(name, value = null, options = {}) {
  *
  * @param {string} name - The value of the name attribute
  * @param {string} value - The value of the attribute
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - A generated input field
  */
 export function textarea(name, value = '', options = {}) {
@@ -300,12 +548,12 @@ export function textarea(name, value = '', options = {}) {
  *
  * @param {string} name - The name attribute value of the radio button.
  * @param {boolean} checked - Whether the radio button is checked.
- * @param {Object} options - A name/value list of attributes to add to the element.
+ * @param {Attributes} options - A name/value list of attributes to add to the element.
  * @param {string} options.value - The value attribute of the radio button. Defaults to '1'.
- * @param {Object} options.labelOptions - A name/value list of attributes to add to the label element, if created.
+ * @param {Attributes} options.labelOptions - A name/value list of attributes to add to the label element, if created.
  * @param {string} options.label - The text for the label. If provided, a label element is created.
- * @param {boolean} options.encode - Whether to HTML-encode the label text. Defaults to true.
- * @returns {HTMLElement} - The generated radio button element, optionally wrapped in a label.
+ * @returns {DocumentFragment|HTMLElement} - The generated radio button element, optionally wrapped in a label. A fragment that also
+ * holds the hidden input is returned when `options.uncheck` is set.
  */
 export function radio(name, checked = false, options = {}) {
 	return booleanInput('radio', name, checked, options);
@@ -316,66 +564,130 @@ export function radio(name, checked = false, options = {}) {
  *
  * @param {string} name - The name attribute value of the checkbox.
  * @param {boolean} checked - Whether the checkbox is checked.
- * @param {Object} options - A name/value list of attributes to add to the element.
+ * @param {Attributes} options - A name/value list of attributes to add to the element.
  * @param {string} options.value - The value attribute of the checkbox. Defaults to '1'.
- * @param {Object} options.labelOptions - A name/value list of attributes to add to the label element, if created.
+ * @param {Attributes} options.labelOptions - A name/value list of attributes to add to the label element, if created.
  * @param {string} options.label - The text for the label. If provided, a label element is created.
- * @param {boolean} options.encode - Whether to HTML-encode the label text. Defaults to true.
- * @returns {HTMLElement} - The generated checkbox element, optionally wrapped in a label.
+ * @returns {DocumentFragment|HTMLElement} - The generated checkbox element, optionally wrapped in a label. A fragment that also
+ * holds the hidden input is returned when `options.uncheck` is set.
  */
 export function checkbox(name, checked = false, options = {}) {
 	return booleanInput('checkbox', name, checked, options);
 }
 
+/**
+ * Generates a unique prefix for the IDs of checkboxes and radios from their name
+ *
+ * @example
+ * controlIdPrefix('colors[]');
+ * // returns 'colors-1', then 'colors-2'
+ *
+ * @param {string} name - The name attribute of the controls
+ * @returns {string} - The prefix
+ */
+function controlIdPrefix(name) {
+	const base = name.replace(/\[\]$/, '').replace(/[[\]]+/g, '-').replace(/-$/, '');
+	return `${base}-${++controlIdCounter}`;
+}
+
+/**
+ * Generates the ID of a checkbox or radio from a prefix and its value, so its label can refer to it
+ *
+ * @example
+ * controlId('colors-1', 'dark red');
+ * // returns 'colors-1-dark-red'
+ *
+ * @param {string} prefix - The prefix, see `controlIdPrefix`
+ * @param {string} value - The value of the control
+ * @returns {string} - The ID
+ */
+function controlId(prefix, value) {
+	return `${prefix}-${String(value).trim().replace(/\s+/g, '-')}`;
+}
+
+/**
+ * Wraps a group of checkboxes or radios in a `fieldset` with a `legend` when the `legend` option is given
+ *
+ * @param {DocumentFragment} fragment - The group
+ * @param {Object} options - The options of the list
+ * @returns {DocumentFragment|HTMLElement} - The fieldset, or the fragment without a legend
+ */
+function groupFieldset(fragment, options) {
+	if (options.legend === undefined || options.legend === null) {
+		return fragment;
+	}
+
+	const legend = createElement('legend', options.legend, options.legendOptions || {});
+	return createElement('fieldset', [legend, fragment], options.fieldsetOptions || {});
+}
+
 /**
  * Generates a boolean input of the given type
  *
  * @param {string} type - The type of input to be created; `radio` or `checkbox`
  * @param {string} name - The name attribute of the input element
  * @param {boolean} checked - The checked state of the input element
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @param {string} options.value - The value of the input element. Defaults to '1'.
  * @param {string} options.uncheck - A value for the unchecked state of a checkbox value. This will generate a hidden input with the value of this property.
- * @param {string} options.label - A label displayed next to the checkbox that is not HTML-encoded. The label wraps around the checkbox.
- * @param {string} options.labelOptions - An array of HTML attributes for the label tag.
+ * @param {string} options.label - A label displayed next to the checkbox, inserted as text so markup in it is shown as is. The label wraps around the checkbox
+ * and is linked to it with its `for` attribute, the input receives an ID made of its name, a counter and its value unless one is given.
+ * @param {Attributes} options.labelOptions - An array of HTML attributes for the label tag.
+ * @param {string} options.idPrefix - Replaces the name and counter in the generated ID, for IDs that stay the same across renders
  * @returns {DocumentFragment|HTMLElement} - The generated input elements
  */
 export function booleanInput(type, name, checked = false, options = {}) {
-	const elementOptions = { ...options, type, checked, name, value: options.value || '1' };
-	if (options.uncheck) {
-		const hiddenElement = hiddenInput(name, options.uncheck, { form: options.form });
+	const {label: labelText, labelOptions, uncheck, idPrefix, ...inputOptions} = options;
+	const elementOptions = { ...inputOptions, type, checked, name, value: options.value || '1' };
+	if (labelText && !elementOptions.id) {
+		elementOptions.id = controlId(idPrefix || controlIdPrefix(name), elementOptions.value);
 	}
 
 	let element = input(type, name, elementOptions.value, elementOptions);
-	if (options.label) {
-		const labelEl = document.createElement('label');
+	if (labelText) {
+		const labelEl = getDocument().createElement('label');
+		labelEl.setAttribute('for', elementOptions.id);
 		labelEl.appendChild(element);
-		const textNode = document.createTextNode(options.label);
+		const textNode = getDocument().createTextNode(labelText);
 		labelEl.appendChild(textNode);
-		if (options.labelOptions) {
-			setAttributes(labelEl, options.labelOptions);
+		if (labelOptions) {
+			setAttributes(labelEl, labelOptions);
 		}
 		element = labelEl;
 	}
 
+	if (uncheck !== undefined && uncheck !== null) {
+		const fragment = getDocument().createDocumentFragment();
+		fragment.appendChild(hiddenInput(name, uncheck, { form: options.form }));
+		fragment.appendChild(element);
+		element = fragment;
+	}
+
 	return element;
 }
 
 /**
  * This will append the content to an element
- * The content type can be an HTMLElement or an array of HTMLElement, a DocumentFragment, or a string
+ * The content type can be an HTMLElement or an array of HTMLElement, a DocumentFragment, a string or a number.
+ * Arrays may mix nodes, strings, numbers and nested arrays; null, undefined and boolean items are skipped.
  *
  * @param {HTMLElement} element - The element to append the content to
- * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content used to populate the element
+ * @param {HTMLElement|HTMLElement[]|DocumentFragment|string|number} content - The content used to populate the element
  */
 export function renderContent(element, content) {
-	if (Array.isArray(content) || content instanceof NodeList) {
-		for (const childElement of content) {
-			element.appendChild(childElement);
+	if (Array.isArray(content) || (typeof NodeList !== 'undefined' && content instanceof NodeList)) {
+		for (const childElement of Array.from(content)) {
+			if (isNode(childElement)) {
+				element.appendChild(childElement);
+			} else if (typeof childElement === 'string' || typeof childElement === 'number') {
+				element.appendChild(getDocument().createTextNode(childElement));
+			} else if (Array.isArray(childElement)) {
+				renderContent(element, childElement);
+			}
 		}
-	} else if (typeof content === 'object' && content !== null) {
+	} else if (isNode(content)) {
 		element.appendChild(content);
-	} else if (typeof content === 'string') {
+	} else if (typeof content === 'string' || typeof content === 'number') {
 		element.textContent = content;
 	}
 }
@@ -386,7 +698,7 @@ export function renderContent(element, content) {
  * @param {string} name - The name of the select box
  * @param {string|string[]} selection - A string or array of strings to set the selected value(s)
  * @param {Object} items - A key/value pair for the option value and text
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {DocumentFragment} - The generated select box
  */
 export function select(name, selection = null, items = {}, options = {}) {
@@ -405,11 +717,11 @@ export function select(name, selection = null, items = {}, options = {}) {
  * @param {string} name - The name of the select box
  * @param {string|string[]} selection - A string or array of strings to set the selected value(s)
  * @param {Object} items - A key/value pair for the option value and text
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {DocumentFragment} - The generated select box
  */
 export function listBox(name, selection = null, items = {}, options = {}) {
-	const fragment = new DocumentFragment();
+	const fragment = getDocument().createDocumentFragment();
 	if (!options.size) options.size = 4;
 
 	if (options.multiple && !name.endsWith('[]')) {
@@ -417,7 +729,7 @@ export function listBox(name, selection = null, items = {}, options = {}) {
 	}
 
 	options.name = name;
-	if (options.unselect) {
+	if (options.unselect !== undefined) {
 		fragment.appendChild(hiddenInput(name, options.unselect));
 		delete options.unselect;
 	}
@@ -436,15 +748,15 @@ export function listBox(name, selection = null, items = {}, options = {}) {
  * @returns {DocumentFragment} - A document fragment containing the <option> elements
  */
 export function renderSelectOptions(selection, items, options = {}) {
-	const fragment = document.createDocumentFragment();
+	const fragment = getDocument().createDocumentFragment();
 	const selections = new Set(Array.isArray(selection) ? selection : [selection]);
 
 	Object.entries(items).forEach(([value, text]) => {
-		const optionElement = document.createElement('option');
-		optionElement.value = value;
+		const optionElement = getDocument().createElement('option');
+		optionElement.setAttribute('value', value);
 		optionElement.textContent = text;
 		if (selections.has(value)) {
-			optionElement.selected = true;
+			optionElement.setAttribute('selected', '');
 		}
 
 		if (options[value]) {
@@ -467,11 +779,16 @@ export function renderSelectOptions(selection, items, options = {}) {
  * @param {Object} options - A name/value list for the checkbox list container tag
  * @param {string} options.separator - A string to be used as a separator between the checkboxes
  * @param {string} options.unselect - A value to be used to unselect all checkboxes
- * @param {Object} options.itemOptions - A name/value list of attributes to add to each checkbox
- * @returns {DocumentFragment} - The list of checkboxes to return
+ * @param {Attributes} options.itemOptions - A name/value list of attributes to add to each checkbox
+ * @param {string} options.idPrefix - The prefix of the checkbox IDs, generated from the name and a counter by default
+ * @param {string|HTMLElement} options.legend - A legend for the group, the checkboxes are then wrapped in a `fieldset`
+ * @param {Attributes} options.legendOptions - A name/value list of attributes to add to the legend
+ * @param {Attributes} options.fieldsetOptions - A name/value list of attributes to add to the fieldset
+ * @returns {DocumentFragment|HTMLElement} - The list of checkboxes to return, or the fieldset with a legend
  */
 export function checkboxList(name, selection = null, items = {}, options = {}) {
-	const fragment = new DocumentFragment();
+	const fragment = getDocument().createDocumentFragment();
+	const idPrefix = options.idPrefix || controlIdPrefix(name);
 	if (selection !== null) {
 		selection = Array.isArray(selection) ? selection : [selection];
 	}
@@ -481,12 +798,13 @@ export function checkboxList(name, selection = null, items = {}, options = {}) {
 		const checkboxEl = checkbox(name, isChecked, {
 			value,
 			label,
+			idPrefix,
 			...options.itemOptions,
 		});
 		fragment.appendChild(checkboxEl);
 
 		if (options.separator && index < Object.keys(items).length - 1) {
-			const separatorText = document.createTextNode(options.separator);
+			const separatorText = getDocument().createTextNode(options.separator);
 			fragment.appendChild(separatorText);
 		}
 	});
@@ -495,7 +813,7 @@ export function checkboxList(name, selection = null, items = {}, options = {}) {
 		fragment.prepend(hiddenInput(name, options.unselect));
 	}
 
-	return fragment;
+	return groupFieldset(fragment, options);
 }
 
 /**
@@ -506,32 +824,38 @@ export function checkboxList(name, selection = null, items = {}, options = {}) {
  * @param {Object} items - The data items to be used to generate the radio.
  * The object keys are the radio values
  * @param {Object} options - A name/value list for the radio list container tag
- * @returns {DocumentFragment} - The list of radio to return
+ * @param {string} options.idPrefix - The prefix of the radio IDs, generated from the name and a counter by default
+ * @param {string} options.unselect - A value submitted when no radio is selected, an empty string also adds the hidden input
+ * @param {string|HTMLElement} options.legend - A legend for the group, the radios are then wrapped in a `fieldset`
+ * @param {Attributes} options.legendOptions - A name/value list of attributes to add to the legend
+ * @param {Attributes} options.fieldsetOptions - A name/value list of attributes to add to the fieldset
+ * @returns {DocumentFragment|HTMLElement} - The list of radio to return, or the fieldset with a legend
  */
 export function radioList(name, selection = null, items = {}, options = {}) {
-	const fragment = new DocumentFragment();
-	const encode = options.encode !== false;
+	const fragment = getDocument().createDocumentFragment();
+	const idPrefix = options.idPrefix || controlIdPrefix(name);
 	const selectedValue = String(selection);
 
 	Object.entries(items).forEach(([value, label], index) => {
 		const isChecked = value === selectedValue;
 		const radioElement = radio(name, isChecked, {
 			value,
-			label: encode ? encodeHTML(label) : label,
+			label,
+			idPrefix,
 			...options.itemOptions
 		});
 		fragment.appendChild(radioElement);
 
 		if (options.separator && index < Object.keys(items).length - 1) {
-			fragment.appendChild(document.createTextNode(options.separator));
+			fragment.appendChild(getDocument().createTextNode(options.separator));
 		}
 	});
 
-	if (options.unselect) {
+	if (options.unselect !== undefined) {
 		fragment.prepend(hiddenInput(name, options.unselect));
 	}
 
-	return fragment;
+	return groupFieldset(fragment, options);
 }
 
 /**
@@ -544,13 +868,13 @@ export function radioList(name, selection = null, items = {}, options = {}) {
 export function ul(items, options = {}) {
 	const tagOption = options.tag || 'ul';
 	const encode = options.encode !== false;
-	const fragment = new DocumentFragment();
+	const fragment = getDocument().createDocumentFragment();
 
 	items.forEach((item, index) => {
-		const li = document.createElement('li');
+		const li = getDocument().createElement('li');
 		if (typeof item === 'string' && encode) {
-			li.innerHTML = encodeHTML(item);
-		} else if (item instanceof HTMLElement) {
+			li.textContent = item;
+		} else if (isNode(item)) {
 			li.appendChild(item);
 		} else {
 			li.textContent = item.toString();
@@ -580,23 +904,243 @@ export function ol(items, options = {}) {
  * @returns {Text} - Generated text node
  */
 export function text(text) {
-	return document.createTextNode(text);
+	return getDocument().createTextNode(text);
+}
+
+/**
+ * @var {WeakMap} - The listeners added with `addListeners`, by element, so `removeListeners` can find them again
+ */
+const elementListeners = new WeakMap();
+
+/**
+ * @var {number} - The delay of the `debounce` and `throttle` modifiers when none is given, in milliseconds
+ */
+const defaultListenerDelay = 250;
+
+/**
+ * Parses an event key of the `on` option into the event type, its settings and the delegation selector
+ * The key is the event type followed by dot-separated modifiers, then optionally a space and a CSS selector,
+ * e.g. `click.once.prevent .row` or `input.debounce.300`.
+ *
+ * @param {string} key - The event key
+ * @param {Object} definition - The settings given next to the handler, they take precedence over the modifiers
+ * @returns {Object} - The `type`, `selector` and the listener settings
+ */
+function parseEventKey(key, definition) {
+	const [eventName, ...selectorParts] = key.trim().split(/\s+/);
+	const [type, ...modifiers] = eventName.split('.');
+	const settings = {type, selector: selectorParts.join(' ') || null, debounce: null, throttle: null};
+
+	modifiers.forEach((modifier, index) => {
+		if (modifier === 'debounce' || modifier === 'throttle') {
+			const delay = Number(modifiers[index + 1]);
+			settings[modifier] = /^\d+$/.test(modifiers[index + 1]) ? delay : defaultListenerDelay;
+		} else if (!/^\d+$/.test(modifier)) {
+			settings[modifier] = true;
+		}
+	});
+
+	['once', 'passive', 'capture', 'prevent', 'stop', 'self', 'debounce', 'throttle', 'selector'].forEach(setting => {
+		const value = definition[setting];
+		if (value === undefined) {
+			return;
+		}
+
+		const isDelay = (setting === 'debounce' || setting === 'throttle') && typeof value !== 'number';
+		settings[setting] = isDelay ? (value ? defaultListenerDelay : null) : value;
+	});
+
+	return settings;
+}
+
+/**
+ * Adds event listeners to an element
+ * Each key is an event type, optionally followed by modifiers and a delegation selector:
+ * - `once`, `passive` and `capture` are passed as listener options
+ * - `prevent` and `stop` call `preventDefault()` and `stopPropagation()` before the handler runs
+ * - `self` only runs the handler when the event was dispatched on the element itself
+ * - `debounce` and `throttle` limit how often the handler runs, followed by an optional delay in milliseconds
+ * - A selector after a space delegates the event: the handler runs for events inside matching descendants and
+ *   receives the matching descendant as its second argument and as `this`
+ *
+ * The value is the handler, or an object with a `handler` and the same settings as the modifiers.
+ * Listeners are remembered so `removeListeners` can remove them. Elements of the string renderer cannot receive
+ * events, so nothing is added to them.
+ *
+ * @example
+ * addListeners(list, {
+ *     'click.prevent .row': (event, row) => select(row.dataset.id),
+ *     'input.debounce.300': event => search(event.target.value),
+ *     scroll: {handler: onScroll, passive: true},
+ * });
+ *
+ * @param {HTMLElement} element - The element to listen on
+ * @param {Object} events - Handlers keyed by event type, modifiers and selector
+ * @see removeListeners
+ */
+export function addListeners(element, events = {}) {
+	if (typeof element.addEventListener !== 'function') {
+		return;
+	}
+
+	Object.entries(events).forEach(([key, value]) => {
+		const definition = typeof value === 'function' ? {handler: value} : value || {};
+		if (typeof definition.handler !== 'function') {
+			throw new Error(`Missing handler for the "${key}" event`);
+		}
+
+		const settings = parseEventKey(key, definition);
+		// Filtered listeners remove themselves after the first event they handle, instead of the first event they receive
+		const isFiltered = Boolean(settings.selector || settings.self);
+		const options = {capture: Boolean(settings.capture), passive: Boolean(settings.passive), once: Boolean(settings.once && !isFiltered)};
+		let timer = null;
+		let lastCall = 0;
+
+		const record = {key, definition, type: settings.type, options};
+		record.cancel = () => clearTimeout(timer);
+		record.listener = event => {
+			let target = element;
+			if (settings.selector) {
+				target = typeof event.target.closest === 'function' ? event.target.closest(settings.selector) : null;
+				if (!target || !element.contains(target)) {
+					return;
+				}
+			}
+
+			if (settings.self && event.target !== element) {
+				return;
+			}
+			if (settings.once && isFiltered) {
+				element.removeEventListener(settings.type, record.listener, options);
+			}
+			if (settings.prevent) {
+				event.preventDefault();
+			}
+			if (settings.stop) {
+				event.stopPropagation();
+			}
+
+			if (settings.debounce !== null) {
+				clearTimeout(timer);
+				timer = setTimeout(() => definition.handler.call(target, event, target), settings.debounce);
+			} else if (settings.throttle !== null) {
+				const now = Date.now();
+				if (now - lastCall >= settings.throttle) {
+					lastCall = now;
+					definition.handler.call(target, event, target);
+				}
+			} else {
+				definition.handler.call(target, event, target);
+			}
+		};
+
+		element.addEventListener(settings.type, record.listener, options);
+		if (!elementListeners.has(element)) {
+			elementListeners.set(element, []);
+		}
+		elementListeners.get(element).push(record);
+	});
+}
+
+/**
+ * Removes every listener added with `addListeners`, the `on` option or a function attribute, from an element and
+ * all of its descendants, and cancels pending debounced calls
+ *
+ * @example
+ * removeListeners(dialog);
+ * dialog.remove();
+ *
+ * @param {HTMLElement|DocumentFragment} root - The element or fragment whose tree is cleaned up
+ * @see addListeners
+ */
+export function removeListeners(root) {
+	const descendants = typeof root.querySelectorAll === 'function' ? Array.from(root.querySelectorAll('*')) : [];
+	[root, ...descendants].forEach(detachListeners);
+}
+
+/**
+ * Removes the listeners added with `addListeners` from a single element
+ *
+ * @param {HTMLElement} element - The element
+ * @returns {Array} - The removed listener records
+ */
+function detachListeners(element) {
+	const records = elementListeners.get(element) || [];
+	records.forEach(({type, listener, options, cancel}) => {
+		cancel();
+		element.removeEventListener(type, listener, options);
+	});
+	elementListeners.delete(element);
+
+	return records;
+}
+
+/**
+ * Replaces the listeners of an element, added with `addListeners`, with those of another element
+ * Used when an element is kept in place of a newly built one, e.g. by `patch`, so it runs the new handlers.
+ *
+ * @param {HTMLElement} source - The element whose listeners are moved
+ * @param {HTMLElement} target - The element receiving the listeners, its own listeners are removed
+ * @see addListeners
+ */
+export function moveListeners(source, target) {
+	if (!elementListeners.has(source) && !elementListeners.has(target)) {
+		return;
+	}
+
+	detachListeners(target);
+	detachListeners(source).forEach(({key, definition}) => addListeners(target, {[key]: definition}));
+}
+
+/**
+ * Sets `aria-*` attributes from an object
+ * Unlike other attributes, `false` is kept as the string `false` since ARIA states are often false, and arrays of IDs,
+ * e.g. for `describedby`, are joined with spaces.
+ *
+ * @example
+ * setAriaAttributes(button, {expanded: false, controls: 'menu', describedBy: ['hint', 'error']});
+ * // sets aria-expanded="false" aria-controls="menu" aria-describedby="hint error"
+ *
+ * @param {HTMLElement} element - The element to add attributes to
+ * @param {Object} attributes - A name/value list of ARIA attributes, without the `aria-` prefix
+ */
+function setAriaAttributes(element, attributes) {
+	Object.entries(attributes).forEach(([name, value]) => {
+		if (value === null || value === undefined) {
+			return;
+		}
+
+		element.setAttribute(`aria-${name.toLowerCase()}`, Array.isArray(value) ? value.join(' ') : String(value));
+	});
 }
 
 /**
  * Sets the HTML element attributes
+ * The `on` attribute takes event handlers, see `addListeners`, and so does a function given for an `on*` attribute,
+ * e.g. `{onclick: handler}`. The `aria` attribute takes an object of `aria-*` attributes.
+ *
+ * @example
+ * setAttributes(button, {class: 'primary', on: {click: save, 'keydown.once': track}});
+ * setAttributes(toggle, {aria: {expanded: false, controls: 'menu'}});
  *
  * @param {HTMLElement} element - The element to add attributes to
- * @param {Object} attributes - A name/value list of attributes to add to the element
+ * @param {Attributes} attributes - A name/value list of attributes to add to the element
+ * @see addListeners
  */
 export function setAttributes(element, attributes = {}) {
 	Object.entries(attributes).forEach(([name, value]) => {
-		if (value === null || value === false) {
+		if (value === null || value === undefined || value === false) {
 			return;
 		}
 
-		if (booleanAttributes.includes(name)) {
-			element[name] = !!value;
+		if (name === 'aria' && typeof value === 'object') {
+			setAriaAttributes(element, value);
+		} else if (name === 'on' && typeof value === 'object') {
+			addListeners(element, value);
+		} else if (typeof value === 'function' && name.startsWith('on')) {
+			addListeners(element, {[name.slice(2)]: value});
+		} else if (booleanAttributes.includes(name)) {
+			element.setAttribute(name, '');
 		} else if (name === 'class' && Array.isArray(value)) {
 			element.className = value.join(' ');
 		} else if (name === 'style' && typeof value === 'object') {
@@ -643,7 +1187,7 @@ export function removeClass(element, classList) {
  * Generates a table element
  *
  * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content to be placed inside the table
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - The generated table element
  */
 export function table(content, options = {}) {
@@ -654,7 +1198,7 @@ export function table(content, options = {}) {
  * Generates a table row element
  *
  * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content to be placed inside the row
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - The generated table row element
  */
 export function tr(content, options = {}) {
@@ -665,7 +1209,7 @@ export function tr(content, options = {}) {
  * Generates a table cell element
  *
  * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content to be placed inside the cell
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - The generated table cell element
  */
 export function td(content, options = {}) {
@@ -676,7 +1220,7 @@ export function td(content, options = {}) {
  * Generates a table header cell element
  *
  * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content to be placed inside the header cell
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - The generated table header cell element
  */
 export function th(content, options = {}) {
@@ -687,7 +1231,7 @@ export function th(content, options = {}) {
  * Generates a table header section element
  *
  * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content to be placed inside the header section
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - The generated table header section element
  */
 export function thead(content, options = {}) {
@@ -698,7 +1242,7 @@ export function thead(content, options = {}) {
  * Generates a table body section element
  *
  * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content to be placed inside the body section
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - The generated table body section element
  */
 export function tbody(content, options = {}) {
@@ -709,9 +1253,167 @@ export function tbody(content, options = {}) {
  * Generates a table footer section element
  *
  * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content to be placed inside the footer section
- * @param {Object} options - A name/value list of attributes to add to the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
  * @returns {HTMLElement} - The generated table footer section element
  */
 export function tfoot(content, options = {}) {
 	return createElement('tfoot', content, options);
 }
+
+/**
+ * Splits a CSS-selector-like shorthand into the tag name, ID and class names
+ *
+ * @param {string} selector - A selector such as `div.card#main`
+ * @returns {{tag: string, id: string|null, classes: string[]}} - The parsed selector, the tag defaults to `div`
+ */
+function parseSelector(selector) {
+	const parsed = {tag: 'div', id: null, classes: []};
+	selector.split(/(?=[#.])/).forEach((part, index) => {
+		if (part.startsWith('#')) {
+			parsed.id = part.substring(1);
+		} else if (part.startsWith('.')) {
+			parsed.classes.push(part.substring(1));
+		} else if (index === 0 && part !== '') {
+			parsed.tag = part;
+		}
+	});
+
+	return parsed;
+}
+
+/**
+ * Tests if something is a plain object descriptor in the `{tag, attrs, children}` form
+ *
+ * @param {*} item - The item to test
+ * @returns {boolean} - True or false whether the item is an object descriptor
+ */
+function isObjectDescriptor(item) {
+	return typeof item === 'object' && item !== null && !Array.isArray(item) && !isNode(item) && typeof item.tag === 'string';
+}
+
+/**
+ * Converts object descriptors in a list of children into nodes, leaving everything else for `renderContent`
+ *
+ * @param {*} children - The children passed to `h`
+ * @returns {*} - The children with object descriptors built into elements
+ */
+function resolveChildren(children) {
+	if (Array.isArray(children)) {
+		return children.map(resolveChildren);
+	}
+
+	return isObjectDescriptor(children) ? fromDescriptor(children) : children;
+}
+
+/**
+ * Generates an element from a CSS-selector-like shorthand
+ * The attributes may be omitted, in which case the second argument is used as the children.
+ * Children can be nodes, fragments, strings, numbers, nested arrays or object descriptors; null and boolean children are skipped.
+ *
+ * @example
+ * returns an element object <div id="main" class="card active"><span>Hello</span> World</div>
+ * h('div.card#main', {class: 'active'}, [h('span', 'Hello'), ' World']);
+ *
+ * @param {string} selector - The tag name followed by an optional `#id` and `.class` names, the tag defaults to `div`
+ * @param {Attributes} [attributes] - A name/value list of attributes to add to the element
+ * @param {*} [children] - The content used to populate the element
+ * @returns {HTMLElement} - The generated element
+ * @see createElement
+ * @see renderContent
+ */
+export function h(selector, attributes = {}, children = null) {
+	if (typeof attributes !== 'object' || attributes === null || Array.isArray(attributes) || isNode(attributes) || isObjectDescriptor(attributes)) {
+		children = attributes;
+		attributes = {};
+	}
+
+	const {tag, id, classes} = parseSelector(selector);
+	const options = {...attributes};
+	if (id && options.id === undefined) {
+		options.id = id;
+	}
+
+	if (classes.length) {
+		const extraClasses = Array.isArray(options.class) ? options.class : [options.class];
+		options.class = [...classes, ...extraClasses.filter(Boolean)];
+	}
+
+	return createElement(tag, resolveChildren(children), options);
+}
+
+/**
+ * Builds nodes from a plain descriptor, so templates can be stored as JSON
+ * Descriptors are either arrays in the form `[selector, attributes?, ...children]` or objects in the form `{tag, attrs, children}`.
+ * Strings and numbers become text nodes, nodes are returned as they are and arrays not starting with a selector become fragments.
+ *
+ * @example
+ * returns an element object <ul class="menu"><li>One</li><li><a href="/two">Two</a></li></ul>
+ * fromDescriptor(['ul.menu', ['li', 'One'], ['li', ['a', {href: '/two'}, 'Two']]]);
+ * @example
+ * returns an element object <p class="note">Saved</p>
+ * fromDescriptor({tag: 'p.note', children: ['Saved']});
+ *
+ * @param {Array|Object|string|number|Node|null} descriptor - The descriptor to build
+ * @returns {HTMLElement|DocumentFragment|Text|null} - The built nodes, or null for empty descriptors
+ * @see h
+ */
+export function fromDescriptor(descriptor) {
+	if (descriptor === null || descriptor === undefined || typeof descriptor === 'boolean') {
+		return null;
+	}
+
+	if (typeof descriptor === 'string' || typeof descriptor === 'number') {
+		return getDocument().createTextNode(descriptor);
+	}
+
+	if (isNode(descriptor)) {
+		return descriptor;
+	}
+
+	if (Array.isArray(descriptor)) {
+		if (typeof descriptor[0] !== 'string') {
+			const fragment = getDocument().createDocumentFragment();
+			renderContent(fragment, descriptor.map(fromDescriptor));
+			return fragment;
+		}
+
+		const [selector, ...rest] = descriptor;
+		const hasAttributes = typeof rest[0] === 'object' && rest[0] !== null && !Array.isArray(rest[0]) && !isNode(rest[0]) && !isObjectDescriptor(rest[0]);
+		const attributes = hasAttributes ? rest.shift() : {};
+		return h(selector, attributes, rest.map(fromDescriptor));
+	}
+
+	if (isObjectDescriptor(descriptor)) {
+		const children = Array.isArray(descriptor.children) ? descriptor.children : [descriptor.children];
+		return h(descriptor.tag, descriptor.attrs || {}, children.map(fromDescriptor));
+	}
+
+	return null;
+}
+
+/**
+ * Creates the set of helpers bound to a document, so every node they create is owned by that document
+ *
+ * @example
+ * const frameHtml = createHtml(iframe.contentDocument);
+ * frameHtml.button('Save', {class: 'primary'}).ownerDocument === iframe.contentDocument;
+ * // returns true
+ *
+ * @param {Document|StringDocument} doc - The document the helpers create nodes with
+ * @returns {Object} - An object containing every helper, bound to the document
+ */
+export function createHtml(doc) {
+	const helpers = {
+		createElement, a, img, form, label, button, resetButton, submitButton, input, buttonInput, submitInput,
+		resetInput, textInput, hiddenInput, passwordInput, fileInput, textarea, radio, checkbox, booleanInput,
+		renderContent, select, listBox, renderSelectOptions, checkboxList, radioList, ul, ol, text,
+		setAttributes, addListeners, removeListeners, addClass, removeClass, table, tr, td, th, thead, tbody, tfoot, h, fromDescriptor,
+	};
+
+	const boundHelpers = {document: doc};
+	Object.entries(helpers).forEach(([name, helper]) => {
+		boundHelpers[name] = (...args) => withDocument(doc, () => helper(...args));
+	});
+
+	return boundHelpers;
+}
@@ -0,0 +1,211 @@
+import {encodeHTML} from 'entities';
+import {DomParser} from './DomParser';
+import {getDocument, renderContent, setAttributes} from './Html';
+
+/**
+ * @var {string} - The prefix of the comments and attributes that mark where interpolated values are inserted
+ */
+const placeholderPrefix = 'js-helpers-slot';
+
+/**
+ * Tests if something is a node or a list of content that is inserted as nodes
+ *
+ * @param {*} value - The interpolated value
+ * @returns {boolean} - True or false whether the value is inserted as nodes
+ */
+function isNodeContent(value) {
+	return Array.isArray(value)
+		|| (typeof NodeList !== 'undefined' && value instanceof NodeList)
+		|| (typeof value === 'object' && value !== null && typeof value.nodeType === 'number');
+}
+
+/**
+ * Converts an interpolated value into escaped text
+ *
+ * @param {*} value - The interpolated value
+ * @returns {string} - The HTML-encoded value, empty for null, undefined and booleans
+ */
+function escapeValue(value) {
+	if (value === null || value === undefined || typeof value === 'boolean') {
+		return '';
+	}
+
+	return encodeHTML(Array.isArray(value) ? value.join(' ') : String(value));
+}
+
+/**
+ * Tracks whether the end of the markup is inside a tag, a quoted attribute value or a comment
+ *
+ * @param {Object} state - The state carried over from the previous parts
+ * @param {string} markup - The static markup to scan
+ */
+function scan(state, markup) {
+	for (let index = 0; index < markup.length; index++) {
+		const char = markup[index];
+		if (state.comment) {
+			if (markup.startsWith('-->', index)) {
+				state.comment = false;
+				index += 2;
+			}
+		} else if (state.quote) {
+			if (char === state.quote) {
+				state.quote = null;
+			}
+		} else if (state.tag) {
+			if (char === '"' || char === '\'') {
+				state.quote = char;
+			} else if (char === '>') {
+				state.tag = false;
+			}
+		} else if (markup.startsWith('<!--', index)) {
+			state.comment = true;
+			index += 3;
+		} else if (char === '<' && /[a-zA-Z/]/.test(markup[index + 1] || '')) {
+			state.tag = true;
+		}
+	}
+}
+
+/**
+ * @var {RegExp} - Matches the characters an unquoted attribute value can contain
+ */
+const unquotedValue = /^[^\s"'<>`]*/;
+
+/**
+ * Collects the nodes of a tree that pass a test
+ *
+ * @param {Node} node - The root of the tree
+ * @param {Function} test - Receives each node and returns true to collect it
+ * @param {Node[]} nodes - The list the nodes are added to
+ * @returns {Node[]} - The nodes in document order
+ */
+function collectNodes(node, test, nodes = []) {
+	Array.from(node.childNodes).forEach(child => {
+		if (test(child)) {
+			nodes.push(child);
+		}
+		collectNodes(child, test, nodes);
+	});
+
+	return nodes;
+}
+
+/**
+ * Copies a parsed node into the document the Html helpers use
+ * Documents without `importNode`, such as the `StringDocument` of the string renderer, get the nodes rebuilt one by one.
+ *
+ * @param {Node} node - The parsed node
+ * @param {Document|StringDocument} doc - The target document
+ * @returns {Node} - The copy, owned by the target document
+ */
+function importTree(node, doc) {
+	if (typeof doc.importNode === 'function') {
+		return doc.importNode(node, true);
+	}
+
+	let copy;
+	if (node.nodeType === 1) {
+		copy = doc.createElement(node.localName);
+		Array.from(node.attributes).forEach(({name, value}) => copy.setAttribute(name, value));
+	} else if (node.nodeType === 3) {
+		return doc.createTextNode(node.data);
+	} else if (node.nodeType === 8) {
+		return doc.createComment(node.data);
+	} else {
+		copy = doc.createDocumentFragment();
+	}
+
+	Array.from((node.content || node).childNodes).forEach(child => copy.appendChild(importTree(child, doc)));
+
+	return copy;
+}
+
+/**
+ * A tagged template that builds nodes from markup while escaping every interpolated value
+ *
+ * Interpolated values are handled depending on where they appear:
+ * - In text, strings and numbers are HTML-encoded while nodes, fragments and arrays from the Html helpers are inserted as real nodes
+ * - In attribute values, the value is HTML-encoded and quoted if the template did not quote it, along with the rest of
+ *   an unquoted value such as `href=/users/${id}`; arrays are joined with spaces
+ * - Inside a tag, an object is applied with `setAttributes`, several objects can be given to the same tag
+ *
+ * The nodes are created in the document the Html helpers use, including the `StringDocument` of the string renderer;
+ * the markup itself is still parsed with `DomParser`, so a DOM implementation is needed.
+ *
+ * @example
+ * const name = '<img src=x onerror=alert(1)>';
+ * html`<p class=${['note', 'large']}>Hello ${name}! ${a('Profile', '/me')}</p>`;
+ * // returns a DocumentFragment holding <p class="note large">Hello &lt;img src=x onerror=alert(1)&gt;! <a href="/me">Profile</a></p>
+ *
+ * @param {string[]} strings - The static parts of the template
+ * @param {...*} values - The interpolated values
+ * @returns {DocumentFragment} - The built nodes, owned by the document the Html helpers use
+ * @see DomParser.parse
+ */
+export function html(strings, ...values) {
+	const state = {tag: false, quote: null, comment: false, unquoted: false};
+	const attributeSlots = [];
+	let markup = '';
+
+	strings.forEach((part, index) => {
+		let rest = part;
+		if (state.unquoted) {
+			// Continue the unquoted attribute value the previous value was inserted into, then close its quote
+			const continuation = part.match(unquotedValue)[0];
+			markup += continuation;
+			rest = part.slice(continuation.length);
+			if (rest || index >= values.length) {
+				markup += '"';
+				state.unquoted = false;
+			}
+		}
+
+		markup += rest;
+		scan(state, rest);
+		if (index >= values.length) {
+			return;
+		}
+
+		const value = values[index];
+		const unquoted = state.tag && !state.quote && markup.match(/=\s*([^\s"'<>`]*)$/);
+		if (state.unquoted || state.quote || state.comment) {
+			markup += escapeValue(value);
+		} else if (unquoted) {
+			markup = `${markup.slice(0, markup.length - unquoted[1].length)}"${unquoted[1]}${escapeValue(value)}`;
+			state.unquoted = true;
+		} else if (state.tag) {
+			if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+				markup += ` data-${placeholderPrefix}-${index} `;
+				attributeSlots.push(index);
+			} else if (value !== null && value !== undefined && value !== false) {
+				throw new Error('Only attribute objects can be interpolated inside a tag');
+			}
+		} else if (isNodeContent(value)) {
+			markup += `<!--${placeholderPrefix}:${index}-->`;
+		} else {
+			markup += escapeValue(value);
+		}
+	});
+
+	const template = DomParser.parse(`<template>${markup}</template>`).querySelector('template');
+	const fragment = importTree(template.content, getDocument());
+
+	collectNodes(fragment, node => node.nodeType === 1).forEach(element => {
+		attributeSlots.filter(index => element.hasAttribute(`data-${placeholderPrefix}-${index}`)).forEach(index => {
+			element.removeAttribute(`data-${placeholderPrefix}-${index}`);
+			setAttributes(element, values[index]);
+		});
+	});
+
+	collectNodes(fragment, node => node.nodeType === 8).forEach(comment => {
+		const match = comment.data.match(new RegExp(`^${placeholderPrefix}:(\\d+)$`));
+		if (match) {
+			const content = getDocument().createDocumentFragment();
+			renderContent(content, values[match[1]]);
+			comment.parentNode.insertBefore(content, comment);
+			comment.parentNode.removeChild(comment);
+		}
+	});
+
+	return fragment;
+}
@@ -1,5 +1,856 @@
+/**
+ * @var {Array} - Keys that are never read, written or merged, to prevent prototype pollution
+ */
+const unsafeSegments = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Tests if a key could reach an object prototype and must be refused
+ *
+ * @param {string} key - The key to test
+ * @param {boolean} allowUnsafeKeys - Whether the protection is turned off
+ * @returns {boolean} - True or false whether the key must be refused
+ * @internal
+ */
+export function isUnsafeKey(key, allowUnsafeKeys) {
+	return !allowUnsafeKeys && unsafeSegments.includes(key);
+}
+
+/**
+ * @var {Array} - The strategies `mergeWith` can apply to arrays
+ */
+const arrayStrategies = ['replace', 'concat', 'union', 'index', 'byKey'];
+
+/**
+ * Tests if a value is a plain object, created with a literal, `Object.create(null)` or `new Object()`
+ *
+ * @param {*} value - The value to test
+ * @returns {boolean} - True or false whether the value is a plain object
+ * @internal
+ */
+export function isPlainObject(value) {
+	if (value === null || typeof value !== 'object') {
+		return false;
+	}
+
+	const prototype = Object.getPrototypeOf(value);
+	return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Merges a source value into a target value following the `mergeWith` settings
+ *
+ * @param {*} targetValue - The current value
+ * @param {*} sourceValue - The value to merge
+ * @param {string[]} path - The keys leading to the value
+ * @param {Object} settings - The `mergeWith` settings
+ * @param {WeakMap} seen - The source objects being merged, mapped to their merged result
+ * @returns {*} - The merged value
+ */
+function mergeValue(targetValue, sourceValue, path, settings, seen) {
+	if (settings.resolve) {
+		const ownResolver = Object.prototype.hasOwnProperty.call(settings.resolve, path.join('.')) ? settings.resolve[path.join('.')] : null;
+		const resolver = typeof settings.resolve === 'function' ? settings.resolve : ownResolver;
+		const resolved = resolver ? resolver(targetValue, sourceValue, {path: path.join('.'), key: path[path.length - 1]}) : undefined;
+		if (resolved !== undefined) {
+			return resolved;
+		}
+	}
+
+	if (sourceValue !== null && typeof sourceValue === 'object' && seen.has(sourceValue)) {
+		return seen.get(sourceValue);
+	}
+
+	if (isPlainObject(sourceValue)) {
+		return mergeObject(isPlainObject(targetValue) ? targetValue : {}, sourceValue, path, settings, seen);
+	}
+
+	if (Array.isArray(sourceValue)) {
+		return mergeArray(Array.isArray(targetValue) ? targetValue : [], sourceValue, path, settings, seen);
+	}
+
+	if (sourceValue instanceof Map) {
+		const map = targetValue instanceof Map ? targetValue : new Map();
+		seen.set(sourceValue, map);
+		sourceValue.forEach((value, key) => map.set(key, mergeValue(map.get(key), value, [...path, String(key)], settings, seen)));
+		seen.delete(sourceValue);
+		return map;
+	}
+
+	if (sourceValue instanceof Set) {
+		const set = targetValue instanceof Set ? targetValue : new Set();
+		sourceValue.forEach(value => set.add(value));
+		return set;
+	}
+
+	if (sourceValue instanceof Date) {
+		return new Date(sourceValue.getTime());
+	}
+
+	if (sourceValue instanceof RegExp) {
+		return new RegExp(sourceValue.source, sourceValue.flags);
+	}
+
+	return sourceValue;
+}
+
+/**
+ * Merges the properties of a plain source object into a plain target object
+ *
+ * @param {Object} target - The object to merge into
+ * @param {Object} source - The object to merge
+ * @param {string[]} path - The keys leading to the objects
+ * @param {Object} settings - The `mergeWith` settings
+ * @param {WeakMap} seen - The source objects being merged, mapped to their merged result
+ * @returns {Object} - The target object
+ */
+function mergeObject(target, source, path, settings, seen) {
+	seen.set(source, target);
+	Object.keys(source).forEach(key => {
+		const value = source[key];
+		if (isUnsafeKey(key, settings.allowUnsafeKeys) || (value === undefined && settings.undefinedValues === 'skip')) {
+			return;
+		}
+		target[key] = mergeValue(target[key], value, [...path, key], settings, seen);
+	});
+	seen.delete(source);
+
+	return target;
+}
+
+/**
+ * Merges a source array into a target array with the array strategy of the settings
+ *
+ * @param {Array} target - The current array
+ * @param {Array} source - The array to merge
+ * @param {string[]} path - The keys leading to the arrays
+ * @param {Object} settings - The `mergeWith` settings
+ * @param {WeakMap} seen - The source objects being merged, mapped to their merged result
+ * @returns {Array} - The merged array
+ */
+function mergeArray(target, source, path, settings, seen) {
+	const result = settings.arrays === 'replace' ? [] : [...target];
+	seen.set(source, result);
+	const copy = (item, index) => mergeValue(undefined, item, [...path, String(index)], settings, seen);
+
+	source.forEach((item, index) => {
+		if (settings.arrays === 'index') {
+			result[index] = mergeValue(result[index], item, [...path, String(index)], settings, seen);
+		} else if (settings.arrays === 'union') {
+			if (!result.includes(item)) {
+				result.push(copy(item, result.length));
+			}
+		} else if (settings.arrays === 'byKey' && isPlainObject(item) && item[settings.arrayKey] !== undefined) {
+			const position = result.findIndex(existing => isPlainObject(existing) && existing[settings.arrayKey] === item[settings.arrayKey]);
+			if (position === -1) {
+				result.push(copy(item, result.length));
+			} else {
+				result[position] = mergeValue(result[position], item, [...path, String(position)], settings, seen);
+			}
+		} else {
+			result.push(copy(item, result.length));
+		}
+	});
+	seen.delete(source);
+
+	return result;
+}
+
+/**
+ * Copies a value deeply, with the same rules as a non-mutating `mergeWith`
+ *
+ * @param {*} value - The value to copy
+ * @param {boolean} allowUnsafeKeys - Whether to copy `__proto__`, `constructor` and `prototype` keys
+ * @returns {*} - The copy
+ */
+function copyValue(value, allowUnsafeKeys) {
+	const settings = {arrays: 'replace', undefinedValues: 'overwrite', resolve: null, allowUnsafeKeys};
+	return mergeValue(undefined, value, [], settings, new WeakMap());
+}
+
+/**
+ * Marks two objects as being compared, so cyclic structures are walked only once per pair
+ *
+ * @param {Map} pairs - The objects being compared, mapped to the set of objects they are compared with
+ * @param {Object} a - The first object
+ * @param {Object} b - The second object
+ * @returns {boolean} - False when the pair is already being compared further up
+ */
+function enterPair(pairs, a, b) {
+	const partners = pairs.get(a) || new Set();
+	if (partners.has(b)) {
+		return false;
+	}
+
+	pairs.set(a, partners.add(b));
+	return true;
+}
+
+/**
+ * Removes the mark set by `enterPair` once two objects were compared
+ *
+ * @param {Map} pairs - The objects being compared
+ * @param {Object} a - The first object
+ * @param {Object} b - The second object
+ */
+function leavePair(pairs, a, b) {
+	const partners = pairs.get(a);
+	partners.delete(b);
+	if (!partners.size) {
+		pairs.delete(a);
+	}
+}
+
+/**
+ * Compares two values structurally
+ *
+ * @param {*} a - The first value
+ * @param {*} b - The second value
+ * @param {Map} pairs - The objects being compared, see `enterPair`
+ * @returns {boolean} - True or false whether the values are equal
+ */
+function equalValues(a, b, pairs) {
+	if (a === b || (a !== a && b !== b)) {
+		return true;
+	}
+
+	if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object'
+		|| Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+		return false;
+	}
+
+	if (a instanceof Date || a instanceof Number || a instanceof String || a instanceof Boolean) {
+		return equalValues(a.valueOf(), b.valueOf(), pairs);
+	}
+
+	if (a instanceof RegExp) {
+		return a.source === b.source && a.flags === b.flags;
+	}
+
+	if (a instanceof ArrayBuffer || ArrayBuffer.isView(a)) {
+		const bytesA = a instanceof ArrayBuffer ? new Uint8Array(a) : new Uint8Array(a.buffer, a.byteOffset, a.byteLength);
+		const bytesB = b instanceof ArrayBuffer ? new Uint8Array(b) : new Uint8Array(b.buffer, b.byteOffset, b.byteLength);
+		return bytesA.length === bytesB.length && bytesA.every((byte, index) => byte === bytesB[index]);
+	}
+
+	if (!enterPair(pairs, a, b)) {
+		return true;
+	}
+
+	let equal;
+	if (a instanceof Map) {
+		equal = a.size === b.size && [...a].every(([key, value]) => b.has(key) && equalValues(value, b.get(key), pairs));
+	} else if (a instanceof Set) {
+		equal = a.size === b.size && [...a].every(value => b.has(value) || [...b].some(other => equalValues(value, other, pairs)));
+	} else {
+		const keysA = Object.keys(a);
+		const keysB = Object.keys(b);
+		equal = keysA.length === keysB.length
+			&& keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && equalValues(a[key], b[key], pairs));
+	}
+	leavePair(pairs, a, b);
+
+	return equal;
+}
+
+/**
+ * Converts a list of keys into a JSON Pointer (RFC 6901)
+ *
+ * @param {string[]} keys - The keys
+ * @returns {string} - The pointer, `~` and `/` are escaped as `~0` and `~1`
+ */
+function toPointer(keys) {
+	return keys.map(key => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Splits a JSON Pointer (RFC 6901) into its keys
+ *
+ * @param {string} pointer - The pointer, an empty string points to the whole document
+ * @returns {string[]} - The keys
+ */
+function parsePointer(pointer) {
+	if (pointer === '') {
+		return [];
+	}
+
+	if (typeof pointer !== 'string' || pointer[0] !== '/') {
+		throw new Error(`Invalid JSON Pointer "${pointer}"`);
+	}
+
+	return pointer.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Adds the JSON Patch operations that turn one value into another to a patch
+ * A pair of objects reached again through a cycle is already being compared further up and adds nothing.
+ *
+ * @param {*} a - The original value
+ * @param {*} b - The new value
+ * @param {string[]} path - The keys leading to the values
+ * @param {Object[]} patch - The operations found so far
+ * @param {Map} pairs - The objects being compared, see `enterPair`
+ */
+function diffValues(a, b, path, patch, pairs) {
+	const isArrayPair = Array.isArray(a) && Array.isArray(b);
+	if (isArrayPair || (isPlainObject(a) && isPlainObject(b))) {
+		if (!enterPair(pairs, a, b)) {
+			return;
+		}
+
+		if (isArrayPair) {
+			diffArrays(a, b, path, patch, pairs);
+		} else {
+			diffObjects(a, b, path, patch, pairs);
+		}
+		leavePair(pairs, a, b);
+		return;
+	}
+
+	if (!equalValues(a, b, pairs)) {
+		patch.push({op: 'replace', path: toPointer(path), value: b});
+	}
+}
+
+/**
+ * Adds the operations that turn one array into another, items are compared by position
+ *
+ * @param {Array} a - The original array
+ * @param {Array} b - The new array
+ * @param {string[]} path - The keys leading to the arrays
+ * @param {Object[]} patch - The operations found so far
+ * @param {Map} pairs - The objects being compared
+ */
+function diffArrays(a, b, path, patch, pairs) {
+	const common = Math.min(a.length, b.length);
+	for (let index = 0; index < common; index++) {
+		diffValues(a[index], b[index], [...path, String(index)], patch, pairs);
+	}
+	for (let index = a.length - 1; index >= common; index--) {
+		patch.push({op: 'remove', path: toPointer([...path, String(index)])});
+	}
+	for (let index = common; index < b.length; index++) {
+		patch.push({op: 'add', path: toPointer([...path, String(index)]), value: b[index]});
+	}
+}
+
+/**
+ * Adds the operations that turn one plain object into another
+ *
+ * @param {Object} a - The original object
+ * @param {Object} b - The new object
+ * @param {string[]} path - The keys leading to the objects
+ * @param {Object[]} patch - The operations found so far
+ * @param {Map} pairs - The objects being compared
+ */
+function diffObjects(a, b, path, patch, pairs) {
+	Object.keys(a).filter(key => !Object.prototype.hasOwnProperty.call(b, key)).forEach(key => {
+		patch.push({op: 'remove', path: toPointer([...path, key])});
+	});
+	Object.keys(b).forEach(key => {
+		if (Object.prototype.hasOwnProperty.call(a, key)) {
+			diffValues(a[key], b[key], [...path, key], patch, pairs);
+		} else {
+			patch.push({op: 'add', path: toPointer([...path, key]), value: b[key]});
+		}
+	});
+}
+
+/**
+ * Copies a value following the `clone` settings
+ *
+ * @param {*} value - The value to copy
+ * @param {Object} settings - The `clone` settings
+ * @param {WeakMap} seen - The objects already copied, mapped to their copy
+ * @returns {*} - The copy
+ */
+function cloneValue(value, settings, seen) {
+	if (value === null || typeof value !== 'object') {
+		return value;
+	}
+
+	if (seen.has(value)) {
+		return seen.get(value);
+	}
+
+	const child = (item) => (settings.deep ? cloneValue(item, settings, seen) : item);
+	let copy;
+	if (typeof value.nodeType === 'number' && typeof value.cloneNode === 'function') {
+		copy = value.cloneNode(settings.deep);
+	} else if (value instanceof Date) {
+		copy = new Date(value.getTime());
+	} else if (value instanceof RegExp) {
+		copy = new RegExp(value.source, value.flags);
+		copy.lastIndex = value.lastIndex;
+	} else if (value instanceof ArrayBuffer) {
+		copy = value.slice(0);
+	} else if (ArrayBuffer.isView(value)) {
+		const buffer = cloneValue(value.buffer, settings, seen);
+		copy = value instanceof DataView
+			? new DataView(buffer, value.byteOffset, value.byteLength)
+			: new value.constructor(buffer, value.byteOffset, value.length);
+	} else if (value instanceof Number || value instanceof String || value instanceof Boolean) {
+		copy = Object(value.valueOf());
+	} else if (value instanceof WeakMap || value instanceof WeakSet || value instanceof Promise) {
+		return value;
+	}
+
+	if (copy !== undefined) {
+		seen.set(value, copy);
+		return copy;
+	}
+
+	if (value instanceof Map) {
+		copy = new Map();
+		seen.set(value, copy);
+		value.forEach((item, key) => copy.set(child(key), child(item)));
+		return copy;
+	}
+
+	if (value instanceof Set) {
+		copy = new Set();
+		seen.set(value, copy);
+		value.forEach(item => copy.add(child(item)));
+		return copy;
+	}
+
+	copy = Array.isArray(value) ? new Array(value.length) : Object.create(Object.getPrototypeOf(value));
+	seen.set(value, copy);
+	Reflect.ownKeys(value).forEach(key => {
+		if ((Array.isArray(value) && key === 'length') || isUnsafeKey(key, settings.allowUnsafeKeys)) {
+			return;
+		}
+
+		const descriptor = Object.getOwnPropertyDescriptor(value, key);
+		if (!settings.descriptors) {
+			if (descriptor.enumerable) {
+				Object.defineProperty(copy, key, {value: child(value[key]), writable: true, enumerable: true, configurable: true});
+			}
+			return;
+		}
+
+		if ('value' in descriptor) {
+			descriptor.value = child(descriptor.value);
+		}
+		Object.defineProperty(copy, key, descriptor);
+	});
+
+	if (settings.descriptors) {
+		if (Object.isFrozen(value)) {
+			Object.freeze(copy);
+		} else if (Object.isSealed(value)) {
+			Object.seal(copy);
+		} else if (!Object.isExtensible(value)) {
+			Object.preventExtensions(copy);
+		}
+	}
+
+	return copy;
+}
+
+/**
+ * Splits a key into its words, at separators and at camel case boundaries
+ *
+ * @param {string} key - The key
+ * @returns {Object} - The `words`, and the leading and trailing `_` or `-` characters as `prefix` and `suffix`
+ */
+function splitWords(key) {
+	const [, prefix, body, suffix] = key.match(/^([_-]*)(.*?)([_-]*)$/s);
+	const words = body
+		.replace(/([a-z\d])([A-Z])/g, '$1 $2')
+		.replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+		.split(/[\s_.-]+/)
+		.filter(Boolean);
+
+	return {words, prefix, suffix};
+}
+
+/**
+ * @var {Object} - The key case conversions, each joins the lowercase words of a key
+ */
+const keyCases = {
+	camel: (words) => words.map((word, index) => (index ? word[0].toUpperCase() + word.slice(1) : word)).join(''),
+	snake: (words) => words.join('_'),
+	kebab: (words) => words.join('-'),
+};
+
+/**
+ * Converts a key to another case
+ *
+ * @param {string} key - The key
+ * @param {string} keyCase - `camel`, `snake` or `kebab`
+ * @returns {string} - The converted key, leading and trailing `_` or `-` characters are kept
+ */
+function convertCase(key, keyCase) {
+	if (typeof key !== 'string') {
+		return key;
+	}
+
+	const {words, prefix, suffix} = splitWords(key);
+	return prefix + keyCases[keyCase](words.map(word => word.toLowerCase())) + suffix;
+}
+
+/**
+ * @var {symbol} - Returned by an update of `updateShared` to remove the property
+ */
+const removedValue = Symbol('removed');
+
+/**
+ * Copies the top level of an object or array, keeping its prototype
+ *
+ * @param {Object|Array} node - The object to copy
+ * @returns {Object|Array} - The copy
+ */
+function shallowCopy(node) {
+	if (Array.isArray(node)) {
+		return node.slice();
+	}
+
+	return isPlainObject(node) ? {...node} : Object.setPrototypeOf({...node}, Object.getPrototypeOf(node));
+}
+
+/**
+ * Replaces the value at a path, copying only the objects along the path
+ *
+ * @param {*} node - The current object
+ * @param {string[]} keys - The remaining keys of the path
+ * @param {Function} update - Receives the current value and returns the new value, or `removedValue`
+ * @returns {*} - The node itself when nothing changed, otherwise a copy
+ */
+function updateShared(node, keys, update) {
+	if (!keys.length) {
+		return update(node);
+	}
+
+	const [key, ...rest] = keys;
+	const isContainer = node !== null && typeof node === 'object';
+	const exists = isContainer && Object.prototype.hasOwnProperty.call(node, key);
+	const current = exists ? node[key] : undefined;
+	const value = updateShared(current, rest, update);
+
+	if (value === removedValue) {
+		if (!exists) {
+			return node;
+		}
+
+		const copy = shallowCopy(node);
+		if (Array.isArray(copy) && /^\d+$/.test(key)) {
+			copy.splice(Number(key), 1);
+		} else {
+			delete copy[key];
+		}
+		return copy;
+	}
+
+	if (exists && Object.is(value, current)) {
+		return node;
+	}
+
+	const copy = isContainer ? shallowCopy(node) : (/^\d+$/.test(key) ? [] : {});
+	copy[key] = value;
+	return copy;
+}
+
+/**
+ * Merges a source object into a target object without modifying either, sharing the unchanged branches
+ *
+ * @param {Object} target - The original object
+ * @param {Object} source - The object to merge
+ * @param {boolean} allowUnsafeKeys - Whether to merge `__proto__`, `constructor` and `prototype` keys
+ * @returns {Object} - The target itself when nothing changed, otherwise a copy
+ */
+function mergeShared(target, source, allowUnsafeKeys) {
+	let result = target;
+	Object.keys(source).filter(key => !isUnsafeKey(key, allowUnsafeKeys)).forEach(key => {
+		const current = target[key];
+		const value = isPlainObject(current) && isPlainObject(source[key])
+			? mergeShared(current, source[key], allowUnsafeKeys)
+			: source[key];
+
+		if (!Object.prototype.hasOwnProperty.call(target, key) || !Object.is(value, current)) {
+			if (result === target) {
+				result = shallowCopy(target);
+			}
+			result[key] = value;
+		}
+	});
+
+	return result;
+}
+
+/**
+ * Tests if a value is walked by `freeze` and `isFrozenDeep`
+ * Typed arrays cannot be frozen and DOM nodes are left alone.
+ *
+ * @param {*} value - The value to test
+ * @returns {boolean} - True or false whether the value is walked
+ */
+function isFreezable(value) {
+	return value !== null && typeof value === 'object' && !ArrayBuffer.isView(value) && typeof value.nodeType !== 'number';
+}
+
+/**
+ * Lists the values an object holds: its own property values and, for maps and sets, their entries
+ *
+ * @param {Object} value - The object
+ * @returns {Array} - The values
+ */
+function heldValues(value) {
+	const values = [];
+	if (value instanceof Map) {
+		value.forEach((item, key) => values.push(key, item));
+	} else if (value instanceof Set) {
+		value.forEach(item => values.push(item));
+	}
+
+	Reflect.ownKeys(value).forEach(key => {
+		const descriptor = Object.getOwnPropertyDescriptor(value, key);
+		if ('value' in descriptor) {
+			values.push(descriptor.value);
+		}
+	});
+
+	return values;
+}
+
+/**
+ * Appends a key to a path in the format read by `toPath`
+ *
+ * @param {string} prefix - The path so far
+ * @param {string} key - The key to append
+ * @param {boolean} isIndex - Whether the key is an array index, written in brackets
+ * @returns {string} - The path, keys that need it are quoted
+ */
+function appendPath(prefix, key, isIndex) {
+	if (isIndex) {
+		return `${prefix}[${key}]`;
+	}
+
+	if (/^[^.[\]\\'"]+$/.test(key)) {
+		return prefix === '' ? key : `${prefix}.${key}`;
+	}
+
+	return `${prefix}["${key.replace(/["\\]/g, '\\$&')}"]`;
+}
+
+/**
+ * @var {Object} - The default messages of `validateSchema` by keyword, `{value}` is replaced with the keyword value
+ */
+const schemaMessages = {
+	required: 'Is required.',
+	type: 'Must be of type {value}.',
+	enum: 'Must be one of {value}.',
+	const: 'Must be {value}.',
+	minimum: 'Must be at least {value}.',
+	maximum: 'Must be at most {value}.',
+	exclusiveMinimum: 'Must be greater than {value}.',
+	exclusiveMaximum: 'Must be less than {value}.',
+	minLength: 'Must be at least {value} characters.',
+	maxLength: 'Must be at most {value} characters.',
+	minItems: 'Must have at least {value} items.',
+	maxItems: 'Must have at most {value} items.',
+	uniqueItems: 'Must not contain duplicate items.',
+	pattern: 'The format is invalid.',
+	format: 'Must be a valid {value}.',
+	additionalProperties: 'Is not allowed.',
+	custom: 'Is invalid.',
+};
+
+/**
+ * @var {Object} - The checks of the supported `format` values
+ */
+const schemaFormats = {
+	email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+	uri: (value) => /^[a-z][a-z\d+.-]*:\S*$/i.test(value),
+	date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+	'date-time': (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !isNaN(Date.parse(value)),
+};
+
+/**
+ * @var {Object} - The checks of the supported `type` values
+ */
+const schemaTypes = {
+	string: (value) => typeof value === 'string',
+	number: (value) => typeof value === 'number' && !isNaN(value),
+	integer: (value) => Number.isInteger(value),
+	boolean: (value) => typeof value === 'boolean',
+	object: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+	array: (value) => Array.isArray(value),
+	null: (value) => value === null,
+};
+
+/**
+ * Converts a value to one of the given types when it is an obvious representation, such as form or query string values
+ *
+ * @param {*} value - The value to convert
+ * @param {string[]} types - The accepted types
+ * @returns {*} - The converted value, or the value itself when it already matches or cannot be converted
+ */
+function coerceValue(value, types) {
+	if (types.some(type => schemaTypes[type] && schemaTypes[type](value))) {
+		return value;
+	}
+
+	for (const type of types) {
+		if ((type === 'number' || type === 'integer') && typeof value === 'string' && value.trim() !== '') {
+			const number = Number(value);
+			if (schemaTypes[type](number)) {
+				return number;
+			}
+		} else if (type === 'boolean' && ['true', 'false', '1', '0', 1, 0].includes(value)) {
+			return value === 'true' || value === '1' || value === 1;
+		} else if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+			return String(value);
+		} else if (type === 'null' && value === '') {
+			return null;
+		} else if (type === 'array' && value !== null && value !== undefined) {
+			return [value];
+		}
+	}
+
+	return value;
+}
+
+/**
+ * Validates a value against a schema, collecting the errors and returning the value with defaults and coercion applied
+ *
+ * @param {*} value - The value to validate
+ * @param {Object} schema - The schema of the value
+ * @param {Array} keys - The path of the value, array indexes are numbers
+ * @param {Object} context - The settings, the root value and the errors found so far
+ * @returns {*} - The value, copied when defaults or coercion changed it
+ */
+function checkSchema(value, schema, keys, context) {
+	const path = keys.reduce((prefix, key) => appendPath(prefix, String(key), typeof key === 'number'), '');
+	const fail = (keyword, keywordValue, errorPath = path, messages = schema.messages) => {
+		const template = (messages && messages[keyword]) || context.messages[keyword] || schemaMessages[keyword];
+		const text = Array.isArray(keywordValue) ? keywordValue.join(', ') : keywordValue;
+		context.errors.push({path: errorPath, keyword, message: template.replace('{value}', text)});
+	};
+
+	if (value === undefined && schema.default !== undefined && context.defaults) {
+		value = ObjectHelper.clone(schema.default);
+	}
+	if (value === undefined) {
+		return value;
+	}
+
+	const types = [].concat(schema.type || []);
+	if (context.coerce && types.length) {
+		value = coerceValue(value, types);
+	}
+	if (types.length && !types.some(type => schemaTypes[type] && schemaTypes[type](value))) {
+		fail('type', types.join(' or '));
+		return value;
+	}
+
+	if (schema.enum && !schema.enum.some(item => ObjectHelper.isEqual(item, value))) {
+		fail('enum', schema.enum.map(String));
+	}
+	if (schema.const !== undefined && !ObjectHelper.isEqual(schema.const, value)) {
+		fail('const', String(schema.const));
+	}
+
+	const size = typeof value === 'string' ? 'length' : (Array.isArray(value) ? 'items' : 'value');
+	const limits = {
+		value: {minimum: schema.minimum ?? schema.min, maximum: schema.maximum ?? schema.max},
+		length: {minLength: schema.minLength ?? schema.min, maxLength: schema.maxLength ?? schema.max},
+		items: {minItems: schema.minItems ?? schema.min, maxItems: schema.maxItems ?? schema.max},
+	}[size];
+	const measured = size === 'value' ? value : value.length;
+	Object.entries(limits).forEach(([keyword, limit]) => {
+		if (typeof limit === 'number' && typeof measured === 'number'
+			&& (keyword.startsWith('min') ? measured < limit : measured > limit)) {
+			fail(keyword, limit);
+		}
+	});
+	if (typeof value === 'number') {
+		if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+			fail('exclusiveMinimum', schema.exclusiveMinimum);
+		}
+		if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+			fail('exclusiveMaximum', schema.exclusiveMaximum);
+		}
+	}
+
+	if (typeof value === 'string') {
+		if (schema.pattern && !(schema.pattern instanceof RegExp ? schema.pattern : new RegExp(schema.pattern)).test(value)) {
+			fail('pattern', String(schema.pattern));
+		}
+		if (schema.format && schemaFormats[schema.format] && !schemaFormats[schema.format](value)) {
+			fail('format', schema.format);
+		}
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.uniqueItems && value.some((item, index) => value.findIndex(other => ObjectHelper.isEqual(item, other)) !== index)) {
+			fail('uniqueItems', true);
+		}
+		if (schema.items) {
+			const items = value.map((item, index) => checkSchema(item, schema.items, [...keys, index], context));
+			if (items.some((item, index) => item !== value[index])) {
+				value = items;
+			}
+		}
+	}
+
+	if (schemaTypes.object(value) && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+		const properties = schema.properties || {};
+		const required = Array.isArray(schema.required) ? schema.required : [];
+		let result = value;
+		const assign = (key, item) => {
+			if (item !== value[key] && !isUnsafeKey(key, false)) {
+				result = result === value ? {...value} : result;
+				result[key] = item;
+			}
+		};
+
+		Object.keys(properties).filter(key => !isUnsafeKey(key, false)).forEach(key => {
+			const item = checkSchema(value[key], properties[key], [...keys, key], context);
+			if (item === undefined && (required.includes(key) || properties[key].required === true)) {
+				fail('required', true, appendPath(path, key, false), properties[key].messages);
+			}
+			assign(key, item);
+		});
+
+		required.filter(key => !properties[key] && value[key] === undefined).forEach(key => {
+			fail('required', true, appendPath(path, key, false));
+		});
+
+		if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+			Object.keys(value).filter(key => !Object.prototype.hasOwnProperty.call(properties, key)).forEach(key => {
+				if (schema.additionalProperties === false) {
+					fail('additionalProperties', false, appendPath(path, key, false));
+				} else {
+					assign(key, checkSchema(value[key], schema.additionalProperties, [...keys, key], context));
+				}
+			});
+		}
+		value = result;
+	}
+
+	[].concat(schema.validators || []).forEach(validator => {
+		const result = validator(value, context.root);
+		if (typeof result === 'string') {
+			context.errors.push({path, keyword: 'custom', message: result});
+		} else if (result === false) {
+			fail('custom', '');
+		}
+	});
+
+	return value;
+}
+
 export class ObjectHelper {
 
+	/**
+	 * Whether the keys `__proto__`, `constructor` and `prototype` are accepted
+	 * By default `merge`, `mergeWith` and the path helpers skip or refuse these keys, so merging untrusted data such as
+	 * parsed JSON cannot modify `Object.prototype`. Only turn this on for trusted data that really uses these keys.
+	 *
+	 * @type {boolean}
+	 */
+	static allowUnsafeKeys = false;
+
 	/**
      * Test if something is an object
      * 
@@ -17,6 +868,7 @@ export class ObjectHelper {
 
 	/**
      * Deep merge two objects it modifies the first object passed with following arguments and returns the modified object as well
+     * The keys `__proto__`, `constructor` and `prototype` are skipped, see `allowUnsafeKeys`
      * 
      * @param {Object} target - The target to be modified
      * @param {...Object} sources - The objects that will be deeply merged
@@ -36,6 +888,10 @@ export class ObjectHelper {
 		sources.forEach(source => {
 			if (this.isObject(source)) {
 				Object.keys(source).forEach(key => {
+					if (isUnsafeKey(key, this.allowUnsafeKeys)) {
+						return;
+					}
+
 					const srcValue = source[key];
 					if (this.isObject(srcValue)) {
 						if (!target[key] || !this.isObject(target[key])) {
@@ -52,6 +908,95 @@ export class ObjectHelper {
 		return target;
 	}
 
+	/**
+	 * Deep merge objects with configurable strategies
+	 *
+	 * Only plain objects are merged recursively; class instances are assigned as they are. Dates and regular
+	 * expressions are copied, maps are merged by key and sets are combined. Circular references in the sources
+	 * are reproduced in the result instead of recursing forever.
+	 *
+	 * Array strategies:
+	 * - `replace`: the source array replaces the target array, the default as with `merge`
+	 * - `concat`: the source items are appended
+	 * - `union`: the source items that are not in the target yet are appended
+	 * - `index`: items are merged by their position
+	 * - `byKey`: objects are merged with the target item that has the same `arrayKey` value, other items are appended
+	 *
+	 * @param {Object} options - The merge options
+	 * @param {string} [options.arrays] - The array strategy, defaults to `replace`
+	 * @param {string} [options.arrayKey] - The property identifying items with the `byKey` strategy, defaults to `id`
+	 * @param {boolean} [options.mutate] - Whether to modify the target, when false a merged copy is returned, defaults to true
+	 * @param {string} [options.undefinedValues] - `overwrite` (the default) or `skip` to ignore undefined source values
+	 * @param {Function|Object} [options.resolve] - A function receiving the target value, the source value and `{path, key}`,
+	 *     or such functions by dotted path; returning anything but undefined replaces the default merge
+	 * @param {boolean} [options.allowUnsafeKeys] - Whether to merge `__proto__`, `constructor` and `prototype` keys, defaults to `ObjectHelper.allowUnsafeKeys`
+	 * @param {Object} target - The target to be merged into
+	 * @param {...Object} sources - The objects that will be deeply merged
+	 * @returns {Object} - The target object, or the merged copy
+	 *
+	 * @example
+	 * var config = {tags: ['a'], users: [{id: 1, name: 'John'}]};
+	 * ObjectHelper.mergeWith({arrays: 'byKey', mutate: false}, config, {users: [{id: 1, age: 30}, {id: 2, name: 'Jane'}]});
+	 * // returns {tags: ['a'], users: [{id: 1, name: 'John', age: 30}, {id: 2, name: 'Jane'}]}, config is unchanged
+	 * ObjectHelper.mergeWith({resolve: {total: (a, b) => a + b}}, {total: 1}, {total: 2});
+	 * // returns {total: 3}
+	 */
+	static mergeWith(options, target, ...sources) {
+		if (!this.isObject(target)) {
+			throw new Error('Target must be an object');
+		}
+
+		const settings = {
+			arrays: 'replace',
+			arrayKey: 'id',
+			mutate: true,
+			undefinedValues: 'overwrite',
+			resolve: null,
+			allowUnsafeKeys: this.allowUnsafeKeys,
+			...options,
+		};
+		if (!arrayStrategies.includes(settings.arrays)) {
+			throw new Error(`Unknown array strategy "${settings.arrays}"`);
+		}
+
+		const result = settings.mutate ? target : copyValue(target, settings.allowUnsafeKeys);
+
+		sources.forEach(source => {
+			if (this.isObject(source)) {
+				mergeObject(result, source, [], settings, new WeakMap());
+			}
+		});
+
+		return result;
+	}
+
+	/**
+	 * Copies a value, deeply by default
+	 *
+	 * Dates, regular expressions, maps, sets, array buffers and typed arrays are copied with their own constructors,
+	 * DOM nodes with `cloneNode`, and other objects keep their prototype, so class instances stay instances of their class.
+	 * Symbol keys are copied and circular references are reproduced in the copy. Functions, weak maps, weak sets and
+	 * promises cannot be copied and are kept as they are. The keys `__proto__`, `constructor` and `prototype` are skipped,
+	 * see `allowUnsafeKeys`.
+	 *
+	 * @param {*} value - The value to copy
+	 * @param {Object} options - Additional options
+	 * @param {boolean} [options.deep] - Whether to copy nested values too, defaults to true
+	 * @param {boolean} [options.descriptors] - Whether to copy the property descriptors, including non-enumerable properties,
+	 *     getters and setters, and the frozen, sealed or non-extensible state
+	 * @returns {*} - The copy
+	 *
+	 * @example
+	 * var original = {at: new Date(0), tags: new Set(['a']), users: [{name: 'John'}]};
+	 * original.self = original;
+	 * var copy = ObjectHelper.clone(original);
+	 * // copy.users[0] !== original.users[0], copy.self === copy
+	 */
+	static clone(value, options = {}) {
+		const settings = {deep: true, descriptors: false, allowUnsafeKeys: this.allowUnsafeKeys, ...options};
+		return cloneValue(value, settings, new WeakMap());
+	}
+
 	/**
 	 * Removes a property from an object and returns its value
 	 * 
@@ -88,4 +1033,896 @@ export class ObjectHelper {
 	static count(item) {
 		return Object.keys(item).length;
 	}
+
+	/**
+	 * Splits a path into its keys
+	 * Keys are separated with dots or written in brackets, a backslash escapes the next character,
+	 * and quoted bracket keys may contain dots and brackets.
+	 *
+	 * @param {string|Array|number} path - The path, an array of keys is returned as strings
+	 * @returns {string[]} - The keys
+	 *
+	 * @example
+	 * ObjectHelper.toPath('a.b[0].c');
+	 * // returns ['a', 'b', '0', 'c']
+	 * ObjectHelper.toPath('files["report.pdf"].size');
+	 * // returns ['files', 'report.pdf', 'size']
+	 * ObjectHelper.toPath('version\\.major');
+	 * // returns ['version.major']
+	 */
+	static toPath(path) {
+		if (Array.isArray(path)) {
+			return path.map(String);
+		}
+
+		const source = String(path);
+		const keys = [];
+		let current = '';
+		let afterBracket = false;
+
+		for (let index = 0; index < source.length; index++) {
+			const char = source[index];
+			if (char === '\\' && index + 1 < source.length) {
+				current += source[++index];
+				afterBracket = false;
+			} else if (char === '.') {
+				if (!afterBracket) {
+					keys.push(current);
+				}
+				current = '';
+				afterBracket = false;
+			} else if (char === '[') {
+				if (current !== '') {
+					keys.push(current);
+				}
+
+				const quote = source[index + 1] === '"' || source[index + 1] === '\'' ? source[index + 1] : null;
+				let key = '';
+				index += quote ? 2 : 1;
+				while (index < source.length && (quote ? source[index] !== quote : source[index] !== ']')) {
+					if (quote && source[index] === '\\' && index + 1 < source.length) {
+						index++;
+					}
+					key += source[index++];
+				}
+
+				if (quote) {
+					index++;
+				}
+				if (source[index] !== ']') {
+					throw new Error(`Invalid path "${source}"`);
+				}
+
+				keys.push(key);
+				current = '';
+				afterBracket = true;
+			} else {
+				current += char;
+				afterBracket = false;
+			}
+		}
+
+		if (!afterBracket) {
+			keys.push(current);
+		}
+
+		return keys;
+	}
+
+	/**
+	 * Reads the value at a path
+	 *
+	 * @param {Object|Array} target - The object to read from
+	 * @param {string|Array} path - The path, see `toPath`
+	 * @param {*} defaultValue - The value returned when the path does not exist or resolves to undefined
+	 * @returns {*} - The value, or the default value
+	 *
+	 * @example
+	 * var obj = {users: [{name: 'John'}]};
+	 * ObjectHelper.get(obj, 'users[0].name');
+	 * // returns 'John'
+	 * ObjectHelper.get(obj, 'users[1].name', 'Nobody');
+	 * // returns 'Nobody'
+	 */
+	static get(target, path, defaultValue = undefined) {
+		let current = target;
+		for (const key of this.toPath(path)) {
+			if (current === null || current === undefined || isUnsafeKey(key, this.allowUnsafeKeys)) {
+				return defaultValue;
+			}
+			current = current[key];
+		}
+
+		return current === undefined ? defaultValue : current;
+	}
+
+	/**
+	 * Writes a value at a path, creating the missing intermediate objects and arrays
+	 * An array is created when the next key is a numeric index.
+	 *
+	 * @param {Object|Array} target - The object to modify
+	 * @param {string|Array} path - The path, see `toPath`
+	 * @param {*} value - The value to write
+	 * @returns {Object|Array} - The modified target object
+	 *
+	 * @example
+	 * var obj = {};
+	 * ObjectHelper.set(obj, 'users[0].name', 'John');
+	 * // obj = {users: [{name: 'John'}]}
+	 */
+	static set(target, path, value) {
+		const keys = this.toPath(path);
+		const unsafeKey = keys.find(key => isUnsafeKey(key, this.allowUnsafeKeys));
+		if (unsafeKey !== undefined) {
+			throw new Error(`Unsafe path segment "${unsafeKey}"`);
+		}
+
+		let current = target;
+		keys.forEach((key, index) => {
+			if (index === keys.length - 1) {
+				current[key] = value;
+				return;
+			}
+
+			if (current[key] === null || typeof current[key] !== 'object') {
+				current[key] = /^\d+$/.test(keys[index + 1]) ? [] : {};
+			}
+			current = current[key];
+		});
+
+		return target;
+	}
+
+	/**
+	 * Tests if a path exists, every key must be an own property
+	 *
+	 * @param {Object|Array} target - The object to test
+	 * @param {string|Array} path - The path, see `toPath`
+	 * @returns {boolean} - True or false whether the path exists
+	 *
+	 * @example
+	 * var obj = {user: {name: undefined}};
+	 * ObjectHelper.has(obj, 'user.name');
+	 * // returns true
+	 * ObjectHelper.has(obj, 'user.toString');
+	 * // returns false
+	 */
+	static has(target, path) {
+		let current = target;
+		for (const key of this.toPath(path)) {
+			if (current === null || current === undefined || isUnsafeKey(key, this.allowUnsafeKeys)
+				|| !Object.prototype.hasOwnProperty.call(current, key)) {
+				return false;
+			}
+			current = current[key];
+		}
+
+		return true;
+	}
+
+	/**
+	 * Removes the property at a path, array items are spliced out so no hole is left
+	 *
+	 * @param {Object|Array} target - The object to modify
+	 * @param {string|Array} path - The path, see `toPath`
+	 * @returns {boolean} - True or false whether a property was removed
+	 *
+	 * @example
+	 * var obj = {user: {name: 'John', tags: ['a', 'b']}};
+	 * ObjectHelper.unset(obj, 'user.tags[0]');
+	 * // obj = {user: {name: 'John', tags: ['b']}}
+	 */
+	static unset(target, path) {
+		const keys = this.toPath(path);
+		const last = keys.pop();
+		if (!this.has(target, keys) || isUnsafeKey(last, this.allowUnsafeKeys)) {
+			return false;
+		}
+
+		const parent = keys.length ? this.get(target, keys) : target;
+		if (parent === null || typeof parent !== 'object' || !Object.prototype.hasOwnProperty.call(parent, last)) {
+			return false;
+		}
+
+		if (Array.isArray(parent) && /^\d+$/.test(last)) {
+			parent.splice(Number(last), 1);
+		} else {
+			delete parent[last];
+		}
+
+		return true;
+	}
+
+	/**
+	 * Lists the paths of all the leaf values of an object
+	 * Plain objects and arrays are walked; other values, empty objects and empty arrays are leaves.
+	 * Array indexes are written in brackets and keys that need it are quoted, so every path can be read back with `get`.
+	 * The keys `__proto__`, `constructor` and `prototype` are left out, see `allowUnsafeKeys`.
+	 *
+	 * @param {Object|Array} target - The object to walk
+	 * @returns {string[]} - The leaf paths
+	 *
+	 * @example
+	 * ObjectHelper.paths({user: {name: 'John', tags: ['a']}, 'a.b': 1});
+	 * // returns ['user.name', 'user.tags[0]', '["a.b"]']
+	 */
+	static paths(target) {
+		const result = [];
+		const ancestors = new Set();
+		const isWalkable = (value) => Array.isArray(value) || isPlainObject(value);
+
+		const walk = (value, prefix) => {
+			const keys = Object.keys(value).filter(key => !isUnsafeKey(key, this.allowUnsafeKeys));
+			if (!keys.length && prefix !== '') {
+				result.push(prefix);
+				return;
+			}
+
+			ancestors.add(value);
+			keys.forEach(key => {
+				const path = appendPath(prefix, key, Array.isArray(value));
+				const child = value[key];
+				if (isWalkable(child) && !ancestors.has(child)) {
+					walk(child, path);
+				} else {
+					result.push(path);
+				}
+			});
+			ancestors.delete(value);
+		};
+
+		if (isWalkable(target)) {
+			walk(target, '');
+		}
+
+		return result;
+	}
+
+	/**
+	 * Compares two values structurally
+	 * Plain objects and arrays are compared by their own enumerable properties, dates by their time, regular expressions by
+	 * their source and flags, maps and sets by their entries, and array buffers and typed arrays by their bytes.
+	 * Values must share the same prototype, `NaN` equals itself and circular references are supported.
+	 *
+	 * @param {*} a - The first value
+	 * @param {*} b - The second value
+	 * @returns {boolean} - True or false whether the values are equal
+	 *
+	 * @example
+	 * ObjectHelper.isEqual({tags: new Set(['a']), at: new Date(0)}, {tags: new Set(['a']), at: new Date(0)});
+	 * // returns true
+	 */
+	static isEqual(a, b) {
+		return equalValues(a, b, new Map());
+	}
+
+	/**
+	 * Lists the changes between two values as a JSON Patch (RFC 6902)
+	 * Plain objects and arrays are compared recursively, array items by their position. Removed array items are listed
+	 * from the last to the first, so the patch can be applied in order with `applyPatch`. Self-referencing values are
+	 * supported, a cycle reached again at the same place in both values adds no operation.
+	 *
+	 * @param {*} a - The original value
+	 * @param {*} b - The new value
+	 * @returns {Object[]} - The `add`, `remove` and `replace` operations, with JSON Pointer paths
+	 *
+	 * @example
+	 * ObjectHelper.diff({name: 'John', tags: ['a', 'b']}, {name: 'Jane', tags: ['a'], age: 30});
+	 * // returns [
+	 * //     {op: 'replace', path: '/name', value: 'Jane'},
+	 * //     {op: 'remove', path: '/tags/1'},
+	 * //     {op: 'add', path: '/age', value: 30},
+	 * // ]
+	 */
+	static diff(a, b) {
+		const patch = [];
+		diffValues(a, b, [], patch, new Map());
+
+		return patch;
+	}
+
+	/**
+	 * Applies a JSON Patch (RFC 6902) to a copy of a document
+	 * The operations `add`, `remove`, `replace`, `move`, `copy` and `test` are supported. The patch is applied as a whole:
+	 * when an operation fails an error is thrown and the document is left unchanged. The document and the added values are copied
+	 * with `clone`, so class instances in them are copied as well.
+	 *
+	 * @param {*} document - The document to patch
+	 * @param {Object[]} patch - The operations
+	 * @returns {*} - The patched copy of the document
+	 *
+	 * @example
+	 * ObjectHelper.applyPatch({tags: ['a']}, [{op: 'add', path: '/tags/-', value: 'b'}, {op: 'test', path: '/tags/1', value: 'b'}]);
+	 * // returns {tags: ['a', 'b']}
+	 */
+	static applyPatch(document, patch) {
+		let result = this.clone(document);
+
+		const resolve = (pointer) => {
+			const keys = parsePointer(pointer);
+			const unsafeKey = keys.find(key => isUnsafeKey(key, this.allowUnsafeKeys));
+			if (unsafeKey !== undefined) {
+				throw new Error(`Unsafe path segment "${unsafeKey}"`);
+			}
+
+			const key = keys.pop();
+			let parent = result;
+			keys.forEach(segment => {
+				if (parent === null || typeof parent !== 'object' || !Object.prototype.hasOwnProperty.call(parent, segment)) {
+					throw new Error(`Path "${pointer}" does not exist`);
+				}
+				parent = parent[segment];
+			});
+
+			if (key !== undefined && (parent === null || typeof parent !== 'object')) {
+				throw new Error(`Path "${pointer}" does not exist`);
+			}
+
+			return {parent, key};
+		};
+
+		const read = (pointer) => {
+			const {parent, key} = resolve(pointer);
+			if (key === undefined) {
+				return result;
+			}
+			// Array items are only reached through an index, not through properties such as `length`
+			if (!Object.prototype.hasOwnProperty.call(parent, key) || (Array.isArray(parent) && !/^(0|[1-9]\d*)$/.test(key))) {
+				throw new Error(`Path "${pointer}" does not exist`);
+			}
+
+			return parent[key];
+		};
+
+		const add = (pointer, value) => {
+			const {parent, key} = resolve(pointer);
+			if (key === undefined) {
+				result = value;
+			} else if (Array.isArray(parent)) {
+				const index = key === '-' ? parent.length : Number(key);
+				if (!/^(0|[1-9]\d*|-)$/.test(key) || index > parent.length) {
+					throw new Error(`Path "${pointer}" does not exist`);
+				}
+				parent.splice(index, 0, value);
+			} else {
+				parent[key] = value;
+			}
+		};
+
+		const remove = (pointer) => {
+			read(pointer);
+			const {parent, key} = resolve(pointer);
+			if (key === undefined) {
+				result = undefined;
+			} else if (Array.isArray(parent)) {
+				parent.splice(Number(key), 1);
+			} else {
+				delete parent[key];
+			}
+		};
+
+		patch.forEach(operation => {
+			switch (operation.op) {
+				case 'add':
+					add(operation.path, this.clone(operation.value));
+					break;
+				case 'remove':
+					remove(operation.path);
+					break;
+				case 'replace':
+					remove(operation.path);
+					add(operation.path, this.clone(operation.value));
+					break;
+				case 'move': {
+					if (operation.path.startsWith(`${operation.from}/`)) {
+						throw new Error(`Cannot move "${operation.from}" into itself`);
+					}
+					const value = read(operation.from);
+					remove(operation.from);
+					add(operation.path, value);
+					break;
+				}
+				case 'copy':
+					add(operation.path, this.clone(read(operation.from)));
+					break;
+				case 'test':
+					if (!this.isEqual(read(operation.path), operation.value)) {
+						throw new Error(`Test failed at "${operation.path}"`);
+					}
+					break;
+				default:
+					throw new Error(`Invalid patch operation "${operation.op}"`);
+			}
+		});
+
+		return result;
+	}
+
+	/**
+	 * Creates a JSON Merge Patch (RFC 7386) that turns one value into another
+	 * Removed keys are set to null, so null values in the new value cannot be represented.
+	 *
+	 * @param {*} a - The original value
+	 * @param {*} b - The new value
+	 * @returns {*} - The merge patch
+	 *
+	 * @example
+	 * ObjectHelper.createMergePatch({name: 'John', age: 30, address: {city: 'Oslo'}}, {name: 'John', address: {city: 'Bergen'}});
+	 * // returns {age: null, address: {city: 'Bergen'}}
+	 */
+	static createMergePatch(a, b) {
+		if (!isPlainObject(a) || !isPlainObject(b)) {
+			return b;
+		}
+
+		const patch = {};
+		Object.keys(a).filter(key => !Object.prototype.hasOwnProperty.call(b, key)).forEach(key => {
+			patch[key] = null;
+		});
+		Object.keys(b).forEach(key => {
+			if (!Object.prototype.hasOwnProperty.call(a, key)) {
+				patch[key] = b[key];
+			} else if (isPlainObject(a[key]) && isPlainObject(b[key])) {
+				const nested = this.createMergePatch(a[key], b[key]);
+				if (Object.keys(nested).length) {
+					patch[key] = nested;
+				}
+			} else if (!this.isEqual(a[key], b[key])) {
+				patch[key] = b[key];
+			}
+		});
+
+		return patch;
+	}
+
+	/**
+	 * Applies a JSON Merge Patch (RFC 7386) to a copy of a value, the reverse of `createMergePatch`
+	 *
+	 * @param {*} target - The value to patch
+	 * @param {*} patch - The merge patch, null values remove keys
+	 * @returns {*} - The patched copy
+	 *
+	 * @example
+	 * ObjectHelper.applyMergePatch({name: 'John', age: 30}, {age: null, city: 'Oslo'});
+	 * // returns {name: 'John', city: 'Oslo'}
+	 */
+	static applyMergePatch(target, patch) {
+		if (!isPlainObject(patch)) {
+			return copyValue(patch, this.allowUnsafeKeys);
+		}
+
+		const result = isPlainObject(target) ? copyValue(target, this.allowUnsafeKeys) : {};
+		Object.keys(patch).filter(key => !isUnsafeKey(key, this.allowUnsafeKeys)).forEach(key => {
+			if (patch[key] === null) {
+				delete result[key];
+			} else {
+				result[key] = this.applyMergePatch(result[key], patch[key]);
+			}
+		});
+
+		return result;
+	}
+
+	/**
+	 * Creates an object with only the given paths of an object
+	 *
+	 * @param {Object} target - The object to pick from
+	 * @param {string|Array} paths - A path or a list of paths, see `toPath`
+	 * @returns {Object} - The new object, paths that do not exist are left out
+	 *
+	 * @example
+	 * ObjectHelper.pick({user: {name: 'John', password: 'secret'}, page: 1}, ['user.name', 'page']);
+	 * // returns {user: {name: 'John'}, page: 1}
+	 */
+	static pick(target, paths) {
+		const result = {};
+		[].concat(paths).forEach(path => {
+			if (this.has(target, path)) {
+				this.set(result, path, this.clone(this.get(target, path)));
+			}
+		});
+
+		return result;
+	}
+
+	/**
+	 * Creates a deep copy of an object without the given paths
+	 *
+	 * @param {Object} target - The object to copy
+	 * @param {string|Array} paths - A path or a list of paths, see `toPath`
+	 * @returns {Object} - The new object
+	 *
+	 * @example
+	 * ObjectHelper.omit({user: {name: 'John', password: 'secret'}, page: 1}, 'user.password');
+	 * // returns {user: {name: 'John'}, page: 1}
+	 */
+	static omit(target, paths) {
+		const result = this.clone(target);
+		[].concat(paths).forEach(path => this.unset(result, path));
+
+		return result;
+	}
+
+	/**
+	 * Creates an object with the keys returned by a function
+	 *
+	 * @param {Object} target - The object to transform
+	 * @param {Function} callback - Receives the value, the key and the object and returns the new key
+	 * @param {Object} options - Additional options
+	 * @param {boolean} [options.deep] - Whether to also transform the keys of nested plain objects, including those in arrays
+	 * @returns {Object} - The new object
+	 *
+	 * @example
+	 * ObjectHelper.mapKeys({a: 1, b: 2}, (value, key) => key.toUpperCase());
+	 * // returns {A: 1, B: 2}
+	 */
+	static mapKeys(target, callback, options = {}) {
+		const seen = new WeakMap();
+		const transform = (value) => {
+			if (!options.deep || (!isPlainObject(value) && !Array.isArray(value))) {
+				return value;
+			}
+			if (seen.has(value)) {
+				return seen.get(value);
+			}
+
+			const result = Array.isArray(value) ? [] : {};
+			seen.set(value, result);
+			if (Array.isArray(value)) {
+				value.forEach(item => result.push(transform(item)));
+			} else {
+				mapObject(value, result);
+			}
+			return result;
+		};
+
+		const mapObject = (source, result) => {
+			Object.keys(source).forEach(key => {
+				const newKey = callback(source[key], key, source);
+				if (!isUnsafeKey(newKey, this.allowUnsafeKeys)) {
+					result[newKey] = transform(source[key]);
+				}
+			});
+			return result;
+		};
+
+		return options.deep ? transform(target) : mapObject(target, {});
+	}
+
+	/**
+	 * Creates an object with the values returned by a function
+	 *
+	 * @param {Object} target - The object to transform
+	 * @param {Function} callback - Receives the value, the key and the object and returns the new value
+	 * @returns {Object} - The new object
+	 *
+	 * @example
+	 * ObjectHelper.mapValues({a: 1, b: 2}, value => value * 10);
+	 * // returns {a: 10, b: 20}
+	 */
+	static mapValues(target, callback) {
+		const result = {};
+		Object.keys(target).filter(key => !isUnsafeKey(key, this.allowUnsafeKeys)).forEach(key => {
+			result[key] = callback(target[key], key, target);
+		});
+
+		return result;
+	}
+
+	/**
+	 * Creates an object with the properties for which a function returns true
+	 *
+	 * @param {Object} target - The object to filter
+	 * @param {Function} predicate - Receives the value, the key and the object
+	 * @returns {Object} - The new object
+	 *
+	 * @example
+	 * ObjectHelper.filter({name: 'John', email: '', age: null}, value => value !== '' && value !== null);
+	 * // returns {name: 'John'}
+	 */
+	static filter(target, predicate) {
+		const result = {};
+		const keys = Object.keys(target).filter(key => !isUnsafeKey(key, this.allowUnsafeKeys));
+		keys.filter(key => predicate(target[key], key, target)).forEach(key => {
+			result[key] = target[key];
+		});
+
+		return result;
+	}
+
+	/**
+	 * Creates an object with the keys and values swapped, the last key wins when values repeat
+	 *
+	 * @param {Object} target - The object to invert
+	 * @returns {Object} - The new object, its keys are the values converted to strings
+	 *
+	 * @example
+	 * ObjectHelper.invert({us: 'United States', ca: 'Canada'});
+	 * // returns {'United States': 'us', 'Canada': 'ca'}
+	 */
+	static invert(target) {
+		const result = {};
+		Object.keys(target).forEach(key => {
+			const value = String(target[key]);
+			if (!isUnsafeKey(value, this.allowUnsafeKeys)) {
+				result[value] = key;
+			}
+		});
+
+		return result;
+	}
+
+	/**
+	 * Flattens nested plain objects and arrays into a single level object with joined keys
+	 * Empty objects and arrays are kept as values. Keys that contain the separator cannot be restored by `unflatten`.
+	 *
+	 * @param {Object} target - The object to flatten
+	 * @param {string} separator - The string joining the keys, defaults to a dot
+	 * @returns {Object} - The flat object
+	 *
+	 * @example
+	 * ObjectHelper.flatten({user: {name: 'John', tags: ['a', 'b']}});
+	 * // returns {'user.name': 'John', 'user.tags.0': 'a', 'user.tags.1': 'b'}
+	 */
+	static flatten(target, separator = '.') {
+		const result = {};
+		const ancestors = new Set();
+		const walk = (value, prefix) => {
+			const keys = Object.keys(value).filter(key => !isUnsafeKey(key, this.allowUnsafeKeys));
+			if (!keys.length && prefix !== '') {
+				result[prefix] = value;
+				return;
+			}
+
+			ancestors.add(value);
+			keys.forEach(key => {
+				const flatKey = prefix === '' ? key : `${prefix}${separator}${key}`;
+				const child = value[key];
+				if ((isPlainObject(child) || Array.isArray(child)) && !ancestors.has(child)) {
+					walk(child, flatKey);
+				} else {
+					result[flatKey] = child;
+				}
+			});
+			ancestors.delete(value);
+		};
+		walk(target, '');
+
+		return result;
+	}
+
+	/**
+	 * Restores nested objects from the joined keys of `flatten`, numeric keys create arrays
+	 * Keys containing `__proto__`, `constructor` or `prototype` are skipped, see `allowUnsafeKeys`.
+	 *
+	 * @param {Object} target - The flat object
+	 * @param {string} separator - The string joining the keys, defaults to a dot
+	 * @returns {Object} - The nested object
+	 *
+	 * @example
+	 * ObjectHelper.unflatten({'user.name': 'John', 'user.tags.0': 'a'});
+	 * // returns {user: {name: 'John', tags: ['a']}}
+	 */
+	static unflatten(target, separator = '.') {
+		const result = {};
+		Object.keys(target).forEach(key => {
+			const keys = key.split(separator);
+			if (!keys.some(segment => isUnsafeKey(segment, this.allowUnsafeKeys))) {
+				this.set(result, keys, target[key]);
+			}
+		});
+
+		return result;
+	}
+
+	/**
+	 * Converts the keys of an object and its nested plain objects to camel case
+	 *
+	 * @param {Object|Array} target - The object to convert
+	 * @returns {Object|Array} - The new object
+	 *
+	 * @example
+	 * ObjectHelper.camelCaseKeys({first_name: 'John', 'home-address': {zip_code: '0150'}});
+	 * // returns {firstName: 'John', homeAddress: {zipCode: '0150'}}
+	 */
+	static camelCaseKeys(target) {
+		return this.mapKeys(target, (value, key) => convertCase(key, 'camel'), {deep: true});
+	}
+
+	/**
+	 * Converts the keys of an object and its nested plain objects to snake case
+	 *
+	 * @param {Object|Array} target - The object to convert
+	 * @returns {Object|Array} - The new object
+	 *
+	 * @example
+	 * ObjectHelper.snakeCaseKeys({firstName: 'John', homeAddress: {zipCode: '0150'}});
+	 * // returns {first_name: 'John', home_address: {zip_code: '0150'}}
+	 */
+	static snakeCaseKeys(target) {
+		return this.mapKeys(target, (value, key) => convertCase(key, 'snake'), {deep: true});
+	}
+
+	/**
+	 * Converts the keys of an object and its nested plain objects to kebab case
+	 *
+	 * @param {Object|Array} target - The object to convert
+	 * @returns {Object|Array} - The new object
+	 *
+	 * @example
+	 * ObjectHelper.kebabCaseKeys({firstName: 'John', ariaLabel: 'Name'});
+	 * // returns {'first-name': 'John', 'aria-label': 'Name'}
+	 */
+	static kebabCaseKeys(target) {
+		return this.mapKeys(target, (value, key) => convertCase(key, 'kebab'), {deep: true});
+	}
+
+	/**
+	 * Freezes an object and everything it holds
+	 * The values of maps and sets are frozen too, but their entries can still be changed with their methods.
+	 * Typed arrays and DOM nodes are left as they are.
+	 *
+	 * @param {*} value - The value to freeze
+	 * @returns {*} - The frozen value
+	 *
+	 * @example
+	 * var state = ObjectHelper.freeze({user: {name: 'John'}});
+	 * state.user.name = 'Jane';
+	 * // state.user.name is still 'John', or a TypeError is thrown in strict mode
+	 */
+	static freeze(value) {
+		const seen = new WeakSet();
+		const walk = (item) => {
+			if (!isFreezable(item) || seen.has(item)) {
+				return;
+			}
+
+			seen.add(item);
+			heldValues(item).forEach(walk);
+			Object.freeze(item);
+		};
+		walk(value);
+
+		return value;
+	}
+
+	/**
+	 * Tests if an object and everything it holds is frozen
+	 *
+	 * @param {*} value - The value to test
+	 * @returns {boolean} - True or false whether the value is deeply frozen, primitives always are
+	 */
+	static isFrozenDeep(value) {
+		const seen = new WeakSet();
+		const walk = (item) => {
+			if (!isFreezable(item) || seen.has(item)) {
+				return true;
+			}
+
+			seen.add(item);
+			return Object.isFrozen(item) && heldValues(item).every(walk);
+		};
+
+		return walk(value);
+	}
+
+	/**
+	 * Returns a copy of an object with a value set at a path, without modifying the object
+	 * Only the objects along the path are copied, unchanged branches are shared with the original, and the original
+	 * itself is returned when the value does not change, so changes can be detected by reference.
+	 *
+	 * @param {Object|Array} target - The original object
+	 * @param {string|Array} path - The path, see `toPath`
+	 * @param {*} value - The value to set
+	 * @returns {Object|Array} - The updated copy
+	 *
+	 * @example
+	 * var state = {user: {name: 'John'}, todos: [{done: false}]};
+	 * var next = ObjectHelper.setIn(state, 'todos[0].done', true);
+	 * // next.todos[0].done === true, next.user === state.user
+	 */
+	static setIn(target, path, value) {
+		return this.updateIn(target, path, () => value);
+	}
+
+	/**
+	 * Returns a copy of an object with the value at a path replaced by the result of a function, see `setIn`
+	 *
+	 * @param {Object|Array} target - The original object
+	 * @param {string|Array} path - The path, see `toPath`
+	 * @param {Function} updater - Receives the current value and returns the new value
+	 * @returns {Object|Array} - The updated copy
+	 *
+	 * @example
+	 * ObjectHelper.updateIn({cart: {count: 1}}, 'cart.count', count => count + 1);
+	 * // returns {cart: {count: 2}}
+	 */
+	static updateIn(target, path, updater) {
+		const keys = this.toPath(path);
+		const unsafeKey = keys.find(key => isUnsafeKey(key, this.allowUnsafeKeys));
+		if (unsafeKey !== undefined) {
+			throw new Error(`Unsafe path segment "${unsafeKey}"`);
+		}
+
+		return updateShared(target, keys, updater);
+	}
+
+	/**
+	 * Returns a copy of an object with a source deeply merged into the object at a path, see `setIn`
+	 *
+	 * @param {Object|Array} target - The original object
+	 * @param {string|Array} path - The path, see `toPath`, an empty array merges into the object itself
+	 * @param {Object} source - The object to merge
+	 * @returns {Object|Array} - The updated copy
+	 *
+	 * @example
+	 * ObjectHelper.mergeIn({user: {name: 'John', address: {city: 'Oslo'}}}, 'user', {address: {zip: '0150'}});
+	 * // returns {user: {name: 'John', address: {city: 'Oslo', zip: '0150'}}}
+	 */
+	static mergeIn(target, path, source) {
+		return this.updateIn(target, path, current => mergeShared(isPlainObject(current) ? current : {}, source, this.allowUnsafeKeys));
+	}
+
+	/**
+	 * Returns a copy of an object without the property at a path, see `setIn`
+	 * Array items are spliced out, and the original is returned when the path does not exist.
+	 *
+	 * @param {Object|Array} target - The original object
+	 * @param {string|Array} path - The path, see `toPath`
+	 * @returns {Object|Array} - The updated copy
+	 *
+	 * @example
+	 * ObjectHelper.deleteIn({todos: ['a', 'b']}, 'todos[0]');
+	 * // returns {todos: ['b']}
+	 */
+	static deleteIn(target, path) {
+		if (!this.has(target, path)) {
+			return target;
+		}
+
+		return this.updateIn(target, path, () => removedValue);
+	}
+
+	/**
+	 * Validates a value against a schema
+	 *
+	 * The schema is a subset of JSON Schema: `type` (`string`, `number`, `integer`, `boolean`, `object`, `array`, `null`
+	 * or a list of them), `enum`, `const`, `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`, `minLength`,
+	 * `maxLength`, `pattern`, `format` (`email`, `uri`, `date`, `date-time`), `minItems`, `maxItems`, `uniqueItems`,
+	 * `items`, `properties`, `required` (a list of property names), `additionalProperties` and `default`.
+	 * As shorthands, a property schema may set `required: true`, and `min`/`max` apply to numbers, string lengths or
+	 * array lengths. Custom rules are listed in `validators`; they receive the value and the root value and return
+	 * `false` or an error message when the value is invalid. `messages` overrides the messages by keyword.
+	 *
+	 * @param {*} value - The value to validate, it is not modified
+	 * @param {Object} schema - The schema
+	 * @param {Object} options - Additional options
+	 * @param {boolean} [options.coerce] - Whether to convert strings to numbers and booleans and other obvious conversions
+	 * @param {boolean} [options.defaults] - Whether to apply the `default` of missing values, defaults to true
+	 * @param {Object} [options.messages] - Custom messages by keyword, `{value}` is replaced with the keyword value
+	 * @returns {{valid: boolean, errors: Object[], value: *}} - The result, the errors have a `path`, a `keyword` and a `message`,
+	 *     and the value has the defaults and coercion applied
+	 *
+	 * @example
+	 * ObjectHelper.validateSchema({port: '80', tags: ['a', 1]}, {
+	 *     type: 'object',
+	 *     required: ['host'],
+	 *     properties: {
+	 *         host: {type: 'string'},
+	 *         port: {type: 'integer', minimum: 1024},
+	 *         secure: {type: 'boolean', default: false},
+	 *         tags: {type: 'array', items: {type: 'string'}},
+	 *     },
+	 * }, {coerce: true});
+	 * // returns {valid: false, value: {port: 80, tags: ['a', '1'], secure: false}, errors: [
+	 * //     {path: 'host', keyword: 'required', message: 'Is required.'},
+	 * //     {path: 'port', keyword: 'minimum', message: 'Must be at least 1024.'},
+	 * // ]}
+	 */
+	static validateSchema(value, schema, options = {}) {
+		const context = {coerce: false, defaults: true, messages: {}, ...options, root: value, errors: []};
+		const result = checkSchema(value, schema, [], context);
+
+		return {valid: context.errors.length === 0, errors: context.errors, value: result};
+	}
 }
@@ -0,0 +1,176 @@
+import {moveListeners} from './Html';
+
+/**
+ * Returns the key identifying a node among its siblings
+ *
+ * @param {Node} node - The node
+ * @returns {string|null} - The `key` attribute of an element, or null
+ */
+function nodeKey(node) {
+	return node.nodeType === 1 && node.hasAttribute('key') ? node.getAttribute('key') : null;
+}
+
+/**
+ * Tests if an existing node can be updated to match a new node instead of being replaced
+ *
+ * @param {Node} existing - The node in the document
+ * @param {Node} replacement - The newly built node
+ * @returns {boolean} - True when both are the same kind of node, with the same tag name and key for elements
+ */
+function isSameNode(existing, replacement) {
+	if (existing.nodeType !== replacement.nodeType) {
+		return false;
+	}
+
+	return existing.nodeType !== 1 || (existing.tagName === replacement.tagName && nodeKey(existing) === nodeKey(replacement));
+}
+
+/**
+ * Updates the attributes of an element to those of another element
+ *
+ * @param {HTMLElement} existing - The element to update
+ * @param {HTMLElement} replacement - The element with the new attributes
+ */
+function patchAttributes(existing, replacement) {
+	Array.from(existing.attributes).forEach(({name}) => {
+		if (!replacement.hasAttribute(name)) {
+			existing.removeAttribute(name);
+		}
+	});
+
+	Array.from(replacement.attributes).forEach(({name, value}) => {
+		if (existing.getAttribute(name) !== value) {
+			existing.setAttribute(name, value);
+		}
+	});
+}
+
+/**
+ * Updates the state of a form control when the rendered state changed
+ * The state the user entered is kept when the new markup renders the same value, checked or selected state as before,
+ * so re-rendering unrelated parts of a form does not discard input.
+ *
+ * @param {HTMLElement} existing - The control to update
+ * @param {HTMLElement} replacement - The newly built control
+ * @param {Object} previous - The `value`, `checked` and `selected` the existing control was rendered with
+ */
+function patchControlState(existing, replacement, previous) {
+	const tagName = existing.tagName;
+	if (tagName === 'INPUT' && (existing.type === 'checkbox' || existing.type === 'radio')) {
+		if (previous.checked !== replacement.hasAttribute('checked')) {
+			existing.checked = replacement.checked;
+		}
+	} else if (tagName === 'INPUT' && existing.type !== 'file') {
+		if (previous.value !== replacement.getAttribute('value')) {
+			existing.value = replacement.value;
+		}
+	} else if (tagName === 'TEXTAREA') {
+		if (previous.value !== replacement.defaultValue) {
+			existing.value = replacement.value;
+		}
+	} else if (tagName === 'OPTION') {
+		if (previous.selected !== replacement.hasAttribute('selected')) {
+			existing.selected = replacement.selected;
+		}
+	}
+}
+
+/**
+ * Updates the children of a node to match the children of another node
+ * Children with a `key` attribute are matched by key, wherever they moved to, and the others by position.
+ * Unmatched children are removed and new ones are moved over from the new tree.
+ *
+ * @param {Node} existing - The node whose children are updated
+ * @param {Node} replacement - The node with the new children
+ */
+function patchChildren(existing, replacement) {
+	const oldChildren = Array.from(existing.childNodes);
+	const newChildren = Array.from(replacement.childNodes);
+	const keyed = new Map();
+	const unkeyed = [];
+	oldChildren.forEach(child => {
+		const key = nodeKey(child);
+		if (key === null) {
+			unkeyed.push(child);
+		} else if (!keyed.has(key)) {
+			keyed.set(key, child);
+		}
+	});
+
+	const matches = newChildren.map(child => {
+		const key = nodeKey(child);
+		const match = key === null ? unkeyed.shift() : keyed.get(key);
+		if (key !== null) {
+			keyed.delete(key);
+		}
+		return match || null;
+	});
+
+	oldChildren.filter(child => !matches.includes(child)).forEach(child => existing.removeChild(child));
+
+	newChildren.forEach((child, index) => {
+		const node = matches[index] ? patchNode(matches[index], child) : child;
+		if (existing.childNodes[index] !== node) {
+			existing.insertBefore(node, existing.childNodes[index] || null);
+		}
+	});
+}
+
+/**
+ * Updates a node to match another node, or replaces it when they differ in kind, tag name or key
+ *
+ * @param {Node} existing - The node in the document
+ * @param {Node} replacement - The newly built node
+ * @returns {Node} - The node now in place of the existing node
+ */
+function patchNode(existing, replacement) {
+	if (!isSameNode(existing, replacement)) {
+		if (existing.parentNode) {
+			existing.parentNode.replaceChild(replacement, existing);
+		}
+		return replacement;
+	}
+
+	if (existing.nodeType !== 1) {
+		if (existing.nodeValue !== replacement.nodeValue) {
+			existing.nodeValue = replacement.nodeValue;
+		}
+		return existing;
+	}
+
+	const previous = {
+		value: existing.tagName === 'TEXTAREA' ? existing.defaultValue : existing.getAttribute('value'),
+		checked: existing.hasAttribute('checked'),
+		selected: existing.hasAttribute('selected'),
+	};
+
+	patchAttributes(existing, replacement);
+	patchChildren(existing, replacement);
+	patchControlState(existing, replacement, previous);
+	moveListeners(replacement, existing);
+
+	return existing;
+}
+
+/**
+ * Updates an existing tree in place to match a newly built one, so a render function can be run again and only
+ * the differences are applied
+ *
+ * Elements are kept when the tag name matches, so focus, scroll position, selection and listeners added outside the
+ * helpers survive. Attributes and text are updated, listeners from the `on` option are replaced by the new ones and
+ * children are matched by their `key` attribute, or by position without one. Form controls receive the new value,
+ * checked or selected state only when it was rendered differently than before, otherwise what the user entered is kept.
+ *
+ * @example
+ * const render = items => createElement('ul', items.map(item => createElement('li', item.name, {key: item.id})));
+ * const list = render(items);
+ * // later, after items changed
+ * patch(list, render(items));
+ *
+ * @param {HTMLElement} existingEl - The element in the document
+ * @param {HTMLElement} newEl - The newly built element, its nodes may be moved into the existing tree
+ * @returns {HTMLElement} - The element in place after patching, the new element when the root had to be replaced
+ */
+export function patch(existingEl, newEl) {
+	return patchNode(existingEl, newEl);
+}
@@ -0,0 +1,202 @@
+import {DomParser} from './DomParser';
+import {getDocument} from './Html';
+import {StringDocument} from './StringDocument';
+
+/**
+ * @var {Array} - Elements that are removed together with their content when they are not allowed
+ */
+const dropContentTags = [
+	'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript',
+	'noembed', 'noframes', 'xmp', 'plaintext', 'title', 'textarea', 'select', 'option', 'svg', 'math', 'head',
+	'meta', 'link', 'base',
+];
+
+/**
+ * @var {Array} - Attributes whose values are URLs and must use an allowed scheme
+ */
+const urlAttributes = ['href', 'src', 'action', 'formaction', 'cite', 'poster', 'background', 'longdesc', 'xlink:href'];
+
+const basicTags = ['b', 'strong', 'i', 'em', 'u', 's', 'small', 'mark', 'sub', 'sup', 'code', 'br', 'p', 'span', 'a'];
+
+const richTags = [
+	...basicTags, 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'hr', 'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+	'img', 'figure', 'figcaption', 'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'abbr', 'cite', 'q',
+	'del', 'ins', 'kbd', 'samp', 'var', 'time',
+];
+
+/**
+ * Removes whitespace and control characters that browsers ignore when resolving a URL scheme
+ *
+ * @param {string} url - The attribute value
+ * @returns {string} - The URL as the browser reads its scheme
+ */
+function normalizeUrl(url) {
+	return url.replace(/[\u0000- \u007F-\u009F]/g, '');
+}
+
+export class Sanitizer {
+	/**
+	 * The default sanitizer profiles
+	 *
+	 * - `text` keeps only the text content
+	 * - `basic` keeps inline formatting and links
+	 * - `rich` keeps block formatting, lists, images and tables as well
+	 *
+	 * A profile lists the allowed `tags`, the allowed `attributes` per tag name with `*` applying to every tag,
+	 * and the URL `schemes` allowed in attributes such as `href` and `src`.
+	 *
+	 * @returns {Object} - The profiles by name
+	 */
+	static get profiles() {
+		return {
+			text: {
+				tags: [],
+				attributes: {},
+				schemes: [],
+			},
+			basic: {
+				tags: basicTags,
+				attributes: {
+					'*': ['title'],
+					a: ['href', 'target', 'rel'],
+				},
+				schemes: ['http', 'https', 'mailto', 'tel'],
+			},
+			rich: {
+				tags: richTags,
+				attributes: {
+					'*': ['title', 'class', 'lang', 'dir'],
+					a: ['href', 'target', 'rel'],
+					img: ['src', 'alt', 'width', 'height'],
+					td: ['colspan', 'rowspan'],
+					th: ['colspan', 'rowspan', 'scope'],
+					ol: ['start', 'reversed'],
+					blockquote: ['cite'],
+					q: ['cite'],
+					time: ['datetime'],
+				},
+				schemes: ['http', 'https', 'mailto', 'tel'],
+			},
+		};
+	}
+
+	/**
+	 * Resolves a profile name or a configuration object into a complete configuration
+	 *
+	 * @param {string|Object} config - A profile name or a configuration object
+	 * @returns {Object} - The configuration
+	 */
+	static resolveConfig(config) {
+		if (typeof config === 'string') {
+			if (!this.profiles[config]) {
+				throw new Error(`Unknown sanitizer profile "${config}"`);
+			}
+			return this.profiles[config];
+		}
+
+		return {tags: [], attributes: {}, schemes: [], ...config};
+	}
+
+	/**
+	 * Tests if a URL only uses an allowed scheme, relative URLs are always allowed
+	 *
+	 * @example
+	 * Sanitizer.isSafeUrl('java\tscript:alert(1)', ['http', 'https']);
+	 * // returns false
+	 *
+	 * @param {string} url - The URL to test
+	 * @param {string[]} schemes - The allowed schemes
+	 * @returns {boolean} - True or false whether the URL is safe
+	 */
+	static isSafeUrl(url, schemes) {
+		const match = normalizeUrl(url).match(/^([^/?#]*?):/);
+		return !match || schemes.includes(match[1].toLowerCase());
+	}
+
+	/**
+	 * Cleans untrusted HTML by keeping only the allowed tags, attributes and URL schemes
+	 * Event handler attributes are always removed. Elements that are not allowed are unwrapped,
+	 * except for elements such as `script`, `style` and `iframe` which are removed with their content.
+	 *
+	 * @example
+	 * Sanitizer.sanitize('<p onclick="steal()">Hi <a href="javascript:alert(1)">there</a><script>alert(1)</script></p>');
+	 * // returns a DocumentFragment holding <p>Hi <a>there</a></p>
+	 *
+	 * @param {string|Node|NodeList} source - The HTML to clean, or nodes that were already parsed
+	 * @param {string|Object} config - A profile name from `Sanitizer.profiles` or a configuration object
+	 * @returns {DocumentFragment} - The cleaned nodes, owned by the document the Html helpers use
+	 */
+	static sanitize(source, config = 'basic') {
+		const settings = this.resolveConfig(config);
+		const nodes = typeof source === 'string' ? DomParser.getNodes(source) : source;
+		const fragment = getDocument().createDocumentFragment();
+		const children = typeof nodes.nodeType === 'number' ? [nodes] : Array.from(nodes);
+		children.forEach(node => this.cleanNode(node, fragment, settings));
+
+		return fragment;
+	}
+
+	/**
+	 * @see {@link Sanitizer#sanitize}
+	 *
+	 * @param {string|Node|NodeList} source - The HTML to clean, or nodes that were already parsed
+	 * @param {string|Object} config - A profile name from `Sanitizer.profiles` or a configuration object
+	 * @returns {string} - The cleaned HTML
+	 */
+	static sanitizeToString(source, config = 'basic') {
+		return StringDocument.serialize(this.sanitize(source, config));
+	}
+
+	/**
+	 * Copies the allowed parts of a node into the parent
+	 *
+	 * @param {Node} node - The untrusted node
+	 * @param {Node} parent - The clean node to append to
+	 * @param {Object} settings - The sanitizer configuration
+	 */
+	static cleanNode(node, parent, settings) {
+		if (node.nodeType === 3) {
+			parent.appendChild(getDocument().createTextNode(node.data));
+			return;
+		}
+
+		if (node.nodeType === 11 || node.nodeType === 9) {
+			Array.from(node.childNodes).forEach(child => this.cleanNode(child, parent, settings));
+			return;
+		}
+
+		if (node.nodeType !== 1) {
+			return;
+		}
+
+		const tag = node.localName.toLowerCase();
+		if (!settings.tags.includes(tag)) {
+			if (!dropContentTags.includes(tag)) {
+				Array.from(node.childNodes).forEach(child => this.cleanNode(child, parent, settings));
+			}
+			return;
+		}
+
+		const element = getDocument().createElement(tag);
+		const allowedAttributes = [...(settings.attributes['*'] || []), ...(settings.attributes[tag] || [])];
+		Array.from(node.attributes).forEach(({name, value}) => {
+			name = name.toLowerCase();
+			if (name.startsWith('on') || !allowedAttributes.includes(name)) {
+				return;
+			}
+
+			if (urlAttributes.includes(name) && !this.isSafeUrl(value, settings.schemes)) {
+				return;
+			}
+
+			element.setAttribute(name, value);
+		});
+
+		if (element.getAttribute('target') === '_blank') {
+			element.setAttribute('rel', 'noopener noreferrer');
+		}
+
+		Array.from(node.childNodes).forEach(child => this.cleanNode(child, element, settings));
+		parent.appendChild(element);
+	}
+}
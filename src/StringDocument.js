@@ -0,0 +1,438 @@
+import {escapeAttribute, escapeText} from 'entities';
+
+/**
+ * @var {Array} - A list of elements that do not allow for inner HTML
+ * @internal
+ */
+export const voidElements = [
+	'area',
+	'base',
+	'br',
+	'col',
+	'command',
+	'embed',
+	'hr',
+	'img',
+	'input',
+	'keygen',
+	'link',
+	'meta',
+	'param',
+	'source',
+	'track',
+	'wbr',
+];
+
+/**
+ * @var {Array} - A list of elements whose text content is serialized without escaping
+ */
+const rawTextElements = ['script', 'style', 'xmp', 'iframe', 'noembed', 'noframes', 'plaintext'];
+
+/**
+ * Converts a camelCase property name to its kebab-case attribute form
+ *
+ * @param {string} name - The property name
+ * @returns {string} - The kebab-case name
+ */
+function kebabCase(name) {
+	return name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * A minimal node implementation used to build markup without a DOM
+ *
+ * @internal
+ */
+export class StringNode {
+	constructor(ownerDocument, nodeType, nodeName) {
+		this.ownerDocument = ownerDocument;
+		this.nodeType = nodeType;
+		this.nodeName = nodeName;
+		this.parentNode = null;
+		this.childNodes = [];
+	}
+
+	get firstChild() {
+		return this.childNodes[0] || null;
+	}
+
+	get lastChild() {
+		return this.childNodes[this.childNodes.length - 1] || null;
+	}
+
+	get children() {
+		return this.childNodes.filter(node => node.nodeType === StringNode.ELEMENT_NODE);
+	}
+
+	get textContent() {
+		return this.childNodes.map(node => node.textContent).join('');
+	}
+
+	set textContent(value) {
+		this.childNodes.forEach(node => {
+			node.parentNode = null;
+		});
+		this.childNodes = [];
+		if (value !== null && value !== undefined && value !== '') {
+			this.appendChild(this.ownerDocument.createTextNode(value));
+		}
+	}
+
+	/**
+	 * Inserts a node before a reference child, moving fragment children and detaching the node from its old parent
+	 *
+	 * @param {StringNode} node - The node to insert
+	 * @param {StringNode|null} reference - The child to insert before, or null to append
+	 * @returns {StringNode} - The inserted node
+	 */
+	insertBefore(node, reference) {
+		const nodes = node.nodeType === StringNode.DOCUMENT_FRAGMENT_NODE ? [...node.childNodes] : [node];
+		nodes.forEach(child => {
+			if (child.parentNode) {
+				child.parentNode.removeChild(child);
+			}
+		});
+
+		const index = reference ? this.childNodes.indexOf(reference) : -1;
+		this.childNodes.splice(index === -1 ? this.childNodes.length : index, 0, ...nodes);
+		nodes.forEach(child => {
+			child.parentNode = this;
+		});
+
+		return node;
+	}
+
+	appendChild(node) {
+		return this.insertBefore(node, null);
+	}
+
+	removeChild(node) {
+		const index = this.childNodes.indexOf(node);
+		if (index !== -1) {
+			this.childNodes.splice(index, 1);
+			node.parentNode = null;
+		}
+
+		return node;
+	}
+
+	append(...nodes) {
+		nodes.forEach(node => this.appendChild(this.ownerDocument.toNode(node)));
+	}
+
+	prepend(...nodes) {
+		const reference = this.firstChild;
+		nodes.forEach(node => this.insertBefore(this.ownerDocument.toNode(node), reference));
+	}
+
+	remove() {
+		if (this.parentNode) {
+			this.parentNode.removeChild(this);
+		}
+	}
+
+	/**
+	 * @returns {string} - The serialized markup of the node
+	 */
+	toString() {
+		return this.childNodes.map(node => node.toString()).join('');
+	}
+}
+
+StringNode.ELEMENT_NODE = 1;
+StringNode.TEXT_NODE = 3;
+StringNode.COMMENT_NODE = 8;
+StringNode.DOCUMENT_FRAGMENT_NODE = 11;
+
+/**
+ * A text node that escapes its content when serialized
+ *
+ * @internal
+ */
+export class StringText extends StringNode {
+	constructor(ownerDocument, data) {
+		super(ownerDocument, StringNode.TEXT_NODE, '#text');
+		this.data = String(data);
+	}
+
+	get nodeValue() {
+		return this.data;
+	}
+
+	get textContent() {
+		return this.data;
+	}
+
+	set textContent(value) {
+		this.data = String(value);
+	}
+
+	toString() {
+		const parent = this.parentNode;
+		if (parent && parent.nodeType === StringNode.ELEMENT_NODE && rawTextElements.includes(parent.localName)) {
+			return this.data;
+		}
+
+		return escapeText(this.data);
+	}
+}
+
+/**
+ * A node holding markup that is serialized verbatim, created when setting `innerHTML`
+ */
+class StringRaw extends StringNode {
+	constructor(ownerDocument, html) {
+		super(ownerDocument, StringNode.TEXT_NODE, '#text');
+		this.html = String(html);
+	}
+
+	get textContent() {
+		return this.html.replace(/<[^>]*>/g, '');
+	}
+
+	toString() {
+		return this.html;
+	}
+}
+
+/**
+ * A comment node, serialized verbatim the same way the DOM does
+ *
+ * @internal
+ */
+export class StringComment extends StringNode {
+	constructor(ownerDocument, data) {
+		super(ownerDocument, StringNode.COMMENT_NODE, '#comment');
+		this.data = String(data);
+	}
+
+	get nodeValue() {
+		return this.data;
+	}
+
+	get textContent() {
+		return '';
+	}
+
+	toString() {
+		return `<!--${this.data}-->`;
+	}
+}
+
+/**
+ * A document fragment that serializes to the markup of its children
+ *
+ * @internal
+ */
+export class StringFragment extends StringNode {
+	constructor(ownerDocument) {
+		super(ownerDocument, StringNode.DOCUMENT_FRAGMENT_NODE, '#document-fragment');
+	}
+}
+
+/**
+ * An element that keeps its attributes in insertion order and serializes the same way the DOM serializes `outerHTML`
+ *
+ * @internal
+ */
+export class StringElement extends StringNode {
+	constructor(ownerDocument, localName) {
+		super(ownerDocument, StringNode.ELEMENT_NODE, localName.toUpperCase());
+		this.localName = localName.toLowerCase();
+		this.attributes = new Map();
+		this.styles = new Map();
+
+		this.style = new Proxy({}, {
+			get: (target, property) => this.styles.get(kebabCase(String(property))) || '',
+			set: (target, property, value) => {
+				const name = kebabCase(String(property));
+				if (value === null || value === '') {
+					this.styles.delete(name);
+				} else {
+					this.styles.set(name, String(value));
+				}
+				this.attributes.set('style', [...this.styles].map(([key, val]) => `${key}: ${val};`).join(' '));
+				return true;
+			},
+		});
+
+		this.dataset = new Proxy({}, {
+			get: (target, property) => this.getAttribute(`data-${kebabCase(String(property))}`) ?? undefined,
+			set: (target, property, value) => {
+				this.setAttribute(`data-${kebabCase(String(property))}`, value);
+				return true;
+			},
+			deleteProperty: (target, property) => {
+				this.removeAttribute(`data-${kebabCase(String(property))}`);
+				return true;
+			},
+		});
+
+		this.classList = {
+			contains: (name) => this.classNames().includes(name),
+			add: (...names) => {
+				this.className = [...new Set([...this.classNames(), ...names])].join(' ');
+			},
+			remove: (...names) => {
+				this.className = this.classNames().filter(name => !names.includes(name)).join(' ');
+			},
+			toggle: (name, force) => {
+				const add = force === undefined ? !this.classList.contains(name) : force;
+				add ? this.classList.add(name) : this.classList.remove(name);
+				return add;
+			},
+		};
+	}
+
+	get tagName() {
+		return this.nodeName;
+	}
+
+	get id() {
+		return this.getAttribute('id') || '';
+	}
+
+	set id(value) {
+		this.setAttribute('id', value);
+	}
+
+	get className() {
+		return this.getAttribute('class') || '';
+	}
+
+	set className(value) {
+		this.setAttribute('class', value);
+	}
+
+	classNames() {
+		return this.className.split(/\s+/).filter(Boolean);
+	}
+
+	getAttribute(name) {
+		const value = this.attributes.get(name.toLowerCase());
+		return value === undefined ? null : value;
+	}
+
+	setAttribute(name, value) {
+		name = name.toLowerCase();
+		this.attributes.set(name, String(value));
+		if (name === 'style') {
+			this.styles.clear();
+		}
+	}
+
+	hasAttribute(name) {
+		return this.attributes.has(name.toLowerCase());
+	}
+
+	removeAttribute(name) {
+		this.attributes.delete(name.toLowerCase());
+	}
+
+	toggleAttribute(name, force) {
+		const add = force === undefined ? !this.hasAttribute(name) : force;
+		if (add) {
+			this.setAttribute(name, this.getAttribute(name) ?? '');
+		} else {
+			this.removeAttribute(name);
+		}
+		return add;
+	}
+
+	get innerHTML() {
+		return super.toString();
+	}
+
+	set innerHTML(html) {
+		this.textContent = '';
+		if (html !== null && html !== undefined && html !== '') {
+			this.appendChild(new StringRaw(this.ownerDocument, html));
+		}
+	}
+
+	get outerHTML() {
+		return this.toString();
+	}
+
+	toString() {
+		const attributes = [...this.attributes]
+			.map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+			.join('');
+		const openTag = `<${this.localName}${attributes}>`;
+		if (voidElements.includes(this.localName)) {
+			return openTag;
+		}
+
+		return `${openTag}${this.innerHTML}</${this.localName}>`;
+	}
+}
+
+/**
+ * A document stand-in that creates string nodes, so the Html helpers can render markup without a DOM
+ *
+ * @example
+ * const doc = new StringDocument();
+ * const div = doc.createElement('div');
+ * div.textContent = 'Fish & Chips';
+ * String(div);
+ * // returns '<div>Fish &amp; Chips</div>'
+ */
+export class StringDocument {
+	createElement(name) {
+		return new StringElement(this, name);
+	}
+
+	createTextNode(data) {
+		return new StringText(this, data);
+	}
+
+	createDocumentFragment() {
+		return new StringFragment(this);
+	}
+
+	createComment(data) {
+		return new StringComment(this, data);
+	}
+
+	/**
+	 * @param {StringNode|string} node - A node or a string to be converted into a text node
+	 * @returns {StringNode} - The node
+	 */
+	toNode(node) {
+		return node instanceof StringNode ? node : this.createTextNode(node);
+	}
+
+	/**
+	 * Serializes a string node, a DOM node or a list of them into markup
+	 *
+	 * @param {StringNode|Node|Array|NodeList|string|null} node - The node(s) to serialize
+	 * @returns {string} - The serialized markup
+	 */
+	static serialize(node) {
+		if (node === null || node === undefined) {
+			return '';
+		}
+
+		if (node instanceof StringNode) {
+			return node.toString();
+		}
+
+		if (Array.isArray(node) || (typeof NodeList !== 'undefined' && node instanceof NodeList)) {
+			return Array.from(node).map(child => this.serialize(child)).join('');
+		}
+
+		if (typeof node !== 'object') {
+			return escapeText(String(node));
+		}
+
+		if (node.nodeType === StringNode.ELEMENT_NODE) {
+			return node.outerHTML;
+		}
+
+		if (node.nodeType === StringNode.DOCUMENT_FRAGMENT_NODE) {
+			return this.serialize(node.childNodes);
+		}
+
+		return escapeText(node.textContent);
+	}
+}
@@ -0,0 +1,348 @@
+import {cellValue, tableBody, tableHead} from './DataTable';
+import {button, createElement, input, select, th, tr} from './Html';
+
+/**
+ * @var {Object} - The `aria-sort` values by sort direction
+ */
+const ariaSort = {asc: 'ascending', desc: 'descending'};
+
+/**
+ * Returns the key that identifies a column
+ *
+ * @param {Object} column - The column definition
+ * @param {number} index - The position of the column
+ * @returns {string} - The `key`, the accessor path or the position of the column
+ */
+function columnKey(column, index) {
+	if (column.key !== undefined) {
+		return String(column.key);
+	}
+
+	return typeof column.accessor === 'string' ? column.accessor : String(index);
+}
+
+/**
+ * Converts a value into something that can be compared for the given column type
+ *
+ * @param {*} value - The cell value
+ * @param {string} [type] - The column type, `number`, `date` or `string`
+ * @returns {number|string|null} - The comparable value, null for empty values
+ */
+function comparable(value, type) {
+	if (value === null || value === undefined || value === '') {
+		return null;
+	}
+
+	if (type === 'date' || value instanceof Date) {
+		const time = new Date(value).getTime();
+		return isNaN(time) ? null : time;
+	}
+
+	if (type === 'number' || typeof value === 'number') {
+		const number = Number(value);
+		return isNaN(number) ? null : number;
+	}
+
+	return String(value);
+}
+
+/**
+ * Creates the comparison function of a column, empty values are always sorted last
+ *
+ * @param {Object} column - The column definition
+ * @param {Intl.Collator} collator - The collator used for strings
+ * @param {string} direction - `asc` or `desc`
+ * @returns {Function} - A function comparing two rows
+ */
+function rowComparator(column, collator, direction) {
+	const sign = direction === 'desc' ? -1 : 1;
+	return (rowA, rowB) => {
+		const valueA = cellValue(rowA, column);
+		const valueB = cellValue(rowB, column);
+		if (column.compare) {
+			return sign * column.compare(valueA, valueB, rowA, rowB);
+		}
+
+		const a = comparable(valueA, column.type);
+		const b = comparable(valueB, column.type);
+		if (a === null || b === null) {
+			return a === b ? 0 : (a === null ? 1 : -1);
+		}
+
+		if (typeof a === 'number' && typeof b === 'number') {
+			return sign * (a - b);
+		}
+
+		return sign * collator.compare(String(a), String(b));
+	};
+}
+
+/**
+ * Lists the distinct values of a column as the items of its select filter
+ *
+ * @param {Object[]} rows - The row data
+ * @param {Object} column - The column definition
+ * @returns {Object} - The option values and texts, starting with an empty value for all rows
+ */
+function filterItems(rows, column) {
+	const items = {'': 'All'};
+	rows.map(row => cellValue(row, column))
+		.filter(value => value !== null && value !== undefined && value !== '')
+		.forEach(value => {
+			items[String(value)] = String(value);
+		});
+
+	return items;
+}
+
+/**
+ * Adds client-side sorting, filtering and pagination to a table
+ *
+ * The behaviours operate on the row data rather than the rendered cells, and only the `tbody` is re-rendered.
+ * Sortable header cells receive a button and `aria-sort`. Columns with a `filter` of `text` or `select` get a filter
+ * control in a second header row, the options of `select` filters are rebuilt by `setRows`. When `pageSize` is set,
+ * pagination controls are inserted after the table; for a table that is not in the document yet they are inserted
+ * on the next render after it was, or `controller.pagination` can be placed anywhere by the caller. `destroy` removes the
+ * listeners and everything that was inserted, the body keeps the rows of the last render.
+ *
+ * Events are dispatched on the table element:
+ * - `table:sort` with `{key, direction}` in the detail
+ * - `table:filter` with `{filters}` in the detail
+ * - `table:page` with `{page, pageCount}` in the detail
+ *
+ * @example
+ * const grid = dataTable(rows, columns);
+ * const controller = enhanceTable(grid, rows, columns, {pageSize: 20, locale: 'de'});
+ * grid.addEventListener('table:sort', (event) => console.log(event.detail.key, event.detail.direction));
+ * controller.sort('name', 'desc');
+ *
+ * @param {HTMLElement} tableEl - The table element, usually built with `dataTable` or `table`
+ * @param {Object[]} rows - The row data
+ * @param {Object[]} columns - The column definitions, see `dataTable`
+ * @param {boolean} [columns[].sortable] - Whether the column can be sorted, defaults to `options.sortable`
+ * @param {string} [columns[].type] - `number`, `date` or `string`, detected from the values when omitted
+ * @param {Function} [columns[].compare] - A custom comparison receiving two values and their rows
+ * @param {string} [columns[].filter] - `text` or `select` to add a filter control
+ * @param {Function} [columns[].filterWith] - A custom filter receiving the value, the filter value and the row
+ * @param {Object} options - Additional options, the options of `dataTable` are used when rendering the body
+ * @param {boolean} [options.sortable] - Whether columns are sortable by default, defaults to true
+ * @param {number} [options.pageSize] - The number of rows per page, all rows are displayed when omitted
+ * @param {string} [options.locale] - The locale used to compare strings
+ * @returns {Object} - A controller with `sort`, `filter`, `page`, `setRows`, `refresh`, `destroy`, the current `state`
+ * and the `pagination` element, null without `pageSize`
+ */
+export function enhanceTable(tableEl, rows, columns, options = {}) {
+	const settings = {sortable: true, ...options};
+	const collator = new Intl.Collator(settings.locale, {numeric: true, sensitivity: 'base'});
+	const keys = columns.map(columnKey);
+	const state = {rows: [...rows], sortKey: null, direction: null, filters: {}, page: 1, pageCount: 1};
+	const listeners = [];
+	// Undoes the changes made to the table, so `destroy` leaves it as it was found apart from the rendered body
+	const restores = [];
+
+	const listen = (element, type, listener) => {
+		element.addEventListener(type, listener);
+		listeners.push(() => element.removeEventListener(type, listener));
+	};
+
+	const emit = (type, detail) => {
+		tableEl.dispatchEvent(new CustomEvent(`table:${type}`, {detail, bubbles: true}));
+	};
+
+	const columnOf = (key) => {
+		const index = keys.indexOf(String(key));
+		if (index === -1) {
+			throw new Error(`Unknown column "${key}"`);
+		}
+		return columns[index];
+	};
+
+	const visibleRows = () => {
+		let result = state.rows.filter(row => Object.entries(state.filters).every(([key, filterValue]) => {
+			if (filterValue === '' || filterValue === null || filterValue === undefined) {
+				return true;
+			}
+
+			const column = columnOf(key);
+			const value = cellValue(row, column);
+			if (column.filterWith) {
+				return column.filterWith(value, filterValue, row);
+			}
+
+			if (column.filter === 'select') {
+				return String(value) === String(filterValue);
+			}
+
+			return String(value === null || value === undefined ? '' : value).toLowerCase().includes(String(filterValue).toLowerCase());
+		}));
+
+		if (state.sortKey !== null) {
+			const compare = rowComparator(columnOf(state.sortKey), collator, state.direction);
+			result = result
+				.map((row, index) => ({row, index}))
+				.sort((a, b) => compare(a.row, b.row) || a.index - b.index)
+				.map(({row}) => row);
+		}
+
+		return result;
+	};
+
+	if (!tableEl.tHead) {
+		const head = tableEl.insertBefore(tableHead(columns), tableEl.tBodies[0] || null);
+		restores.push(() => head.remove());
+	}
+
+	const headerCells = Array.from(tableEl.tHead.rows[0].cells);
+	headerCells.forEach((cell, index) => {
+		const column = columns[index];
+		if (!column || (column.sortable === undefined ? !settings.sortable : !column.sortable)) {
+			return;
+		}
+
+		const hadClass = cell.hasAttribute('class');
+		const sortButton = button(Array.from(cell.childNodes), {class: 'sort-button'});
+		cell.appendChild(sortButton);
+		cell.setAttribute('aria-sort', 'none');
+		cell.classList.add('sortable');
+		restores.push(() => {
+			sortButton.replaceWith(...sortButton.childNodes);
+			cell.removeAttribute('aria-sort');
+			cell.classList.remove('sortable');
+			if (!hadClass && !cell.classList.length) {
+				cell.removeAttribute('class');
+			}
+		});
+		listen(sortButton, 'click', () => {
+			const key = keys[index];
+			controller.sort(key, state.sortKey === key && state.direction === 'asc' ? 'desc' : 'asc');
+		});
+	});
+
+	const selectFilters = [];
+	if (columns.some(column => column.filter)) {
+		const filterCells = columns.map((column, index) => {
+			if (!column.filter) {
+				return th(null);
+			}
+
+			const key = keys[index];
+			const label = `Filter ${column.header === undefined ? key : column.header}`;
+			let control;
+			if (column.filter === 'select') {
+				control = select(`filter-${key}`, '', filterItems(state.rows, column), {'aria-label': label, class: 'table-filter'});
+				selectFilters.push({control, column, key});
+				listen(control, 'change', () => controller.filter(key, control.value));
+			} else {
+				control = input('search', `filter-${key}`, null, {'aria-label': label, class: 'table-filter'});
+				listen(control, 'input', () => controller.filter(key, control.value));
+			}
+
+			return th(control);
+		});
+		const filterRow = tableEl.tHead.appendChild(tr(filterCells, {class: 'table-filters'}));
+		restores.push(() => filterRow.remove());
+	}
+
+	const pagination = settings.pageSize ? createElement('nav', null, {class: 'table-pagination', 'aria-label': 'Pagination'}) : null;
+	const previous = button('Previous', {class: 'page-previous'});
+	const next = button('Next', {class: 'page-next'});
+	const status = createElement('span', null, {class: 'page-status', 'aria-live': 'polite'});
+	if (pagination) {
+		pagination.append(previous, status, next);
+		listen(previous, 'click', () => controller.page(state.page - 1));
+		listen(next, 'click', () => controller.page(state.page + 1));
+		restores.push(() => pagination.remove());
+	}
+
+	const renderPagination = () => {
+		if (!pagination) {
+			return;
+		}
+
+		// A table enhanced before it was inserted gets its pagination on the first render once it is in place
+		if (!pagination.parentNode && tableEl.parentNode) {
+			tableEl.after(pagination);
+		}
+
+		previous.disabled = state.page <= 1;
+		next.disabled = state.page >= state.pageCount;
+		status.textContent = `Page ${state.page} of ${state.pageCount}`;
+	};
+
+	const renderFilterItems = () => {
+		selectFilters.forEach(({control, column, key}) => {
+			const value = state.filters[key] === undefined || state.filters[key] === null ? '' : String(state.filters[key]);
+			const options = Array.from(select(control.name, null, filterItems(state.rows, column)).options);
+			control.replaceChildren(...options);
+			if (options.some(option => option.value === value)) {
+				control.value = value;
+			} else {
+				control.value = '';
+				state.filters = {...state.filters, [key]: ''};
+			}
+		});
+	};
+
+	const render = () => {
+		const visible = visibleRows();
+		state.pageCount = settings.pageSize ? Math.max(1, Math.ceil(visible.length / settings.pageSize)) : 1;
+		state.page = Math.min(Math.max(1, state.page), state.pageCount);
+		const pageRows = settings.pageSize
+			? visible.slice((state.page - 1) * settings.pageSize, state.page * settings.pageSize)
+			: visible;
+
+		const body = tableBody(pageRows, columns, settings);
+		if (tableEl.tBodies[0]) {
+			tableEl.tBodies[0].replaceWith(body);
+		} else {
+			tableEl.insertBefore(body, tableEl.tFoot);
+		}
+
+		headerCells.forEach((cell, index) => {
+			if (cell.hasAttribute('aria-sort')) {
+				cell.setAttribute('aria-sort', keys[index] === state.sortKey ? ariaSort[state.direction] : 'none');
+			}
+		});
+		renderPagination();
+	};
+
+	const controller = {
+		state,
+		pagination,
+		sort(key, direction = 'asc') {
+			columnOf(key);
+			state.sortKey = String(key);
+			state.direction = direction === 'desc' ? 'desc' : 'asc';
+			state.page = 1;
+			render();
+			emit('sort', {key: state.sortKey, direction: state.direction});
+		},
+		filter(key, value) {
+			columnOf(key);
+			state.filters = {...state.filters, [key]: value};
+			state.page = 1;
+			render();
+			emit('filter', {filters: {...state.filters}});
+		},
+		page(page) {
+			// Values that are not a number keep the current page, the render clamps the rest to the page range
+			const value = Math.trunc(Number(page));
+			state.page = Number.isNaN(value) ? state.page : value;
+			render();
+			emit('page', {page: state.page, pageCount: state.pageCount});
+		},
+		setRows(newRows) {
+			state.rows = [...newRows];
+			renderFilterItems();
+			render();
+		},
+		refresh: render,
+		destroy() {
+			listeners.splice(0).forEach(remove => remove());
+			restores.splice(0).reverse().forEach(restore => restore());
+		},
+	};
+
+	render();
+	return controller;
+}
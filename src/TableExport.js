@@ -0,0 +1,290 @@
+import {escapeText} from 'entities';
+import {cellValue, dataTable} from './DataTable';
+import {renderToString} from './Html';
+import {StringDocument} from './StringDocument';
+
+/**
+ * @var {Array} - The sections of a table whose rows are exported, in document order
+ */
+const sectionTags = ['THEAD', 'TBODY', 'TFOOT'];
+
+/**
+ * Converts a value into the text of an exported cell
+ *
+ * @param {*} value - The value
+ * @returns {string} - The text, dates are converted to ISO strings and nodes to their text content
+ */
+function toText(value) {
+	if (value === null || value === undefined) {
+		return '';
+	}
+
+	if (value instanceof Date) {
+		return isNaN(value.getTime()) ? '' : value.toISOString();
+	}
+
+	if (Array.isArray(value)) {
+		return value.map(toText).join('');
+	}
+
+	if (typeof value === 'object' && typeof value.nodeType === 'number') {
+		return value.textContent;
+	}
+
+	return String(value);
+}
+
+/**
+ * Splits the arguments of the export functions, which accept a table element or rows with their columns
+ *
+ * @param {HTMLElement|Object[]} source - A table element or the row data
+ * @param {Array} args - The remaining arguments
+ * @returns {Object} - The `rows` and `columns` (for row data) and the `options`
+ */
+function exportArguments(source, args) {
+	if (Array.isArray(source)) {
+		const [columns = [], options = {}] = args;
+		return {rows: source, columns, options};
+	}
+
+	const [options = {}] = args;
+	return {table: source, options};
+}
+
+/**
+ * Converts a table element into a grid of cell texts
+ * Cells spanning several columns or rows occupy every position they cover: the first one receives the text and
+ * the others are empty, unless `fillSpans` is set. Works with DOM tables and the string renderer.
+ *
+ * @example
+ * tableMatrix(table([tr([th('Name', {colspan: 2})]), tr([td('A'), td('B')])]));
+ * // returns [['Name', ''], ['A', 'B']]
+ *
+ * @param {HTMLElement} tableEl - The table element
+ * @param {Object} options - Additional options
+ * @param {boolean} [options.fillSpans] - Whether to repeat the text of spanning cells in every position they cover
+ * @returns {string[][]} - The rows of cell texts
+ */
+export function tableMatrix(tableEl, options = {}) {
+	const rows = [];
+	Array.from(tableEl.children).forEach(child => {
+		if (child.tagName === 'TR') {
+			rows.push(child);
+		} else if (sectionTags.includes(child.tagName)) {
+			rows.push(...Array.from(child.children).filter(row => row.tagName === 'TR'));
+		}
+	});
+
+	const matrix = rows.map(() => []);
+	rows.forEach((row, rowIndex) => {
+		let columnIndex = 0;
+		Array.from(row.children).filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH').forEach(cell => {
+			while (matrix[rowIndex][columnIndex] !== undefined) {
+				columnIndex++;
+			}
+
+			const colspan = Math.max(1, parseInt(cell.getAttribute('colspan'), 10) || 1);
+			const rowspan = Math.max(1, parseInt(cell.getAttribute('rowspan'), 10) || 1);
+			const text = cell.textContent.trim();
+			for (let rowOffset = 0; rowOffset < rowspan && rowIndex + rowOffset < rows.length; rowOffset++) {
+				for (let columnOffset = 0; columnOffset < colspan; columnOffset++) {
+					const isOrigin = rowOffset === 0 && columnOffset === 0;
+					matrix[rowIndex + rowOffset][columnIndex + columnOffset] = isOrigin || options.fillSpans ? text : '';
+				}
+			}
+			columnIndex += colspan;
+		});
+	});
+
+	const width = Math.max(0, ...matrix.map(cells => cells.length));
+	return matrix.map(cells => Array.from({length: width}, (item, index) => (cells[index] === undefined ? '' : cells[index])));
+}
+
+/**
+ * Converts row data into a grid of cell texts, with the column headers as the first row
+ *
+ * @param {Object[]} rows - The row data
+ * @param {Object[]} columns - The column definitions, see `dataTable`
+ * @param {Object} options - Additional options
+ * @param {boolean} [options.header] - Whether to include the header row, defaults to true
+ * @param {boolean} [options.formatted] - Whether to export the output of the column formatters instead of the raw values
+ * @returns {string[][]} - The rows of cell texts
+ */
+export function rowsMatrix(rows, columns, options = {}) {
+	const matrix = rows.map((row, index) => columns.map(column => {
+		const value = cellValue(row, column);
+		return toText(options.formatted && column.formatter ? column.formatter(value, row, index) : value);
+	}));
+
+	if (options.header !== false) {
+		matrix.unshift(columns.map(column => toText(column.header === undefined ? column.key : column.header)));
+	}
+
+	return matrix;
+}
+
+/**
+ * Quotes a field when it contains the delimiter, a quote or a line break, doubling the quotes it contains
+ *
+ * @param {string} field - The field text
+ * @param {string} delimiter - The field delimiter
+ * @param {boolean} quoteAll - Whether to quote every field
+ * @returns {string} - The encoded field
+ */
+function encodeField(field, delimiter, quoteAll) {
+	if (quoteAll || field.includes(delimiter) || /["\r\n]/.test(field)) {
+		return `"${field.replace(/"/g, '""')}"`;
+	}
+
+	return field;
+}
+
+/**
+ * Exports a table as CSV following RFC 4180: fields containing the delimiter, quotes or line breaks are quoted,
+ * quotes are doubled and records end with CRLF
+ *
+ * Accepts a table element, `toCsv(tableEl, options)`, whose `colspan` and `rowspan` are resolved with `tableMatrix`,
+ * or row data with column definitions, `toCsv(rows, columns, options)`, exported with `rowsMatrix`.
+ *
+ * @example
+ * toCsv([{name: 'Smith, John', note: 'Says "hi"'}], [{header: 'Name', key: 'name'}, {header: 'Note', key: 'note'}]);
+ * // returns 'Name,Note\r\n"Smith, John","Says ""hi"""\r\n'
+ *
+ * @param {HTMLElement|Object[]} source - A table element or the row data
+ * @param {...Object} args - The column definitions for row data, then the options
+ * @param {string} [options.delimiter] - The field delimiter, defaults to a comma
+ * @param {boolean} [options.bom] - Whether to prepend a byte order mark, so spreadsheet applications detect UTF-8
+ * @param {boolean} [options.quoteAll] - Whether to quote every field
+ * @param {string} [options.newline] - The record separator, defaults to CRLF
+ * @returns {string} - The CSV text
+ * @see tableMatrix
+ * @see rowsMatrix
+ */
+export function toCsv(source, ...args) {
+	const {table, rows, columns, options} = exportArguments(source, args);
+	const {delimiter = ',', bom = false, quoteAll = false, newline = '\r\n'} = options;
+	const matrix = table ? tableMatrix(table, options) : rowsMatrix(rows, columns, options);
+
+	const records = matrix.map(cells => cells.map(cell => encodeField(cell, delimiter, quoteAll)).join(delimiter) + newline);
+	return (bom ? '\uFEFF' : '') + records.join('');
+}
+
+/**
+ * Exports a table as tab-separated values, with the same quoting rules as `toCsv`
+ *
+ * @param {HTMLElement|Object[]} source - A table element or the row data
+ * @param {...Object} args - The column definitions for row data, then the options of `toCsv`
+ * @returns {string} - The TSV text
+ * @see toCsv
+ */
+export function toTsv(source, ...args) {
+	const {table, rows, columns, options} = exportArguments(source, args);
+	const settings = {...options, delimiter: '\t'};
+
+	return table ? toCsv(table, settings) : toCsv(rows, columns, settings);
+}
+
+/**
+ * Exports a table as an HTML string, by default a standalone document that can be saved or opened on its own
+ * Row data is rendered with `dataTable` and the string renderer, so no DOM is needed.
+ *
+ * @example
+ * toHtmlString(rows, columns, {title: 'Inventory'});
+ * // returns '<!DOCTYPE html><html><head><meta charset="utf-8"><title>Inventory</title></head><body><table>...</table></body></html>'
+ *
+ * @param {HTMLElement|Object[]} source - A table element or the row data
+ * @param {...Object} args - The column definitions for row data, then the options
+ * @param {boolean} [options.standalone] - Whether to wrap the table in a complete document, defaults to true
+ * @param {string} [options.title] - The title of the document
+ * @returns {string} - The HTML markup
+ * @see dataTable
+ */
+export function toHtmlString(source, ...args) {
+	const {table, rows, columns, options} = exportArguments(source, args);
+	const {standalone = true, title = ''} = options;
+	const markup = table
+		? StringDocument.serialize(table)
+		: renderToString(() => dataTable(rows, columns, options));
+
+	if (!standalone) {
+		return markup;
+	}
+
+	return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeText(title)}</title></head><body>${markup}</body></html>`;
+}
+
+/**
+ * Parses CSV text following RFC 4180, the reverse of `toCsv`
+ * Quoted fields may contain delimiters, doubled quotes and line breaks. A leading byte order mark is ignored
+ * and both CRLF and LF line endings are accepted.
+ *
+ * @example
+ * parseCsv('name,price\r\n"Apples, red",1.5\r\n');
+ * // returns [{name: 'Apples, red', price: '1.5'}]
+ * parseCsv('a,b\r\n1,2', {header: false});
+ * // returns [['a', 'b'], ['1', '2']]
+ *
+ * @param {string} text - The CSV text
+ * @param {Object} options - Additional options
+ * @param {string} [options.delimiter] - The field delimiter, defaults to a comma
+ * @param {boolean} [options.header] - Whether the first record holds the keys of the returned row objects, defaults to true
+ * @returns {Object[]|string[][]} - Row objects keyed by the header, or the records as arrays of fields
+ */
+export function parseCsv(text, options = {}) {
+	const {delimiter = ',', header = true} = options;
+	const input = text.startsWith('\uFEFF') ? text.slice(1) : text;
+	const records = [];
+	let record = [];
+	let field = '';
+	let quoted = false;
+	let index = 0;
+
+	while (index < input.length) {
+		const char = input[index];
+		if (quoted) {
+			if (char === '"' && input[index + 1] === '"') {
+				field += '"';
+				index += 2;
+				continue;
+			}
+			if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+			index++;
+			continue;
+		}
+
+		if (char === '"' && field === '') {
+			quoted = true;
+		} else if (input.startsWith(delimiter, index)) {
+			record.push(field);
+			field = '';
+			index += delimiter.length;
+			continue;
+		} else if (char === '\r' || char === '\n') {
+			record.push(field);
+			records.push(record);
+			record = [];
+			field = '';
+			index += char === '\r' && input[index + 1] === '\n' ? 2 : 1;
+			continue;
+		} else {
+			field += char;
+		}
+		index++;
+	}
+
+	if (field !== '' || record.length) {
+		record.push(field);
+		records.push(record);
+	}
+
+	if (!header) {
+		return records;
+	}
+
+	const [keys = [], ...body] = records;
+	return body.map(fields => Object.fromEntries(keys.map((key, position) => [key, fields[position] === undefined ? '' : fields[position]])));
+}
@@ -0,0 +1,308 @@
+import {formControls, parseFieldName, serializeForm} from './Form';
+import {fieldId} from './FormBuilder';
+import {addClass, createElement, removeClass} from './Html';
+
+/**
+ * @var {Object} - The default error messages, `{value}` is replaced with the rule value
+ */
+const defaultMessages = {
+	required: 'This field is required.',
+	minLength: 'Must be at least {value} characters.',
+	maxLength: 'Must be at most {value} characters.',
+	pattern: 'The format is invalid.',
+	email: 'Must be a valid email address.',
+	url: 'Must be a valid URL.',
+	numeric: 'Must be a number.',
+	min: 'Must be at least {value}.',
+	max: 'Must be at most {value}.',
+	equals: 'Must match {value}.',
+	custom: 'This field is invalid.',
+};
+
+/**
+ * @var {Object} - The checks of the built-in rules, each returns true when the value is valid
+ */
+const checks = {
+	minLength: (value, length) => (Array.isArray(value) ? value.length : String(value).length) >= length,
+	maxLength: (value, length) => (Array.isArray(value) ? value.length : String(value).length) <= length,
+	pattern: (value, pattern) => (pattern instanceof RegExp ? pattern : new RegExp(`^(?:${pattern})$`)).test(String(value)),
+	email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value)),
+	url: (value) => {
+		try {
+			return ['http:', 'https:'].includes(new URL(String(value)).protocol);
+		} catch (error) {
+			return false;
+		}
+	},
+	numeric: (value) => String(value).trim() !== '' && !isNaN(Number(value)),
+	min: (value, min) => Number(value) >= min,
+	max: (value, max) => Number(value) <= max,
+	equals: (value, otherField, data) => value === valueAt(data, otherField),
+};
+
+/**
+ * @var {string[]} - The rules that check a list as a whole instead of each of its items
+ */
+const listRules = ['minLength', 'maxLength', 'equals'];
+
+/**
+ * Reads the value of a field from serialized form data
+ *
+ * @param {Object} data - The serialized form data
+ * @param {string} name - The bracketed field name
+ * @returns {*} - The value, or undefined when it is missing
+ */
+function valueAt(data, name) {
+	return parseFieldName(name)
+		.filter((key, index, keys) => !(key === '' && index === keys.length - 1))
+		.reduce((current, key) => (
+			typeof current === 'object' && current !== null && Object.prototype.hasOwnProperty.call(current, key)
+				? current[key]
+				: undefined
+		), data);
+}
+
+/**
+ * Tests if a value counts as empty for the `required` rule
+ *
+ * @param {*} value - The value to test
+ * @returns {boolean} - True or false whether the value is empty
+ */
+function isEmpty(value) {
+	return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Builds the error message of a failed rule
+ *
+ * @param {string} rule - The rule name
+ * @param {*} value - The rule value
+ * @param {Object} messages - Custom messages by rule name
+ * @param {string} [message] - A message defined on the rule itself
+ * @returns {string} - The message
+ */
+function formatMessage(rule, value, messages, message) {
+	const template = message || messages[rule] || defaultMessages[rule];
+	return template.replace('{value}', value);
+}
+
+/**
+ * Converts a list of schema fields into a rule set
+ *
+ * @param {Object|Object[]} rules - Rules by field name, or field definitions as used by `formFromSchema`
+ * @returns {Object} - Rules by field name
+ */
+function normalizeRules(rules) {
+	if (!Array.isArray(rules)) {
+		return rules;
+	}
+
+	const ruleSet = {};
+	rules.filter(field => field.rules).forEach(field => {
+		ruleSet[field.name] = field.rules;
+	});
+
+	return ruleSet;
+}
+
+/**
+ * Validates a single field
+ *
+ * @param {*} value - The field value
+ * @param {Object} fieldRules - The rules of the field
+ * @param {Object} data - All the values, used by rules comparing fields
+ * @param {Object} messages - Custom messages by rule name
+ * @returns {Promise<string[]>} - The error messages
+ */
+async function validateField(value, fieldRules, data, messages) {
+	const errors = [];
+	const ruleValue = (rule) => (typeof rule === 'object' && rule !== null && !(rule instanceof RegExp) && 'value' in rule ? rule.value : rule);
+	const ruleMessage = (rule) => (typeof rule === 'object' && rule !== null ? rule.message : undefined);
+
+	if (isEmpty(value)) {
+		if (fieldRules.required && ruleValue(fieldRules.required)) {
+			errors.push(formatMessage('required', true, messages, ruleMessage(fieldRules.required)));
+		}
+		return errors;
+	}
+
+	Object.entries(checks).forEach(([name, check]) => {
+		const rule = fieldRules[name];
+		if (rule === undefined || rule === null || rule === false) {
+			return;
+		}
+
+		// Every choice of a list, such as the checked boxes of a checkbox list, must pass the rules checking single values
+		const valid = Array.isArray(value) && !listRules.includes(name)
+			? value.every(item => check(item, ruleValue(rule), data))
+			: check(value, ruleValue(rule), data);
+		if (!valid) {
+			errors.push(formatMessage(name, ruleValue(rule), messages, ruleMessage(rule)));
+		}
+	});
+
+	const validators = [].concat(fieldRules.validators || []);
+	const results = await Promise.all(validators.map(validator => validator(value, data)));
+	results.forEach(result => {
+		if (typeof result === 'string') {
+			errors.push(result);
+		} else if (result === false) {
+			errors.push(formatMessage('custom', '', messages));
+		}
+	});
+
+	return errors;
+}
+
+/**
+ * Validates values against a set of rules
+ *
+ * The built-in rules are `required`, `minLength`, `maxLength`, `pattern`, `email`, `url`, `numeric`, `min`, `max`
+ * and `equals` (the name of another field). A rule can also be an object with a `value` and a custom `message`.
+ * Custom rules are listed in `validators`; they receive the value and all values, may be async, and return
+ * `false` or an error message when the value is invalid. Rules other than `required` are skipped for empty values.
+ * For lists of values, such as checkbox lists, `minLength` and `maxLength` count the items and the single value rules
+ * check each item.
+ *
+ * @example
+ * await validate({user: {email: 'nope'}, password: 'a', confirm: 'b'}, {
+ *     'user[email]': {required: true, email: true},
+ *     password: {minLength: {value: 8, message: 'Use at least 8 characters.'}},
+ *     confirm: {equals: 'password'},
+ * });
+ * // returns {valid: false, errors: {'user[email]': ['Must be a valid email address.'], password: ['Use at least 8 characters.'], confirm: ['Must match password.']}}
+ *
+ * @param {Object} data - The values, shaped like the object `serializeForm` returns
+ * @param {Object|Object[]} rules - Rules by bracketed field name, or field definitions as used by `formFromSchema`
+ * @param {Object} options - Additional options
+ * @param {Object} options.messages - Custom messages by rule name
+ * @returns {Promise<{valid: boolean, errors: Object}>} - The result with the error messages by field name
+ */
+export async function validate(data, rules, options = {}) {
+	const ruleSet = normalizeRules(rules);
+	const messages = options.messages || {};
+	const errors = {};
+
+	await Promise.all(Object.entries(ruleSet).map(async ([name, fieldRules]) => {
+		const fieldErrors = await validateField(valueAt(data, name), fieldRules, data, messages);
+		if (fieldErrors.length) {
+			errors[name] = fieldErrors;
+		}
+	}));
+
+	return {valid: Object.keys(errors).length === 0, errors};
+}
+
+/**
+ * Finds or creates the element that displays the error message of a field
+ * The placeholder generated by `formFromSchema` is used when it exists.
+ *
+ * @param {HTMLElement} form - The form
+ * @param {string} name - The field name
+ * @param {HTMLElement[]} controls - The controls of the field
+ * @param {Object} options - The display options
+ * @param {boolean} create - Whether to create the element when it does not exist
+ * @returns {HTMLElement|null} - The message element
+ */
+function messageElement(form, name, controls, options, create) {
+	const id = `${fieldId(name, options.idPrefix)}-error`;
+	const existing = form.querySelector(`[id="${id}"]`);
+	if (existing || !create) {
+		return existing;
+	}
+
+	const lastControl = controls[controls.length - 1];
+	const message = createElement('div', null, {id, class: options.messageClass, 'aria-live': 'polite'});
+	(lastControl.closest('label') || lastControl).after(message);
+	return message;
+}
+
+/**
+ * Adds or removes an ID from the `aria-describedby` list of a control
+ *
+ * @param {HTMLElement} control - The form control
+ * @param {string} id - The ID of the describing element
+ * @param {boolean} add - Whether to add or remove the ID
+ */
+function toggleDescribedBy(control, id, add) {
+	const ids = (control.getAttribute('aria-describedby') || '').split(/\s+/).filter(item => item && item !== id);
+	if (add) {
+		ids.push(id);
+	}
+
+	if (ids.length) {
+		control.setAttribute('aria-describedby', ids.join(' '));
+	} else {
+		control.removeAttribute('aria-describedby');
+	}
+}
+
+/**
+ * Displays validation errors on a live form
+ * Invalid controls get the error class and `aria-invalid`, the first message is displayed next to the control
+ * and linked with `aria-describedby`. The errors of fields listed in `names` that are valid are cleared.
+ *
+ * @param {HTMLElement} form - The form
+ * @param {Object} errors - The error messages by field name, as returned by `validate`
+ * @param {Object} options - The display options
+ * @param {string[]} [options.names] - The field names to update, defaults to the names in `errors`
+ * @param {string} [options.errorClass] - The class added to invalid controls, defaults to `is-invalid`
+ * @param {string} [options.messageClass] - The class of created message elements, defaults to `invalid-feedback`
+ * @param {string} [options.idPrefix] - The prefix of the IDs generated by `formFromSchema`
+ */
+export function showErrors(form, errors, options = {}) {
+	const settings = {errorClass: 'is-invalid', messageClass: 'invalid-feedback', ...options};
+	const names = settings.names || Object.keys(errors);
+	const controls = formControls(form);
+
+	names.forEach(name => {
+		const fieldControls = controls.filter(control => control.name === name && control.type !== 'hidden');
+		if (!fieldControls.length) {
+			return;
+		}
+
+		const fieldErrors = errors[name] || [];
+		const message = messageElement(form, name, fieldControls, settings, fieldErrors.length > 0);
+		if (message) {
+			message.textContent = fieldErrors.length ? fieldErrors[0] : '';
+		}
+
+		fieldControls.forEach(control => {
+			if (fieldErrors.length) {
+				addClass(control, settings.errorClass);
+				control.setAttribute('aria-invalid', 'true');
+			} else {
+				removeClass(control, settings.errorClass);
+				control.removeAttribute('aria-invalid');
+			}
+			if (message) {
+				toggleDescribedBy(control, message.id, fieldErrors.length > 0);
+			}
+		});
+	});
+}
+
+/**
+ * Validates a live form and displays the errors next to its controls
+ *
+ * @example
+ * formEl.addEventListener('submit', async (event) => {
+ *     event.preventDefault();
+ *     const {valid} = await validateForm(formEl, {'user[email]': {required: true, email: true}});
+ *     if (valid) formEl.submit();
+ * });
+ *
+ * @param {HTMLFormElement|HTMLElement} form - The form
+ * @param {Object|Object[]} rules - Rules by bracketed field name, or field definitions as used by `formFromSchema`
+ * @param {Object} options - The options of `validate` and `showErrors`
+ * @returns {Promise<{valid: boolean, errors: Object}>} - The validation result
+ * @see validate
+ * @see showErrors
+ */
+export async function validateForm(form, rules, options = {}) {
+	const ruleSet = normalizeRules(rules);
+	const result = await validate(serializeForm(form), ruleSet, options);
+	showErrors(form, result.errors, {...options, names: Object.keys(ruleSet)});
+
+	return result;
+}
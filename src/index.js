@@ -7,49 +7,71 @@
  * @module js-helpers
  */
 
+// <generated-exports> Maintained by scripts/update-html-export.js, do not edit by hand
+export {cellValue, dataTable, tableBody, tableFoot, tableHead} from './DataTable';
 export {DomParser} from './DomParser';
-export {ObjectHelper} from './ObjectHelper';
-
-
-// Auto-generated exports for Html
+export {bindForm, parseFieldName, populateForm, serializeForm} from './Form';
+export {fieldFromSchema, fieldId, formFromSchema} from './FormBuilder';
 export {
-  createElement,
   a,
-  img,
-  form,
-  label,
+  addClass,
+  addListeners,
+  booleanInput,
   button,
-  resetButton,
-  submitButton,
-  input,
   buttonInput,
-  submitInput,
-  resetInput,
-  textInput,
+  checkAccessibility,
+  checkbox,
+  checkboxList,
+  createElement,
+  createHtml,
+  fileInput,
+  form,
+  fromDescriptor,
+  getDocument,
+  h,
   hiddenInput,
+  img,
+  input,
+  label,
+  listBox,
+  moveListeners,
+  ol,
   passwordInput,
-  fileInput,
-  textarea,
   radio,
-  checkbox,
-  booleanInput,
+  radioList,
+  removeClass,
+  removeListeners,
   renderContent,
-  select,
-  listBox,
   renderSelectOptions,
-  checkboxList,
-  radioList,
-  ul,
-  ol,
-  text,
+  renderToString,
+  resetButton,
+  resetInput,
+  select,
+  setAccessibilityChecks,
   setAttributes,
-  addClass,
-  removeClass,
+  setRenderer,
+  submitButton,
+  submitInput,
   table,
-  tr,
+  tbody,
   td,
+  text,
+  textInput,
+  textarea,
+  tfoot,
   th,
   thead,
-  tbody,
-  tfoot
+  tr,
+  ul,
+  useDocument,
+  withDocument,
 } from './Html';
+export {html} from './HtmlTemplate';
+export {ObjectHelper} from './ObjectHelper';
+export {patch} from './Patch';
+export {Sanitizer} from './Sanitizer';
+export {StringDocument} from './StringDocument';
+export {enhanceTable} from './TableEnhancer';
+export {parseCsv, rowsMatrix, tableMatrix, toCsv, toHtmlString, toTsv} from './TableExport';
+export {showErrors, validate, validateForm} from './Validator';
+// </generated-exports>
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import { cellValue, dataTable } from '../src/DataTable';
+import * as Html from '../src/Html';
+
+const rows = [
+  { name: 'Apples', stock: { count: 3 }, price: 1.5 },
+  { name: 'Pears', stock: { count: 5 }, price: 2 },
+  { name: 'Plums', stock: { count: null }, price: 4 },
+];
+
+describe('DataTable', () => {
+  describe('cellValue', () => {
+    it('should read dotted paths, keys and accessor functions', () => {
+      expect(cellValue(rows[0], { accessor: 'stock.count' })).toBe(3);
+      expect(cellValue(rows[0], { key: 'name' })).toBe('Apples');
+      expect(cellValue(rows[0], { accessor: row => row.price * 2 })).toBe(3);
+      expect(cellValue(rows[0], { accessor: 'missing.path' })).toBe(undefined);
+    });
+  });
+
+  describe('dataTable', () => {
+    const columns = [
+      { header: 'Product', accessor: 'name', footer: 'Total' },
+      { header: 'Stock', accessor: 'stock.count', align: 'right', footer: 'sum' },
+      { header: 'Price', accessor: 'price', formatter: value => `$${value.toFixed(2)}`, footer: 'avg', footerFormatter: value => (value === null ? '-' : `$${value.toFixed(2)}`) },
+    ];
+
+    it('should generate the header, body and footer sections', () => {
+      const tableEl = dataTable(rows, columns);
+
+      expect(tableEl.tagName.toLowerCase()).toBe('table');
+      expect(Array.from(tableEl.children).map(child => child.tagName.toLowerCase())).toEqual(['thead', 'tbody', 'tfoot']);
+      expect(Array.from(tableEl.querySelectorAll('thead th')).map(cell => cell.textContent)).toEqual(['Product', 'Stock', 'Price']);
+      expect(tableEl.querySelector('thead th').getAttribute('scope')).toBe('col');
+      expect(tableEl.querySelectorAll('tbody tr').length).toBe(3);
+    });
+
+    it('should format cells and align columns', () => {
+      const tableEl = dataTable(rows, columns);
+      const cells = tableEl.querySelectorAll('tbody tr:first-child td');
+
+      expect(Array.from(cells).map(cell => cell.textContent)).toEqual(['Apples', '3', '$1.50']);
+      expect(cells[1].style.textAlign).toBe('right');
+      expect(tableEl.querySelector('thead th:nth-child(2)').style.textAlign).toBe('right');
+      expect(tableEl.querySelector('tbody tr:nth-child(3) td:nth-child(2)').textContent).toBe('');
+    });
+
+    it('should compute footer aggregates', () => {
+      const tableEl = dataTable(rows, columns);
+
+      expect(Array.from(tableEl.querySelectorAll('tfoot td')).map(cell => cell.textContent)).toEqual(['Total', '8', '$2.50']);
+    });
+
+    it('should support count, min, max and custom footer functions', () => {
+      const tableEl = dataTable(rows, [
+        { key: 'stock.count', footer: 'count' },
+        { key: 'price', footer: 'min' },
+        { key: 'price', footer: 'max' },
+        { key: 'name', footer: (values, allRows) => `${values.length}/${allRows.length}` },
+      ]);
+
+      expect(Array.from(tableEl.querySelectorAll('tfoot td')).map(cell => cell.textContent)).toEqual(['2', '1.5', '4', '3/3']);
+    });
+
+    it('should omit the footer when no column defines one', () => {
+      expect(dataTable(rows, [{ key: 'name' }]).querySelector('tfoot')).toBe(null);
+    });
+
+    it('should render a caption and table attributes', () => {
+      const tableEl = dataTable(rows, columns, { caption: 'Inventory', attributes: { class: 'grid' } });
+
+      expect(tableEl.firstChild.tagName.toLowerCase()).toBe('caption');
+      expect(tableEl.caption.textContent).toBe('Inventory');
+      expect(tableEl.className).toBe('grid');
+    });
+
+    it('should render an empty state row', () => {
+      const tableEl = dataTable([], columns, { emptyText: 'Nothing in stock' });
+      const cell = tableEl.querySelector('tbody td');
+
+      expect(tableEl.querySelectorAll('tbody tr').length).toBe(1);
+      expect(cell.textContent).toBe('Nothing in stock');
+      expect(cell.getAttribute('colspan')).toBe('3');
+      expect(cell.className).toBe('empty');
+      expect(Array.from(tableEl.querySelectorAll('tfoot td')).map(footerCell => footerCell.textContent)).toEqual(['Total', '0', '-']);
+    });
+
+    it('should apply cell and row attributes', () => {
+      const tableEl = dataTable(rows, [
+        { key: 'name', attributes: (value, row) => ({ class: row.price > 3 ? 'expensive' : 'cheap' }), headerAttributes: { class: 'name' } },
+      ], { rowAttributes: (row, index) => ({ data: { index: String(index) } }) });
+
+      expect(tableEl.querySelector('th').className).toBe('name');
+      expect(Array.from(tableEl.querySelectorAll('tbody td')).map(cell => cell.className)).toEqual(['cheap', 'cheap', 'expensive']);
+      expect(tableEl.querySelectorAll('tbody tr')[2].dataset.index).toBe('2');
+    });
+
+    it('should insert nodes returned by formatters', () => {
+      const tableEl = dataTable(rows, [{ key: 'name', formatter: value => Html.a(value, `/products/${value}`) }]);
+
+      expect(tableEl.querySelector('tbody a').getAttribute('href')).toBe('/products/Apples');
+    });
+
+    it('should render to a string', () => {
+      const markup = Html.renderToString(() => dataTable([{ name: 'A & B' }], [{ header: 'Name', key: 'name' }]));
+
+      expect(markup).toBe('<table><thead><tr><th scope="col">Name</th></tr></thead><tbody><tr><td>A &amp; B</td></tr></tbody></table>');
+    });
+  });
+});
@@ -0,0 +1,382 @@
+import { describe, it, expect, vi } from 'vitest';
+import { bindForm, parseFieldName, populateForm, serializeForm } from '../src/Form';
+import * as Html from '../src/Html';
+
+const buildForm = (...controls) => {
+  const formEl = Html.form('/save', 'post');
+  Html.renderContent(formEl, controls);
+  return formEl;
+};
+
+describe('Form', () => {
+  describe('parseFieldName', () => {
+    it('should split bracketed names into keys', () => {
+      expect(parseFieldName('user[address][city]')).toEqual(['user', 'address', 'city']);
+      expect(parseFieldName('tags[]')).toEqual(['tags', '']);
+      expect(parseFieldName('items[0][name]')).toEqual(['items', '0', 'name']);
+      expect(parseFieldName('plain')).toEqual(['plain']);
+    });
+
+    it('should keep malformed names as a single key', () => {
+      expect(parseFieldName('[weird]')).toEqual(['[weird]']);
+      expect(parseFieldName('a[b')).toEqual(['a[b']);
+    });
+  });
+
+  describe('serializeForm', () => {
+    it('should serialize text controls into an object', () => {
+      const formEl = buildForm(
+        Html.textInput('name', 'John'),
+        Html.passwordInput('password', 'secret'),
+        Html.textarea('bio', 'Hello'),
+        Html.hiddenInput('id', '7'),
+      );
+
+      expect(serializeForm(formEl)).toEqual({ name: 'John', password: 'secret', bio: 'Hello', id: '7' });
+    });
+
+    it('should build nested objects and arrays from bracketed names', () => {
+      const formEl = buildForm(
+        Html.textInput('user[name]', 'John'),
+        Html.textInput('user[address][city]', 'Oslo'),
+        Html.textInput('items[0][sku]', 'A1'),
+        Html.textInput('items[1][sku]', 'B2'),
+      );
+
+      expect(serializeForm(formEl)).toEqual({
+        user: { name: 'John', address: { city: 'Oslo' } },
+        items: [{ sku: 'A1' }, { sku: 'B2' }],
+      });
+    });
+
+    it('should serialize multiple list boxes as arrays', () => {
+      const formEl = buildForm(Html.listBox('tags', ['a', 'c'], { a: 'A', b: 'B', c: 'C' }, { multiple: true }));
+
+      expect(serializeForm(formEl)).toEqual({ tags: ['a', 'c'] });
+    });
+
+    it('should serialize checked checkboxes and radios only', () => {
+      const formEl = buildForm(
+        Html.checkboxList('colors', ['red', 'blue'], { red: 'Red', green: 'Green', blue: 'Blue' }),
+        Html.radioList('size', 'm', { s: 'Small', m: 'Medium' }),
+        Html.checkbox('terms', false),
+      );
+
+      expect(serializeForm(formEl)).toEqual({ colors: ['red', 'blue'], size: 'm' });
+    });
+
+    it('should use the uncheck and unselect values only when nothing is chosen', () => {
+      const formEl = buildForm(
+        Html.checkbox('newsletter', false, { uncheck: '0' }),
+        Html.checkbox('updates', true, { uncheck: '0' }),
+        Html.checkboxList('colors', null, { red: 'Red' }, { unselect: '' }),
+        Html.listBox('tags', null, { a: 'A' }, { multiple: true, unselect: '' }),
+        Html.listBox('groups', ['x'], { x: 'X' }, { multiple: true, unselect: '' }),
+      );
+
+      expect(serializeForm(formEl)).toEqual({ newsletter: '0', updates: '1', colors: '', tags: [], groups: ['x'] });
+    });
+
+    it('should skip disabled controls, disabled fieldsets and buttons', () => {
+      const fieldset = Html.createElement('fieldset', [Html.textInput('inner', 'x')], { disabled: true });
+      const formEl = buildForm(
+        Html.textInput('enabled', 'yes'),
+        Html.textInput('off', 'no', { disabled: true }),
+        fieldset,
+        Html.submitButton('Save', { name: 'action', value: 'save' }),
+        Html.submitInput('Go', { name: 'go' }),
+      );
+
+      expect(serializeForm(formEl)).toEqual({ enabled: 'yes' });
+    });
+
+    it('should serialize a select box', () => {
+      const formEl = buildForm(Html.select('country', 'ca', { us: 'United States', ca: 'Canada' }));
+
+      expect(serializeForm(formEl)).toEqual({ country: 'ca' });
+    });
+
+    it('should ignore prototype polluting names', () => {
+      const formEl = buildForm(Html.textInput('__proto__[polluted]', 'yes'), Html.textInput('a[constructor][prototype]', 'x'));
+      const data = serializeForm(formEl);
+
+      expect({}.polluted).toBe(undefined);
+      expect(data).toEqual({});
+    });
+
+    it('should serialize elements that are not forms', () => {
+      const container = Html.createElement('div', [Html.textInput('q', 'search')]);
+
+      expect(serializeForm(container)).toEqual({ q: 'search' });
+    });
+
+    it('should serialize to FormData', () => {
+      const formEl = buildForm(Html.textInput('name', 'John'), Html.checkboxList('colors[]', ['a', 'b'], { a: 'A', b: 'B' }));
+      const formData = serializeForm(formEl, 'formData');
+
+      expect(formData).toBeInstanceOf(FormData);
+      expect(formData.get('name')).toBe('John');
+      expect(formData.getAll('colors[]')).toEqual(['a', 'b']);
+    });
+
+    it('should serialize to URLSearchParams', () => {
+      const formEl = buildForm(Html.textInput('user[name]', 'John Doe'), Html.checkbox('agree', false, { uncheck: 'no' }));
+      const params = serializeForm(formEl, 'urlSearchParams');
+
+      expect(params).toBeInstanceOf(URLSearchParams);
+      expect(params.toString()).toBe('user%5Bname%5D=John+Doe&agree=no');
+    });
+
+    it('should serialize to JSON', () => {
+      const formEl = buildForm(Html.textInput('user[name]', 'John'), Html.textInput('tags[]', 'a'));
+
+      expect(serializeForm(formEl, 'json')).toBe('{"user":{"name":"John"},"tags":["a"]}');
+    });
+
+    it('should throw for an unknown format', () => {
+      expect(() => serializeForm(buildForm(), 'xml')).toThrow('Unknown serialization format "xml"');
+    });
+  });
+
+  describe('populateForm', () => {
+    it('should fill text inputs and text areas from nested data', () => {
+      const formEl = buildForm(
+        Html.textInput('user[name]'),
+        Html.textInput('user[address][city]', 'Old'),
+        Html.textarea('bio'),
+        Html.hiddenInput('id'),
+      );
+      populateForm(formEl, { user: { name: 'John', address: { city: 'Oslo' } }, bio: 'Hello', id: 7 });
+
+      expect(formEl.elements['user[name]'].value).toBe('John');
+      expect(formEl.elements['user[address][city]'].value).toBe('Oslo');
+      expect(formEl.elements.bio.value).toBe('Hello');
+      expect(formEl.elements.id.value).toBe('7');
+    });
+
+    it('should leave controls untouched when their path is missing', () => {
+      const formEl = buildForm(Html.textInput('name', 'Keep'), Html.checkbox('agree', true));
+      populateForm(formEl, { other: 'x' });
+
+      expect(formEl.elements.name.value).toBe('Keep');
+      expect(formEl.elements.agree.checked).toBe(true);
+    });
+
+    it('should check checkboxes and radios by value', () => {
+      const formEl = buildForm(
+        Html.checkboxList('colors[]', ['green'], { red: 'Red', green: 'Green', blue: 'Blue' }),
+        Html.radioList('size', null, { s: 'Small', m: 'Medium' }),
+        Html.checkbox('newsletter', false, { uncheck: '0' }),
+        Html.checkbox('terms', true),
+      );
+      populateForm(formEl, { colors: ['red', 'blue'], size: 'm', newsletter: true, terms: false });
+
+      expect(serializeForm(formEl)).toEqual({ colors: ['red', 'blue'], size: 'm', newsletter: '1' });
+      expect(formEl.querySelector('input[type="hidden"]').value).toBe('0');
+    });
+
+    it('should select options of select boxes and list boxes', () => {
+      const formEl = buildForm(
+        Html.select('country', 'us', { us: 'United States', ca: 'Canada' }),
+        Html.listBox('tags', null, { a: 'A', b: 'B', c: 'C' }, { multiple: true }),
+        Html.select('level', null, { 1: 'One', 2: 'Two' }),
+      );
+      populateForm(formEl, { country: 'ca', tags: ['a', 'c'], level: 2 });
+
+      expect(serializeForm(formEl)).toEqual({ country: 'ca', tags: ['a', 'c'], level: '2' });
+    });
+
+    it('should fill repeated names from arrays by position', () => {
+      const formEl = buildForm(
+        Html.textInput('phones[]'),
+        Html.textInput('phones[]'),
+        Html.textInput('items[0][sku]'),
+        Html.textInput('items[1][sku]'),
+      );
+      populateForm(formEl, { phones: ['111', '222'], items: [{ sku: 'A1' }, { sku: 'B2' }] });
+
+      expect(serializeForm(formEl)).toEqual({ phones: ['111', '222'], items: [{ sku: 'A1' }, { sku: 'B2' }] });
+    });
+
+    it('should round trip with serializeForm', () => {
+      const data = {
+        user: { name: 'Jane', role: 'admin' },
+        colors: ['blue'],
+        size: 's',
+        notes: 'Line 1\nLine 2',
+      };
+      const formEl = buildForm(
+        Html.textInput('user[name]'),
+        Html.select('user[role]', null, { user: 'User', admin: 'Admin' }),
+        Html.checkboxList('colors[]', null, { red: 'Red', blue: 'Blue' }),
+        Html.radioList('size', null, { s: 'Small', m: 'Medium' }),
+        Html.textarea('notes'),
+      );
+
+      expect(serializeForm(populateForm(formEl, data))).toEqual(data);
+    });
+
+    it('should not read inherited properties', () => {
+      const formEl = buildForm(Html.textInput('toString'), Html.textInput('__proto__[x]'));
+      populateForm(formEl, {});
+
+      expect(formEl.querySelector('[name="toString"]').value).toBe('');
+    });
+  });
+
+  describe('bindForm', () => {
+    const type = (control, value) => {
+      control.value = value;
+      control.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+
+    const toggle = control => {
+      control.checked = !control.checked;
+      control.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    const bindingForm = () => buildForm(
+      Html.textInput('user[name]'),
+      Html.textInput('user[age]'),
+      Html.textarea('user[bio]'),
+      Html.checkbox('newsletter', false, { uncheck: '0' }),
+      Html.checkboxList('colors', null, { red: 'Red', green: 'Green', blue: 'Blue' }),
+      Html.radioList('size', null, { s: 'Small', m: 'Medium' }),
+      Html.select('country', null, { us: 'United States', ca: 'Canada' }),
+      Html.listBox('tags[]', [], { a: 'A', b: 'B', c: 'C' }, { multiple: true }),
+    );
+
+    it('should fill the controls from the model', () => {
+      const formEl = bindingForm();
+      bindForm(formEl, { user: { name: 'John', age: 30 }, newsletter: true, colors: ['red'], size: 'm', tags: ['b', 'c'] });
+
+      expect(formEl.elements['user[name]'].value).toBe('John');
+      expect(formEl.elements['user[age]'].value).toBe('30');
+      expect(formEl.querySelector('input[type="checkbox"][name="newsletter"]').checked).toBe(true);
+      expect(serializeForm(formEl)).toMatchObject({ colors: 'red', size: 'm', tags: ['b', 'c'] });
+    });
+
+    it('should update the model at the path of bracketed names, coercing to the model types', () => {
+      const formEl = bindingForm();
+      const model = { user: { name: 'John', age: 30 }, newsletter: false, colors: [] };
+      bindForm(formEl, model);
+
+      type(formEl.elements['user[name]'], 'Jane');
+      type(formEl.elements['user[age]'], '31');
+      type(formEl.elements['user[bio]'], 'Hello');
+      toggle(formEl.querySelector('input[type="checkbox"][name="newsletter"]'));
+      toggle(formEl.querySelector('input[name="colors"][value="green"]'));
+      toggle(formEl.querySelector('input[name="size"][value="s"]'));
+
+      const tags = formEl.elements['tags[]'];
+      tags.options[0].selected = true;
+      tags.options[2].selected = true;
+      tags.dispatchEvent(new Event('change', { bubbles: true }));
+
+      expect(model).toEqual({
+        user: { name: 'Jane', age: 31, bio: 'Hello' },
+        newsletter: true,
+        colors: ['green'],
+        size: 's',
+        tags: ['a', 'c'],
+      });
+    });
+
+    it('should coerce with the coerce option and number inputs, and report changes', () => {
+      const formEl = buildForm(
+        Html.input('number', 'qty'),
+        Html.textInput('price'),
+        Html.textInput('code'),
+        Html.checkbox('agree', false, { value: 'yes' }),
+      );
+      const onChange = vi.fn();
+      const model = { agree: 'no' };
+      bindForm(formEl, model, { coerce: { price: 'number', code: value => value.toUpperCase() }, onChange });
+
+      type(formEl.elements.qty, '4');
+      type(formEl.elements.price, '9.5');
+      type(formEl.elements.code, 'ab');
+      toggle(formEl.elements.agree);
+      type(formEl.elements.price, '');
+
+      expect(model).toEqual({ qty: 4, price: null, code: 'AB', agree: 'yes' });
+      expect(onChange).toHaveBeenCalledWith('code', 'AB', model);
+      expect(() => bindForm(formEl, {}, { coerce: { qty: 'money' } })).toThrow('Unknown coercion "money"');
+    });
+
+    it('should reject a document fragment', () => {
+      const fragment = document.createDocumentFragment();
+      fragment.append(Html.textInput('name'));
+
+      expect(() => bindForm(fragment, {})).toThrow('bindForm needs an element, not a DocumentFragment');
+    });
+
+    it('should update the controls when the model proxy changes', () => {
+      const formEl = bindingForm();
+      const binding = bindForm(formEl, { user: { name: 'John' }, tags: ['a'] });
+
+      binding.model.user.name = 'Jane';
+      binding.model.tags.push('c');
+      binding.model.size = 'm';
+
+      expect(formEl.elements['user[name]'].value).toBe('Jane');
+      expect(Array.from(formEl.elements['tags[]'].selectedOptions).map(option => option.value)).toEqual(['a', 'c']);
+      expect(formEl.querySelector('input[name="size"][value="m"]').checked).toBe(true);
+    });
+
+    it('should only proxy plain objects and arrays of the model', () => {
+      const formEl = bindingForm();
+      const date = new Date(2024, 0, 2);
+      const binding = bindForm(formEl, { user: { name: 'John' }, created: date, seen: new Set(['a']) });
+
+      expect(binding.model.created).toBe(date);
+      expect(binding.model.created.getTime()).toBe(date.getTime());
+      expect(binding.model.seen.has('a')).toBe(true);
+    });
+
+    it('should write the model once per edit', () => {
+      const formEl = bindingForm();
+      const onChange = vi.fn();
+      bindForm(formEl, { user: { name: 'John' }, newsletter: false }, { onChange });
+
+      const name = formEl.elements['user[name]'];
+      type(name, 'Jane');
+      name.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(onChange).toHaveBeenCalledTimes(1);
+
+      const newsletter = formEl.querySelector('input[type="checkbox"][name="newsletter"]');
+      newsletter.checked = true;
+      newsletter.dispatchEvent(new Event('input', { bubbles: true }));
+      newsletter.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(onChange).toHaveBeenCalledTimes(2);
+      expect(onChange).toHaveBeenLastCalledWith('newsletter', true, expect.any(Object));
+    });
+
+    it('should refresh after direct changes and stop following both sides once unbound', () => {
+      const formEl = bindingForm();
+      const model = { user: { name: 'John' } };
+      const binding = bindForm(formEl, model);
+
+      model.user.name = 'Jane';
+      binding.refresh();
+      expect(formEl.elements['user[name]'].value).toBe('Jane');
+
+      binding.unbind();
+      type(formEl.elements['user[name]'], 'Ann');
+      binding.model.user.age = 5;
+
+      expect(model.user).toEqual({ name: 'Jane', age: 5 });
+      expect(formEl.elements['user[age]'].value).toBe('');
+    });
+
+    it('should not write unsafe paths', () => {
+      const formEl = buildForm(Html.textInput('__proto__[polluted]'), Html.textInput('user[constructor][prototype][polluted]'));
+      bindForm(formEl, {});
+
+      type(formEl.elements['__proto__[polluted]'], 'yes');
+      type(formEl.elements['user[constructor][prototype][polluted]'], 'yes');
+
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest';
+import { fieldFromSchema, fieldId, formFromSchema } from '../src/FormBuilder';
+import { serializeForm } from '../src/Form';
+import { validateForm } from '../src/Validator';
+
+describe('FormBuilder', () => {
+  describe('fieldId', () => {
+    it('should convert bracketed names into IDs', () => {
+      expect(fieldId('user[address][city]')).toBe('user-address-city');
+      expect(fieldId('tags[]')).toBe('tags');
+      expect(fieldId('email', 'signup-')).toBe('signup-email');
+    });
+  });
+
+  describe('fieldFromSchema', () => {
+    it('should wrap a control with its label, help text and error placeholder', () => {
+      const field = fieldFromSchema({ name: 'user[email]', type: 'email', label: 'Email', help: 'We never share it' });
+      const control = field.querySelector('input');
+
+      expect(field.className).toBe('form-group');
+      expect(control.type).toBe('email');
+      expect(control.id).toBe('user-email');
+      expect(field.querySelector('label').htmlFor).toBe('user-email');
+      expect(field.querySelector('label').textContent).toBe('Email');
+      expect(field.querySelector('#user-email-help').textContent).toBe('We never share it');
+      expect(control.getAttribute('aria-describedby')).toBe('user-email-help');
+      expect(field.querySelector('#user-email-error').className).toBe('invalid-feedback');
+    });
+
+    it('should convert validation rules into native attributes', () => {
+      const field = fieldFromSchema({ name: 'code', rules: { required: true, minLength: 2, maxLength: 5, pattern: /^[A-Z]+$/ } });
+      const control = field.querySelector('input');
+
+      expect(control.required).toBe(true);
+      expect(control.getAttribute('minlength')).toBe('2');
+      expect(control.getAttribute('maxlength')).toBe('5');
+      expect(control.getAttribute('pattern')).toBe('^[A-Z]+$');
+    });
+
+    it('should use the helper matching the field type', () => {
+      expect(fieldFromSchema({ name: 'bio', type: 'textarea' }).querySelector('textarea')).not.toBe(null);
+      expect(fieldFromSchema({ name: 'avatar', type: 'file' }).querySelector('input').type).toBe('file');
+      expect(fieldFromSchema({ name: 'role', type: 'select', items: { a: 'A' } }).querySelector('select').id).toBe('role');
+      expect(fieldFromSchema({ name: 'tags', type: 'select', multiple: true, items: { a: 'A' } }).querySelector('select').name).toBe('tags[]');
+      expect(fieldFromSchema({ name: 'token', type: 'hidden', value: 'abc' }).outerHTML).toBe('<input type="hidden" name="token" value="abc">');
+    });
+
+    it('should wrap radio and checkbox lists in a fieldset with a legend', () => {
+      const field = fieldFromSchema({ name: 'size', type: 'radioList', label: 'Size', items: { s: 'Small', m: 'Medium' }, rules: { required: true } });
+      const fieldset = field.querySelector('fieldset');
+
+      expect(fieldset.id).toBe('size');
+      expect(fieldset.querySelector('legend').textContent).toBe('Size');
+      expect(fieldset.querySelectorAll('input[type="radio"][required]').length).toBe(2);
+    });
+
+    it('should only put group-level rules on the group and not on each checkbox', async () => {
+      const fields = [{ name: 'colors[]', type: 'checkboxList', items: { red: 'Red', blue: 'Blue' }, rules: { required: true, minLength: 1, pattern: 'red|blue' } }];
+      const formEl = formFromSchema(fields);
+      const boxes = formEl.querySelectorAll('input[type="checkbox"]');
+
+      expect(formEl.querySelectorAll('input[required], input[minlength], input[pattern]').length).toBe(0);
+      expect((await validateForm(formEl, fields)).valid).toBe(false);
+
+      boxes[1].checked = true;
+      expect(formEl.checkValidity()).toBe(true);
+      expect(await validateForm(formEl, fields)).toEqual({ valid: true, errors: {} });
+    });
+
+    it('should only add the required rule to radio inputs', () => {
+      const field = fieldFromSchema({ name: 'size', type: 'radioList', items: { s: 'Small' }, rules: { required: true, pattern: 's', maxLength: 1 } });
+      const radio = field.querySelector('input[type="radio"]');
+
+      expect(radio.required).toBe(true);
+      expect(radio.hasAttribute('pattern')).toBe(false);
+      expect(radio.hasAttribute('maxlength')).toBe(false);
+    });
+
+    it('should render a single checkbox with its own label', () => {
+      const field = fieldFromSchema({ name: 'terms', type: 'checkbox', label: 'I agree', uncheck: '0' });
+
+      expect(field.querySelectorAll('label').length).toBe(1);
+      expect(field.querySelector('label').textContent).toBe('I agree');
+      expect(field.querySelector('input[type="hidden"]').value).toBe('0');
+    });
+
+    it('should use custom layout classes', () => {
+      const field = fieldFromSchema({ name: 'name', label: 'Name' }, { wrapperClass: 'field', labelClass: 'field-label', errorClass: 'field-error', idPrefix: 'f-' });
+
+      expect(field.className).toBe('field');
+      expect(field.querySelector('label').className).toBe('field-label');
+      expect(field.querySelector('#f-name-error').className).toBe('field-error');
+    });
+  });
+
+  describe('formFromSchema', () => {
+    const schema = {
+      action: '/users',
+      submit: 'Save',
+      attributes: { class: 'user-form' },
+      fields: [
+        { name: 'user[name]', label: 'Name', rules: { required: true } },
+        { name: 'user[role]', type: 'select', label: 'Role', items: { user: 'User', admin: 'Admin' } },
+        { name: 'colors[]', type: 'checkboxList', label: 'Colors', items: { red: 'Red', blue: 'Blue' } },
+        { name: 'size', type: 'radioList', label: 'Size', items: { s: 'Small', m: 'Medium' }, value: 's' },
+        { name: 'bio', type: 'textarea', label: 'Biography' },
+      ],
+    };
+
+    it('should generate a form with every field and a submit button', () => {
+      const formEl = formFromSchema(schema);
+
+      expect(formEl.tagName.toLowerCase()).toBe('form');
+      expect(formEl.getAttribute('action')).toBe('/users');
+      expect(formEl.className).toBe('user-form');
+      expect(formEl.querySelectorAll('.form-group').length).toBe(5);
+      expect(formEl.querySelector('button[type="submit"]').textContent).toBe('Save');
+    });
+
+    it('should fill the form with the values', () => {
+      const formEl = formFromSchema(schema, { user: { name: 'John', role: 'admin' }, colors: ['blue'], bio: 'Hi' });
+
+      expect(serializeForm(formEl)).toEqual({ user: { name: 'John', role: 'admin' }, colors: ['blue'], size: 's', bio: 'Hi' });
+    });
+
+    it('should accept a list of fields', () => {
+      const formEl = formFromSchema([{ name: 'q', type: 'search' }]);
+
+      expect(formEl.querySelector('input').type).toBe('search');
+      expect(formEl.getAttribute('method')).toBe('post');
+    });
+  });
+});
@@ -1,5 +1,7 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi, afterEach } from 'vitest';
 import * as Html from '../src/Html';
+import { StringDocument } from '../src/StringDocument';
+import { DomParser } from '../src/DomParser';
 
 describe('Html', () => {
   describe('createElement', () => {
@@ -181,6 +183,104 @@ describe('Html', () => {
       expect(input.disabled).toBe(true);
       expect(input.hasAttribute('required')).toBe(false);
     });
+
+    it('should set ARIA attributes from an object', () => {
+      const element = Html.button('Menu', { aria: { expanded: false, controls: 'menu', describedBy: ['hint', 'error'], label: null } });
+
+      expect(element.getAttribute('aria-expanded')).toBe('false');
+      expect(element.getAttribute('aria-controls')).toBe('menu');
+      expect(element.getAttribute('aria-describedby')).toBe('hint error');
+      expect(element.hasAttribute('aria-label')).toBe(false);
+      expect(element.hasAttribute('aria')).toBe(false);
+    });
+  });
+
+  describe('addListeners', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should add listeners from the on option of createElement and the helpers', () => {
+      const onClick = vi.fn();
+      const onFocus = vi.fn();
+      const element = Html.button('Save', { on: { click: onClick }, onfocus: onFocus });
+      element.click();
+      element.dispatchEvent(new Event('focus'));
+
+      expect(onClick).toHaveBeenCalledTimes(1);
+      expect(onClick.mock.calls[0][1]).toBe(element);
+      expect(onFocus).toHaveBeenCalledTimes(1);
+      expect(element.hasAttribute('on')).toBe(false);
+      expect(element.hasAttribute('onfocus')).toBe(false);
+    });
+
+    it('should support the once, prevent and self modifiers', () => {
+      const handler = vi.fn();
+      const element = Html.h('a', { href: '#', on: { 'click.once.prevent.self': handler } }, [Html.h('span', 'Open')]);
+      element.firstChild.click();
+      expect(handler).not.toHaveBeenCalled();
+
+      const event = new MouseEvent('click', { cancelable: true });
+      element.dispatchEvent(event);
+      element.click();
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(event.defaultPrevented).toBe(true);
+    });
+
+    it('should pass listener options given next to the handler', () => {
+      const element = document.createElement('div');
+      const spy = vi.spyOn(element, 'addEventListener');
+      Html.addListeners(element, { scroll: { handler: () => {}, passive: true, capture: true } });
+
+      expect(spy.mock.calls[0][2]).toEqual({ capture: true, passive: true, once: false });
+    });
+
+    it('should delegate events to descendants matching the selector', () => {
+      const handler = vi.fn();
+      const list = Html.ul(['One', 'Two'], { on: { 'click li': handler } });
+      list.children[1].click();
+      list.click();
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][1]).toBe(list.children[1]);
+    });
+
+    it('should debounce and throttle handlers', () => {
+      vi.useFakeTimers();
+      const debounced = vi.fn();
+      const throttled = vi.fn();
+      const element = Html.textInput('q', '', { on: { 'input.debounce.300': debounced, 'keyup.throttle': throttled } });
+
+      ['input', 'input', 'keyup', 'keyup'].forEach(type => element.dispatchEvent(new Event(type)));
+      expect(debounced).not.toHaveBeenCalled();
+      expect(throttled).toHaveBeenCalledTimes(1);
+
+      vi.advanceTimersByTime(300);
+      expect(debounced).toHaveBeenCalledTimes(1);
+    });
+
+    it('should remove every listener of an element tree', () => {
+      vi.useFakeTimers();
+      const handler = vi.fn();
+      const debounced = vi.fn();
+      const child = Html.button('Save', { on: { click: handler, 'input.debounce': debounced } });
+      const container = Html.createElement('div', child, { on: { click: handler } });
+      child.dispatchEvent(new Event('input'));
+
+      Html.removeListeners(container);
+      child.click();
+      vi.runAllTimers();
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(debounced).not.toHaveBeenCalled();
+    });
+
+    it('should ignore listeners with the string renderer and reject missing handlers', () => {
+      expect(Html.renderToString(() => Html.button('Save', { on: { click: () => {} }, onclick: () => {} })))
+        .toBe('<button type="button">Save</button>');
+      expect(() => Html.addListeners(document.createElement('div'), { click: {} })).toThrow('Missing handler for the "click" event');
+    });
   });
 
   describe('addClass', () => {
@@ -353,4 +453,361 @@ describe('Html', () => {
       expect(tfootEl.children[0].tagName.toLowerCase()).toBe('tr');
     });
   });
+
+  describe('renderToString', () => {
+    const parity = (build) => {
+      Html.setRenderer('dom');
+      const container = document.createElement('div');
+      container.appendChild(build());
+      const markup = container.innerHTML;
+
+      expect(Html.renderToString(build)).toBe(markup);
+    };
+
+    it('should render the same markup as the DOM for elements with attributes', () => {
+      parity(() => Html.createElement('div', 'Fish & <Chips> "quoted"', {
+        id: 'main',
+        class: ['a', 'b'],
+        title: 'Tom & "Jerry" <3',
+        style: { color: 'red', backgroundColor: 'blue' },
+        data: { userId: '42' },
+      }));
+    });
+
+    it('should render the same markup as the DOM for void elements', () => {
+      parity(() => Html.img('image.jpg?a=1&b=2', { alt: 'An image' }));
+      parity(() => Html.textInput('username', 'john', { required: true, readonly: true, disabled: false }));
+    });
+
+    it('should render the same markup as the DOM for select boxes', () => {
+      parity(() => Html.select('country', 'ca', { us: 'United States', ca: 'Canada' }));
+      parity(() => Html.listBox('tags', ['a', 'c'], { a: 'A', b: 'B', c: 'C' }, { multiple: true, unselect: '' }));
+    });
+
+    it('should render the same markup as the DOM for checkbox and radio lists', () => {
+      parity(() => Html.checkboxList('colors', ['red'], { red: 'Red', blue: 'Blue' }, { separator: ' | ', unselect: '', idPrefix: 'colors' }));
+      parity(() => Html.radioList('size', 'm', { s: 'Small', m: 'Medium' }, { idPrefix: 'size' }));
+      parity(() => Html.checkbox('agree', true, { label: 'I agree', labelOptions: { class: 'check' }, idPrefix: 'agree' }));
+    });
+
+    it('should render the same markup as the DOM for forms, lists and tables', () => {
+      parity(() => Html.form('/search?q=test&page=1', 'get', { class: 'search' }));
+      parity(() => Html.ul(['One', 'Two & <Three>', 'Ünïcödé']));
+      parity(() => Html.table([
+        Html.thead(Html.tr([Html.th('Name'), Html.th('Age')])),
+        Html.tbody(Html.tr([Html.td('John'), Html.td('30', { colspan: '2' })])),
+      ]));
+    });
+
+    it('should not escape the content of script elements', () => {
+      parity(() => Html.createElement('script', 'if (a < b && c) {}'));
+    });
+
+    it('should restore the previous renderer after rendering', () => {
+      Html.renderToString(() => Html.createElement('div'));
+
+      expect(Html.createElement('div')).toBeInstanceOf(HTMLElement);
+    });
+
+    it('should use the string renderer globally when selected', () => {
+      Html.setRenderer('string');
+      const anchor = Html.a('Example', 'http://example.com');
+      Html.setRenderer('dom');
+
+      expect(anchor).not.toBeInstanceOf(HTMLElement);
+      expect(String(anchor)).toBe('<a href="http://example.com">Example</a>');
+    });
+
+    it('should throw for an unknown renderer', () => {
+      expect(() => Html.setRenderer('canvas')).toThrow('Unknown renderer "canvas"');
+    });
+  });
+
+  describe('document injection', () => {
+    it('should return the global document by default', () => {
+      expect(Html.getDocument()).toBe(document);
+    });
+
+    it('should create nodes in the document passed to withDocument', () => {
+      const doc = DomParser.parse('<div id="root"></div>');
+      const list = Html.withDocument(doc, () => Html.ul(['One', Html.a('Two', '/two')]));
+
+      expect(list.ownerDocument).toBe(doc);
+      expect(list.querySelector('a').ownerDocument).toBe(doc);
+      expect(Html.getDocument()).toBe(document);
+    });
+
+    it('should restore the previous document when the callback throws', () => {
+      const doc = document.implementation.createHTMLDocument('');
+
+      expect(() => Html.withDocument(doc, () => {
+        throw new Error('failed');
+      })).toThrow('failed');
+      expect(Html.getDocument()).toBe(document);
+    });
+
+    it('should use the document set with useDocument until it is reset', () => {
+      const doc = document.implementation.createHTMLDocument('');
+      Html.useDocument(doc);
+      const fragment = Html.checkboxList('colors', 'red', { red: 'Red' }, { unselect: '' });
+      Html.useDocument(null);
+
+      expect(fragment.ownerDocument).toBe(doc);
+      expect(fragment.querySelector('label').ownerDocument).toBe(doc);
+      expect(Html.createElement('div').ownerDocument).toBe(document);
+    });
+
+    it('should bind every helper to a document with createHtml', () => {
+      const doc = document.implementation.createHTMLDocument('');
+      const frameHtml = Html.createHtml(doc);
+      const selectBox = frameHtml.select('size', 's', { s: 'Small' });
+      const textNode = frameHtml.text('Hello');
+
+      expect(frameHtml.document).toBe(doc);
+      expect(selectBox.ownerDocument).toBe(doc);
+      expect(selectBox.options[0].ownerDocument).toBe(doc);
+      expect(textNode.ownerDocument).toBe(doc);
+      expect(Html.createElement('div').ownerDocument).toBe(document);
+    });
+  });
+
+  describe('renderContent', () => {
+    it('should append mixed arrays of nodes, strings and numbers', () => {
+      const div = document.createElement('div');
+      Html.renderContent(div, [Html.createElement('b', 'Total'), ': ', 42, null, false, ['!', undefined]]);
+
+      expect(div.innerHTML).toBe('<b>Total</b>: 42!');
+    });
+
+    it('should append every node of a NodeList', () => {
+      const nodes = DomParser.getNodes('<i>a</i><i>b</i><i>c</i>');
+      const div = document.createElement('div');
+      Html.renderContent(div, nodes);
+
+      expect(div.children.length).toBe(3);
+    });
+  });
+
+  describe('h', () => {
+    it('should create an element from a selector shorthand', () => {
+      const element = Html.h('section.card.wide#main');
+
+      expect(element.tagName.toLowerCase()).toBe('section');
+      expect(element.id).toBe('main');
+      expect(element.className).toBe('card wide');
+    });
+
+    it('should default the tag to a div and merge classes with attributes', () => {
+      const element = Html.h('.card', { class: ['active'], id: 'other', title: 'Card' }, 'Hello');
+
+      expect(element.outerHTML).toBe('<div class="card active" id="other" title="Card">Hello</div>');
+    });
+
+    it('should accept the children as the second argument', () => {
+      const element = Html.h('p', ['Count: ', 3, null, Html.h('em', 'items')]);
+
+      expect(element.outerHTML).toBe('<p>Count: 3<em>items</em></p>');
+      expect(Html.h('p', Html.h('b', 'Bold')).outerHTML).toBe('<p><b>Bold</b></p>');
+    });
+
+    it('should append fragments and object descriptors as children', () => {
+      const element = Html.h('div', [Html.radioList('size', 's', { s: 'Small' }), { tag: 'span.hint', children: 'Pick one' }]);
+
+      expect(element.querySelector('input[type="radio"]').checked).toBe(true);
+      expect(element.querySelector('span.hint').textContent).toBe('Pick one');
+    });
+  });
+
+  describe('fromDescriptor', () => {
+    it('should build elements from nested array descriptors', () => {
+      const list = Html.fromDescriptor(['ul.menu', ['li', 'One'], ['li', ['a', { href: '/two' }, 'Two']]]);
+
+      expect(list.outerHTML).toBe('<ul class="menu"><li>One</li><li><a href="/two">Two</a></li></ul>');
+    });
+
+    it('should build elements from object descriptors parsed from JSON', () => {
+      const descriptor = JSON.parse('{"tag": "div#box", "attrs": {"data": {"role": "box"}}, "children": ["Hi ", {"tag": "b", "children": "there"}]}');
+
+      expect(Html.fromDescriptor(descriptor).outerHTML).toBe('<div data-role="box" id="box">Hi <b>there</b></div>');
+    });
+
+    it('should build text nodes, fragments and empty values', () => {
+      expect(Html.fromDescriptor('text').nodeType).toBe(Node.TEXT_NODE);
+      expect(Html.fromDescriptor([['b', 'a'], 'b']).childNodes.length).toBe(2);
+      expect(Html.fromDescriptor(null)).toBe(null);
+    });
+
+    it('should render descriptors to a string', () => {
+      expect(Html.renderToString(() => Html.fromDescriptor(['p', { class: 'note' }, 'Fish & Chips'])))
+        .toBe('<p class="note">Fish &amp; Chips</p>');
+    });
+  });
+
+  describe('booleanInput', () => {
+    it('should prepend a hidden input with the uncheck value', () => {
+      const fragment = Html.checkbox('newsletter', false, { uncheck: '0', label: 'Newsletter' });
+      const [hidden, labelEl] = fragment.childNodes;
+
+      expect(fragment).toBeInstanceOf(DocumentFragment);
+      expect(hidden.type).toBe('hidden');
+      expect(hidden.name).toBe('newsletter');
+      expect(hidden.value).toBe('0');
+      expect(labelEl.tagName.toLowerCase()).toBe('label');
+    });
+
+    it('should not render the label options as input attributes', () => {
+      const labelEl = Html.checkbox('agree', true, { label: 'I agree', labelOptions: { class: 'check' } });
+      const inputEl = labelEl.querySelector('input');
+
+      expect(inputEl.hasAttribute('label')).toBe(false);
+      expect(inputEl.hasAttribute('labeloptions')).toBe(false);
+      expect(labelEl.className).toBe('check');
+    });
+
+    it('should link the label to the input with a generated or given ID', () => {
+      const generated = Html.checkbox('colors[]', false, { value: 'dark red', label: 'Dark red' });
+      const given = Html.radio('size', false, { value: 's', label: 'Small', id: 'size-small' });
+
+      expect(generated.querySelector('input').id).toMatch(/^colors-\d+-dark-red$/);
+      expect(generated.htmlFor).toBe(generated.querySelector('input').id);
+      expect(given.htmlFor).toBe('size-small');
+      expect(Html.checkbox('plain').hasAttribute('id')).toBe(false);
+    });
+  });
+
+  describe('checkboxList and radioList', () => {
+    it('should link every label to its input', () => {
+      const fragment = Html.radioList('size', 's', { s: 'Small', m: 'Medium' }, { idPrefix: 'size' });
+
+      expect(Array.from(fragment.querySelectorAll('label')).map(labelEl => labelEl.htmlFor)).toEqual(['size-s', 'size-m']);
+      expect(fragment.querySelector('#size-m').value).toBe('m');
+    });
+
+    it('should generate unique IDs when the same list is rendered twice', () => {
+      const container = Html.createElement('div', [
+        Html.radioList('size', null, { m: 'M' }),
+        Html.radioList('size', null, { m: 'M' }),
+        Html.checkboxList('size', null, { m: 'M' }),
+      ]);
+      const labels = Array.from(container.querySelectorAll('label'));
+      const ids = labels.map(labelEl => labelEl.htmlFor);
+
+      expect(new Set(ids).size).toBe(3);
+      labels.forEach(labelEl => {
+        expect(container.querySelectorAll(`[id="${labelEl.htmlFor}"]`).length).toBe(1);
+        expect(labelEl.control).toBe(labelEl.querySelector('input'));
+      });
+    });
+
+    it('should render label text as is, without encoding it twice', () => {
+      const radios = Html.radioList('dish', null, { fish: 'Fish & Chips' });
+      const checkboxes = Html.checkboxList('dishes', null, { fish: 'Fish & Chips' });
+
+      expect(radios.querySelector('label').textContent).toBe('Fish & Chips');
+      expect(radios.querySelector('label').innerHTML).toContain('Fish &amp; Chips');
+      expect(radios.querySelector('label').innerHTML).not.toContain('&amp;amp;');
+      expect(checkboxes.querySelector('label').textContent).toBe('Fish & Chips');
+    });
+
+    it('should add the unselect input for an empty value in every list', () => {
+      const hidden = element => element.querySelector('input[type="hidden"]');
+      const wrap = element => Html.createElement('div', element);
+
+      expect(hidden(Html.radioList('size', null, { s: 'Small' }, { unselect: '' })).value).toBe('');
+      expect(hidden(Html.checkboxList('colors', null, { red: 'Red' }, { unselect: '' })).value).toBe('');
+      expect(hidden(wrap(Html.listBox('tags', null, { a: 'A' }, { unselect: '' }))).value).toBe('');
+      expect(hidden(Html.radioList('size', null, { s: 'Small' }))).toBeNull();
+    });
+
+    it('should wrap the group in a fieldset with a legend', () => {
+      const group = Html.checkboxList('colors[]', null, { red: 'Red' }, {
+        legend: 'Colors',
+        legendOptions: { class: 'legend' },
+        fieldsetOptions: { class: 'group' },
+        unselect: '',
+      });
+
+      expect(group.tagName.toLowerCase()).toBe('fieldset');
+      expect(group.className).toBe('group');
+      expect(group.firstChild.outerHTML).toBe('<legend class="legend">Colors</legend>');
+      expect(group.querySelectorAll('input').length).toBe(2);
+      expect(Html.radioList('size', null, { s: 'Small' }, { legend: 'Size' }).querySelector('legend').textContent).toBe('Size');
+    });
+  });
+
+  describe('accessibility checks', () => {
+    afterEach(() => {
+      Html.setAccessibilityChecks(false);
+    });
+
+    it('should find images without alt, unlabeled controls and buttons without text', () => {
+      const container = Html.createElement('div', [
+        Html.img('logo.png'),
+        Html.img('spacer.png', { alt: '' }),
+        Html.textInput('email'),
+        Html.label('Name', 'name'),
+        Html.textInput('name', '', { id: 'name' }),
+        Html.textInput('search', '', { aria: { label: 'Search' } }),
+        Html.checkbox('agree', false, { label: 'I agree' }),
+        Html.button(''),
+        Html.button('Save'),
+        Html.hiddenInput('token', 'x'),
+      ]);
+
+      expect(Html.checkAccessibility(container).map(issue => issue.message)).toEqual([
+        'Image "logo.png" has no alt attribute',
+        'Form control "email" has no label',
+        'Button has no text',
+      ]);
+    });
+
+    it('should report created elements once the tree is built', async () => {
+      const reporter = vi.fn();
+      Html.setAccessibilityChecks(true, reporter);
+      const wrapped = Html.textInput('q');
+      Html.label(['Search', wrapped]);
+      const icon = Html.button(Html.img('x.svg'));
+
+      await Promise.resolve();
+      expect(reporter.mock.calls.map(([message]) => message)).toEqual([
+        'Image "x.svg" has no alt attribute',
+        'Button has no text',
+      ]);
+      expect(reporter.mock.calls[1][1]).toBe(icon);
+    });
+
+    it('should warn in the console by default and stay off unless enabled', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      Html.img('before.png');
+      Html.setAccessibilityChecks(true);
+      Html.img('after.png');
+      Html.renderToString(() => Html.img('string.png'));
+
+      await Promise.resolve();
+      expect(warn.mock.calls.map(([message]) => message)).toEqual([
+        'Accessibility: Image "after.png" has no alt attribute',
+        'Accessibility: Image "string.png" has no alt attribute',
+      ]);
+      warn.mockRestore();
+    });
+
+    it('should check the nodes of the string renderer', () => {
+      const container = Html.withDocument(new StringDocument(), () => Html.createElement('div', [
+        Html.img('logo.png'),
+        Html.textInput('email'),
+        Html.label('Name', 'name'),
+        Html.textInput('name', '', { id: 'name' }),
+        Html.checkbox('agree', false, { label: 'I agree' }),
+        Html.label(['Search', Html.textInput('q')]),
+        Html.buttonInput(''),
+        Html.button('Save'),
+      ]));
+
+      expect(Html.checkAccessibility(container).map(issue => issue.message)).toEqual([
+        'Image "logo.png" has no alt attribute',
+        'Form control "email" has no label',
+        'Button has no text',
+      ]);
+    });
+  });
 });
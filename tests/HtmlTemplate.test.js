@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import { html } from '../src/HtmlTemplate';
+import * as Html from '../src/Html';
+import { StringDocument } from '../src/StringDocument';
+
+const toMarkup = (fragment) => {
+  const container = document.createElement('div');
+  container.appendChild(fragment);
+  return container.innerHTML;
+};
+
+describe('html', () => {
+  it('should return a document fragment', () => {
+    const fragment = html`<p>Hello</p>`;
+
+    expect(fragment).toBeInstanceOf(DocumentFragment);
+    expect(fragment.firstChild.tagName.toLowerCase()).toBe('p');
+  });
+
+  it('should escape interpolated text', () => {
+    const name = '<img src=x onerror="alert(1)">';
+    const fragment = html`<p>Hello ${name}</p>`;
+
+    expect(fragment.querySelector('img')).toBe(null);
+    expect(fragment.querySelector('p').textContent).toBe(`Hello ${name}`);
+  });
+
+  it('should escape interpolated attribute values', () => {
+    const title = '" onmouseover="alert(1)';
+    const fragment = html`<a title="${title}" data-x='${"' onclick='alert(1)"}'>Link</a>`;
+    const anchor = fragment.querySelector('a');
+
+    expect(anchor.getAttribute('title')).toBe(title);
+    expect(anchor.hasAttribute('onmouseover')).toBe(false);
+    expect(anchor.hasAttribute('onclick')).toBe(false);
+  });
+
+  it('should quote unquoted attribute values', () => {
+    const fragment = html`<a href=${'/path onclick=alert(1)'} class=${['one', 'two']}>Link</a>`;
+    const anchor = fragment.querySelector('a');
+
+    expect(anchor.getAttribute('href')).toBe('/path onclick=alert(1)');
+    expect(anchor.hasAttribute('onclick')).toBe(false);
+    expect(anchor.className).toBe('one two');
+  });
+
+  it('should quote and escape values inside partially unquoted attribute values', () => {
+    const id = '7 onclick=alert(1)';
+    const fragment = html`<a href=/users/${id}/edit?tab=${'a"b'} title=${'x'}${'y'}>Link</a>`;
+    const anchor = fragment.querySelector('a');
+
+    expect(anchor.getAttribute('href')).toBe(`/users/${id}/edit?tab=a"b`);
+    expect(anchor.getAttribute('title')).toBe('xy');
+    expect(anchor.hasAttribute('onclick')).toBe(false);
+  });
+
+  it('should insert nodes, fragments and arrays as real nodes', () => {
+    const link = Html.a('Profile', '/me');
+    const fragment = html`<div>${link}${Html.checkboxList('c', null, { a: 'A' })}<ul>${['x', 'y'].map(item => Html.createElement('li', item))}</ul></div>`;
+
+    expect(fragment.querySelector('a')).toBe(link);
+    expect(fragment.querySelector('input[type="checkbox"]')).not.toBe(null);
+    expect(fragment.querySelectorAll('li').length).toBe(2);
+  });
+
+  it('should escape strings inside interpolated arrays', () => {
+    const fragment = html`<p>${['<b>bold</b>', Html.createElement('i', 'italic')]}</p>`;
+
+    expect(toMarkup(fragment)).toBe('<p>&lt;b&gt;bold&lt;/b&gt;<i>italic</i></p>');
+  });
+
+  it('should apply attribute objects inside a tag with setAttributes', () => {
+    const fragment = html`<input ${{ type: 'checkbox', checked: true, disabled: false, data: { id: '7' } }}>`;
+    const input = fragment.firstChild;
+
+    expect(input.checked).toBe(true);
+    expect(input.hasAttribute('disabled')).toBe(false);
+    expect(input.dataset.id).toBe('7');
+    expect(input.getAttributeNames().some(name => name.startsWith('data-js-helpers-slot'))).toBe(false);
+  });
+
+  it('should apply every attribute object of a tag', () => {
+    const fragment = html`<div ${{ id: 'main' }} class="box" ${{ title: 'Box', data: { x: '1' } }}></div>`;
+
+    expect(toMarkup(fragment)).toBe('<div class="box" id="main" title="Box" data-x="1"></div>');
+  });
+
+  it('should reject strings inside a tag', () => {
+    expect(() => html`<div ${'onclick=alert(1)'}></div>`).toThrow('Only attribute objects can be interpolated inside a tag');
+  });
+
+  it('should render nothing for empty values', () => {
+    expect(toMarkup(html`<p>${null}${undefined}${false}${0}</p>`)).toBe('<p>0</p>');
+  });
+
+  it('should parse table fragments', () => {
+    const fragment = html`<tr><td>${'A & B'}</td></tr>`;
+
+    expect(toMarkup(fragment)).toBe('<tr><td>A &amp; B</td></tr>');
+  });
+
+  it('should not treat interpolations inside comments as nodes', () => {
+    expect(toMarkup(html`<!-- ${'-->'} --><p>ok</p>`)).toBe('<!-- --&gt; --><p>ok</p>');
+  });
+
+  it('should create nodes owned by the document used by the Html helpers', () => {
+    const doc = document.implementation.createHTMLDocument('');
+    const fragment = Html.withDocument(doc, () => html`<p>${'text'}</p>`);
+
+    expect(fragment.ownerDocument).toBe(doc);
+  });
+
+  it('should build string nodes when the string renderer is active', () => {
+    const doc = new StringDocument();
+    const fragment = Html.withDocument(doc, () => (
+      html`<!-- note --><ul ${{ class: 'list' }}>${['a & b', Html.createElement('li', 'c')]}<li title=item-${1}>d</li></ul>`
+    ));
+
+    expect(fragment.ownerDocument).toBe(doc);
+    expect(String(fragment)).toBe('<!-- note --><ul class="list">a &amp; b<li>c</li><li title="item-1">d</li></ul>');
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, afterEach } from 'vitest';
 import { ObjectHelper } from '../src/ObjectHelper';
 
 describe('ObjectHelper', () => {
@@ -72,6 +72,270 @@ describe('ObjectHelper', () => {
     });
   });
 
+  describe('mergeWith', () => {
+    it('should behave like merge by default', () => {
+      const target = { a: { b: 1 }, list: [1, 2] };
+      const result = ObjectHelper.mergeWith({}, target, { a: { c: 2 }, list: [3] });
+
+      expect(result).toBe(target);
+      expect(result).toEqual({ a: { b: 1, c: 2 }, list: [3] });
+    });
+
+    it('should apply the array strategies', () => {
+      const target = () => ({ list: [1, 2, { x: 1 }] });
+      const source = { list: [2, 3, { y: 2 }] };
+
+      expect(ObjectHelper.mergeWith({ arrays: 'concat' }, target(), source).list).toEqual([1, 2, { x: 1 }, 2, 3, { y: 2 }]);
+      expect(ObjectHelper.mergeWith({ arrays: 'union' }, target(), source).list).toEqual([1, 2, { x: 1 }, 3, { y: 2 }]);
+      expect(ObjectHelper.mergeWith({ arrays: 'index' }, target(), source).list).toEqual([2, 3, { x: 1, y: 2 }]);
+    });
+
+    it('should merge array items by key', () => {
+      const target = { users: [{ id: 1, name: 'John' }, { id: 2, name: 'Jane' }] };
+      const source = { users: [{ id: 2, age: 30 }, { id: 3, name: 'Joe' }, 'guest'] };
+
+      expect(ObjectHelper.mergeWith({ arrays: 'byKey' }, target, source).users).toEqual([
+        { id: 1, name: 'John' },
+        { id: 2, name: 'Jane', age: 30 },
+        { id: 3, name: 'Joe' },
+        'guest',
+      ]);
+      expect(ObjectHelper.mergeWith({ arrays: 'byKey', arrayKey: 'name' }, { list: [{ name: 'a', v: 1 }] }, { list: [{ name: 'a', v: 2 }] }))
+        .toEqual({ list: [{ name: 'a', v: 2 }] });
+    });
+
+    it('should throw on unknown array strategies', () => {
+      expect(() => ObjectHelper.mergeWith({ arrays: 'zip' }, {}, {})).toThrow('Unknown array strategy "zip"');
+      expect(() => ObjectHelper.mergeWith({}, [], {})).toThrow('Target must be an object');
+    });
+
+    it('should leave the target and sources unchanged when not mutating', () => {
+      const target = { a: { b: 1 }, list: [{ x: 1 }] };
+      const source = { a: { c: 2 }, list: [{ y: 2 }] };
+      const result = ObjectHelper.mergeWith({ mutate: false, arrays: 'index' }, target, source);
+
+      expect(result).toEqual({ a: { b: 1, c: 2 }, list: [{ x: 1, y: 2 }] });
+      expect(target).toEqual({ a: { b: 1 }, list: [{ x: 1 }] });
+      expect(result.a).not.toBe(target.a);
+      expect(result.list[0]).not.toBe(source.list[0]);
+    });
+
+    it('should skip or overwrite undefined values', () => {
+      expect(ObjectHelper.mergeWith({}, { a: 1 }, { a: undefined })).toEqual({ a: undefined });
+      expect(ObjectHelper.mergeWith({ undefinedValues: 'skip' }, { a: 1, b: { c: 1 } }, { a: undefined, b: { c: undefined } }))
+        .toEqual({ a: 1, b: { c: 1 } });
+    });
+
+    it('should call resolvers by path or for every key', () => {
+      const byPath = ObjectHelper.mergeWith(
+        { resolve: { 'stats.total': (a, b) => a + b } },
+        { stats: { total: 1, max: 5 } },
+        { stats: { total: 2, max: 3 } },
+      );
+      expect(byPath).toEqual({ stats: { total: 3, max: 3 } });
+
+      const paths = [];
+      const everywhere = ObjectHelper.mergeWith({
+        resolve: (a, b, { path, key }) => {
+          paths.push(path);
+          return key === 'max' ? Math.max(a, b) : undefined;
+        },
+      }, { stats: { max: 5 } }, { stats: { max: 3 } });
+      expect(everywhere).toEqual({ stats: { max: 5 } });
+      expect(paths).toEqual(['stats', 'stats.max']);
+    });
+
+    it('should copy dates and regular expressions, merge maps and combine sets', () => {
+      const date = new Date(0);
+      const pattern = /a/gi;
+      const result = ObjectHelper.mergeWith(
+        {},
+        { map: new Map([['a', { x: 1 }]]), set: new Set([1]) },
+        { date, pattern, map: new Map([['a', { y: 2 }], ['b', 2]]), set: new Set([2]) },
+      );
+
+      expect(result.date).toEqual(date);
+      expect(result.date).not.toBe(date);
+      expect(result.pattern.flags).toBe('gi');
+      expect(result.pattern).not.toBe(pattern);
+      expect([...result.map]).toEqual([['a', { x: 1, y: 2 }], ['b', 2]]);
+      expect([...result.set]).toEqual([1, 2]);
+    });
+
+    it('should assign class instances without recursing into them', () => {
+      class Point {
+        constructor(x) {
+          this.x = x;
+        }
+      }
+      const point = new Point(2);
+      const result = ObjectHelper.mergeWith({}, { point: new Point(1) }, { point });
+
+      expect(result.point).toBe(point);
+    });
+
+    it('should reproduce circular references instead of overflowing the stack', () => {
+      const source = { name: 'root', child: { name: 'child' } };
+      source.child.parent = source;
+      source.self = source;
+      const result = ObjectHelper.mergeWith({ mutate: false }, {}, source);
+
+      expect(result.self).toBe(result);
+      expect(result.child.parent).toBe(result);
+      expect(result.child).not.toBe(source.child);
+
+      const list = [1];
+      list.push(list);
+      const withArray = ObjectHelper.mergeWith({}, {}, { list });
+      expect(withArray.list[1]).toBe(withArray.list);
+    });
+  });
+
+  describe('clone', () => {
+    it('should copy nested objects and arrays deeply', () => {
+      const original = { users: [{ name: 'John', tags: ['a'] }], meta: { count: 1 } };
+      const copy = ObjectHelper.clone(original);
+
+      expect(copy).toEqual(original);
+      expect(copy.users).not.toBe(original.users);
+      expect(copy.users[0]).not.toBe(original.users[0]);
+      expect(copy.users[0].tags).not.toBe(original.users[0].tags);
+    });
+
+    it('should only copy the top level when not deep', () => {
+      const original = { users: [{ name: 'John' }], map: new Map([['a', { x: 1 }]]) };
+      const copy = ObjectHelper.clone(original, { deep: false });
+
+      expect(copy).not.toBe(original);
+      expect(copy.users).toBe(original.users);
+      expect(ObjectHelper.clone(original.map, { deep: false }).get('a')).toBe(original.map.get('a'));
+    });
+
+    it('should copy built-in types with their constructors', () => {
+      const regexp = /a/g;
+      regexp.lastIndex = 1;
+      const original = {
+        date: new Date(5),
+        regexp,
+        map: new Map([[{ key: 1 }, { value: 1 }]]),
+        set: new Set([{ item: 1 }]),
+        boxed: new Number(3),
+      };
+      const copy = ObjectHelper.clone(original);
+
+      expect(copy.date).toEqual(original.date);
+      expect(copy.date).not.toBe(original.date);
+      expect(copy.regexp.flags).toBe('g');
+      expect(copy.regexp.lastIndex).toBe(1);
+      expect(copy.regexp).not.toBe(regexp);
+      expect([...copy.map]).toEqual([...original.map]);
+      expect([...copy.map.values()][0]).not.toBe([...original.map.values()][0]);
+      expect([...copy.set][0]).toEqual({ item: 1 });
+      expect([...copy.set][0]).not.toBe([...original.set][0]);
+      expect(copy.boxed).toBeInstanceOf(Number);
+      expect(copy.boxed.valueOf()).toBe(3);
+    });
+
+    it('should copy array buffers and typed arrays, keeping shared buffers shared', () => {
+      const buffer = new ArrayBuffer(8);
+      const original = { bytes: new Uint8Array(buffer, 2, 4), view: new DataView(buffer), floats: new Float32Array([1.5]) };
+      original.bytes[0] = 7;
+      const copy = ObjectHelper.clone(original);
+
+      expect(copy.bytes).toBeInstanceOf(Uint8Array);
+      expect(Array.from(copy.bytes)).toEqual([7, 0, 0, 0]);
+      expect(copy.bytes.byteOffset).toBe(2);
+      expect(copy.bytes.buffer).not.toBe(buffer);
+      expect(copy.view.buffer).toBe(copy.bytes.buffer);
+      expect(copy.floats[0]).toBe(1.5);
+
+      copy.bytes[0] = 9;
+      expect(original.bytes[0]).toBe(7);
+    });
+
+    it('should keep the prototype of class instances', () => {
+      class Point {
+        constructor(x) {
+          this.x = x;
+        }
+
+        double() {
+          return this.x * 2;
+        }
+      }
+      const copy = ObjectHelper.clone({ point: new Point(2) });
+
+      expect(copy.point).toBeInstanceOf(Point);
+      expect(copy.point.double()).toBe(4);
+    });
+
+    it('should copy DOM nodes with cloneNode', () => {
+      const div = document.createElement('div');
+      div.innerHTML = '<span>Hi</span>';
+      const copy = ObjectHelper.clone({ node: div });
+      const shallow = ObjectHelper.clone(div, { deep: false });
+
+      expect(copy.node).not.toBe(div);
+      expect(copy.node.outerHTML).toBe('<div><span>Hi</span></div>');
+      expect(shallow.childNodes.length).toBe(0);
+    });
+
+    it('should copy symbol keys and keep functions', () => {
+      const key = Symbol('id');
+      const handler = () => 1;
+      const copy = ObjectHelper.clone({ [key]: { a: 1 }, handler });
+
+      expect(copy[key]).toEqual({ a: 1 });
+      expect(copy.handler).toBe(handler);
+    });
+
+    it('should copy property descriptors when asked', () => {
+      const original = { first: 'John', last: 'Doe' };
+      Object.defineProperty(original, 'full', { get() { return `${this.first} ${this.last}`; }, enumerable: false });
+      Object.defineProperty(original, 'id', { value: 7, writable: false, enumerable: true });
+      Object.freeze(original);
+
+      const plain = ObjectHelper.clone(original);
+      expect(Object.getOwnPropertyDescriptor(plain, 'full')).toBe(undefined);
+      expect(Object.getOwnPropertyDescriptor(plain, 'id').writable).toBe(true);
+
+      const exact = ObjectHelper.clone(original, { descriptors: true });
+      expect(Object.getOwnPropertyDescriptor(exact, 'full').get).toBeTypeOf('function');
+      expect(exact.full).toBe('John Doe');
+      expect(Object.getOwnPropertyDescriptor(exact, 'id').writable).toBe(false);
+      expect(Object.isFrozen(exact)).toBe(true);
+    });
+
+    it('should reproduce circular references', () => {
+      const original = { name: 'root', children: [] };
+      original.children.push({ parent: original });
+      original.self = original;
+      const map = new Map();
+      map.set('map', map);
+      original.map = map;
+
+      const copy = ObjectHelper.clone(original);
+      expect(copy.self).toBe(copy);
+      expect(copy.children[0].parent).toBe(copy);
+      expect(copy.map.get('map')).toBe(copy.map);
+      expect(copy.map).not.toBe(map);
+    });
+
+    it('should skip prototype-polluting keys', () => {
+      const copy = ObjectHelper.clone(JSON.parse('{"__proto__": {"polluted": true}, "a": 1}'));
+
+      expect(copy).toEqual({ a: 1 });
+      expect(Object.getPrototypeOf(copy)).toBe(Object.prototype);
+      expect(({}).polluted).toBe(undefined);
+    });
+
+    it('should return primitives as they are', () => {
+      expect(ObjectHelper.clone(1)).toBe(1);
+      expect(ObjectHelper.clone(null)).toBe(null);
+      expect(ObjectHelper.clone('a')).toBe('a');
+    });
+  });
+
   describe('remove', () => {
     it('should remove a property and return its value', () => {
       const obj = { a: 1, b: 2 };
@@ -110,4 +374,807 @@ describe('ObjectHelper', () => {
       expect(ObjectHelper.count({ a: 1, b: 2, c: 3 })).toBe(3);
     });
   });
-});
\ No newline at end of file
+
+  describe('toPath', () => {
+    it('should split dotted and bracketed paths', () => {
+      expect(ObjectHelper.toPath('a.b[0].c')).toEqual(['a', 'b', '0', 'c']);
+      expect(ObjectHelper.toPath('[0][1]')).toEqual(['0', '1']);
+      expect(ObjectHelper.toPath('a[key].b')).toEqual(['a', 'key', 'b']);
+    });
+
+    it('should support escaped dots and quoted bracket keys', () => {
+      expect(ObjectHelper.toPath('version\\.major')).toEqual(['version.major']);
+      expect(ObjectHelper.toPath('files["report.pdf"].size')).toEqual(['files', 'report.pdf', 'size']);
+      expect(ObjectHelper.toPath("a['x]y']")).toEqual(['a', 'x]y']);
+      expect(ObjectHelper.toPath('a["say \\"hi\\""]')).toEqual(['a', 'say "hi"']);
+    });
+
+    it('should accept arrays and numbers', () => {
+      expect(ObjectHelper.toPath(['a', 0])).toEqual(['a', '0']);
+      expect(ObjectHelper.toPath(3)).toEqual(['3']);
+    });
+
+    it('should throw on unterminated brackets', () => {
+      expect(() => ObjectHelper.toPath('a[0')).toThrow('Invalid path "a[0"');
+    });
+  });
+
+  describe('get', () => {
+    const obj = { users: [{ name: 'John', tags: ['a'] }], 'a.b': { c: 1 }, empty: null, zero: 0 };
+
+    it('should read nested values', () => {
+      expect(ObjectHelper.get(obj, 'users[0].name')).toBe('John');
+      expect(ObjectHelper.get(obj, 'users.0.tags[0]')).toBe('a');
+      expect(ObjectHelper.get(obj, 'a\\.b.c')).toBe(1);
+      expect(ObjectHelper.get(obj, '["a.b"].c')).toBe(1);
+      expect(ObjectHelper.get(obj, 'zero', 5)).toBe(0);
+      expect(ObjectHelper.get(obj, 'empty', 5)).toBe(null);
+    });
+
+    it('should return the default value for missing paths', () => {
+      expect(ObjectHelper.get(obj, 'users[1].name', 'Nobody')).toBe('Nobody');
+      expect(ObjectHelper.get(obj, 'empty.value', 'x')).toBe('x');
+      expect(ObjectHelper.get(obj, 'missing')).toBe(undefined);
+    });
+
+    it('should not read through unsafe keys', () => {
+      expect(ObjectHelper.get(obj, '__proto__')).toBe(undefined);
+      expect(ObjectHelper.get(obj, 'constructor.prototype', 'safe')).toBe('safe');
+    });
+  });
+
+  describe('set', () => {
+    it('should create intermediate objects and arrays', () => {
+      const obj = {};
+      ObjectHelper.set(obj, 'users[0].name', 'John');
+      ObjectHelper.set(obj, 'users[0].roles.admin', true);
+      ObjectHelper.set(obj, 'files["a.txt"]', 1);
+
+      expect(obj).toEqual({ users: [{ name: 'John', roles: { admin: true } }], files: { 'a.txt': 1 } });
+      expect(Array.isArray(obj.users)).toBe(true);
+    });
+
+    it('should replace primitives on the way and return the target', () => {
+      const obj = { a: 1 };
+      expect(ObjectHelper.set(obj, 'a.b', 2)).toBe(obj);
+      expect(obj).toEqual({ a: { b: 2 } });
+    });
+
+    it('should refuse to write to unsafe keys', () => {
+      expect(() => ObjectHelper.set({}, '__proto__.polluted', true)).toThrow('Unsafe path segment "__proto__"');
+      expect(() => ObjectHelper.set({}, 'constructor.prototype.polluted', true)).toThrow('Unsafe path segment "constructor"');
+      expect(() => ObjectHelper.set({}, ['a', 'prototype'], true)).toThrow();
+      expect({}.polluted).toBe(undefined);
+    });
+  });
+
+  describe('has', () => {
+    const obj = { user: { name: undefined, tags: ['a'] } };
+
+    it('should test own properties along the path', () => {
+      expect(ObjectHelper.has(obj, 'user.name')).toBe(true);
+      expect(ObjectHelper.has(obj, 'user.tags[0]')).toBe(true);
+      expect(ObjectHelper.has(obj, 'user.tags[1]')).toBe(false);
+      expect(ObjectHelper.has(obj, 'user.toString')).toBe(false);
+      expect(ObjectHelper.has(obj, '__proto__')).toBe(false);
+      expect(ObjectHelper.has(null, 'a')).toBe(false);
+    });
+  });
+
+  describe('unset', () => {
+    it('should remove properties and splice array items', () => {
+      const obj = { user: { name: 'John', tags: ['a', 'b'] } };
+
+      expect(ObjectHelper.unset(obj, 'user.tags[0]')).toBe(true);
+      expect(ObjectHelper.unset(obj, 'user.name')).toBe(true);
+      expect(obj).toEqual({ user: { tags: ['b'] } });
+    });
+
+    it('should return false when nothing was removed', () => {
+      expect(ObjectHelper.unset({ a: {} }, 'a.b')).toBe(false);
+      expect(ObjectHelper.unset({}, 'a.b.c')).toBe(false);
+      expect(ObjectHelper.unset({}, '__proto__')).toBe(false);
+      expect(ObjectHelper.unset({}, 'toString')).toBe(false);
+    });
+  });
+
+  describe('paths', () => {
+    it('should list the leaf paths', () => {
+      const obj = { user: { name: 'John', tags: ['a', { x: 1 }] }, 'a.b': 1, empty: {}, list: [], date: new Date(0) };
+
+      expect(ObjectHelper.paths(obj)).toEqual(['user.name', 'user.tags[0]', 'user.tags[1].x', '["a.b"]', 'empty', 'list', 'date']);
+    });
+
+    it('should produce paths that can be read back', () => {
+      const obj = { 'say "hi"': { 'x[0]': [1, [2]] } };
+
+      ObjectHelper.paths(obj).forEach(path => {
+        expect(ObjectHelper.has(obj, path)).toBe(true);
+      });
+      expect(ObjectHelper.paths(obj).map(path => ObjectHelper.get(obj, path))).toEqual([1, 2]);
+    });
+
+    it('should not follow circular references', () => {
+      const obj = { a: 1 };
+      obj.self = obj;
+
+      expect(ObjectHelper.paths(obj)).toEqual(['a', 'self']);
+    });
+  });
+
+  describe('isEqual', () => {
+    it('should compare primitives and plain structures', () => {
+      expect(ObjectHelper.isEqual(1, 1)).toBe(true);
+      expect(ObjectHelper.isEqual(NaN, NaN)).toBe(true);
+      expect(ObjectHelper.isEqual('1', 1)).toBe(false);
+      expect(ObjectHelper.isEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toBe(true);
+      expect(ObjectHelper.isEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false);
+      expect(ObjectHelper.isEqual([1, 2], { 0: 1, 1: 2 })).toBe(false);
+      expect(ObjectHelper.isEqual(null, {})).toBe(false);
+    });
+
+    it('should compare dates, regular expressions and boxed primitives', () => {
+      expect(ObjectHelper.isEqual(new Date(5), new Date(5))).toBe(true);
+      expect(ObjectHelper.isEqual(new Date(5), new Date(6))).toBe(false);
+      expect(ObjectHelper.isEqual(/a/g, /a/g)).toBe(true);
+      expect(ObjectHelper.isEqual(/a/g, /a/i)).toBe(false);
+      expect(ObjectHelper.isEqual(new String('a'), new String('a'))).toBe(true);
+    });
+
+    it('should compare maps and sets', () => {
+      expect(ObjectHelper.isEqual(new Map([['a', { x: 1 }]]), new Map([['a', { x: 1 }]]))).toBe(true);
+      expect(ObjectHelper.isEqual(new Map([['a', 1]]), new Map([['b', 1]]))).toBe(false);
+      expect(ObjectHelper.isEqual(new Set([1, { x: 1 }]), new Set([{ x: 1 }, 1]))).toBe(true);
+      expect(ObjectHelper.isEqual(new Set([1]), new Set([2]))).toBe(false);
+    });
+
+    it('should compare typed arrays and buffers by their bytes', () => {
+      expect(ObjectHelper.isEqual(new Uint8Array([1, 2]), new Uint8Array([1, 2]))).toBe(true);
+      expect(ObjectHelper.isEqual(new Uint8Array([1, 2]), new Uint8Array([1, 3]))).toBe(false);
+      expect(ObjectHelper.isEqual(new Uint8Array([1]), new Int8Array([1]))).toBe(false);
+      expect(ObjectHelper.isEqual(new Float64Array([0.5]).buffer, new Float64Array([0.5]).buffer)).toBe(true);
+    });
+
+    it('should compare class instances by prototype and properties', () => {
+      class Point {
+        constructor(x) {
+          this.x = x;
+        }
+      }
+      expect(ObjectHelper.isEqual(new Point(1), new Point(1))).toBe(true);
+      expect(ObjectHelper.isEqual(new Point(1), { x: 1 })).toBe(false);
+    });
+
+    it('should support circular references', () => {
+      const a = { name: 'a' };
+      a.self = a;
+      const b = { name: 'a' };
+      b.self = b;
+      const c = { name: 'c' };
+      c.self = c;
+
+      expect(ObjectHelper.isEqual(a, b)).toBe(true);
+      expect(ObjectHelper.isEqual(a, c)).toBe(false);
+    });
+
+    it('should compare cycles of different lengths', () => {
+      const a = {};
+      a.next = a;
+      const b = { next: {} };
+      b.next.next = b;
+
+      expect(ObjectHelper.isEqual(a, b)).toBe(true);
+      expect(ObjectHelper.isEqual(b, a)).toBe(true);
+    });
+  });
+
+  describe('diff', () => {
+    it('should list the changes as JSON Patch operations', () => {
+      expect(ObjectHelper.diff(
+        { name: 'John', tags: ['a', 'b', 'c'], address: { city: 'Oslo' }, old: true },
+        { name: 'Jane', tags: ['a'], address: { city: 'Oslo', zip: '0150' }, age: 30 },
+      )).toEqual([
+        { op: 'remove', path: '/old' },
+        { op: 'replace', path: '/name', value: 'Jane' },
+        { op: 'remove', path: '/tags/2' },
+        { op: 'remove', path: '/tags/1' },
+        { op: 'add', path: '/address/zip', value: '0150' },
+        { op: 'add', path: '/age', value: 30 },
+      ]);
+    });
+
+    it('should escape keys and replace values of different types', () => {
+      expect(ObjectHelper.diff({ 'a/b': 1, 'c~d': [1] }, { 'a/b': 2, 'c~d': { 0: 1 } })).toEqual([
+        { op: 'replace', path: '/a~1b', value: 2 },
+        { op: 'replace', path: '/c~0d', value: { 0: 1 } },
+      ]);
+      expect(ObjectHelper.diff(1, 2)).toEqual([{ op: 'replace', path: '', value: 2 }]);
+      expect(ObjectHelper.diff({ at: new Date(0) }, { at: new Date(0) })).toEqual([]);
+    });
+
+    it('should produce patches that applyPatch can replay', () => {
+      const a = { list: [1, { x: 1 }, 3, 4], nested: { keep: 1, drop: 2 } };
+      const b = { list: [1, { x: 2 }], nested: { keep: 1, extra: [5] }, flag: false };
+
+      expect(ObjectHelper.applyPatch(a, ObjectHelper.diff(a, b))).toEqual(b);
+      expect(ObjectHelper.applyPatch(b, ObjectHelper.diff(b, a))).toEqual(a);
+    });
+
+    it('should support circular references', () => {
+      const a = { n: 1, list: [] };
+      a.self = a;
+      a.list.push(a);
+      const b = { n: 2, list: [] };
+      b.self = b;
+      b.list.push(b, 'x');
+
+      const patch = ObjectHelper.diff(a, b);
+      expect(patch).toEqual([
+        { op: 'replace', path: '/n', value: 2 },
+        { op: 'add', path: '/list/1', value: 'x' },
+      ]);
+      expect(ObjectHelper.isEqual(ObjectHelper.applyPatch(a, patch), b)).toBe(true);
+    });
+  });
+
+  describe('applyPatch', () => {
+    const doc = { name: 'John', tags: ['a', 'b'], address: { city: 'Oslo' } };
+
+    it('should apply add, remove and replace without changing the document', () => {
+      const result = ObjectHelper.applyPatch(doc, [
+        { op: 'add', path: '/tags/1', value: 'x' },
+        { op: 'add', path: '/tags/-', value: 'z' },
+        { op: 'remove', path: '/address/city' },
+        { op: 'replace', path: '/name', value: 'Jane' },
+      ]);
+
+      expect(result).toEqual({ name: 'Jane', tags: ['a', 'x', 'b', 'z'], address: {} });
+      expect(doc).toEqual({ name: 'John', tags: ['a', 'b'], address: { city: 'Oslo' } });
+    });
+
+    it('should apply move, copy and test', () => {
+      const result = ObjectHelper.applyPatch(doc, [
+        { op: 'copy', from: '/address', path: '/home' },
+        { op: 'move', from: '/name', path: '/address/owner' },
+        { op: 'test', path: '/home', value: { city: 'Oslo' } },
+      ]);
+
+      expect(result).toEqual({ tags: ['a', 'b'], address: { city: 'Oslo', owner: 'John' }, home: { city: 'Oslo' } });
+      expect(result.home).not.toBe(result.address);
+    });
+
+    it('should copy class instances instead of changing them', () => {
+      class Point {
+        constructor(x) {
+          this.x = x;
+        }
+      }
+      const original = { point: new Point(1) };
+      const value = new Point(3);
+
+      const result = ObjectHelper.applyPatch(original, [
+        { op: 'replace', path: '/point/x', value: 2 },
+        { op: 'add', path: '/other', value },
+        { op: 'replace', path: '/other/x', value: 4 },
+      ]);
+
+      expect(result.point).toBeInstanceOf(Point);
+      expect(result.point.x).toBe(2);
+      expect(original.point.x).toBe(1);
+      expect(result.other).toBeInstanceOf(Point);
+      expect(value.x).toBe(3);
+    });
+
+    it('should replace the whole document', () => {
+      expect(ObjectHelper.applyPatch(doc, [{ op: 'replace', path: '', value: [1] }])).toEqual([1]);
+    });
+
+    it('should throw and leave the document unchanged when an operation fails', () => {
+      expect(() => ObjectHelper.applyPatch(doc, [{ op: 'remove', path: '/name' }, { op: 'test', path: '/name', value: 'John' }]))
+        .toThrow('Path "/name" does not exist');
+      expect(() => ObjectHelper.applyPatch(doc, [{ op: 'test', path: '/name', value: 'Jane' }])).toThrow('Test failed at "/name"');
+      expect(() => ObjectHelper.applyPatch(doc, [{ op: 'add', path: '/tags/5', value: 1 }])).toThrow('Path "/tags/5" does not exist');
+      expect(() => ObjectHelper.applyPatch(doc, [{ op: 'add', path: '/missing/key', value: 1 }])).toThrow('does not exist');
+      expect(() => ObjectHelper.applyPatch(doc, [{ op: 'move', from: '/address', path: '/address/inner' }])).toThrow('into itself');
+      expect(() => ObjectHelper.applyPatch(doc, [{ op: 'merge', path: '/name' }])).toThrow('Invalid patch operation "merge"');
+      expect(() => ObjectHelper.applyPatch(doc, [{ op: 'add', path: 'name', value: 1 }])).toThrow('Invalid JSON Pointer "name"');
+      expect(doc.name).toBe('John');
+    });
+
+    it('should only remove or read array items through a valid index', () => {
+      expect(() => ObjectHelper.applyPatch(doc, [{ op: 'remove', path: '/tags/length' }])).toThrow('Path "/tags/length" does not exist');
+      expect(() => ObjectHelper.applyPatch(doc, [{ op: 'remove', path: '/tags/01' }])).toThrow('Path "/tags/01" does not exist');
+      expect(() => ObjectHelper.applyPatch(doc, [{ op: 'replace', path: '/tags/-', value: 'x' }])).toThrow('Path "/tags/-" does not exist');
+      expect(() => ObjectHelper.applyPatch(doc, [{ op: 'copy', from: '/tags/length', path: '/count' }])).toThrow('does not exist');
+      expect(ObjectHelper.applyPatch(doc, [{ op: 'remove', path: '/tags/1' }]).tags).toEqual(['a']);
+      expect(doc.tags).toEqual(['a', 'b']);
+    });
+
+    it('should refuse prototype-polluting paths', () => {
+      expect(() => ObjectHelper.applyPatch({}, [{ op: 'add', path: '/__proto__/polluted', value: true }])).toThrow('Unsafe path segment "__proto__"');
+      expect(({}).polluted).toBe(undefined);
+    });
+  });
+
+  describe('createMergePatch', () => {
+    it('should create a JSON Merge Patch', () => {
+      const a = { name: 'John', age: 30, address: { city: 'Oslo', zip: '0150' }, tags: ['a'] };
+      const b = { name: 'John', address: { city: 'Bergen', zip: '0150' }, tags: ['a', 'b'], active: true };
+
+      expect(ObjectHelper.createMergePatch(a, b)).toEqual({ age: null, address: { city: 'Bergen' }, tags: ['a', 'b'], active: true });
+      expect(ObjectHelper.createMergePatch(a, a)).toEqual({});
+      expect(ObjectHelper.createMergePatch({ a: 1 }, [1])).toEqual([1]);
+    });
+
+    it('should round-trip with applyMergePatch', () => {
+      const a = { name: 'John', age: 30, address: { city: 'Oslo' } };
+      const b = { name: 'Jane', address: { city: 'Oslo', zip: '0150' } };
+
+      expect(ObjectHelper.applyMergePatch(a, ObjectHelper.createMergePatch(a, b))).toEqual(b);
+      expect(a.age).toBe(30);
+      expect(ObjectHelper.applyMergePatch({ a: 1 }, JSON.parse('{"__proto__": {"polluted": true}}'))).toEqual({ a: 1 });
+      expect(({}).polluted).toBe(undefined);
+    });
+  });
+
+  describe('pick', () => {
+    it('should copy the given paths', () => {
+      const obj = { user: { name: 'John', password: 'secret', roles: ['admin'] }, page: 1 };
+      const result = ObjectHelper.pick(obj, ['user.name', 'user.roles', 'page', 'missing.path']);
+
+      expect(result).toEqual({ user: { name: 'John', roles: ['admin'] }, page: 1 });
+      expect(result.user.roles).not.toBe(obj.user.roles);
+      expect(ObjectHelper.pick(obj, 'page')).toEqual({ page: 1 });
+      expect(ObjectHelper.pick({ list: ['a', 'b'] }, 'list[1]')).toEqual({ list: [undefined, 'b'] });
+    });
+  });
+
+  describe('omit', () => {
+    it('should copy the object without the given paths', () => {
+      const obj = { user: { name: 'John', password: 'secret' }, tags: ['a', 'b'], page: 1 };
+      const result = ObjectHelper.omit(obj, ['user.password', 'tags[0]', 'missing']);
+
+      expect(result).toEqual({ user: { name: 'John' }, tags: ['b'], page: 1 });
+      expect(obj.user.password).toBe('secret');
+      expect(ObjectHelper.omit(obj, 'page')).not.toHaveProperty('page');
+    });
+  });
+
+  describe('mapKeys', () => {
+    it('should rename the keys', () => {
+      expect(ObjectHelper.mapKeys({ a: 1, b: 2 }, (value, key) => `${key}${value}`)).toEqual({ a1: 1, b2: 2 });
+    });
+
+    it('should rename nested keys when deep', () => {
+      const result = ObjectHelper.mapKeys({ a: { b: [{ c: 1 }] }, d: new Date(0) }, (value, key) => key.toUpperCase(), { deep: true });
+      expect(result).toEqual({ A: { B: [{ C: 1 }] }, D: new Date(0) });
+    });
+  });
+
+  describe('mapValues', () => {
+    it('should transform the values', () => {
+      expect(ObjectHelper.mapValues({ a: 1, b: 2 }, (value, key) => `${key}=${value * 10}`)).toEqual({ a: 'a=10', b: 'b=20' });
+    });
+  });
+
+  describe('filter', () => {
+    it('should keep the properties matching the predicate', () => {
+      expect(ObjectHelper.filter({ name: 'John', email: '', age: null, admin: false }, value => value !== '' && value !== null))
+        .toEqual({ name: 'John', admin: false });
+      expect(ObjectHelper.filter({ a: 1, b: 2 }, (value, key) => key === 'b')).toEqual({ b: 2 });
+    });
+  });
+
+  describe('invert', () => {
+    it('should swap keys and values', () => {
+      expect(ObjectHelper.invert({ us: 'United States', ca: 'Canada', n: 1 })).toEqual({ 'United States': 'us', Canada: 'ca', 1: 'n' });
+      expect(ObjectHelper.invert({ a: 'x', b: 'x' })).toEqual({ x: 'b' });
+      expect(Object.getPrototypeOf(ObjectHelper.invert({ a: '__proto__' }))).toBe(Object.prototype);
+    });
+  });
+
+  describe('flatten', () => {
+    it('should join nested keys', () => {
+      expect(ObjectHelper.flatten({ user: { name: 'John', tags: ['a', 'b'] }, empty: {}, list: [], date: new Date(0) })).toEqual({
+        'user.name': 'John',
+        'user.tags.0': 'a',
+        'user.tags.1': 'b',
+        empty: {},
+        list: [],
+        date: new Date(0),
+      });
+    });
+
+    it('should use a custom separator and stop at circular references', () => {
+      const obj = { a: { b: 1 } };
+      obj.a.root = obj;
+
+      expect(ObjectHelper.flatten(obj, '/')).toEqual({ 'a/b': 1, 'a/root': obj });
+    });
+  });
+
+  describe('unflatten', () => {
+    it('should restore nested objects and arrays', () => {
+      expect(ObjectHelper.unflatten({ 'user.name': 'John', 'user.tags.0': 'a', 'user.tags.1': 'b', page: 1 }))
+        .toEqual({ user: { name: 'John', tags: ['a', 'b'] }, page: 1 });
+      expect(ObjectHelper.unflatten({ 'a/b': 1 }, '/')).toEqual({ a: { b: 1 } });
+    });
+
+    it('should round-trip with flatten', () => {
+      const obj = { a: { b: [1, { c: 2 }], d: 'x' } };
+      expect(ObjectHelper.unflatten(ObjectHelper.flatten(obj))).toEqual(obj);
+    });
+
+    it('should skip prototype-polluting keys', () => {
+      expect(ObjectHelper.unflatten({ '__proto__.polluted': true, 'constructor.prototype.polluted': true, a: 1 })).toEqual({ a: 1 });
+      expect(({}).polluted).toBe(undefined);
+    });
+  });
+
+  describe('key case conversion', () => {
+    const data = { first_name: 'John', 'home-address': { zip_code: '0150' }, items: [{ item_id: 1 }], _private: true, userID: 7 };
+
+    it('should convert keys to camel case deeply', () => {
+      expect(ObjectHelper.camelCaseKeys(data)).toEqual({
+        firstName: 'John', homeAddress: { zipCode: '0150' }, items: [{ itemId: 1 }], _private: true, userId: 7,
+      });
+    });
+
+    it('should convert keys to snake case deeply', () => {
+      expect(ObjectHelper.snakeCaseKeys({ firstName: 'John', HTMLParser: { innerValue: 1 }, list: [{ aB: 1 }] })).toEqual({
+        first_name: 'John', html_parser: { inner_value: 1 }, list: [{ a_b: 1 }],
+      });
+    });
+
+    it('should convert keys to kebab case deeply', () => {
+      expect(ObjectHelper.kebabCaseKeys({ ariaLabel: 'Name', data_value: { maxLength: 3 } })).toEqual({
+        'aria-label': 'Name', 'data-value': { 'max-length': 3 },
+      });
+    });
+
+    it('should round-trip between cases', () => {
+      const camel = { firstName: 'John', address: { zipCode: '0150' } };
+      expect(ObjectHelper.camelCaseKeys(ObjectHelper.snakeCaseKeys(camel))).toEqual(camel);
+      expect(ObjectHelper.camelCaseKeys(ObjectHelper.kebabCaseKeys(camel))).toEqual(camel);
+    });
+  });
+
+  describe('freeze', () => {
+    it('should freeze nested objects, arrays, maps and sets', () => {
+      const state = { user: { name: 'John', tags: ['a'] }, map: new Map([['k', { v: 1 }]]), set: new Set([{ s: 1 }]) };
+      const result = ObjectHelper.freeze(state);
+
+      expect(result).toBe(state);
+      expect(Object.isFrozen(state.user)).toBe(true);
+      expect(Object.isFrozen(state.user.tags)).toBe(true);
+      expect(Object.isFrozen(state.map.get('k'))).toBe(true);
+      expect(Object.isFrozen([...state.set][0])).toBe(true);
+      expect(() => { state.user.name = 'Jane'; }).toThrow(TypeError);
+    });
+
+    it('should support circular references and leave typed arrays alone', () => {
+      const state = { bytes: new Uint8Array([1]) };
+      state.self = state;
+
+      expect(() => ObjectHelper.freeze(state)).not.toThrow();
+      expect(Object.isFrozen(state)).toBe(true);
+      expect(ObjectHelper.freeze(1)).toBe(1);
+    });
+  });
+
+  describe('isFrozenDeep', () => {
+    it('should test every nested object', () => {
+      const state = { user: { name: 'John' } };
+      Object.freeze(state);
+
+      expect(ObjectHelper.isFrozenDeep(state)).toBe(false);
+      ObjectHelper.freeze(state);
+      expect(ObjectHelper.isFrozenDeep(state)).toBe(true);
+      expect(ObjectHelper.isFrozenDeep('text')).toBe(true);
+      expect(ObjectHelper.isFrozenDeep(Object.freeze({ map: Object.freeze(new Map([['a', {}]])) }))).toBe(false);
+    });
+  });
+
+  describe('setIn', () => {
+    const state = ObjectHelper.freeze({ user: { name: 'John' }, todos: [{ text: 'a', done: false }, { text: 'b', done: false }] });
+
+    it('should copy only the objects along the path', () => {
+      const next = ObjectHelper.setIn(state, 'todos[0].done', true);
+
+      expect(next.todos[0].done).toBe(true);
+      expect(next).not.toBe(state);
+      expect(next.todos).not.toBe(state.todos);
+      expect(next.todos[1]).toBe(state.todos[1]);
+      expect(next.user).toBe(state.user);
+      expect(state.todos[0].done).toBe(false);
+      expect(Array.isArray(next.todos)).toBe(true);
+    });
+
+    it('should return the original when the value does not change', () => {
+      expect(ObjectHelper.setIn(state, 'user.name', 'John')).toBe(state);
+    });
+
+    it('should create missing objects and arrays', () => {
+      expect(ObjectHelper.setIn({}, 'a.list[0].b', 1)).toEqual({ a: { list: [{ b: 1 }] } });
+    });
+
+    it('should keep the prototype of class instances', () => {
+      class Model {
+        constructor() {
+          this.value = 1;
+        }
+      }
+      const next = ObjectHelper.setIn({ model: new Model() }, 'model.value', 2);
+
+      expect(next.model).toBeInstanceOf(Model);
+      expect(next.model.value).toBe(2);
+    });
+
+    it('should refuse prototype-polluting paths', () => {
+      expect(() => ObjectHelper.setIn({}, '__proto__.polluted', true)).toThrow('Unsafe path segment "__proto__"');
+    });
+  });
+
+  describe('updateIn', () => {
+    it('should replace the value with the result of the updater', () => {
+      const state = { cart: { count: 1 }, user: {} };
+      const next = ObjectHelper.updateIn(state, 'cart.count', count => count + 1);
+
+      expect(next).toEqual({ cart: { count: 2 }, user: {} });
+      expect(next.user).toBe(state.user);
+      expect(ObjectHelper.updateIn(state, 'missing', value => value === undefined)).toEqual({ ...state, missing: true });
+    });
+  });
+
+  describe('mergeIn', () => {
+    it('should merge deeply and share the unchanged branches', () => {
+      const state = { user: { name: 'John', address: { city: 'Oslo' }, roles: { admin: false } }, page: 1 };
+      const next = ObjectHelper.mergeIn(state, 'user', { address: { zip: '0150' } });
+
+      expect(next).toEqual({ user: { name: 'John', address: { city: 'Oslo', zip: '0150' }, roles: { admin: false } }, page: 1 });
+      expect(next.user.roles).toBe(state.user.roles);
+      expect(state.user.address).toEqual({ city: 'Oslo' });
+    });
+
+    it('should return the original when nothing changes and merge at the root', () => {
+      const state = { user: { name: 'John' } };
+
+      expect(ObjectHelper.mergeIn(state, 'user', { name: 'John' })).toBe(state);
+      expect(ObjectHelper.mergeIn(state, [], { page: 2 })).toEqual({ user: { name: 'John' }, page: 2 });
+      expect(ObjectHelper.mergeIn(state, 'settings', { theme: 'dark' }).settings).toEqual({ theme: 'dark' });
+    });
+  });
+
+  describe('deleteIn', () => {
+    it('should remove the property on a copy', () => {
+      const state = { user: { name: 'John', password: 'secret' }, todos: ['a', 'b'], page: 1 };
+
+      expect(ObjectHelper.deleteIn(state, 'user.password')).toEqual({ user: { name: 'John' }, todos: ['a', 'b'], page: 1 });
+      expect(ObjectHelper.deleteIn(state, 'todos[0]').todos).toEqual(['b']);
+      expect(ObjectHelper.deleteIn(state, 'todos[0]').user).toBe(state.user);
+      expect(state.user.password).toBe('secret');
+    });
+
+    it('should return the original when the path does not exist', () => {
+      const state = { a: 1 };
+
+      expect(ObjectHelper.deleteIn(state, 'b.c')).toBe(state);
+      expect(ObjectHelper.deleteIn(state, 'toString')).toBe(state);
+    });
+  });
+
+  describe('validateSchema', () => {
+    const schema = {
+      type: 'object',
+      required: ['host'],
+      properties: {
+        host: { type: 'string', minLength: 1 },
+        port: { type: 'integer', minimum: 1024, maximum: 65535 },
+        secure: { type: 'boolean', default: false },
+        mode: { enum: ['dev', 'prod'] },
+        tags: { type: 'array', items: { type: 'string' }, uniqueItems: true, maxItems: 3 },
+        owner: {
+          type: 'object',
+          properties: { email: { type: 'string', format: 'email', required: true } },
+          additionalProperties: false,
+        },
+      },
+    };
+
+    it('should accept valid values and apply defaults without modifying the input', () => {
+      const config = { host: 'localhost', port: 8080, tags: ['a'] };
+      const result = ObjectHelper.validateSchema(config, schema);
+
+      expect(result).toEqual({ valid: true, errors: [], value: { host: 'localhost', port: 8080, tags: ['a'], secure: false } });
+      expect(config).not.toHaveProperty('secure');
+      expect(ObjectHelper.validateSchema(config, schema, { defaults: false }).value).toBe(config);
+    });
+
+    it('should report the errors with their paths', () => {
+      const result = ObjectHelper.validateSchema({
+        port: 80.5,
+        mode: 'test',
+        tags: ['a', 'a', 'b', 3],
+        owner: { name: 'John' },
+      }, schema);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        { path: 'host', keyword: 'required', message: 'Is required.' },
+        { path: 'port', keyword: 'type', message: 'Must be of type integer.' },
+        { path: 'mode', keyword: 'enum', message: 'Must be one of dev, prod.' },
+        { path: 'tags', keyword: 'maxItems', message: 'Must have at most 3 items.' },
+        { path: 'tags', keyword: 'uniqueItems', message: 'Must not contain duplicate items.' },
+        { path: 'tags[3]', keyword: 'type', message: 'Must be of type string.' },
+        { path: 'owner.email', keyword: 'required', message: 'Is required.' },
+        { path: 'owner.name', keyword: 'additionalProperties', message: 'Is not allowed.' },
+      ]);
+    });
+
+    it('should coerce obvious representations when asked', () => {
+      const result = ObjectHelper.validateSchema(
+        { host: 'h', port: '8080', secure: 'true', tags: 'single' },
+        schema,
+        { coerce: true },
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.value).toEqual({ host: 'h', port: 8080, secure: true, tags: ['single'] });
+      expect(ObjectHelper.validateSchema({ n: 5 }, { properties: { n: { type: 'string' } } }, { coerce: true }).value).toEqual({ n: '5' });
+      expect(ObjectHelper.validateSchema('', { type: ['number', 'null'] }, { coerce: true }).value).toBe(null);
+      expect(ObjectHelper.validateSchema('abc', { type: 'number' }, { coerce: true }).valid).toBe(false);
+    });
+
+    it('should check numbers, strings and formats', () => {
+      const check = (value, rules) => ObjectHelper.validateSchema(value, rules).errors.map(error => error.keyword);
+
+      expect(check(5, { exclusiveMinimum: 5, exclusiveMaximum: 10 })).toEqual(['exclusiveMinimum']);
+      expect(check('abc', { maxLength: 2, pattern: '^\\d+$' })).toEqual(['maxLength', 'pattern']);
+      expect(check('ab', { pattern: /^[a-z]+$/ })).toEqual([]);
+      expect(check('x', { const: 'y' })).toEqual(['const']);
+      expect(check('nope', { format: 'email' })).toEqual(['format']);
+      expect(check('2024-02-20T10:00:00Z', { format: 'date-time' })).toEqual([]);
+      expect(check('2024-13-01', { format: 'date' })).toEqual(['format']);
+      expect(check('https://example.com', { format: 'uri' })).toEqual([]);
+      expect(check(null, { type: ['string', 'null'] })).toEqual([]);
+    });
+
+    it('should apply the min and max shorthands to the kind of value', () => {
+      const rules = { min: 2, max: 3 };
+
+      expect(ObjectHelper.validateSchema(1, rules).errors[0].message).toBe('Must be at least 2.');
+      expect(ObjectHelper.validateSchema('abcd', rules).errors[0].message).toBe('Must be at most 3 characters.');
+      expect(ObjectHelper.validateSchema([1], rules).errors[0].message).toBe('Must have at least 2 items.');
+    });
+
+    it('should run custom validators with the root value', () => {
+      const rules = {
+        properties: {
+          password: { type: 'string' },
+          confirm: { validators: (value, root) => value === root.password || 'Passwords do not match.' },
+          code: { validators: [() => false] },
+        },
+      };
+
+      expect(ObjectHelper.validateSchema({ password: 'a', confirm: 'b', code: 1 }, rules).errors).toEqual([
+        { path: 'confirm', keyword: 'custom', message: 'Passwords do not match.' },
+        { path: 'code', keyword: 'custom', message: 'Is invalid.' },
+      ]);
+    });
+
+    it('should use custom messages', () => {
+      const result = ObjectHelper.validateSchema(
+        { age: 10 },
+        { required: ['name'], properties: { age: { minimum: 18, messages: { minimum: 'Adults only, not under {value}.' } } } },
+        { messages: { required: 'Missing.' } },
+      );
+
+      expect(result.errors.map(error => error.message)).toEqual(['Adults only, not under 18.', 'Missing.']);
+    });
+
+    it('should validate additional properties against a schema', () => {
+      const result = ObjectHelper.validateSchema(
+        { labels: { a: '1', b: 2 } },
+        { properties: { labels: { type: 'object', additionalProperties: { type: 'number' } } } },
+        { coerce: true },
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.value).toEqual({ labels: { a: 1, b: 2 } });
+    });
+
+    it('should ignore prototype-polluting properties', () => {
+      const result = ObjectHelper.validateSchema(
+        JSON.parse('{"__proto__": {"polluted": true}}'),
+        JSON.parse('{"properties": {"__proto__": {"default": {"polluted": true}}}, "additionalProperties": {"type": "object"}}'),
+      );
+
+      expect(Object.getPrototypeOf(result.value)).toBe(Object.prototype);
+      expect(({}).polluted).toBe(undefined);
+    });
+  });
+
+  describe('prototype pollution', () => {
+    const payloads = [
+      '{"__proto__": {"polluted": "yes"}}',
+      '{"constructor": {"prototype": {"polluted": "yes"}}}',
+      '{"a": {"__proto__": {"polluted": "yes"}}}',
+      '{"a": {"constructor": {"prototype": {"polluted": "yes"}}}}',
+      '{"__proto__": {"__proto__": {"polluted": "yes"}}}',
+      '{"prototype": {"polluted": "yes"}}',
+      '{"list": [{"__proto__": {"polluted": "yes"}}]}',
+      '{"map": {"__proto__": {"toString": "yes", "polluted": "yes"}}}',
+    ];
+    const paths = [
+      '__proto__.polluted',
+      '["__proto__"].polluted',
+      'constructor.prototype.polluted',
+      'a[constructor][prototype].polluted',
+      "a['__proto__'].polluted",
+      'a.b.__proto__.polluted',
+      ['__proto__', 'polluted'],
+      'list[0].__proto__.polluted',
+    ];
+    const isPolluted = () => ({}).polluted !== undefined || Object.prototype.polluted !== undefined
+      || typeof ({}).toString !== 'function';
+
+    afterEach(() => {
+      delete Object.prototype.polluted;
+      ObjectHelper.allowUnsafeKeys = false;
+    });
+
+    payloads.forEach(payload => {
+      it(`should not pollute with merge: ${payload}`, () => {
+        const result = ObjectHelper.merge({ a: {}, map: {} }, JSON.parse(payload));
+
+        expect(isPolluted()).toBe(false);
+        expect(Object.getPrototypeOf(result)).toBe(Object.prototype);
+        expect(Object.prototype.hasOwnProperty.call(result, '__proto__')).toBe(false);
+      });
+
+      ['replace', 'concat', 'union', 'index', 'byKey'].forEach(arrays => {
+        it(`should not pollute with mergeWith (${arrays}): ${payload}`, () => {
+          ObjectHelper.mergeWith({ arrays }, { a: {}, list: [{}] }, JSON.parse(payload));
+          const copy = ObjectHelper.mergeWith({ arrays, mutate: false }, JSON.parse(payload), JSON.parse(payload));
+
+          expect(isPolluted()).toBe(false);
+          expect(ObjectHelper.paths(copy).some(path => /__proto__|constructor|prototype/.test(path))).toBe(false);
+        });
+      });
+
+      it(`should leave the unsafe keys out of paths: ${payload}`, () => {
+        expect(ObjectHelper.paths(JSON.parse(payload)).some(path => /__proto__|constructor|prototype/.test(path))).toBe(false);
+      });
+    });
+
+    paths.forEach(path => {
+      it(`should refuse the path ${JSON.stringify(path)}`, () => {
+        const obj = { a: { b: {} }, list: [{}] };
+
+        expect(() => ObjectHelper.set(obj, path, 'yes')).toThrow('Unsafe path segment');
+        expect(ObjectHelper.get(obj, path)).toBe(undefined);
+        expect(ObjectHelper.has(obj, path)).toBe(false);
+        expect(ObjectHelper.unset(obj, path)).toBe(false);
+        expect(isPolluted()).toBe(false);
+      });
+    });
+
+    it('should not use inherited properties as resolvers', () => {
+      const result = ObjectHelper.mergeWith({ resolve: {} }, {}, { constructor: 1, toString: 2 });
+      expect(result).toEqual({ toString: 2 });
+    });
+
+    it('should accept the unsafe keys when explicitly allowed', () => {
+      const payload = JSON.parse('{"constructor": "custom", "data": {"prototype": 1}}');
+
+      expect(ObjectHelper.mergeWith({ allowUnsafeKeys: true }, {}, payload)).toEqual(payload);
+      expect(ObjectHelper.merge({}, payload)).toEqual({ data: {} });
+
+      ObjectHelper.allowUnsafeKeys = true;
+      expect(ObjectHelper.merge({}, payload)).toEqual(payload);
+      expect(ObjectHelper.set({}, 'constructor', 'custom')).toEqual({ constructor: 'custom' });
+      expect(ObjectHelper.get(payload, 'data.prototype')).toBe(1);
+      expect(ObjectHelper.paths(payload)).toEqual(['constructor', 'data.prototype']);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi } from 'vitest';
+import { patch } from '../src/Patch';
+import * as Html from '../src/Html';
+
+const renderList = items => Html.createElement('ul', items.map(item => Html.createElement('li', item.name, { key: item.id })));
+
+describe('Patch', () => {
+  describe('patch', () => {
+    it('should update attributes and text in place', () => {
+      const existing = Html.createElement('div', 'Hello', { id: 'a', class: 'old', title: 'x' });
+      const result = patch(existing, Html.createElement('div', 'World', { id: 'a', class: 'new' }));
+
+      expect(result).toBe(existing);
+      expect(existing.outerHTML).toBe('<div id="a" class="new">World</div>');
+    });
+
+    it('should replace nodes whose tag name differs', () => {
+      const container = Html.createElement('div', [Html.createElement('span', 'One'), 'Two']);
+      const span = container.firstChild;
+      patch(container, Html.createElement('div', [Html.createElement('em', 'One'), Html.createElement('b', 'Two')]));
+
+      expect(container.innerHTML).toBe('<em>One</em><b>Two</b>');
+      expect(container.contains(span)).toBe(false);
+    });
+
+    it('should keep and reorder keyed children', () => {
+      const list = renderList([{ id: 1, name: 'One' }, { id: 2, name: 'Two' }, { id: 3, name: 'Three' }]);
+      const [one, two, three] = Array.from(list.children);
+      patch(list, renderList([{ id: 3, name: 'Three' }, { id: 1, name: 'First' }, { id: 4, name: 'Four' }]));
+
+      expect(Array.from(list.children).map(item => item.textContent)).toEqual(['Three', 'First', 'Four']);
+      expect(list.children[0]).toBe(three);
+      expect(list.children[1]).toBe(one);
+      expect(list.contains(two)).toBe(false);
+    });
+
+    it('should keep focus and the value the user entered', () => {
+      const render = value => Html.createElement('form', Html.textInput('q', value));
+      const existing = render('');
+      document.body.appendChild(existing);
+      const field = existing.elements.q;
+      field.focus();
+      field.value = 'typed';
+
+      patch(existing, render(''));
+      expect(document.activeElement).toBe(field);
+      expect(field.value).toBe('typed');
+
+      patch(existing, render('reset'));
+      expect(field.value).toBe('reset');
+      existing.remove();
+    });
+
+    it('should update checked, selected and text area state when it was rendered differently', () => {
+      const render = (checked, selected, bio) => Html.createElement('div', [
+        Html.checkbox('agree', checked),
+        Html.select('size', selected, { s: 'Small', m: 'Medium' }),
+        Html.textarea('bio', bio),
+      ]);
+      const existing = render(false, 's', 'Hello');
+      patch(existing, render(true, 'm', 'Bye'));
+
+      expect(existing.querySelector('input').checked).toBe(true);
+      expect(existing.querySelector('select').value).toBe('m');
+      expect(existing.querySelector('textarea').value).toBe('Bye');
+    });
+
+    it('should replace the listeners of kept elements with the new ones', () => {
+      const first = vi.fn();
+      const second = vi.fn();
+      const existing = Html.button('Save', { on: { click: first } });
+      patch(existing, Html.button('Save', { on: { click: second } }));
+      existing.click();
+
+      expect(first).not.toHaveBeenCalled();
+      expect(second).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return the new element when the root is replaced', () => {
+      const container = Html.createElement('div', Html.createElement('p', 'Text'));
+      const replacement = Html.createElement('section', 'Text');
+
+      expect(patch(container.firstChild, replacement)).toBe(replacement);
+      expect(container.innerHTML).toBe('<section>Text</section>');
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, it, expect } from 'vitest';
+import { Sanitizer } from '../src/Sanitizer';
+import { DomParser } from '../src/DomParser';
+import * as Html from '../src/Html';
+
+const vectors = [
+  '<script>alert(1)</script>',
+  '<SCRIPT SRC=//evil.example/xss.js></SCRIPT>',
+  '<img src=x onerror=alert(1)>',
+  '<IMG SRC="javascript:alert(\'XSS\');">',
+  '<IMG SRC=JaVaScRiPt:alert(\'XSS\')>',
+  '<img src="jav&#x09;ascript:alert(1)">',
+  '<img src=" &#14;  javascript:alert(1)">',
+  '<a href="javascript:alert(1)">x</a>',
+  '<a href="JAVASCRIPT:alert(1)">x</a>',
+  '<a href="  javascript:alert(1)">x</a>',
+  '<a href="java\nscript:alert(1)">x</a>',
+  '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>',
+  '<a href="&#0000106avascript:alert(1)">x</a>',
+  '<a href="&#x6A;avascript&colon;alert(1)">x</a>',
+  '<a href="vbscript:msgbox(1)">x</a>',
+  '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+  '<a href="#" onclick="alert(1)">x</a>',
+  '<a href="/" ONMOUSEOVER="alert(1)">x</a>',
+  '<svg onload=alert(1)>',
+  '<svg><script>alert(1)</script></svg>',
+  '<svg><a xlink:href="javascript:alert(1)"><text x="20" y="20">x</text></a></svg>',
+  '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)></style></mglyph></table></mtext></math>',
+  '<iframe src="javascript:alert(1)"></iframe>',
+  '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+  '<object data="javascript:alert(1)"></object>',
+  '<embed src="javascript:alert(1)">',
+  '<form action="javascript:alert(1)"><button>x</button></form>',
+  '<button formaction="javascript:alert(1)">x</button>',
+  '<body onload=alert(1)>',
+  '<div style="background:url(javascript:alert(1))">x</div>',
+  '<p style="behavior: url(xss.htc)">x</p>',
+  '<style>@import "//evil.example/xss.css";</style>',
+  '<details open ontoggle=alert(1)>',
+  '<input autofocus onfocus=alert(1)>',
+  '<marquee onstart=alert(1)>x</marquee>',
+  '<video><source onerror="alert(1)"></video>',
+  '<!--<img src=x onerror=alert(1)>-->',
+  '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+  '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+  '<base href="javascript:alert(1)//">',
+  '<link rel="stylesheet" href="javascript:alert(1)">',
+  '<template><img src=x onerror=alert(1)></template>',
+  '<table background="javascript:alert(1)"><tr><td>x</td></tr></table>',
+  '<blockquote cite="javascript:alert(1)">x</blockquote>',
+  '<img src=x:alert(1) onerror=eval(src)>',
+  '<a href="javas&#99;ript:alert(1)">x</a>',
+  '<<script>alert(1);//<</script>',
+  '<scr<script>ipt>alert(1)</script>',
+  '<img """><script>alert(1)</script>">',
+  '<a href="javascript&#58;alert(1)">x</a>',
+  '<div id="x" name="cookie">clobber</div>',
+];
+
+const dangerousTags = ['script', 'style', 'iframe', 'object', 'embed', 'svg', 'math', 'form', 'base', 'meta', 'link', 'template', 'noscript', 'button', 'input'];
+
+const expectSafe = (fragment, schemes) => {
+  const container = document.createElement('div');
+  container.appendChild(fragment);
+
+  dangerousTags.forEach(tag => expect(container.querySelector(tag)).toBe(null));
+  container.querySelectorAll('*').forEach(element => {
+    Array.from(element.attributes).forEach(({ name, value }) => {
+      expect(name.startsWith('on')).toBe(false);
+      expect(['style', 'id', 'name', 'srcdoc']).not.toContain(name);
+      if (['href', 'src', 'cite', 'background', 'action', 'formaction'].includes(name)) {
+        expect(Sanitizer.isSafeUrl(value, schemes)).toBe(true);
+      }
+    });
+  });
+};
+
+describe('Sanitizer', () => {
+  describe('profiles', () => {
+    it('should provide text, basic and rich profiles', () => {
+      expect(Object.keys(Sanitizer.profiles)).toEqual(['text', 'basic', 'rich']);
+    });
+
+    it('should throw for an unknown profile', () => {
+      expect(() => Sanitizer.sanitize('<p>x</p>', 'strict')).toThrow('Unknown sanitizer profile "strict"');
+    });
+  });
+
+  describe('isSafeUrl', () => {
+    const schemes = ['http', 'https', 'mailto'];
+
+    it('should allow relative URLs and allowed schemes', () => {
+      expect(Sanitizer.isSafeUrl('/path/to:page', schemes)).toBe(true);
+      expect(Sanitizer.isSafeUrl('page.html?time=10:30', schemes)).toBe(true);
+      expect(Sanitizer.isSafeUrl('#top', schemes)).toBe(true);
+      expect(Sanitizer.isSafeUrl('HTTPS://example.com', schemes)).toBe(true);
+      expect(Sanitizer.isSafeUrl('mailto:me@example.com', schemes)).toBe(true);
+    });
+
+    it('should reject other schemes even when obfuscated with whitespace', () => {
+      expect(Sanitizer.isSafeUrl('javascript:alert(1)', schemes)).toBe(false);
+      expect(Sanitizer.isSafeUrl(' \tjava\nscript:alert(1)', schemes)).toBe(false);
+      expect(Sanitizer.isSafeUrl('\u0001javascript:alert(1)', schemes)).toBe(false);
+      expect(Sanitizer.isSafeUrl('data:text/html,x', schemes)).toBe(false);
+    });
+  });
+
+  describe('sanitize', () => {
+    it('should return a document fragment', () => {
+      expect(Sanitizer.sanitize('<b>bold</b>')).toBeInstanceOf(DocumentFragment);
+    });
+
+    it('should keep allowed tags and attributes', () => {
+      const markup = Sanitizer.sanitizeToString('<p title="Hi">Hello <a href="https://example.com" title="Link">world</a></p>');
+
+      expect(markup).toBe('<p title="Hi">Hello <a href="https://example.com" title="Link">world</a></p>');
+    });
+
+    it('should unwrap tags that are not allowed and keep their text', () => {
+      expect(Sanitizer.sanitizeToString('<div><p>One</p><custom-tag>Two</custom-tag></div>')).toBe('<p>One</p>Two');
+    });
+
+    it('should remove dangerous elements together with their content', () => {
+      expect(Sanitizer.sanitizeToString('<p>Hi<script>alert(1)</script><style>p{}</style></p>')).toBe('<p>Hi</p>');
+    });
+
+    it('should remove URLs with disallowed schemes', () => {
+      expect(Sanitizer.sanitizeToString('<a href="javascript:alert(1)" title="t">x</a>')).toBe('<a title="t">x</a>');
+    });
+
+    it('should force rel on links opening a new window', () => {
+      expect(Sanitizer.sanitizeToString('<a href="/x" target="_blank" rel="opener">x</a>'))
+        .toBe('<a href="/x" target="_blank" rel="noopener noreferrer">x</a>');
+    });
+
+    it('should keep only text with the text profile', () => {
+      expect(Sanitizer.sanitizeToString('<p>Fish &amp; <b>Chips</b></p><script>x</script>', 'text')).toBe('Fish &amp; Chips');
+    });
+
+    it('should keep tables, lists and images with the rich profile', () => {
+      const markup = Sanitizer.sanitizeToString(
+        '<ul class="list"><li>One</li></ul><img src="/a.png" alt="A" onerror="x"><table><tbody><tr><td colspan="2">x</td></tr></tbody></table>',
+        'rich',
+      );
+
+      expect(markup).toBe('<ul class="list"><li>One</li></ul><img src="/a.png" alt="A"><table><tbody><tr><td colspan="2">x</td></tr></tbody></table>');
+    });
+
+    it('should accept a custom configuration', () => {
+      const config = { tags: ['img'], attributes: { img: ['src', 'onerror'] }, schemes: ['data'] };
+
+      expect(Sanitizer.sanitizeToString('<img src="data:image/png;base64,AAAA" onerror="x"><img src="https://x">', config))
+        .toBe('<img src="data:image/png;base64,AAAA"><img>');
+    });
+
+    it('should accept nodes that were already parsed', () => {
+      const nodes = DomParser.getNodes('<em>one</em><script>two</script>');
+
+      expect(Sanitizer.sanitizeToString(nodes)).toBe('<em>one</em>');
+      expect(Sanitizer.sanitizeToString(DomParser.htmlBody('<em>one</em><b onclick="x">two</b>'))).toBe('<em>one</em><b>two</b>');
+    });
+
+    it('should create nodes in the document used by the Html helpers', () => {
+      const doc = document.implementation.createHTMLDocument('');
+      const fragment = Html.withDocument(doc, () => Sanitizer.sanitize('<b>x</b>'));
+
+      expect(fragment.ownerDocument).toBe(doc);
+      expect(fragment.firstChild.ownerDocument).toBe(doc);
+    });
+
+    ['basic', 'rich', 'text'].forEach(profile => {
+      describe(`known XSS vectors with the ${profile} profile`, () => {
+        vectors.forEach(vector => {
+          it(`should neutralize ${vector}`, () => {
+            expectSafe(Sanitizer.sanitize(vector, profile), Sanitizer.profiles[profile].schemes);
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,87 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { StringDocument } from '../src/StringDocument';
+import * as Html from '../src/Html';
+
+describe('StringDocument', () => {
+  const doc = new StringDocument();
+
+  describe('createElement', () => {
+    it('should serialize an element with escaped text and attributes', () => {
+      const div = doc.createElement('div');
+      div.setAttribute('title', 'a "quoted" & <b>');
+      div.textContent = 'Fish & <Chips>';
+
+      expect(div.outerHTML).toBe('<div title="a &quot;quoted&quot; &amp; <b>">Fish &amp; &lt;Chips&gt;</div>');
+      expect(String(div)).toBe(div.outerHTML);
+    });
+
+    it('should not render content or a closing tag for void elements', () => {
+      const br = doc.createElement('br');
+
+      expect(br.outerHTML).toBe('<br>');
+    });
+
+    it('should support className, classList, dataset and style', () => {
+      const div = doc.createElement('div');
+      div.className = 'a';
+      div.classList.add('b', 'a');
+      div.classList.remove('a');
+      div.dataset.userId = '7';
+      div.style.marginTop = '2px';
+
+      expect(div.outerHTML).toBe('<div class="b" data-user-id="7" style="margin-top: 2px;"></div>');
+      expect(div.dataset.userId).toBe('7');
+    });
+  });
+
+  describe('nodes', () => {
+    it('should move fragment children when appended', () => {
+      const fragment = doc.createDocumentFragment();
+      fragment.appendChild(doc.createTextNode('b'));
+      fragment.prepend('a');
+      const span = doc.createElement('span');
+      span.appendChild(fragment);
+
+      expect(fragment.childNodes.length).toBe(0);
+      expect(span.outerHTML).toBe('<span>ab</span>');
+      expect(span.textContent).toBe('ab');
+    });
+
+    it('should serialize comments verbatim and leave them out of the text content', () => {
+      const div = doc.createElement('div');
+      div.append(doc.createComment(' note '), 'text');
+
+      expect(div.outerHTML).toBe('<div><!-- note -->text</div>');
+      expect(div.textContent).toBe('text');
+    });
+
+    it('should detach a node from its previous parent', () => {
+      const child = doc.createElement('i');
+      const first = doc.createElement('p');
+      const second = doc.createElement('p');
+      first.appendChild(child);
+      second.appendChild(child);
+
+      expect(first.outerHTML).toBe('<p></p>');
+      expect(second.outerHTML).toBe('<p><i></i></p>');
+    });
+  });
+
+  describe('serialize', () => {
+    it('should serialize arrays, strings and empty values', () => {
+      expect(StringDocument.serialize([doc.createElement('hr'), 'a & b', null])).toBe('<hr>a &amp; b');
+      expect(StringDocument.serialize(undefined)).toBe('');
+    });
+  });
+
+  describe('Html helpers without a DOM', () => {
+    it('should render helpers to markup', () => {
+      expect(typeof document).toBe('undefined');
+      expect(Html.renderToString(() => Html.select('size', 'm', { s: 'Small', m: 'Medium & Up' }, { required: true })))
+        .toBe('<select required="" name="size"><option value="s">Small</option><option value="m" selected="">Medium &amp; Up</option></select>');
+      expect(Html.renderToString(() => Html.ul(['One', Html.a('Two', '/two')])))
+        .toBe('<ul><li>One</li><li><a href="/two">Two</a></li></ul>');
+    });
+  });
+});
@@ -0,0 +1,265 @@
+import { describe, it, expect, vi } from 'vitest';
+import { dataTable } from '../src/DataTable';
+import { enhanceTable } from '../src/TableEnhancer';
+import * as Html from '../src/Html';
+
+const rows = [
+  { name: 'banana', qty: 10, added: '2024-03-01', type: 'fruit' },
+  { name: 'Apple', qty: 9, added: '2023-12-24', type: 'fruit' },
+  { name: 'carrot', qty: 100, added: '2024-01-15', type: 'vegetable' },
+  { name: 'item 2', qty: null, added: '2022-06-30', type: 'other' },
+  { name: 'item 10', qty: 1, added: '2024-02-10', type: 'other' },
+];
+
+const columns = [
+  { header: 'Name', key: 'name', filter: 'text' },
+  { header: 'Quantity', key: 'qty' },
+  { header: 'Added', key: 'added', type: 'date' },
+  { header: 'Type', key: 'type', filter: 'select', sortable: false },
+];
+
+const columnValues = (tableEl, index) => Array.from(tableEl.tBodies[0].rows).map(row => row.cells[index].textContent);
+
+const setup = (options = {}) => {
+  const container = Html.createElement('div', null);
+  const tableEl = dataTable(rows, columns);
+  container.appendChild(tableEl);
+  const controller = enhanceTable(tableEl, rows, columns, options);
+  return { container, tableEl, controller };
+};
+
+describe('TableEnhancer', () => {
+  describe('sorting', () => {
+    it('should add sort buttons and aria-sort to sortable headers only', () => {
+      const { tableEl } = setup();
+      const headers = Array.from(tableEl.tHead.rows[0].cells);
+
+      expect(headers.map(cell => cell.getAttribute('aria-sort'))).toEqual(['none', 'none', 'none', null]);
+      expect(headers[0].querySelector('button.sort-button').textContent).toBe('Name');
+      expect(headers[3].querySelector('button')).toBe(null);
+    });
+
+    it('should toggle the direction when the header button is clicked', () => {
+      const { tableEl } = setup();
+      const header = tableEl.tHead.rows[0].cells[1];
+
+      header.querySelector('button').click();
+      expect(header.getAttribute('aria-sort')).toBe('ascending');
+      expect(columnValues(tableEl, 1)).toEqual(['1', '9', '10', '100', '']);
+
+      header.querySelector('button').click();
+      expect(header.getAttribute('aria-sort')).toBe('descending');
+      expect(columnValues(tableEl, 1)).toEqual(['100', '10', '9', '1', '']);
+    });
+
+    it('should sort strings with a locale-aware numeric collation', () => {
+      const { tableEl, controller } = setup();
+      controller.sort('name');
+
+      expect(columnValues(tableEl, 0)).toEqual(['Apple', 'banana', 'carrot', 'item 2', 'item 10']);
+    });
+
+    it('should sort dates chronologically and custom comparisons', () => {
+      const { tableEl, controller } = setup();
+      controller.sort('added', 'desc');
+      expect(columnValues(tableEl, 2)).toEqual(['2024-03-01', '2024-02-10', '2024-01-15', '2023-12-24', '2022-06-30']);
+
+      const custom = [{ key: 'name', compare: (a, b) => a.length - b.length }];
+      const customTable = dataTable(rows, custom);
+      enhanceTable(customTable, rows, custom).sort('name');
+      expect(columnValues(customTable, 0)[0]).toBe('Apple');
+    });
+
+    it('should reset the other headers and reject unknown columns', () => {
+      const { tableEl, controller } = setup();
+      controller.sort('name');
+      controller.sort('qty');
+
+      expect(tableEl.tHead.rows[0].cells[0].getAttribute('aria-sort')).toBe('none');
+      expect(() => controller.sort('missing')).toThrow('Unknown column "missing"');
+    });
+
+    it('should emit a sort event', () => {
+      const { tableEl, controller } = setup();
+      const listener = vi.fn();
+      tableEl.addEventListener('table:sort', listener);
+      controller.sort('qty', 'desc');
+
+      expect(listener.mock.calls[0][0].detail).toEqual({ key: 'qty', direction: 'desc' });
+    });
+  });
+
+  describe('filtering', () => {
+    it('should add a filter row with text and select controls', () => {
+      const { tableEl } = setup();
+      const filterRow = tableEl.tHead.querySelector('tr.table-filters');
+
+      expect(filterRow.cells.length).toBe(4);
+      expect(filterRow.cells[0].querySelector('input').type).toBe('search');
+      expect(filterRow.cells[0].querySelector('input').getAttribute('aria-label')).toBe('Filter Name');
+      expect(Array.from(filterRow.cells[3].querySelectorAll('option')).map(option => option.value)).toEqual(['', 'fruit', 'vegetable', 'other']);
+    });
+
+    it('should filter the rows from the controls and emit an event', () => {
+      const { tableEl } = setup();
+      const listener = vi.fn();
+      tableEl.addEventListener('table:filter', listener);
+      const [textFilter, selectFilter] = tableEl.querySelectorAll('.table-filter');
+
+      textFilter.value = 'ITEM';
+      textFilter.dispatchEvent(new Event('input'));
+      expect(columnValues(tableEl, 0)).toEqual(['item 2', 'item 10']);
+
+      selectFilter.value = 'fruit';
+      selectFilter.dispatchEvent(new Event('change'));
+      expect(tableEl.tBodies[0].querySelector('td.empty').textContent).toBe('No data');
+      expect(listener.mock.calls[1][0].detail).toEqual({ filters: { name: 'ITEM', type: 'fruit' } });
+    });
+
+    it('should rebuild the select filter options when the rows change', () => {
+      const { tableEl, controller } = setup();
+      const selectFilter = tableEl.querySelector('select.table-filter');
+      controller.filter('type', 'fruit');
+
+      controller.setRows([...rows, { name: 'salmon', qty: 2, added: '2024-04-01', type: 'fish' }]);
+      expect(Array.from(selectFilter.options).map(option => option.value)).toEqual(['', 'fruit', 'vegetable', 'other', 'fish']);
+      expect(selectFilter.value).toBe('fruit');
+      expect(columnValues(tableEl, 0)).toEqual(['banana', 'Apple']);
+
+      controller.setRows(rows.slice(2));
+      expect(selectFilter.value).toBe('');
+      expect(controller.state.filters.type).toBe('');
+      expect(columnValues(tableEl, 0)).toEqual(['carrot', 'item 2', 'item 10']);
+    });
+
+    it('should use custom filter functions', () => {
+      const custom = [{ key: 'qty', filter: 'text', filterWith: (value, min) => value >= Number(min) }];
+      const tableEl = dataTable(rows, custom);
+      enhanceTable(tableEl, rows, custom).filter('qty', '10');
+
+      expect(columnValues(tableEl, 0)).toEqual(['10', '100']);
+    });
+  });
+
+  describe('pagination', () => {
+    it('should display a page of rows and insert controls after the table', () => {
+      const { container, tableEl, controller } = setup({ pageSize: 2 });
+
+      expect(tableEl.nextElementSibling).toBe(controller.pagination);
+      expect(container.querySelector('.page-status').textContent).toBe('Page 1 of 3');
+      expect(container.querySelector('.page-previous').disabled).toBe(true);
+      expect(columnValues(tableEl, 0)).toEqual(['banana', 'Apple']);
+    });
+
+    it('should insert the controls once a detached table is in the document', () => {
+      const tableEl = dataTable(rows, columns);
+      const controller = enhanceTable(tableEl, rows, columns, { pageSize: 2 });
+      expect(controller.pagination.parentNode).toBe(null);
+      expect(controller.pagination.querySelector('.page-status').textContent).toBe('Page 1 of 3');
+
+      const container = Html.createElement('div', tableEl);
+      controller.refresh();
+      expect(tableEl.nextElementSibling).toBe(controller.pagination);
+      expect(container.querySelectorAll('.table-pagination').length).toBe(1);
+    });
+
+    it('should change pages from the controls and emit an event', () => {
+      const { container, tableEl } = setup({ pageSize: 2 });
+      const listener = vi.fn();
+      tableEl.addEventListener('table:page', listener);
+
+      container.querySelector('.page-next').click();
+      container.querySelector('.page-next').click();
+      expect(columnValues(tableEl, 0)).toEqual(['item 10']);
+      expect(container.querySelector('.page-next').disabled).toBe(true);
+      expect(listener.mock.calls[1][0].detail).toEqual({ page: 3, pageCount: 3 });
+    });
+
+    it('should return to the first page when sorting or filtering', () => {
+      const { tableEl, controller } = setup({ pageSize: 2 });
+      controller.page(3);
+      controller.sort('qty');
+
+      expect(controller.state.page).toBe(1);
+      expect(columnValues(tableEl, 1)).toEqual(['1', '9']);
+
+      controller.page(10);
+      expect(controller.state.page).toBe(3);
+    });
+
+    it('should keep the current page for values that are not a number', () => {
+      const { container, tableEl, controller } = setup({ pageSize: 2 });
+      controller.page(2);
+      controller.page(NaN);
+      controller.page(undefined);
+      controller.page('next');
+
+      expect(controller.state.page).toBe(2);
+      expect(container.querySelector('.page-status').textContent).toBe('Page 2 of 3');
+      expect(columnValues(tableEl, 0)).toEqual(['carrot', 'item 2']);
+
+      controller.page('3');
+      expect(controller.state.page).toBe(3);
+    });
+  });
+
+  describe('rendering', () => {
+    it('should only replace the body', () => {
+      const { tableEl, controller } = setup();
+      const head = tableEl.tHead;
+      const body = tableEl.tBodies[0];
+      controller.sort('name');
+
+      expect(tableEl.tHead).toBe(head);
+      expect(tableEl.tBodies[0]).not.toBe(body);
+      expect(tableEl.tBodies.length).toBe(1);
+    });
+
+    it('should create a header for tables without one and replace the rows', () => {
+      const tableEl = Html.table(Html.tbody(null));
+      const controller = enhanceTable(tableEl, rows.slice(0, 2), [{ key: 'name' }]);
+      expect(tableEl.tHead.rows[0].cells[0].textContent).toBe('name');
+
+      controller.setRows(rows.slice(2));
+      expect(columnValues(tableEl, 0)).toEqual(['carrot', 'item 2', 'item 10']);
+    });
+
+    it('should remove the listeners when destroyed', () => {
+      const { tableEl, controller } = setup();
+      const sortButton = tableEl.tHead.rows[0].cells[0].querySelector('button');
+      controller.destroy();
+      sortButton.click();
+
+      expect(controller.state.sortKey).toBeNull();
+    });
+
+    it('should remove the pagination listeners when destroyed', () => {
+      const { container, controller } = setup({ pageSize: 2 });
+      const next = container.querySelector('.page-next');
+      controller.destroy();
+      next.click();
+
+      expect(controller.state.page).toBe(1);
+    });
+
+    it('should remove the inserted controls when destroyed', () => {
+      const container = Html.createElement('div', null);
+      const tableEl = dataTable(rows, columns);
+      container.appendChild(tableEl);
+      const head = tableEl.tHead.outerHTML;
+      const controller = enhanceTable(tableEl, rows, columns, { pageSize: 2 });
+      controller.destroy();
+
+      expect(tableEl.tHead.outerHTML).toBe(head);
+      expect(container.querySelector('.table-pagination')).toBeNull();
+    });
+
+    it('should remove a created header when destroyed', () => {
+      const tableEl = Html.createElement('table', null);
+      const controller = enhanceTable(tableEl, rows, [{ key: 'name' }]);
+      controller.destroy();
+
+      expect(tableEl.tHead).toBeNull();
+    });
+  });
+});
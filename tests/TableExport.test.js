@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv, rowsMatrix, tableMatrix, toCsv, toHtmlString, toTsv } from '../src/TableExport';
+import { dataTable } from '../src/DataTable';
+import { StringDocument } from '../src/StringDocument';
+import * as Html from '../src/Html';
+
+const rows = [
+  { name: 'Smith, John', note: 'Says "hi"', added: new Date('2024-01-02T00:00:00Z') },
+  { name: 'Jane', note: 'Line one\nLine two', added: null },
+];
+
+const columns = [
+  { header: 'Name', key: 'name' },
+  { header: 'Note', key: 'note', formatter: value => value.toUpperCase() },
+  { header: 'Added', key: 'added' },
+];
+
+const spannedTable = () => Html.table([
+  Html.thead(Html.tr([Html.th('Name', { rowspan: '2' }), Html.th('Contact', { colspan: '2' })])),
+  Html.tbody([
+    Html.tr([Html.th('Email'), Html.th('Phone')]),
+    Html.tr([Html.td('Ann'), Html.td('ann@example.com'), Html.td('555')]),
+    Html.tr([Html.td('Total', { colspan: '3' })]),
+  ]),
+]);
+
+describe('TableExport', () => {
+  describe('tableMatrix', () => {
+    it('should resolve colspan and rowspan', () => {
+      expect(tableMatrix(spannedTable())).toEqual([
+        ['Name', 'Contact', ''],
+        ['', 'Email', 'Phone'],
+        ['Ann', 'ann@example.com', '555'],
+        ['Total', '', ''],
+      ]);
+    });
+
+    it('should repeat the text of spanning cells with fillSpans', () => {
+      expect(tableMatrix(spannedTable(), { fillSpans: true })[1]).toEqual(['Name', 'Email', 'Phone']);
+    });
+
+    it('should read tables built with the string renderer', () => {
+      const tableEl = Html.withDocument(new StringDocument(), spannedTable);
+      expect(tableMatrix(tableEl)).toEqual(tableMatrix(spannedTable()));
+    });
+  });
+
+  describe('rowsMatrix', () => {
+    it('should export raw values with a header row', () => {
+      expect(rowsMatrix(rows, columns)).toEqual([
+        ['Name', 'Note', 'Added'],
+        ['Smith, John', 'Says "hi"', '2024-01-02T00:00:00.000Z'],
+        ['Jane', 'Line one\nLine two', ''],
+      ]);
+    });
+
+    it('should export formatted values and omit the header', () => {
+      expect(rowsMatrix(rows, columns, { formatted: true, header: false })[0][1]).toBe('SAYS "HI"');
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should quote fields following RFC 4180', () => {
+      expect(toCsv(rows, columns)).toBe(
+        'Name,Note,Added\r\n"Smith, John","Says ""hi""",2024-01-02T00:00:00.000Z\r\nJane,"Line one\nLine two",\r\n',
+      );
+    });
+
+    it('should export table elements', () => {
+      expect(toCsv(spannedTable())).toBe('Name,Contact,\r\n,Email,Phone\r\nAnn,ann@example.com,555\r\nTotal,,\r\n');
+    });
+
+    it('should support a BOM, custom delimiters, newlines and quoting every field', () => {
+      const single = [{ a: 'x;y', b: 'z' }];
+      const singleColumns = [{ key: 'a' }, { key: 'b' }];
+
+      expect(toCsv(single, singleColumns, { bom: true }).startsWith('\uFEFFa,b')).toBe(true);
+      expect(toCsv(single, singleColumns, { delimiter: ';', newline: '\n' })).toBe('a;b\n"x;y";z\n');
+      expect(toCsv(single, singleColumns, { quoteAll: true, header: false })).toBe('"x;y","z"\r\n');
+    });
+  });
+
+  describe('toTsv', () => {
+    it('should separate fields with tabs', () => {
+      expect(toTsv([{ a: 'x\ty', b: 'z' }], [{ key: 'a' }, { key: 'b' }])).toBe('a\tb\r\n"x\ty"\tz\r\n');
+      expect(toTsv(spannedTable()).split('\r\n')[2]).toBe('Ann\tann@example.com\t555');
+    });
+  });
+
+  describe('toHtmlString', () => {
+    it('should render row data as a standalone document', () => {
+      const markup = toHtmlString([{ name: '<b>' }], [{ header: 'Name', key: 'name' }], { title: 'A & B' });
+
+      expect(markup).toBe(
+        '<!DOCTYPE html><html><head><meta charset="utf-8"><title>A &amp; B</title></head>'
+        + '<body><table><thead><tr><th scope="col">Name</th></tr></thead><tbody><tr><td>&lt;b&gt;</td></tr></tbody></table></body></html>',
+      );
+    });
+
+    it('should serialize table elements without the document', () => {
+      const tableEl = dataTable([{ name: 'Ann' }], [{ key: 'name' }]);
+      expect(toHtmlString(tableEl, { standalone: false })).toBe(tableEl.outerHTML);
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should parse quoted fields, doubled quotes and embedded newlines', () => {
+      expect(parseCsv(toCsv(rows, columns, { bom: true }))).toEqual([
+        { Name: 'Smith, John', Note: 'Says "hi"', Added: '2024-01-02T00:00:00.000Z' },
+        { Name: 'Jane', Note: 'Line one\nLine two', Added: '' },
+      ]);
+    });
+
+    it('should return records as arrays without a header', () => {
+      expect(parseCsv('a,b\n1,2', { header: false })).toEqual([['a', 'b'], ['1', '2']]);
+      expect(parseCsv('a\tb\r\n"1\t2"\t3\r\n', { header: false, delimiter: '\t' })).toEqual([['a', 'b'], ['1\t2', '3']]);
+      expect(parseCsv('a,,\r\n', { header: false })).toEqual([['a', '', '']]);
+      expect(parseCsv('')).toEqual([]);
+    });
+
+    it('should fill missing fields and produce rows for dataTable', () => {
+      const parsed = parseCsv('name,price\r\nApples\r\n');
+      expect(parsed).toEqual([{ name: 'Apples', price: '' }]);
+
+      const tableEl = dataTable(parsed, [{ key: 'name' }, { key: 'price' }]);
+      expect(tableMatrix(tableEl)).toEqual([['name', 'price'], ['Apples', '']]);
+    });
+  });
+});
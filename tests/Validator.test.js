@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest';
+import { showErrors, validate, validateForm } from '../src/Validator';
+import { formFromSchema } from '../src/FormBuilder';
+import * as Html from '../src/Html';
+
+describe('Validator', () => {
+  describe('validate', () => {
+    it('should pass valid data', async () => {
+      const result = await validate({ name: 'John' }, { name: { required: true, minLength: 2 } });
+
+      expect(result).toEqual({ valid: true, errors: {} });
+    });
+
+    it('should report required fields that are empty', async () => {
+      const result = await validate({ name: '', tags: [] }, { name: { required: true }, tags: { required: true }, missing: { required: true } });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual({
+        name: ['This field is required.'],
+        tags: ['This field is required.'],
+        missing: ['This field is required.'],
+      });
+    });
+
+    it('should skip other rules for empty optional fields', async () => {
+      const result = await validate({ email: '' }, { email: { email: true, minLength: 5 } });
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should check lengths, patterns, emails, urls and numbers', async () => {
+      const result = await validate(
+        { code: 'abc', short: 'abcdef', email: 'nope', site: 'javascript:alert(1)', age: 'ten', tags: ['a'] },
+        {
+          code: { pattern: /^[A-Z]+$/ },
+          short: { maxLength: 3 },
+          email: { email: true },
+          site: { url: true },
+          age: { numeric: true },
+          tags: { minLength: 2 },
+        },
+      );
+
+      expect(result.errors).toEqual({
+        code: ['The format is invalid.'],
+        short: ['Must be at most 3 characters.'],
+        email: ['Must be a valid email address.'],
+        site: ['Must be a valid URL.'],
+        age: ['Must be a number.'],
+        tags: ['Must be at least 2 characters.'],
+      });
+    });
+
+    it('should anchor string patterns like the pattern attribute', async () => {
+      const result = await validate({ zip: '12345x' }, { zip: { pattern: '\\d{5}' } });
+
+      expect(result.errors.zip).toEqual(['The format is invalid.']);
+    });
+
+    it('should check numeric ranges', async () => {
+      const result = await validate({ age: '15', score: '101' }, { age: { min: 18 }, score: { max: 100 } });
+
+      expect(result.errors).toEqual({ age: ['Must be at least 18.'], score: ['Must be at most 100.'] });
+    });
+
+    it('should compare a field with another field', async () => {
+      const result = await validate(
+        { user: { password: 'secret' }, confirm: 'other' },
+        { confirm: { equals: 'user[password]' } },
+      );
+
+      expect(result.errors).toEqual({ confirm: ['Must match user[password].'] });
+    });
+
+    it('should read values with bracketed names', async () => {
+      const result = await validate({ user: { address: { city: '' } } }, { 'user[address][city]': { required: true } });
+
+      expect(Object.keys(result.errors)).toEqual(['user[address][city]']);
+    });
+
+    it('should use custom messages', async () => {
+      const result = await validate(
+        { name: '', code: 'a' },
+        { name: { required: { value: true, message: 'Name please' } }, code: { minLength: 3 } },
+        { messages: { minLength: 'Need {value}+' } },
+      );
+
+      expect(result.errors).toEqual({ name: ['Name please'], code: ['Need 3+'] });
+    });
+
+    it('should run custom and async validators', async () => {
+      const taken = async (value) => (value === 'admin' ? 'This username is taken.' : true);
+      const result = await validate(
+        { username: 'admin', nickname: 'x' },
+        { username: { validators: [taken] }, nickname: { validators: (value, data) => value === data.username } },
+      );
+
+      expect(result.errors).toEqual({ username: ['This username is taken.'], nickname: ['This field is invalid.'] });
+    });
+
+    it('should accept schema fields as rules', async () => {
+      const result = await validate({}, [{ name: 'email', rules: { required: true } }, { name: 'bio' }]);
+
+      expect(Object.keys(result.errors)).toEqual(['email']);
+    });
+  });
+
+  describe('validateForm', () => {
+    const schema = [
+      { name: 'user[email]', type: 'email', label: 'Email', help: 'Your work email', rules: { required: true, email: true } },
+      { name: 'size', type: 'radioList', label: 'Size', items: { s: 'Small', m: 'Medium' }, rules: { required: true } },
+    ];
+
+    it('should mark invalid controls and display messages in the schema placeholders', async () => {
+      const formEl = formFromSchema(schema, { user: { email: 'nope' } });
+      const result = await validateForm(formEl, schema);
+      const email = formEl.querySelector('#user-email');
+
+      expect(result.valid).toBe(false);
+      expect(email.classList.contains('is-invalid')).toBe(true);
+      expect(email.getAttribute('aria-invalid')).toBe('true');
+      expect(email.getAttribute('aria-describedby')).toBe('user-email-help user-email-error');
+      expect(formEl.querySelector('#user-email-error').textContent).toBe('Must be a valid email address.');
+      expect(formEl.querySelector('#size-error').textContent).toBe('This field is required.');
+      formEl.querySelectorAll('input[type="radio"]').forEach(radio => expect(radio.getAttribute('aria-invalid')).toBe('true'));
+    });
+
+    it('should clear errors once the fields are valid', async () => {
+      const formEl = formFromSchema(schema, { user: { email: 'nope' } });
+      await validateForm(formEl, schema);
+      formEl.querySelector('#user-email').value = 'john@example.com';
+      formEl.querySelector('input[value="m"]').checked = true;
+      const result = await validateForm(formEl, schema);
+      const email = formEl.querySelector('#user-email');
+
+      expect(result.valid).toBe(true);
+      expect(email.classList.contains('is-invalid')).toBe(false);
+      expect(email.hasAttribute('aria-invalid')).toBe(false);
+      expect(email.getAttribute('aria-describedby')).toBe('user-email-help');
+      expect(formEl.querySelector('#user-email-error').textContent).toBe('');
+    });
+
+    it('should create message elements for forms without placeholders', async () => {
+      const formEl = Html.form('/save');
+      formEl.appendChild(Html.textInput('name', ''));
+      formEl.appendChild(Html.checkbox('terms', false, { label: 'I agree' }));
+      await validateForm(formEl, { name: { required: true }, terms: { required: true } }, { errorClass: 'error', messageClass: 'message' });
+      const name = formEl.elements.name;
+
+      expect(name.className).toBe('error');
+      expect(name.nextElementSibling.id).toBe('name-error');
+      expect(name.nextElementSibling.className).toBe('message');
+      expect(name.getAttribute('aria-describedby')).toBe('name-error');
+      expect(formEl.querySelector('label').nextElementSibling.id).toBe('terms-error');
+    });
+  });
+
+  describe('showErrors', () => {
+    it('should display errors that come from elsewhere, such as a server response', () => {
+      const formEl = formFromSchema([{ name: 'email', label: 'Email' }]);
+      showErrors(formEl, { email: ['Already registered.'] });
+
+      expect(formEl.querySelector('#email-error').textContent).toBe('Already registered.');
+      expect(formEl.querySelector('#email').getAttribute('aria-invalid')).toBe('true');
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// @vitest-environment node
+import { describe, it, expect, afterEach } from 'vitest';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as jsHelpers from '../src/index';
+
+const script = path.resolve('scripts/update-html-export.js');
+
+const runScript = (cwd, ...args) => spawnSync(process.execPath, [script, ...args], { cwd, encoding: 'utf-8' });
+
+describe('generated exports', () => {
+  let project = null;
+
+  const createProject = (index) => {
+    project = fs.mkdtempSync(path.join(os.tmpdir(), 'js-helpers-exports-'));
+    fs.mkdirSync(path.join(project, 'src'));
+    fs.writeFileSync(path.join(project, 'src', 'Html.js'), [
+      '/**', ' * @param {string} text - The text', ' * @returns {string} - The text', ' */',
+      'export function a(text) {', '\treturn text;', '}', '',
+      'export function b(text) {', '\treturn text;', '}', '',
+    ].join('\n'));
+    fs.writeFileSync(path.join(project, 'src', 'index.js'), index);
+    return project;
+  };
+
+  afterEach(() => {
+    if (project) {
+      fs.rmSync(project, { recursive: true, force: true });
+      project = null;
+    }
+  });
+
+  it('should keep src/index.js and types/ in sync with the modules', () => {
+    const result = runScript(process.cwd(), '--check');
+    expect(result.stderr).toBe('');
+    expect(result.status).toBe(0);
+  });
+
+  it('should not export internal helpers', () => {
+    expect(jsHelpers.createElement).toBeTypeOf('function');
+    expect(jsHelpers.StringDocument).toBeTypeOf('function');
+    expect(jsHelpers).not.toHaveProperty('StringElement');
+    expect(jsHelpers).not.toHaveProperty('formControls');
+  });
+
+  it('should replace hand-written exports when the markers are missing', () => {
+    const dir = createProject('/** @module test */\n\nexport {a} from \'./Html\';\n\n// Auto-generated exports for Html\nexport {\n  a,\n  b\n} from \'./Html\';\n');
+
+    expect(runScript(dir).status).toBe(0);
+    const index = fs.readFileSync(path.join(dir, 'src', 'index.js'), 'utf-8');
+    expect(index).toBe('/** @module test */\n\n// <generated-exports> Maintained by scripts/update-html-export.js, do not edit by hand\n'
+      + 'export {a, b} from \'./Html\';\n// </generated-exports>\n');
+
+    expect(runScript(dir, '--check').status).toBe(0);
+  });
+
+  it('should refuse to replace exports mixed with other code', () => {
+    const dir = createProject('export {a} from \'./Html\';\nconst version = 1;\nexport {b} from \'./Html\';\n');
+    const result = runScript(dir);
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain('src/index.js has code between its exports on line 2');
+    expect(fs.readFileSync(path.join(dir, 'src', 'index.js'), 'utf-8')).toContain('const version = 1;');
+  });
+
+  it('should remove the declarations of modules that no longer exist', () => {
+    const dir = createProject('');
+    fs.mkdirSync(path.join(dir, 'types'));
+    fs.writeFileSync(path.join(dir, 'types', 'Removed.d.ts'), 'export declare const x: number;\n');
+
+    const check = runScript(dir, '--check');
+    expect(check.status).toBe(1);
+    expect(check.stderr).toContain(`Stale: ${path.join('types', 'Removed.d.ts')}`);
+
+    expect(runScript(dir).status).toBe(0);
+    expect(fs.readdirSync(path.join(dir, 'types')).sort()).toEqual(['Html.d.ts', 'index.d.ts']);
+  });
+});
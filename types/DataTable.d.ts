@@ -0,0 +1,74 @@
+// Generated by scripts/update-html-export.js from src/DataTable.js, do not edit by hand
+
+/**
+ * Reads the value of a column from a row
+ *
+ * @example
+ * cellValue({user: {name: 'John'}}, {accessor: 'user.name'});
+ * // returns 'John'
+ *
+ * @param {Object} row - The row data
+ * @param {Object} column - The column definition, its `accessor` is a dotted path or a function receiving the row
+ * @returns {*} - The value, or undefined when the path does not exist
+ */
+export declare function cellValue(row: Record<string, any>, column: Record<string, any>): any;
+
+/**
+ * Generates the header section of a data table
+ *
+ * @param {Object[]} columns - The column definitions
+ * @returns {HTMLElement} - The generated table header section element
+ */
+export declare function tableHead(columns: Record<string, any>[]): HTMLElement;
+
+/**
+ * Generates the body section of a data table, or a single row with the empty state text when there are no rows
+ *
+ * @param {Object[]} rows - The row data
+ * @param {Object[]} columns - The column definitions
+ * @param {Object} options - The table options, see `dataTable`
+ * @returns {HTMLElement} - The generated table body section element
+ */
+export declare function tableBody(rows: Record<string, any>[], columns: Record<string, any>[], options?: Record<string, any>): HTMLElement;
+
+/**
+ * Generates the footer section of a data table with the column aggregates
+ *
+ * @param {Object[]} rows - The row data
+ * @param {Object[]} columns - The column definitions
+ * @returns {HTMLElement} - The generated table footer section element
+ */
+export declare function tableFoot(rows: Record<string, any>[], columns: Record<string, any>[]): HTMLElement;
+
+/**
+ * Generates a complete table from row data and column definitions
+ *
+ * @example
+ * dataTable(
+ *     [{name: 'Apples', stock: {count: 3}, price: 1.5}, {name: 'Pears', stock: {count: 5}, price: 2}],
+ *     [
+ *         {header: 'Product', accessor: 'name', footer: 'Total'},
+ *         {header: 'Stock', accessor: 'stock.count', align: 'right', footer: 'sum'},
+ *         {header: 'Price', accessor: 'price', formatter: value => `$${value.toFixed(2)}`, footer: 'avg'},
+ *     ],
+ *     {caption: 'Inventory'},
+ * );
+ *
+ * @param {Object[]} rows - The row data
+ * @param {Object[]} columns - The column definitions
+ * @param {string} [columns[].header] - The header content, defaults to the `key`
+ * @param {string|Function} [columns[].accessor] - A dotted path into the row or a function receiving the row, defaults to the `key`
+ * @param {Function} [columns[].formatter] - Receives the value, the row and the row index and returns the cell content
+ * @param {Object|Function} [columns[].attributes] - The cell attributes, or a function receiving the value, the row and the row index
+ * @param {Object} [columns[].headerAttributes] - The header cell attributes
+ * @param {string} [columns[].align] - The text alignment of the column cells
+ * @param {string|Function} [columns[].footer] - `sum`, `avg`, `count`, `min`, `max`, a function receiving the column values and the rows, or static content
+ * @param {Function} [columns[].footerFormatter] - Receives the footer value and the rows and returns the footer cell content
+ * @param {Object} options - Additional options
+ * @param {string} [options.caption] - The table caption
+ * @param {string} [options.emptyText] - The text of the row displayed when there are no rows, defaults to `No data`
+ * @param {Object|Function} [options.rowAttributes] - The row attributes, or a function receiving the row and the row index
+ * @param {Object} [options.attributes] - A name/value list of attributes to add to the table element
+ * @returns {HTMLElement} - The generated table element
+ */
+export declare function dataTable(rows: Record<string, any>[], columns: Record<string, any>[], options?: { caption?: string; emptyText?: string; rowAttributes?: Record<string, any> | ((...args: any[]) => any); attributes?: Record<string, any>; [key: string]: any }): HTMLElement;
@@ -0,0 +1,31 @@
+// Generated by scripts/update-html-export.js from src/DomParser.js, do not edit by hand
+
+export declare class DomParser {
+    static get parser(): any;
+
+    /**
+     * This converts a source document string into a DOM object
+     *
+     * @see You can read more about the {@link https://developer.mozilla.org/en-US/docs/Web/API/DOMParser |DOMParser} from the MDN
+     * @param {string} source - The source document
+     * @param {string} type - The MIME type of the source document
+     * @returns {Document} - The document returned is either an HTML, SVG, or XML document
+     */
+    static parse(source: string, type?: string): Document;
+
+    /**
+     * @see {@link DomParser#parse}
+     *
+     * @param {string} source - A string of HTML
+     * @returns {Object} - The HTML body element
+     */
+    static htmlBody(source: string): Record<string, any>;
+
+    /**
+     * @see {@link DomParser#parse}
+     *
+     * @param {string} source - An HTML fragment
+     * @returns {NodeList} - The HTML nodes from the source string
+     */
+    static getNodes(source: string): NodeList;
+}
@@ -0,0 +1,94 @@
+// Generated by scripts/update-html-export.js from src/Form.js, do not edit by hand
+
+/**
+ * Splits a bracketed field name into the path of keys it represents
+ *
+ * @example
+ * parseFieldName('user[address][city]');
+ * // returns ['user', 'address', 'city']
+ * parseFieldName('tags[]');
+ * // returns ['tags', '']
+ *
+ * @param {string} name - The name attribute of a form control
+ * @returns {string[]} - The keys, an empty string stands for an appended array item
+ */
+export declare function parseFieldName(name: string): string[];
+
+/**
+ * Returns the form controls of a form, or of any element that contains controls
+ *
+ * @internal
+ * @param {HTMLFormElement|HTMLElement|DocumentFragment} form - The form or container
+ * @returns {HTMLElement[]} - The controls
+ */
+export declare function formControls(form: HTMLFormElement | HTMLElement | DocumentFragment): HTMLElement[];
+
+/**
+ * Serializes the values of a form into a nested object, `FormData`, `URLSearchParams` or JSON
+ *
+ * The conventions of the form helpers are understood:
+ * - bracketed names such as `user[address][city]` become nested objects and `tags[]` becomes an array
+ * - the hidden inputs from the `uncheck` and `unselect` options are only used when nothing is checked or selected
+ * - disabled controls, controls in a disabled fieldset and buttons are skipped
+ *
+ * @example
+ * serializeForm(formEl);
+ * // returns {user: {name: 'John', address: {city: 'Oslo'}}, tags: ['a', 'b'], newsletter: '0'}
+ * serializeForm(formEl, 'urlSearchParams').toString();
+ * // returns 'user%5Bname%5D=John&...'
+ *
+ * @param {HTMLFormElement|HTMLElement|DocumentFragment} form - The form, or an element containing form controls
+ * @param {string} format - One of `object`, `formData`, `urlSearchParams` or `json`
+ * @returns {Object|FormData|URLSearchParams|string} - The serialized values
+ */
+export declare function serializeForm(form: HTMLFormElement | HTMLElement | DocumentFragment, format?: string): Record<string, any> | FormData | URLSearchParams | string;
+
+/**
+ * Fills the controls of an existing form from a nested data object, the inverse of `serializeForm`
+ *
+ * - Text inputs and text areas receive the value; repeated names such as `phones[]` receive the array item at their position
+ * - Checkboxes and radios are checked when their value is in the data, a boolean checks or unchecks a single checkbox
+ * - Options of select boxes and list boxes are selected when their value is in the data
+ * - Controls whose path is missing from the data, file inputs, buttons and the `uncheck`/`unselect` hidden inputs are left unchanged
+ *
+ * @example
+ * populateForm(formEl, {user: {name: 'John', address: {city: 'Oslo'}}, tags: ['a', 'b'], newsletter: true});
+ *
+ * @param {HTMLFormElement|HTMLElement|DocumentFragment} form - The form, or an element containing form controls
+ * @param {Object} data - The values, shaped like the object `serializeForm` returns
+ * @returns {HTMLFormElement|HTMLElement|DocumentFragment} - The form
+ */
+export declare function populateForm(form: HTMLFormElement | HTMLElement | DocumentFragment, data: Record<string, any>): HTMLFormElement | HTMLElement | DocumentFragment;
+
+/**
+ * Binds the controls of a form to a plain model object, in both directions
+ *
+ * - The controls are filled from the model when binding, like `populateForm`
+ * - User input updates the model at the path of the control name: `user[address][city]` writes `model.user.address.city`
+ *   and `tags[]`, multiple select boxes and groups of checkboxes write arrays. Checkboxes, radios and select boxes are
+ *   read on `change`, other controls on `input`.
+ * - Changes made through the returned `model` proxy, including nested plain objects and arrays, update the controls;
+ *   other objects such as dates, maps and sets are returned as they are.
+ *   After changing the original object directly, call `refresh`.
+ * - Values are converted to the type of the current model value, to numbers for number and range inputs, or with the
+ *   `coerce` option keyed by the dotted path (`user.age`): `number`, `boolean`, `string` or a function.
+ *   A single checkbox writes a boolean unless the model holds a string or number for it.
+ *
+ * Call `unbind` when the form is discarded, so it no longer listens to input or follows the model.
+ *
+ * @example
+ * const binding = bindForm(formEl, {user: {name: 'John', age: 30}, tags: ['a']}, {onChange: save});
+ * // typing 31 in the "user[age]" input sets binding.model.user.age to the number 31
+ * binding.model.user.name = 'Jane';
+ * // the "user[name]" input now shows Jane
+ * binding.unbind();
+ *
+ * @param {HTMLFormElement|HTMLElement} form - The form, or an element containing form controls. A `DocumentFragment` is rejected
+ *     because the events of its controls never reach it once it is inserted into the page
+ * @param {Object} model - The model object, it is updated in place
+ * @param {Object} options - Additional options
+ * @param {Object} [options.coerce] - Conversions keyed by the dotted model path
+ * @param {Function} [options.onChange] - Called with the dotted path, the new value and the model after user input updated the model
+ * @returns {Object} - The binding: the `model` proxy, `refresh()` to update the controls and `unbind()`
+ */
+export declare function bindForm(form: HTMLFormElement | HTMLElement, model: Record<string, any>, options?: { coerce?: Record<string, any>; onChange?: (...args: any[]) => any; [key: string]: any }): Record<string, any>;
@@ -0,0 +1,64 @@
+// Generated by scripts/update-html-export.js from src/FormBuilder.js, do not edit by hand
+
+/**
+ * Generates an element ID from a bracketed field name
+ *
+ * @example
+ * fieldId('user[address][city]');
+ * // returns 'user-address-city'
+ *
+ * @param {string} name - The field name
+ * @param {string} prefix - A prefix added to the ID
+ * @returns {string} - The ID
+ */
+export declare function fieldId(name: string, prefix?: string): string;
+
+/**
+ * Generates a complete field from a field definition: the control wrapped with its label, help text and an error message placeholder
+ *
+ * The control is created with the helper matching the `type`: `textarea`, `select` (`listBox` when `multiple` is set),
+ * `radioList`, `checkboxList`, `checkbox`, `file`, `hidden`, or `input` for any other input type.
+ * Radio and checkbox lists are wrapped in a `fieldset` with the label as its `legend`.
+ *
+ * @param {Object} field - The field definition
+ * @param {string} field.name - The name attribute of the control
+ * @param {string} [field.type] - The field type, defaults to `text`
+ * @param {string} [field.label] - The label text
+ * @param {*} [field.value] - The default value
+ * @param {Object} [field.items] - The option values and texts of select boxes, radio lists and checkbox lists
+ * @param {Object} [field.rules] - The validation rules, `required`, `minLength`, `maxLength`, `min`, `max` and `pattern` become native validation attributes,
+ * radio lists only get `required` and checkbox lists none, their rules are checked by `validate`
+ * @param {string} [field.help] - A help text displayed below the control
+ * @param {Object} [field.attributes] - A name/value list of attributes to add to the control
+ * @param {Object} [options] - The layout class names and an `idPrefix` for the generated IDs
+ * @returns {HTMLElement|DocumentFragment} - The field wrapper, or the bare input for hidden fields
+ */
+export declare function fieldFromSchema(field: { name?: string; type?: string; label?: string; value?: any; items?: Record<string, any>; rules?: Record<string, any>; help?: string; attributes?: Record<string, any>; [key: string]: any }, options?: Record<string, any>): HTMLElement | DocumentFragment;
+
+/**
+ * Generates a complete form from a schema
+ * The fields are created with `fieldFromSchema` and then filled with the values using `populateForm`.
+ *
+ * @example
+ * formFromSchema({
+ *     action: '/users',
+ *     submit: 'Save',
+ *     fields: [
+ *         {name: 'user[name]', label: 'Name', rules: {required: true, maxLength: 50}},
+ *         {name: 'user[role]', type: 'select', label: 'Role', items: {user: 'User', admin: 'Admin'}},
+ *         {name: 'bio', type: 'textarea', label: 'Biography', help: 'Tell us about yourself'},
+ *     ],
+ * }, {user: {name: 'John', role: 'admin'}});
+ *
+ * @param {Object|Object[]} schema - The form schema, or only its list of fields
+ * @param {Object[]} schema.fields - The field definitions, see `fieldFromSchema`
+ * @param {string} [schema.action] - The action URL that the form submits to
+ * @param {string} [schema.method] - The method the form uses in the submission
+ * @param {Object} [schema.attributes] - A name/value list of attributes to add to the form element
+ * @param {string} [schema.submit] - The text of a submit button added after the fields
+ * @param {Object} [schema.layout] - The layout class names and an `idPrefix` for the generated IDs
+ * @param {Object} values - The values used to fill the form, shaped like the object `serializeForm` returns
+ * @returns {HTMLElement} - The generated form
+ * @see fieldFromSchema
+ */
+export declare function formFromSchema(schema: (Record<string, any> | Record<string, any>[]) & { fields?: Record<string, any>[]; action?: string; method?: string; attributes?: Record<string, any>; submit?: string; layout?: Record<string, any>; [key: string]: any }, values?: Record<string, any>): HTMLElement;
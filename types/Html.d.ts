@@ -0,0 +1,642 @@
+// Generated by scripts/update-html-export.js from src/Html.js, do not edit by hand
+import type {StringDocument} from './StringDocument';
+
+/**
+ * @callback itemCallback
+ * @param {int} index - The index position in the list of the current checkbox
+ * @param {string} label - A label for the checkbox
+ * @param {string} name - The name of the checkbox
+ * @param {boolean} checked - Whether to check the checkbox
+ * @param {string} value - The value of the checkbox
+ * @returns {HTMLElement} - Customized checkbox HTML
+ */
+export type itemCallback = (index: number, label: string, name: string, checked: boolean, value: string) => HTMLElement;
+
+/**
+ * @callback listCallback
+ * @param {*} item -
+ * @param {int} index - An array key of the current position in the items array
+ */
+export type listCallback = (item: any, index: number) => void;
+
+/**
+ * @typedef {Object} Attributes - A name/value list of attributes, applied with `setAttributes`
+ * Attributes set to null, undefined or false are skipped, any other value is converted to a string.
+ * @property {string|string[]} [class] - The class names
+ * @property {Object} [style] - Style properties, e.g. `{fontSize: '16px'}`
+ * @property {Object} [data] - Data attributes, set through `dataset`
+ * @property {Object} [aria] - ARIA attributes without the `aria-` prefix, e.g. `{expanded: false}`
+ * @property {Object} [on] - Event handlers keyed by event type, modifiers and selector, see `addListeners`
+ */
+export interface Attributes {
+    class?: string | string[];
+    style?: Record<string, any>;
+    data?: Record<string, any>;
+    aria?: Record<string, any>;
+    on?: Record<string, any>;
+    [key: string]: any;
+}
+
+/**
+ * Returns the document that new nodes are created with
+ *
+ * @returns {Document|StringDocument} - The document selected with `useDocument`, `withDocument` or `setRenderer`, otherwise the global document
+ */
+export declare function getDocument(): Document | StringDocument;
+
+/**
+ * Sets the document that all helpers create nodes with
+ *
+ * @example
+ * const iframeDocument = iframe.contentDocument;
+ * useDocument(iframeDocument);
+ * createElement('div').ownerDocument === iframeDocument;
+ * // returns true
+ *
+ * @param {Document|StringDocument|null} doc - The target document, or null to use the global document again
+ */
+export declare function useDocument(doc: Document | StringDocument | null): void;
+
+/**
+ * Runs the callback with the given document as the target of all helpers and restores the previous document afterwards
+ *
+ * @example
+ * const doc = DomParser.parse('<div id="root"></div>');
+ * const list = withDocument(doc, () => ul(['One', 'Two']));
+ * doc.getElementById('root').appendChild(list);
+ *
+ * @param {Document|StringDocument} doc - The target document
+ * @param {Function} callback - A function that builds nodes using the helpers
+ * @returns {*} - The value returned by the callback
+ */
+export declare function withDocument(doc: Document | StringDocument, callback: (...args: any[]) => any): any;
+
+/**
+ * Selects the rendering backend used by all helpers
+ *
+ * @example
+ * setRenderer('string');
+ * String(a('Example', 'http://example.com'));
+ * // returns '<a href="http://example.com">Example</a>'
+ *
+ * @param {string} renderer - Either `dom` to create DOM nodes or `string` to create nodes that serialize to markup without a DOM
+ */
+export declare function setRenderer(renderer?: string): void;
+
+/**
+ * Runs the callback with the string renderer active and returns the markup of whatever it returns
+ * The markup is the same as the `outerHTML` the DOM renderer produces
+ *
+ * @example
+ * renderToString(() => select('country', 'ca', {us: 'United States', ca: 'Canada'}));
+ * // returns '<select name="country"><option value="us">United States</option><option value="ca" selected="">Canada</option></select>'
+ *
+ * @param {Function} callback - A function that builds and returns nodes using the helpers
+ * @returns {string} - The serialized markup
+ */
+export declare function renderToString(callback: (...args: any[]) => any): string;
+
+/**
+ * Turns the development checks of the created elements on or off
+ * When on, images without `alt`, form controls without a label and buttons without text are reported. The check runs
+ * after the current task, so labels and text added after an element was created are taken into account.
+ *
+ * @example
+ * setAccessibilityChecks(process.env.NODE_ENV !== 'production');
+ * img('logo.png');
+ * // warns 'Accessibility: Image "logo.png" has no alt attribute'
+ *
+ * @param {boolean} enabled - Whether to check the created elements
+ * @param {Function} [reporter] - Receives the message and the element of each problem, warns in the console by default
+ */
+export declare function setAccessibilityChecks(enabled?: boolean, reporter?: (...args: any[]) => any): void;
+
+/**
+ * Checks a tree for images without `alt`, form controls without a label and buttons without text
+ *
+ * @example
+ * checkAccessibility(formEl);
+ * // returns [{element: <input name="email">, message: 'Form control "email" has no label'}]
+ *
+ * @param {HTMLElement|DocumentFragment|HTMLElement[]} root - The element or fragment to check with its descendants, or a list of elements to check on their own,
+ * the nodes of the string renderer included
+ * @returns {Object[]} - The problems found, as `{element, message}`
+ */
+export declare function checkAccessibility(root: HTMLElement | DocumentFragment | HTMLElement[]): Record<string, any>[];
+
+/**
+ * This will generate a complete HTML element with all attributes
+ *
+ * @param {string} name - The name of the element to be created
+ * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} [content] - The content used to populate the element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - A complete HTML element
+ * @see renderContent
+ * @see setAttributes
+ */
+export declare function createElement(name: string, content?: HTMLElement | HTMLElement[] | DocumentFragment | string, options?: Attributes): HTMLElement;
+
+/**
+ * This is a shortcut to generate an anchor element
+ *
+ * @example
+ * returns an element object of an anchor <a href="http://example.com">Example</a>
+ * a('Example', 'http://example.com');
+ * @example
+ * returns an element object of an anchor <a class="button">Click Me</a>
+ * a('Click Me', null, {'class': 'button'});
+ *
+ * @param {string} text - The anchor text content
+ * @param {string} url - A path used to create the URL
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - A complete anchor element
+ * @see createElement
+ */
+export declare function a(text: string, url: string, options?: Attributes): HTMLElement;
+
+/**
+ * This is a shortcut to generate an image element
+ *
+ * @param {string} src - An image URI to be set as the image source
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - A complete image element
+ * @see createElement
+ */
+export declare function img(src: string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a form element
+ *
+ * @param {string} action - The action URL that the form submits to
+ * @param {string} method - The method the form uses in the submission
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLFormElement} - The generated form
+ */
+export declare function form(action?: string, method?: string, options?: Attributes): HTMLFormElement;
+
+/**
+ * Generates a form label element
+ *
+ * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content used to populate the element
+ * @param {string} target - A string representing the ID of form control element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - The generated label
+ */
+export declare function label(content: HTMLElement | HTMLElement[] | DocumentFragment | string, target?: string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a generic button
+ *
+ * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The button content
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - The generated button
+ */
+export declare function button(content: HTMLElement | HTMLElement[] | DocumentFragment | string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a reset button
+ *
+ * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The button content
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - The generated button
+ */
+export declare function resetButton(content: HTMLElement | HTMLElement[] | DocumentFragment | string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a submit button
+ *
+ * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The button content
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - The generated button
+ */
+export declare function submitButton(content: HTMLElement | HTMLElement[] | DocumentFragment | string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates an input element of a given type
+ *
+ * @param {string} type - The type of input field to generate
+ * @param {string} name - The value of the name attribute
+ * @param {string} value - The value of the input field
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - A generated input field
+ */
+export declare function input(type: string, name: string, value: string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates an input button
+ *
+ * @param {string} label - The text of the input button
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - A generated input field
+ */
+export declare function buttonInput(label?: string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates an submit input button
+ *
+ * @param {string} label - The text of the input button
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - A generated input field
+ */
+export declare function submitInput(label?: string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a reset input button
+ *
+ * @param {string} label - The text of the input button
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - A generated input field
+ */
+export declare function resetInput(label?: string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a text input field
+ *
+ * @param {string} name - The value of the name attribute
+ * @param {string|null} value - The value of the input field
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - A generated input field
+ */
+export declare function textInput(name: string, value?: string | null, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a hidden input field
+ *
+ * @param {string} name - The value of the name attribute
+ * @param {string|null} value - The value of the input field
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - A generated input field
+ */
+export declare function hiddenInput(name: string, value?: string | null, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a password input field
+ *
+ * @param {string} name - The value of the name attribute
+ * @param {string|null} value - The value of the input field
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - A generated input field
+ */
+export declare function passwordInput(name: string, value?: string | null, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a file input field
+ *
+ * @param {string} name - The value of the name attribute
+ * @param {string|null} value - The value of the input field
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - A generated input field
+ */
+export declare function fileInput(name: string, value?: string | null, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a text box field
+ *
+ * @param {string} name - The value of the name attribute
+ * @param {string} value - The value of the attribute
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - A generated input field
+ */
+export declare function textarea(name: string, value?: string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a radio button input with an optional label.
+ *
+ * @param {string} name - The name attribute value of the radio button.
+ * @param {boolean} checked - Whether the radio button is checked.
+ * @param {Attributes} options - A name/value list of attributes to add to the element.
+ * @param {string} options.value - The value attribute of the radio button. Defaults to '1'.
+ * @param {Attributes} options.labelOptions - A name/value list of attributes to add to the label element, if created.
+ * @param {string} options.label - The text for the label. If provided, a label element is created.
+ * @returns {DocumentFragment|HTMLElement} - The generated radio button element, optionally wrapped in a label. A fragment that also
+ * holds the hidden input is returned when `options.uncheck` is set.
+ */
+export declare function radio(name: string, checked?: boolean, options?: Attributes & { value?: string; labelOptions?: Attributes; label?: string; [key: string]: any }): DocumentFragment | HTMLElement;
+
+/**
+ * Generates a checkbox input with an optional label.
+ *
+ * @param {string} name - The name attribute value of the checkbox.
+ * @param {boolean} checked - Whether the checkbox is checked.
+ * @param {Attributes} options - A name/value list of attributes to add to the element.
+ * @param {string} options.value - The value attribute of the checkbox. Defaults to '1'.
+ * @param {Attributes} options.labelOptions - A name/value list of attributes to add to the label element, if created.
+ * @param {string} options.label - The text for the label. If provided, a label element is created.
+ * @returns {DocumentFragment|HTMLElement} - The generated checkbox element, optionally wrapped in a label. A fragment that also
+ * holds the hidden input is returned when `options.uncheck` is set.
+ */
+export declare function checkbox(name: string, checked?: boolean, options?: Attributes & { value?: string; labelOptions?: Attributes; label?: string; [key: string]: any }): DocumentFragment | HTMLElement;
+
+/**
+ * Generates a boolean input of the given type
+ *
+ * @param {string} type - The type of input to be created; `radio` or `checkbox`
+ * @param {string} name - The name attribute of the input element
+ * @param {boolean} checked - The checked state of the input element
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @param {string} options.value - The value of the input element. Defaults to '1'.
+ * @param {string} options.uncheck - A value for the unchecked state of a checkbox value. This will generate a hidden input with the value of this property.
+ * @param {string} options.label - A label displayed next to the checkbox, inserted as text so markup in it is shown as is. The label wraps around the checkbox
+ * and is linked to it with its `for` attribute, the input receives an ID made of its name, a counter and its value unless one is given.
+ * @param {Attributes} options.labelOptions - An array of HTML attributes for the label tag.
+ * @param {string} options.idPrefix - Replaces the name and counter in the generated ID, for IDs that stay the same across renders
+ * @returns {DocumentFragment|HTMLElement} - The generated input elements
+ */
+export declare function booleanInput(type: string, name: string, checked?: boolean, options?: Attributes & { value?: string; uncheck?: string; label?: string; labelOptions?: Attributes; idPrefix?: string; [key: string]: any }): DocumentFragment | HTMLElement;
+
+/**
+ * This will append the content to an element
+ * The content type can be an HTMLElement or an array of HTMLElement, a DocumentFragment, a string or a number.
+ * Arrays may mix nodes, strings, numbers and nested arrays; null, undefined and boolean items are skipped.
+ *
+ * @param {HTMLElement} element - The element to append the content to
+ * @param {HTMLElement|HTMLElement[]|DocumentFragment|string|number} content - The content used to populate the element
+ */
+export declare function renderContent(element: HTMLElement, content: HTMLElement | HTMLElement[] | DocumentFragment | string | number): void;
+
+/**
+ * Generates a select box
+ *
+ * @param {string} name - The name of the select box
+ * @param {string|string[]} selection - A string or array of strings to set the selected value(s)
+ * @param {Object} items - A key/value pair for the option value and text
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {DocumentFragment} - The generated select box
+ */
+export declare function select(name: string, selection?: string | string[], items?: Record<string, any>, options?: Attributes): DocumentFragment;
+
+/**
+ * Generates a select list box
+ *
+ * @param {string} name - The name of the select box
+ * @param {string|string[]} selection - A string or array of strings to set the selected value(s)
+ * @param {Object} items - A key/value pair for the option value and text
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {DocumentFragment} - The generated select box
+ */
+export declare function listBox(name: string, selection?: string | string[], items?: Record<string, any>, options?: Attributes): DocumentFragment;
+
+/**
+ * Renders options for a select element
+ *
+ * @param {string|string[]} selection - The value or values to be marked as selected
+ * @param {Object} items - The items to be used as options in the select element, as a key-value pair where the key is the option value and the value is the display text
+ * @param {Object} [options] - Additional options for rendering the select options
+ * @returns {DocumentFragment} - A document fragment containing the <option> elements
+ */
+export declare function renderSelectOptions(selection: string | string[], items: Record<string, any>, options?: Record<string, any>): DocumentFragment;
+
+/**
+ * Generates a list of checkboxes
+ *
+ * @param {string} name - The name attribute of each checkbox
+ * @param {string|string[]|null} selection - The selected checkboxes. A string for a single value or an array for multiple checkboxes
+ * @param {Object} items - The data items to be used to generate the checkboxes.
+ * The object keys are the checkbox values
+ * @param {Object} options - A name/value list for the checkbox list container tag
+ * @param {string} options.separator - A string to be used as a separator between the checkboxes
+ * @param {string} options.unselect - A value to be used to unselect all checkboxes
+ * @param {Attributes} options.itemOptions - A name/value list of attributes to add to each checkbox
+ * @param {string} options.idPrefix - The prefix of the checkbox IDs, generated from the name and a counter by default
+ * @param {string|HTMLElement} options.legend - A legend for the group, the checkboxes are then wrapped in a `fieldset`
+ * @param {Attributes} options.legendOptions - A name/value list of attributes to add to the legend
+ * @param {Attributes} options.fieldsetOptions - A name/value list of attributes to add to the fieldset
+ * @returns {DocumentFragment|HTMLElement} - The list of checkboxes to return, or the fieldset with a legend
+ */
+export declare function checkboxList(name: string, selection?: string | string[] | null, items?: Record<string, any>, options?: { separator?: string; unselect?: string; itemOptions?: Attributes; idPrefix?: string; legend?: string | HTMLElement; legendOptions?: Attributes; fieldsetOptions?: Attributes; [key: string]: any }): DocumentFragment | HTMLElement;
+
+/**
+ * Generates a list of radios
+ *
+ * @param {string} name - The name attribute of each radio field
+ * @param {string|null} selection - The selected radio. A string for a single value or an array for multiple radios
+ * @param {Object} items - The data items to be used to generate the radio.
+ * The object keys are the radio values
+ * @param {Object} options - A name/value list for the radio list container tag
+ * @param {string} options.idPrefix - The prefix of the radio IDs, generated from the name and a counter by default
+ * @param {string} options.unselect - A value submitted when no radio is selected, an empty string also adds the hidden input
+ * @param {string|HTMLElement} options.legend - A legend for the group, the radios are then wrapped in a `fieldset`
+ * @param {Attributes} options.legendOptions - A name/value list of attributes to add to the legend
+ * @param {Attributes} options.fieldsetOptions - A name/value list of attributes to add to the fieldset
+ * @returns {DocumentFragment|HTMLElement} - The list of radio to return, or the fieldset with a legend
+ */
+export declare function radioList(name: string, selection?: string | null, items?: Record<string, any>, options?: { idPrefix?: string; unselect?: string; legend?: string | HTMLElement; legendOptions?: Attributes; fieldsetOptions?: Attributes; [key: string]: any }): DocumentFragment | HTMLElement;
+
+/**
+ * Generates an unordered list
+ *
+ * @param {HTMLElement[]|string[]} items - An array of elements to append to the unordered list item
+ * @param {Object} options - A name/value list for the list container tag
+ * @returns {HTMLElement} - The generated list
+ */
+export declare function ul(items: HTMLElement[] | string[], options?: Record<string, any>): HTMLElement;
+
+/**
+ * Generates an ordered list
+ *
+ * @param {HTMLElement[]} items - An array of elements to append to the ordered list item
+ * @param {Object} options - A name/value list for the list container tag
+ * @returns {HTMLElement} - The generated list
+ */
+export declare function ol(items: HTMLElement[], options?: Record<string, any>): HTMLElement;
+
+/**
+ * Generates a text node
+ *
+ * @param {string} text - The text to be generated as a text node
+ * @returns {Text} - Generated text node
+ */
+export declare function text(text: string): Text;
+
+/**
+ * Adds event listeners to an element
+ * Each key is an event type, optionally followed by modifiers and a delegation selector:
+ * - `once`, `passive` and `capture` are passed as listener options
+ * - `prevent` and `stop` call `preventDefault()` and `stopPropagation()` before the handler runs
+ * - `self` only runs the handler when the event was dispatched on the element itself
+ * - `debounce` and `throttle` limit how often the handler runs, followed by an optional delay in milliseconds
+ * - A selector after a space delegates the event: the handler runs for events inside matching descendants and
+ *   receives the matching descendant as its second argument and as `this`
+ *
+ * The value is the handler, or an object with a `handler` and the same settings as the modifiers.
+ * Listeners are remembered so `removeListeners` can remove them. Elements of the string renderer cannot receive
+ * events, so nothing is added to them.
+ *
+ * @example
+ * addListeners(list, {
+ *     'click.prevent .row': (event, row) => select(row.dataset.id),
+ *     'input.debounce.300': event => search(event.target.value),
+ *     scroll: {handler: onScroll, passive: true},
+ * });
+ *
+ * @param {HTMLElement} element - The element to listen on
+ * @param {Object} events - Handlers keyed by event type, modifiers and selector
+ * @see removeListeners
+ */
+export declare function addListeners(element: HTMLElement, events?: Record<string, any>): void;
+
+/**
+ * Removes every listener added with `addListeners`, the `on` option or a function attribute, from an element and
+ * all of its descendants, and cancels pending debounced calls
+ *
+ * @example
+ * removeListeners(dialog);
+ * dialog.remove();
+ *
+ * @param {HTMLElement|DocumentFragment} root - The element or fragment whose tree is cleaned up
+ * @see addListeners
+ */
+export declare function removeListeners(root: HTMLElement | DocumentFragment): void;
+
+/**
+ * Replaces the listeners of an element, added with `addListeners`, with those of another element
+ * Used when an element is kept in place of a newly built one, e.g. by `patch`, so it runs the new handlers.
+ *
+ * @param {HTMLElement} source - The element whose listeners are moved
+ * @param {HTMLElement} target - The element receiving the listeners, its own listeners are removed
+ * @see addListeners
+ */
+export declare function moveListeners(source: HTMLElement, target: HTMLElement): void;
+
+/**
+ * Sets the HTML element attributes
+ * The `on` attribute takes event handlers, see `addListeners`, and so does a function given for an `on*` attribute,
+ * e.g. `{onclick: handler}`. The `aria` attribute takes an object of `aria-*` attributes.
+ *
+ * @example
+ * setAttributes(button, {class: 'primary', on: {click: save, 'keydown.once': track}});
+ * setAttributes(toggle, {aria: {expanded: false, controls: 'menu'}});
+ *
+ * @param {HTMLElement} element - The element to add attributes to
+ * @param {Attributes} attributes - A name/value list of attributes to add to the element
+ * @see addListeners
+ */
+export declare function setAttributes(element: HTMLElement, attributes?: Attributes): void;
+
+/**
+ * Add class names to an element
+ *
+ * @param {HTMLElement} element - The element to modify
+ * @param {string|string[]} classList - A class name or an array of class names to add to the element
+ */
+export declare function addClass(element: HTMLElement, classList: string | string[]): void;
+
+/**
+ * Remove class names from an element
+ *
+ * @param {HTMLElement} element - The element to modify
+ * @param {string|string[]} classList - A class name or an array of class names to remove from the element
+ */
+export declare function removeClass(element: HTMLElement, classList: string | string[]): void;
+
+/**
+ * Generates a table element
+ *
+ * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content to be placed inside the table
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - The generated table element
+ */
+export declare function table(content: HTMLElement | HTMLElement[] | DocumentFragment | string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a table row element
+ *
+ * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content to be placed inside the row
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - The generated table row element
+ */
+export declare function tr(content: HTMLElement | HTMLElement[] | DocumentFragment | string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a table cell element
+ *
+ * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content to be placed inside the cell
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - The generated table cell element
+ */
+export declare function td(content: HTMLElement | HTMLElement[] | DocumentFragment | string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a table header cell element
+ *
+ * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content to be placed inside the header cell
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - The generated table header cell element
+ */
+export declare function th(content: HTMLElement | HTMLElement[] | DocumentFragment | string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a table header section element
+ *
+ * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content to be placed inside the header section
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - The generated table header section element
+ */
+export declare function thead(content: HTMLElement | HTMLElement[] | DocumentFragment | string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a table body section element
+ *
+ * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content to be placed inside the body section
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - The generated table body section element
+ */
+export declare function tbody(content: HTMLElement | HTMLElement[] | DocumentFragment | string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates a table footer section element
+ *
+ * @param {HTMLElement|HTMLElement[]|DocumentFragment|string} content - The content to be placed inside the footer section
+ * @param {Attributes} options - A name/value list of attributes to add to the element
+ * @returns {HTMLElement} - The generated table footer section element
+ */
+export declare function tfoot(content: HTMLElement | HTMLElement[] | DocumentFragment | string, options?: Attributes): HTMLElement;
+
+/**
+ * Generates an element from a CSS-selector-like shorthand
+ * The attributes may be omitted, in which case the second argument is used as the children.
+ * Children can be nodes, fragments, strings, numbers, nested arrays or object descriptors; null and boolean children are skipped.
+ *
+ * @example
+ * returns an element object <div id="main" class="card active"><span>Hello</span> World</div>
+ * h('div.card#main', {class: 'active'}, [h('span', 'Hello'), ' World']);
+ *
+ * @param {string} selector - The tag name followed by an optional `#id` and `.class` names, the tag defaults to `div`
+ * @param {Attributes} [attributes] - A name/value list of attributes to add to the element
+ * @param {*} [children] - The content used to populate the element
+ * @returns {HTMLElement} - The generated element
+ * @see createElement
+ * @see renderContent
+ */
+export declare function h(selector: string, attributes?: Attributes, children?: any): HTMLElement;
+
+/**
+ * Builds nodes from a plain descriptor, so templates can be stored as JSON
+ * Descriptors are either arrays in the form `[selector, attributes?, ...children]` or objects in the form `{tag, attrs, children}`.
+ * Strings and numbers become text nodes, nodes are returned as they are and arrays not starting with a selector become fragments.
+ *
+ * @example
+ * returns an element object <ul class="menu"><li>One</li><li><a href="/two">Two</a></li></ul>
+ * fromDescriptor(['ul.menu', ['li', 'One'], ['li', ['a', {href: '/two'}, 'Two']]]);
+ * @example
+ * returns an element object <p class="note">Saved</p>
+ * fromDescriptor({tag: 'p.note', children: ['Saved']});
+ *
+ * @param {Array|Object|string|number|Node|null} descriptor - The descriptor to build
+ * @returns {HTMLElement|DocumentFragment|Text|null} - The built nodes, or null for empty descriptors
+ * @see h
+ */
+export declare function fromDescriptor(descriptor: any[] | Record<string, any> | string | number | Node | null): HTMLElement | DocumentFragment | Text | null;
+
+/**
+ * Creates the set of helpers bound to a document, so every node they create is owned by that document
+ *
+ * @example
+ * const frameHtml = createHtml(iframe.contentDocument);
+ * frameHtml.button('Save', {class: 'primary'}).ownerDocument === iframe.contentDocument;
+ * // returns true
+ *
+ * @param {Document|StringDocument} doc - The document the helpers create nodes with
+ * @returns {Object} - An object containing every helper, bound to the document
+ */
+export declare function createHtml(doc: Document | StringDocument): Record<string, any>;
@@ -0,0 +1,25 @@
+// Generated by scripts/update-html-export.js from src/HtmlTemplate.js, do not edit by hand
+
+/**
+ * A tagged template that builds nodes from markup while escaping every interpolated value
+ *
+ * Interpolated values are handled depending on where they appear:
+ * - In text, strings and numbers are HTML-encoded while nodes, fragments and arrays from the Html helpers are inserted as real nodes
+ * - In attribute values, the value is HTML-encoded and quoted if the template did not quote it, along with the rest of
+ *   an unquoted value such as `href=/users/${id}`; arrays are joined with spaces
+ * - Inside a tag, an object is applied with `setAttributes`, several objects can be given to the same tag
+ *
+ * The nodes are created in the document the Html helpers use, including the `StringDocument` of the string renderer;
+ * the markup itself is still parsed with `DomParser`, so a DOM implementation is needed.
+ *
+ * @example
+ * const name = '<img src=x onerror=alert(1)>';
+ * html`<p class=${['note', 'large']}>Hello ${name}! ${a('Profile', '/me')}</p>`;
+ * // returns a DocumentFragment holding <p class="note large">Hello &lt;img src=x onerror=alert(1)&gt;! <a href="/me">Profile</a></p>
+ *
+ * @param {string[]} strings - The static parts of the template
+ * @param {...*} values - The interpolated values
+ * @returns {DocumentFragment} - The built nodes, owned by the document the Html helpers use
+ * @see DomParser.parse
+ */
+export declare function html(strings: string[], ...values: any[]): DocumentFragment;
@@ -0,0 +1,585 @@
+// Generated by scripts/update-html-export.js from src/ObjectHelper.js, do not edit by hand
+
+/**
+ * Tests if a key could reach an object prototype and must be refused
+ *
+ * @param {string} key - The key to test
+ * @param {boolean} allowUnsafeKeys - Whether the protection is turned off
+ * @returns {boolean} - True or false whether the key must be refused
+ * @internal
+ */
+export declare function isUnsafeKey(key: string, allowUnsafeKeys: boolean): boolean;
+
+/**
+ * Tests if a value is a plain object, created with a literal, `Object.create(null)` or `new Object()`
+ *
+ * @param {*} value - The value to test
+ * @returns {boolean} - True or false whether the value is a plain object
+ * @internal
+ */
+export declare function isPlainObject(value: any): boolean;
+
+export declare class ObjectHelper {
+    /**
+     * Whether the keys `__proto__`, `constructor` and `prototype` are accepted
+     * By default `merge`, `mergeWith` and the path helpers skip or refuse these keys, so merging untrusted data such as
+     * parsed JSON cannot modify `Object.prototype`. Only turn this on for trusted data that really uses these keys.
+     *
+     * @type {boolean}
+     */
+    static allowUnsafeKeys: boolean;
+
+    /**
+     * Test if something is an object
+     *
+     * @example
+     * var obj = {};
+     * ObjectHelper.isObject(obj);
+     * // returns true
+     *
+     * @param {*} item - The item to test
+     * @returns {boolean} - True or false whether the type item is an object
+     */
+    static isObject(item: any): boolean;
+
+    /**
+     * Deep merge two objects it modifies the first object passed with following arguments and returns the modified object as well
+     * The keys `__proto__`, `constructor` and `prototype` are skipped, see `allowUnsafeKeys`
+     *
+     * @param {Object} target - The target to be modified
+     * @param {...Object} sources - The objects that will be deeply merged
+     * @returns {Object} - The modified target object
+     *
+     * @example
+     * var obj1 = {message: {greeting: 'Hello', subject: 'World'}};
+     * var obj2 = {message: {subject: "Doggo"}};
+     * ObjectHelper.merge(obj1, obj2)
+     * // returns {message: greeing: 'Hello', subject: 'Doggo'}
+     */
+    static merge(target: Record<string, any>, ...sources: Record<string, any>[]): Record<string, any>;
+
+    /**
+     * Deep merge objects with configurable strategies
+     *
+     * Only plain objects are merged recursively; class instances are assigned as they are. Dates and regular
+     * expressions are copied, maps are merged by key and sets are combined. Circular references in the sources
+     * are reproduced in the result instead of recursing forever.
+     *
+     * Array strategies:
+     * - `replace`: the source array replaces the target array, the default as with `merge`
+     * - `concat`: the source items are appended
+     * - `union`: the source items that are not in the target yet are appended
+     * - `index`: items are merged by their position
+     * - `byKey`: objects are merged with the target item that has the same `arrayKey` value, other items are appended
+     *
+     * @param {Object} options - The merge options
+     * @param {string} [options.arrays] - The array strategy, defaults to `replace`
+     * @param {string} [options.arrayKey] - The property identifying items with the `byKey` strategy, defaults to `id`
+     * @param {boolean} [options.mutate] - Whether to modify the target, when false a merged copy is returned, defaults to true
+     * @param {string} [options.undefinedValues] - `overwrite` (the default) or `skip` to ignore undefined source values
+     * @param {Function|Object} [options.resolve] - A function receiving the target value, the source value and `{path, key}`,
+     *     or such functions by dotted path; returning anything but undefined replaces the default merge
+     * @param {boolean} [options.allowUnsafeKeys] - Whether to merge `__proto__`, `constructor` and `prototype` keys, defaults to `ObjectHelper.allowUnsafeKeys`
+     * @param {Object} target - The target to be merged into
+     * @param {...Object} sources - The objects that will be deeply merged
+     * @returns {Object} - The target object, or the merged copy
+     *
+     * @example
+     * var config = {tags: ['a'], users: [{id: 1, name: 'John'}]};
+     * ObjectHelper.mergeWith({arrays: 'byKey', mutate: false}, config, {users: [{id: 1, age: 30}, {id: 2, name: 'Jane'}]});
+     * // returns {tags: ['a'], users: [{id: 1, name: 'John', age: 30}, {id: 2, name: 'Jane'}]}, config is unchanged
+     * ObjectHelper.mergeWith({resolve: {total: (a, b) => a + b}}, {total: 1}, {total: 2});
+     * // returns {total: 3}
+     */
+    static mergeWith(options: { arrays?: string; arrayKey?: string; mutate?: boolean; undefinedValues?: string; resolve?: ((...args: any[]) => any) | Record<string, any>; allowUnsafeKeys?: boolean; [key: string]: any }, target: Record<string, any>, ...sources: Record<string, any>[]): Record<string, any>;
+
+    /**
+     * Copies a value, deeply by default
+     *
+     * Dates, regular expressions, maps, sets, array buffers and typed arrays are copied with their own constructors,
+     * DOM nodes with `cloneNode`, and other objects keep their prototype, so class instances stay instances of their class.
+     * Symbol keys are copied and circular references are reproduced in the copy. Functions, weak maps, weak sets and
+     * promises cannot be copied and are kept as they are. The keys `__proto__`, `constructor` and `prototype` are skipped,
+     * see `allowUnsafeKeys`.
+     *
+     * @param {*} value - The value to copy
+     * @param {Object} options - Additional options
+     * @param {boolean} [options.deep] - Whether to copy nested values too, defaults to true
+     * @param {boolean} [options.descriptors] - Whether to copy the property descriptors, including non-enumerable properties,
+     *     getters and setters, and the frozen, sealed or non-extensible state
+     * @returns {*} - The copy
+     *
+     * @example
+     * var original = {at: new Date(0), tags: new Set(['a']), users: [{name: 'John'}]};
+     * original.self = original;
+     * var copy = ObjectHelper.clone(original);
+     * // copy.users[0] !== original.users[0], copy.self === copy
+     */
+    static clone(value: any, options?: { deep?: boolean; descriptors?: boolean; [key: string]: any }): any;
+
+    /**
+     * Removes a property from an object and returns its value
+     *
+     * @param {Object} target - The object to extract the value from
+     * @param {string} property - The name of the property to remove
+     * @param {*} defaultValue - The default value to be returned if the property does not exist
+     * @returns {*} - The value of the property, or the default value
+     *
+     * @example
+     * var obj = {name: 'John', age: 30};
+     * var age = ObjectHelper.remove(obj, 'age');
+     * // age = 30, obj = {name: 'John'}
+     */
+    static remove(target: Record<string, any>, property: string, defaultValue?: any): any;
+
+    /**
+     * Counts the number of properties in an object
+     *
+     * @param {Object} item - The object to count the properties
+     * @returns {number} - The number of properties in the object
+     *
+     * @example
+     * var obj = {name: 'John', age: 30, city: 'New York'};
+     * ObjectHelper.count(obj);
+     * // returns 3
+     */
+    static count(item: Record<string, any>): number;
+
+    /**
+     * Splits a path into its keys
+     * Keys are separated with dots or written in brackets, a backslash escapes the next character,
+     * and quoted bracket keys may contain dots and brackets.
+     *
+     * @param {string|Array|number} path - The path, an array of keys is returned as strings
+     * @returns {string[]} - The keys
+     *
+     * @example
+     * ObjectHelper.toPath('a.b[0].c');
+     * // returns ['a', 'b', '0', 'c']
+     * ObjectHelper.toPath('files["report.pdf"].size');
+     * // returns ['files', 'report.pdf', 'size']
+     * ObjectHelper.toPath('version\\.major');
+     * // returns ['version.major']
+     */
+    static toPath(path: string | any[] | number): string[];
+
+    /**
+     * Reads the value at a path
+     *
+     * @param {Object|Array} target - The object to read from
+     * @param {string|Array} path - The path, see `toPath`
+     * @param {*} defaultValue - The value returned when the path does not exist or resolves to undefined
+     * @returns {*} - The value, or the default value
+     *
+     * @example
+     * var obj = {users: [{name: 'John'}]};
+     * ObjectHelper.get(obj, 'users[0].name');
+     * // returns 'John'
+     * ObjectHelper.get(obj, 'users[1].name', 'Nobody');
+     * // returns 'Nobody'
+     */
+    static get(target: Record<string, any> | any[], path: string | any[], defaultValue?: any): any;
+
+    /**
+     * Writes a value at a path, creating the missing intermediate objects and arrays
+     * An array is created when the next key is a numeric index.
+     *
+     * @param {Object|Array} target - The object to modify
+     * @param {string|Array} path - The path, see `toPath`
+     * @param {*} value - The value to write
+     * @returns {Object|Array} - The modified target object
+     *
+     * @example
+     * var obj = {};
+     * ObjectHelper.set(obj, 'users[0].name', 'John');
+     * // obj = {users: [{name: 'John'}]}
+     */
+    static set(target: Record<string, any> | any[], path: string | any[], value: any): Record<string, any> | any[];
+
+    /**
+     * Tests if a path exists, every key must be an own property
+     *
+     * @param {Object|Array} target - The object to test
+     * @param {string|Array} path - The path, see `toPath`
+     * @returns {boolean} - True or false whether the path exists
+     *
+     * @example
+     * var obj = {user: {name: undefined}};
+     * ObjectHelper.has(obj, 'user.name');
+     * // returns true
+     * ObjectHelper.has(obj, 'user.toString');
+     * // returns false
+     */
+    static has(target: Record<string, any> | any[], path: string | any[]): boolean;
+
+    /**
+     * Removes the property at a path, array items are spliced out so no hole is left
+     *
+     * @param {Object|Array} target - The object to modify
+     * @param {string|Array} path - The path, see `toPath`
+     * @returns {boolean} - True or false whether a property was removed
+     *
+     * @example
+     * var obj = {user: {name: 'John', tags: ['a', 'b']}};
+     * ObjectHelper.unset(obj, 'user.tags[0]');
+     * // obj = {user: {name: 'John', tags: ['b']}}
+     */
+    static unset(target: Record<string, any> | any[], path: string | any[]): boolean;
+
+    /**
+     * Lists the paths of all the leaf values of an object
+     * Plain objects and arrays are walked; other values, empty objects and empty arrays are leaves.
+     * Array indexes are written in brackets and keys that need it are quoted, so every path can be read back with `get`.
+     * The keys `__proto__`, `constructor` and `prototype` are left out, see `allowUnsafeKeys`.
+     *
+     * @param {Object|Array} target - The object to walk
+     * @returns {string[]} - The leaf paths
+     *
+     * @example
+     * ObjectHelper.paths({user: {name: 'John', tags: ['a']}, 'a.b': 1});
+     * // returns ['user.name', 'user.tags[0]', '["a.b"]']
+     */
+    static paths(target: Record<string, any> | any[]): string[];
+
+    /**
+     * Compares two values structurally
+     * Plain objects and arrays are compared by their own enumerable properties, dates by their time, regular expressions by
+     * their source and flags, maps and sets by their entries, and array buffers and typed arrays by their bytes.
+     * Values must share the same prototype, `NaN` equals itself and circular references are supported.
+     *
+     * @param {*} a - The first value
+     * @param {*} b - The second value
+     * @returns {boolean} - True or false whether the values are equal
+     *
+     * @example
+     * ObjectHelper.isEqual({tags: new Set(['a']), at: new Date(0)}, {tags: new Set(['a']), at: new Date(0)});
+     * // returns true
+     */
+    static isEqual(a: any, b: any): boolean;
+
+    /**
+     * Lists the changes between two values as a JSON Patch (RFC 6902)
+     * Plain objects and arrays are compared recursively, array items by their position. Removed array items are listed
+     * from the last to the first, so the patch can be applied in order with `applyPatch`. Self-referencing values are
+     * supported, a cycle reached again at the same place in both values adds no operation.
+     *
+     * @param {*} a - The original value
+     * @param {*} b - The new value
+     * @returns {Object[]} - The `add`, `remove` and `replace` operations, with JSON Pointer paths
+     *
+     * @example
+     * ObjectHelper.diff({name: 'John', tags: ['a', 'b']}, {name: 'Jane', tags: ['a'], age: 30});
+     * // returns [
+     * //     {op: 'replace', path: '/name', value: 'Jane'},
+     * //     {op: 'remove', path: '/tags/1'},
+     * //     {op: 'add', path: '/age', value: 30},
+     * // ]
+     */
+    static diff(a: any, b: any): Record<string, any>[];
+
+    /**
+     * Applies a JSON Patch (RFC 6902) to a copy of a document
+     * The operations `add`, `remove`, `replace`, `move`, `copy` and `test` are supported. The patch is applied as a whole:
+     * when an operation fails an error is thrown and the document is left unchanged. The document and the added values are copied
+     * with `clone`, so class instances in them are copied as well.
+     *
+     * @param {*} document - The document to patch
+     * @param {Object[]} patch - The operations
+     * @returns {*} - The patched copy of the document
+     *
+     * @example
+     * ObjectHelper.applyPatch({tags: ['a']}, [{op: 'add', path: '/tags/-', value: 'b'}, {op: 'test', path: '/tags/1', value: 'b'}]);
+     * // returns {tags: ['a', 'b']}
+     */
+    static applyPatch(document: any, patch: Record<string, any>[]): any;
+
+    /**
+     * Creates a JSON Merge Patch (RFC 7386) that turns one value into another
+     * Removed keys are set to null, so null values in the new value cannot be represented.
+     *
+     * @param {*} a - The original value
+     * @param {*} b - The new value
+     * @returns {*} - The merge patch
+     *
+     * @example
+     * ObjectHelper.createMergePatch({name: 'John', age: 30, address: {city: 'Oslo'}}, {name: 'John', address: {city: 'Bergen'}});
+     * // returns {age: null, address: {city: 'Bergen'}}
+     */
+    static createMergePatch(a: any, b: any): any;
+
+    /**
+     * Applies a JSON Merge Patch (RFC 7386) to a copy of a value, the reverse of `createMergePatch`
+     *
+     * @param {*} target - The value to patch
+     * @param {*} patch - The merge patch, null values remove keys
+     * @returns {*} - The patched copy
+     *
+     * @example
+     * ObjectHelper.applyMergePatch({name: 'John', age: 30}, {age: null, city: 'Oslo'});
+     * // returns {name: 'John', city: 'Oslo'}
+     */
+    static applyMergePatch(target: any, patch: any): any;
+
+    /**
+     * Creates an object with only the given paths of an object
+     *
+     * @param {Object} target - The object to pick from
+     * @param {string|Array} paths - A path or a list of paths, see `toPath`
+     * @returns {Object} - The new object, paths that do not exist are left out
+     *
+     * @example
+     * ObjectHelper.pick({user: {name: 'John', password: 'secret'}, page: 1}, ['user.name', 'page']);
+     * // returns {user: {name: 'John'}, page: 1}
+     */
+    static pick(target: Record<string, any>, paths: string | any[]): Record<string, any>;
+
+    /**
+     * Creates a deep copy of an object without the given paths
+     *
+     * @param {Object} target - The object to copy
+     * @param {string|Array} paths - A path or a list of paths, see `toPath`
+     * @returns {Object} - The new object
+     *
+     * @example
+     * ObjectHelper.omit({user: {name: 'John', password: 'secret'}, page: 1}, 'user.password');
+     * // returns {user: {name: 'John'}, page: 1}
+     */
+    static omit(target: Record<string, any>, paths: string | any[]): Record<string, any>;
+
+    /**
+     * Creates an object with the keys returned by a function
+     *
+     * @param {Object} target - The object to transform
+     * @param {Function} callback - Receives the value, the key and the object and returns the new key
+     * @param {Object} options - Additional options
+     * @param {boolean} [options.deep] - Whether to also transform the keys of nested plain objects, including those in arrays
+     * @returns {Object} - The new object
+     *
+     * @example
+     * ObjectHelper.mapKeys({a: 1, b: 2}, (value, key) => key.toUpperCase());
+     * // returns {A: 1, B: 2}
+     */
+    static mapKeys(target: Record<string, any>, callback: (...args: any[]) => any, options?: { deep?: boolean; [key: string]: any }): Record<string, any>;
+
+    /**
+     * Creates an object with the values returned by a function
+     *
+     * @param {Object} target - The object to transform
+     * @param {Function} callback - Receives the value, the key and the object and returns the new value
+     * @returns {Object} - The new object
+     *
+     * @example
+     * ObjectHelper.mapValues({a: 1, b: 2}, value => value * 10);
+     * // returns {a: 10, b: 20}
+     */
+    static mapValues(target: Record<string, any>, callback: (...args: any[]) => any): Record<string, any>;
+
+    /**
+     * Creates an object with the properties for which a function returns true
+     *
+     * @param {Object} target - The object to filter
+     * @param {Function} predicate - Receives the value, the key and the object
+     * @returns {Object} - The new object
+     *
+     * @example
+     * ObjectHelper.filter({name: 'John', email: '', age: null}, value => value !== '' && value !== null);
+     * // returns {name: 'John'}
+     */
+    static filter(target: Record<string, any>, predicate: (...args: any[]) => any): Record<string, any>;
+
+    /**
+     * Creates an object with the keys and values swapped, the last key wins when values repeat
+     *
+     * @param {Object} target - The object to invert
+     * @returns {Object} - The new object, its keys are the values converted to strings
+     *
+     * @example
+     * ObjectHelper.invert({us: 'United States', ca: 'Canada'});
+     * // returns {'United States': 'us', 'Canada': 'ca'}
+     */
+    static invert(target: Record<string, any>): Record<string, any>;
+
+    /**
+     * Flattens nested plain objects and arrays into a single level object with joined keys
+     * Empty objects and arrays are kept as values. Keys that contain the separator cannot be restored by `unflatten`.
+     *
+     * @param {Object} target - The object to flatten
+     * @param {string} separator - The string joining the keys, defaults to a dot
+     * @returns {Object} - The flat object
+     *
+     * @example
+     * ObjectHelper.flatten({user: {name: 'John', tags: ['a', 'b']}});
+     * // returns {'user.name': 'John', 'user.tags.0': 'a', 'user.tags.1': 'b'}
+     */
+    static flatten(target: Record<string, any>, separator?: string): Record<string, any>;
+
+    /**
+     * Restores nested objects from the joined keys of `flatten`, numeric keys create arrays
+     * Keys containing `__proto__`, `constructor` or `prototype` are skipped, see `allowUnsafeKeys`.
+     *
+     * @param {Object} target - The flat object
+     * @param {string} separator - The string joining the keys, defaults to a dot
+     * @returns {Object} - The nested object
+     *
+     * @example
+     * ObjectHelper.unflatten({'user.name': 'John', 'user.tags.0': 'a'});
+     * // returns {user: {name: 'John', tags: ['a']}}
+     */
+    static unflatten(target: Record<string, any>, separator?: string): Record<string, any>;
+
+    /**
+     * Converts the keys of an object and its nested plain objects to camel case
+     *
+     * @param {Object|Array} target - The object to convert
+     * @returns {Object|Array} - The new object
+     *
+     * @example
+     * ObjectHelper.camelCaseKeys({first_name: 'John', 'home-address': {zip_code: '0150'}});
+     * // returns {firstName: 'John', homeAddress: {zipCode: '0150'}}
+     */
+    static camelCaseKeys(target: Record<string, any> | any[]): Record<string, any> | any[];
+
+    /**
+     * Converts the keys of an object and its nested plain objects to snake case
+     *
+     * @param {Object|Array} target - The object to convert
+     * @returns {Object|Array} - The new object
+     *
+     * @example
+     * ObjectHelper.snakeCaseKeys({firstName: 'John', homeAddress: {zipCode: '0150'}});
+     * // returns {first_name: 'John', home_address: {zip_code: '0150'}}
+     */
+    static snakeCaseKeys(target: Record<string, any> | any[]): Record<string, any> | any[];
+
+    /**
+     * Converts the keys of an object and its nested plain objects to kebab case
+     *
+     * @param {Object|Array} target - The object to convert
+     * @returns {Object|Array} - The new object
+     *
+     * @example
+     * ObjectHelper.kebabCaseKeys({firstName: 'John', ariaLabel: 'Name'});
+     * // returns {'first-name': 'John', 'aria-label': 'Name'}
+     */
+    static kebabCaseKeys(target: Record<string, any> | any[]): Record<string, any> | any[];
+
+    /**
+     * Freezes an object and everything it holds
+     * The values of maps and sets are frozen too, but their entries can still be changed with their methods.
+     * Typed arrays and DOM nodes are left as they are.
+     *
+     * @param {*} value - The value to freeze
+     * @returns {*} - The frozen value
+     *
+     * @example
+     * var state = ObjectHelper.freeze({user: {name: 'John'}});
+     * state.user.name = 'Jane';
+     * // state.user.name is still 'John', or a TypeError is thrown in strict mode
+     */
+    static freeze(value: any): any;
+
+    /**
+     * Tests if an object and everything it holds is frozen
+     *
+     * @param {*} value - The value to test
+     * @returns {boolean} - True or false whether the value is deeply frozen, primitives always are
+     */
+    static isFrozenDeep(value: any): boolean;
+
+    /**
+     * Returns a copy of an object with a value set at a path, without modifying the object
+     * Only the objects along the path are copied, unchanged branches are shared with the original, and the original
+     * itself is returned when the value does not change, so changes can be detected by reference.
+     *
+     * @param {Object|Array} target - The original object
+     * @param {string|Array} path - The path, see `toPath`
+     * @param {*} value - The value to set
+     * @returns {Object|Array} - The updated copy
+     *
+     * @example
+     * var state = {user: {name: 'John'}, todos: [{done: false}]};
+     * var next = ObjectHelper.setIn(state, 'todos[0].done', true);
+     * // next.todos[0].done === true, next.user === state.user
+     */
+    static setIn(target: Record<string, any> | any[], path: string | any[], value: any): Record<string, any> | any[];
+
+    /**
+     * Returns a copy of an object with the value at a path replaced by the result of a function, see `setIn`
+     *
+     * @param {Object|Array} target - The original object
+     * @param {string|Array} path - The path, see `toPath`
+     * @param {Function} updater - Receives the current value and returns the new value
+     * @returns {Object|Array} - The updated copy
+     *
+     * @example
+     * ObjectHelper.updateIn({cart: {count: 1}}, 'cart.count', count => count + 1);
+     * // returns {cart: {count: 2}}
+     */
+    static updateIn(target: Record<string, any> | any[], path: string | any[], updater: (...args: any[]) => any): Record<string, any> | any[];
+
+    /**
+     * Returns a copy of an object with a source deeply merged into the object at a path, see `setIn`
+     *
+     * @param {Object|Array} target - The original object
+     * @param {string|Array} path - The path, see `toPath`, an empty array merges into the object itself
+     * @param {Object} source - The object to merge
+     * @returns {Object|Array} - The updated copy
+     *
+     * @example
+     * ObjectHelper.mergeIn({user: {name: 'John', address: {city: 'Oslo'}}}, 'user', {address: {zip: '0150'}});
+     * // returns {user: {name: 'John', address: {city: 'Oslo', zip: '0150'}}}
+     */
+    static mergeIn(target: Record<string, any> | any[], path: string | any[], source: Record<string, any>): Record<string, any> | any[];
+
+    /**
+     * Returns a copy of an object without the property at a path, see `setIn`
+     * Array items are spliced out, and the original is returned when the path does not exist.
+     *
+     * @param {Object|Array} target - The original object
+     * @param {string|Array} path - The path, see `toPath`
+     * @returns {Object|Array} - The updated copy
+     *
+     * @example
+     * ObjectHelper.deleteIn({todos: ['a', 'b']}, 'todos[0]');
+     * // returns {todos: ['b']}
+     */
+    static deleteIn(target: Record<string, any> | any[], path: string | any[]): Record<string, any> | any[];
+
+    /**
+     * Validates a value against a schema
+     *
+     * The schema is a subset of JSON Schema: `type` (`string`, `number`, `integer`, `boolean`, `object`, `array`, `null`
+     * or a list of them), `enum`, `const`, `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`, `minLength`,
+     * `maxLength`, `pattern`, `format` (`email`, `uri`, `date`, `date-time`), `minItems`, `maxItems`, `uniqueItems`,
+     * `items`, `properties`, `required` (a list of property names), `additionalProperties` and `default`.
+     * As shorthands, a property schema may set `required: true`, and `min`/`max` apply to numbers, string lengths or
+     * array lengths. Custom rules are listed in `validators`; they receive the value and the root value and return
+     * `false` or an error message when the value is invalid. `messages` overrides the messages by keyword.
+     *
+     * @param {*} value - The value to validate, it is not modified
+     * @param {Object} schema - The schema
+     * @param {Object} options - Additional options
+     * @param {boolean} [options.coerce] - Whether to convert strings to numbers and booleans and other obvious conversions
+     * @param {boolean} [options.defaults] - Whether to apply the `default` of missing values, defaults to true
+     * @param {Object} [options.messages] - Custom messages by keyword, `{value}` is replaced with the keyword value
+     * @returns {{valid: boolean, errors: Object[], value: *}} - The result, the errors have a `path`, a `keyword` and a `message`,
+     *     and the value has the defaults and coercion applied
+     *
+     * @example
+     * ObjectHelper.validateSchema({port: '80', tags: ['a', 1]}, {
+     *     type: 'object',
+     *     required: ['host'],
+     *     properties: {
+     *         host: {type: 'string'},
+     *         port: {type: 'integer', minimum: 1024},
+     *         secure: {type: 'boolean', default: false},
+     *         tags: {type: 'array', items: {type: 'string'}},
+     *     },
+     * }, {coerce: true});
+     * // returns {valid: false, value: {port: 80, tags: ['a', '1'], secure: false}, errors: [
+     * //     {path: 'host', keyword: 'required', message: 'Is required.'},
+     * //     {path: 'port', keyword: 'minimum', message: 'Must be at least 1024.'},
+     * // ]}
+     */
+    static validateSchema(value: any, schema: Record<string, any>, options?: { coerce?: boolean; defaults?: boolean; messages?: Record<string, any>; [key: string]: any }): {valid: boolean; errors: Record<string, any>[]; value: any};
+}
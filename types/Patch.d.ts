@@ -0,0 +1,22 @@
+// Generated by scripts/update-html-export.js from src/Patch.js, do not edit by hand
+
+/**
+ * Updates an existing tree in place to match a newly built one, so a render function can be run again and only
+ * the differences are applied
+ *
+ * Elements are kept when the tag name matches, so focus, scroll position, selection and listeners added outside the
+ * helpers survive. Attributes and text are updated, listeners from the `on` option are replaced by the new ones and
+ * children are matched by their `key` attribute, or by position without one. Form controls receive the new value,
+ * checked or selected state only when it was rendered differently than before, otherwise what the user entered is kept.
+ *
+ * @example
+ * const render = items => createElement('ul', items.map(item => createElement('li', item.name, {key: item.id})));
+ * const list = render(items);
+ * // later, after items changed
+ * patch(list, render(items));
+ *
+ * @param {HTMLElement} existingEl - The element in the document
+ * @param {HTMLElement} newEl - The newly built element, its nodes may be moved into the existing tree
+ * @returns {HTMLElement} - The element in place after patching, the new element when the root had to be replaced
+ */
+export declare function patch(existingEl: HTMLElement, newEl: HTMLElement): HTMLElement;
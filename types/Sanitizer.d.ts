@@ -0,0 +1,71 @@
+// Generated by scripts/update-html-export.js from src/Sanitizer.js, do not edit by hand
+
+export declare class Sanitizer {
+    /**
+     * The default sanitizer profiles
+     *
+     * - `text` keeps only the text content
+     * - `basic` keeps inline formatting and links
+     * - `rich` keeps block formatting, lists, images and tables as well
+     *
+     * A profile lists the allowed `tags`, the allowed `attributes` per tag name with `*` applying to every tag,
+     * and the URL `schemes` allowed in attributes such as `href` and `src`.
+     *
+     * @returns {Object} - The profiles by name
+     */
+    static get profiles(): Record<string, any>;
+
+    /**
+     * Resolves a profile name or a configuration object into a complete configuration
+     *
+     * @param {string|Object} config - A profile name or a configuration object
+     * @returns {Object} - The configuration
+     */
+    static resolveConfig(config: string | Record<string, any>): Record<string, any>;
+
+    /**
+     * Tests if a URL only uses an allowed scheme, relative URLs are always allowed
+     *
+     * @example
+     * Sanitizer.isSafeUrl('java\tscript:alert(1)', ['http', 'https']);
+     * // returns false
+     *
+     * @param {string} url - The URL to test
+     * @param {string[]} schemes - The allowed schemes
+     * @returns {boolean} - True or false whether the URL is safe
+     */
+    static isSafeUrl(url: string, schemes: string[]): boolean;
+
+    /**
+     * Cleans untrusted HTML by keeping only the allowed tags, attributes and URL schemes
+     * Event handler attributes are always removed. Elements that are not allowed are unwrapped,
+     * except for elements such as `script`, `style` and `iframe` which are removed with their content.
+     *
+     * @example
+     * Sanitizer.sanitize('<p onclick="steal()">Hi <a href="javascript:alert(1)">there</a><script>alert(1)</script></p>');
+     * // returns a DocumentFragment holding <p>Hi <a>there</a></p>
+     *
+     * @param {string|Node|NodeList} source - The HTML to clean, or nodes that were already parsed
+     * @param {string|Object} config - A profile name from `Sanitizer.profiles` or a configuration object
+     * @returns {DocumentFragment} - The cleaned nodes, owned by the document the Html helpers use
+     */
+    static sanitize(source: string | Node | NodeList, config?: string | Record<string, any>): DocumentFragment;
+
+    /**
+     * @see {@link Sanitizer#sanitize}
+     *
+     * @param {string|Node|NodeList} source - The HTML to clean, or nodes that were already parsed
+     * @param {string|Object} config - A profile name from `Sanitizer.profiles` or a configuration object
+     * @returns {string} - The cleaned HTML
+     */
+    static sanitizeToString(source: string | Node | NodeList, config?: string | Record<string, any>): string;
+
+    /**
+     * Copies the allowed parts of a node into the parent
+     *
+     * @param {Node} node - The untrusted node
+     * @param {Node} parent - The clean node to append to
+     * @param {Object} settings - The sanitizer configuration
+     */
+    static cleanNode(node: Node, parent: Node, settings: Record<string, any>): void;
+}
@@ -0,0 +1,146 @@
+// Generated by scripts/update-html-export.js from src/StringDocument.js, do not edit by hand
+
+/**
+ * @var {Array} - A list of elements that do not allow for inner HTML
+ * @internal
+ */
+export declare const voidElements: any[];
+
+/**
+ * A minimal node implementation used to build markup without a DOM
+ *
+ * @internal
+ */
+export declare class StringNode {
+    static ELEMENT_NODE: number;
+    static TEXT_NODE: number;
+    static COMMENT_NODE: number;
+    static DOCUMENT_FRAGMENT_NODE: number;
+    constructor(ownerDocument: any, nodeType: any, nodeName: any);
+    get firstChild(): any;
+    get lastChild(): any;
+    get children(): any;
+    get textContent(): any;
+    set textContent(value: any);
+
+    /**
+     * Inserts a node before a reference child, moving fragment children and detaching the node from its old parent
+     *
+     * @param {StringNode} node - The node to insert
+     * @param {StringNode|null} reference - The child to insert before, or null to append
+     * @returns {StringNode} - The inserted node
+     */
+    insertBefore(node: StringNode, reference: StringNode | null): StringNode;
+    appendChild(node: any): any;
+    removeChild(node: any): any;
+    append(...nodes: any[]): void;
+    prepend(...nodes: any[]): void;
+    remove(): void;
+
+    /**
+     * @returns {string} - The serialized markup of the node
+     */
+    toString(): string;
+    ownerDocument: any;
+    nodeType: any;
+    nodeName: any;
+    parentNode: any;
+    childNodes: any;
+}
+
+/**
+ * A text node that escapes its content when serialized
+ *
+ * @internal
+ */
+export declare class StringText extends StringNode {
+    constructor(ownerDocument: any, data: any);
+    get nodeValue(): any;
+    get textContent(): any;
+    set textContent(value: any);
+    toString(): any;
+    data: any;
+}
+
+/**
+ * A comment node, serialized verbatim the same way the DOM does
+ *
+ * @internal
+ */
+export declare class StringComment extends StringNode {
+    constructor(ownerDocument: any, data: any);
+    get nodeValue(): any;
+    get textContent(): any;
+    toString(): any;
+    data: any;
+}
+
+/**
+ * A document fragment that serializes to the markup of its children
+ *
+ * @internal
+ */
+export declare class StringFragment extends StringNode {
+    constructor(ownerDocument: any);
+}
+
+/**
+ * An element that keeps its attributes in insertion order and serializes the same way the DOM serializes `outerHTML`
+ *
+ * @internal
+ */
+export declare class StringElement extends StringNode {
+    constructor(ownerDocument: any, localName: any);
+    get tagName(): any;
+    get id(): any;
+    set id(value: any);
+    get className(): any;
+    set className(value: any);
+    classNames(): any;
+    getAttribute(name: any): any;
+    setAttribute(name: any, value: any): void;
+    hasAttribute(name: any): any;
+    removeAttribute(name: any): void;
+    toggleAttribute(name: any, force: any): any;
+    get innerHTML(): any;
+    set innerHTML(html: any);
+    get outerHTML(): any;
+    toString(): any;
+    localName: any;
+    attributes: any;
+    styles: any;
+    style: any;
+    dataset: any;
+    classList: any;
+}
+
+/**
+ * A document stand-in that creates string nodes, so the Html helpers can render markup without a DOM
+ *
+ * @example
+ * const doc = new StringDocument();
+ * const div = doc.createElement('div');
+ * div.textContent = 'Fish & Chips';
+ * String(div);
+ * // returns '<div>Fish &amp; Chips</div>'
+ */
+export declare class StringDocument {
+    createElement(name: any): any;
+    createTextNode(data: any): any;
+    createDocumentFragment(): any;
+    createComment(data: any): any;
+
+    /**
+     * @param {StringNode|string} node - A node or a string to be converted into a text node
+     * @returns {StringNode} - The node
+     */
+    toNode(node: StringNode | string): StringNode;
+
+    /**
+     * Serializes a string node, a DOM node or a list of them into markup
+     *
+     * @param {StringNode|Node|Array|NodeList|string|null} node - The node(s) to serialize
+     * @returns {string} - The serialized markup
+     */
+    static serialize(node: StringNode | Node | any[] | NodeList | string | null): string;
+}
@@ -0,0 +1,39 @@
+// Generated by scripts/update-html-export.js from src/TableEnhancer.js, do not edit by hand
+
+/**
+ * Adds client-side sorting, filtering and pagination to a table
+ *
+ * The behaviours operate on the row data rather than the rendered cells, and only the `tbody` is re-rendered.
+ * Sortable header cells receive a button and `aria-sort`. Columns with a `filter` of `text` or `select` get a filter
+ * control in a second header row, the options of `select` filters are rebuilt by `setRows`. When `pageSize` is set,
+ * pagination controls are inserted after the table; for a table that is not in the document yet they are inserted
+ * on the next render after it was, or `controller.pagination` can be placed anywhere by the caller. `destroy` removes the
+ * listeners and everything that was inserted, the body keeps the rows of the last render.
+ *
+ * Events are dispatched on the table element:
+ * - `table:sort` with `{key, direction}` in the detail
+ * - `table:filter` with `{filters}` in the detail
+ * - `table:page` with `{page, pageCount}` in the detail
+ *
+ * @example
+ * const grid = dataTable(rows, columns);
+ * const controller = enhanceTable(grid, rows, columns, {pageSize: 20, locale: 'de'});
+ * grid.addEventListener('table:sort', (event) => console.log(event.detail.key, event.detail.direction));
+ * controller.sort('name', 'desc');
+ *
+ * @param {HTMLElement} tableEl - The table element, usually built with `dataTable` or `table`
+ * @param {Object[]} rows - The row data
+ * @param {Object[]} columns - The column definitions, see `dataTable`
+ * @param {boolean} [columns[].sortable] - Whether the column can be sorted, defaults to `options.sortable`
+ * @param {string} [columns[].type] - `number`, `date` or `string`, detected from the values when omitted
+ * @param {Function} [columns[].compare] - A custom comparison receiving two values and their rows
+ * @param {string} [columns[].filter] - `text` or `select` to add a filter control
+ * @param {Function} [columns[].filterWith] - A custom filter receiving the value, the filter value and the row
+ * @param {Object} options - Additional options, the options of `dataTable` are used when rendering the body
+ * @param {boolean} [options.sortable] - Whether columns are sortable by default, defaults to true
+ * @param {number} [options.pageSize] - The number of rows per page, all rows are displayed when omitted
+ * @param {string} [options.locale] - The locale used to compare strings
+ * @returns {Object} - A controller with `sort`, `filter`, `page`, `setRows`, `refresh`, `destroy`, the current `state`
+ * and the `pagination` element, null without `pageSize`
+ */
+export declare function enhanceTable(tableEl: HTMLElement, rows: Record<string, any>[], columns: Record<string, any>[], options?: { sortable?: boolean; pageSize?: number; locale?: string; [key: string]: any }): Record<string, any>;
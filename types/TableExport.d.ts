@@ -0,0 +1,98 @@
+// Generated by scripts/update-html-export.js from src/TableExport.js, do not edit by hand
+
+/**
+ * Converts a table element into a grid of cell texts
+ * Cells spanning several columns or rows occupy every position they cover: the first one receives the text and
+ * the others are empty, unless `fillSpans` is set. Works with DOM tables and the string renderer.
+ *
+ * @example
+ * tableMatrix(table([tr([th('Name', {colspan: 2})]), tr([td('A'), td('B')])]));
+ * // returns [['Name', ''], ['A', 'B']]
+ *
+ * @param {HTMLElement} tableEl - The table element
+ * @param {Object} options - Additional options
+ * @param {boolean} [options.fillSpans] - Whether to repeat the text of spanning cells in every position they cover
+ * @returns {string[][]} - The rows of cell texts
+ */
+export declare function tableMatrix(tableEl: HTMLElement, options?: { fillSpans?: boolean; [key: string]: any }): string[][];
+
+/**
+ * Converts row data into a grid of cell texts, with the column headers as the first row
+ *
+ * @param {Object[]} rows - The row data
+ * @param {Object[]} columns - The column definitions, see `dataTable`
+ * @param {Object} options - Additional options
+ * @param {boolean} [options.header] - Whether to include the header row, defaults to true
+ * @param {boolean} [options.formatted] - Whether to export the output of the column formatters instead of the raw values
+ * @returns {string[][]} - The rows of cell texts
+ */
+export declare function rowsMatrix(rows: Record<string, any>[], columns: Record<string, any>[], options?: { header?: boolean; formatted?: boolean; [key: string]: any }): string[][];
+
+/**
+ * Exports a table as CSV following RFC 4180: fields containing the delimiter, quotes or line breaks are quoted,
+ * quotes are doubled and records end with CRLF
+ *
+ * Accepts a table element, `toCsv(tableEl, options)`, whose `colspan` and `rowspan` are resolved with `tableMatrix`,
+ * or row data with column definitions, `toCsv(rows, columns, options)`, exported with `rowsMatrix`.
+ *
+ * @example
+ * toCsv([{name: 'Smith, John', note: 'Says "hi"'}], [{header: 'Name', key: 'name'}, {header: 'Note', key: 'note'}]);
+ * // returns 'Name,Note\r\n"Smith, John","Says ""hi"""\r\n'
+ *
+ * @param {HTMLElement|Object[]} source - A table element or the row data
+ * @param {...Object} args - The column definitions for row data, then the options
+ * @param {string} [options.delimiter] - The field delimiter, defaults to a comma
+ * @param {boolean} [options.bom] - Whether to prepend a byte order mark, so spreadsheet applications detect UTF-8
+ * @param {boolean} [options.quoteAll] - Whether to quote every field
+ * @param {string} [options.newline] - The record separator, defaults to CRLF
+ * @returns {string} - The CSV text
+ * @see tableMatrix
+ * @see rowsMatrix
+ */
+export declare function toCsv(source: HTMLElement | Record<string, any>[], ...args: Record<string, any>[]): string;
+
+/**
+ * Exports a table as tab-separated values, with the same quoting rules as `toCsv`
+ *
+ * @param {HTMLElement|Object[]} source - A table element or the row data
+ * @param {...Object} args - The column definitions for row data, then the options of `toCsv`
+ * @returns {string} - The TSV text
+ * @see toCsv
+ */
+export declare function toTsv(source: HTMLElement | Record<string, any>[], ...args: Record<string, any>[]): string;
+
+/**
+ * Exports a table as an HTML string, by default a standalone document that can be saved or opened on its own
+ * Row data is rendered with `dataTable` and the string renderer, so no DOM is needed.
+ *
+ * @example
+ * toHtmlString(rows, columns, {title: 'Inventory'});
+ * // returns '<!DOCTYPE html><html><head><meta charset="utf-8"><title>Inventory</title></head><body><table>...</table></body></html>'
+ *
+ * @param {HTMLElement|Object[]} source - A table element or the row data
+ * @param {...Object} args - The column definitions for row data, then the options
+ * @param {boolean} [options.standalone] - Whether to wrap the table in a complete document, defaults to true
+ * @param {string} [options.title] - The title of the document
+ * @returns {string} - The HTML markup
+ * @see dataTable
+ */
+export declare function toHtmlString(source: HTMLElement | Record<string, any>[], ...args: Record<string, any>[]): string;
+
+/**
+ * Parses CSV text following RFC 4180, the reverse of `toCsv`
+ * Quoted fields may contain delimiters, doubled quotes and line breaks. A leading byte order mark is ignored
+ * and both CRLF and LF line endings are accepted.
+ *
+ * @example
+ * parseCsv('name,price\r\n"Apples, red",1.5\r\n');
+ * // returns [{name: 'Apples, red', price: '1.5'}]
+ * parseCsv('a,b\r\n1,2', {header: false});
+ * // returns [['a', 'b'], ['1', '2']]
+ *
+ * @param {string} text - The CSV text
+ * @param {Object} options - Additional options
+ * @param {string} [options.delimiter] - The field delimiter, defaults to a comma
+ * @param {boolean} [options.header] - Whether the first record holds the keys of the returned row objects, defaults to true
+ * @returns {Object[]|string[][]} - Row objects keyed by the header, or the records as arrays of fields
+ */
+export declare function parseCsv(text: string, options?: { delimiter?: string; header?: boolean; [key: string]: any }): Record<string, any>[] | string[][];
@@ -0,0 +1,61 @@
+// Generated by scripts/update-html-export.js from src/Validator.js, do not edit by hand
+
+/**
+ * Validates values against a set of rules
+ *
+ * The built-in rules are `required`, `minLength`, `maxLength`, `pattern`, `email`, `url`, `numeric`, `min`, `max`
+ * and `equals` (the name of another field). A rule can also be an object with a `value` and a custom `message`.
+ * Custom rules are listed in `validators`; they receive the value and all values, may be async, and return
+ * `false` or an error message when the value is invalid. Rules other than `required` are skipped for empty values.
+ * For lists of values, such as checkbox lists, `minLength` and `maxLength` count the items and the single value rules
+ * check each item.
+ *
+ * @example
+ * await validate({user: {email: 'nope'}, password: 'a', confirm: 'b'}, {
+ *     'user[email]': {required: true, email: true},
+ *     password: {minLength: {value: 8, message: 'Use at least 8 characters.'}},
+ *     confirm: {equals: 'password'},
+ * });
+ * // returns {valid: false, errors: {'user[email]': ['Must be a valid email address.'], password: ['Use at least 8 characters.'], confirm: ['Must match password.']}}
+ *
+ * @param {Object} data - The values, shaped like the object `serializeForm` returns
+ * @param {Object|Object[]} rules - Rules by bracketed field name, or field definitions as used by `formFromSchema`
+ * @param {Object} options - Additional options
+ * @param {Object} options.messages - Custom messages by rule name
+ * @returns {Promise<{valid: boolean, errors: Object}>} - The result with the error messages by field name
+ */
+export declare function validate(data: Record<string, any>, rules: Record<string, any> | Record<string, any>[], options?: { messages?: Record<string, any>; [key: string]: any }): Promise<{valid: boolean; errors: Record<string, any>}>;
+
+/**
+ * Displays validation errors on a live form
+ * Invalid controls get the error class and `aria-invalid`, the first message is displayed next to the control
+ * and linked with `aria-describedby`. The errors of fields listed in `names` that are valid are cleared.
+ *
+ * @param {HTMLElement} form - The form
+ * @param {Object} errors - The error messages by field name, as returned by `validate`
+ * @param {Object} options - The display options
+ * @param {string[]} [options.names] - The field names to update, defaults to the names in `errors`
+ * @param {string} [options.errorClass] - The class added to invalid controls, defaults to `is-invalid`
+ * @param {string} [options.messageClass] - The class of created message elements, defaults to `invalid-feedback`
+ * @param {string} [options.idPrefix] - The prefix of the IDs generated by `formFromSchema`
+ */
+export declare function showErrors(form: HTMLElement, errors: Record<string, any>, options?: { names?: string[]; errorClass?: string; messageClass?: string; idPrefix?: string; [key: string]: any }): void;
+
+/**
+ * Validates a live form and displays the errors next to its controls
+ *
+ * @example
+ * formEl.addEventListener('submit', async (event) => {
+ *     event.preventDefault();
+ *     const {valid} = await validateForm(formEl, {'user[email]': {required: true, email: true}});
+ *     if (valid) formEl.submit();
+ * });
+ *
+ * @param {HTMLFormElement|HTMLElement} form - The form
+ * @param {Object|Object[]} rules - Rules by bracketed field name, or field definitions as used by `formFromSchema`
+ * @param {Object} options - The options of `validate` and `showErrors`
+ * @returns {Promise<{valid: boolean, errors: Object}>} - The validation result
+ * @see validate
+ * @see showErrors
+ */
+export declare function validateForm(form: HTMLFormElement | HTMLElement, rules: Record<string, any> | Record<string, any>[], options?: Record<string, any>): Promise<{valid: boolean; errors: Record<string, any>}>;
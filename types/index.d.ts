@@ -0,0 +1,69 @@
+// Generated by scripts/update-html-export.js from src/index.js, do not edit by hand
+
+export {cellValue, dataTable, tableBody, tableFoot, tableHead} from './DataTable';
+export {DomParser} from './DomParser';
+export {bindForm, parseFieldName, populateForm, serializeForm} from './Form';
+export {fieldFromSchema, fieldId, formFromSchema} from './FormBuilder';
+export {
+  a,
+  addClass,
+  addListeners,
+  booleanInput,
+  button,
+  buttonInput,
+  checkAccessibility,
+  checkbox,
+  checkboxList,
+  createElement,
+  createHtml,
+  fileInput,
+  form,
+  fromDescriptor,
+  getDocument,
+  h,
+  hiddenInput,
+  img,
+  input,
+  label,
+  listBox,
+  moveListeners,
+  ol,
+  passwordInput,
+  radio,
+  radioList,
+  removeClass,
+  removeListeners,
+  renderContent,
+  renderSelectOptions,
+  renderToString,
+  resetButton,
+  resetInput,
+  select,
+  setAccessibilityChecks,
+  setAttributes,
+  setRenderer,
+  submitButton,
+  submitInput,
+  table,
+  tbody,
+  td,
+  text,
+  textInput,
+  textarea,
+  tfoot,
+  th,
+  thead,
+  tr,
+  ul,
+  useDocument,
+  withDocument,
+} from './Html';
+export {html} from './HtmlTemplate';
+export {ObjectHelper} from './ObjectHelper';
+export {patch} from './Patch';
+export {Sanitizer} from './Sanitizer';
+export {StringDocument} from './StringDocument';
+export {enhanceTable} from './TableEnhancer';
+export {parseCsv, rowsMatrix, tableMatrix, toCsv, toHtmlString, toTsv} from './TableExport';
+export {showErrors, validate, validateForm} from './Validator';
+export type {Attributes, itemCallback, listCallback} from './Html';